@@ -1,7 +1,17 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { authRateLimit, accountLockout, recordFailedLogin, clearLoginAttempts } = require('./security');
 
+// An access token is only good while the user's token version matches the one
+// it was issued with and its session hasn't been revoked. Tokens from before
+// sessions existed carry neither and are checked against version 0.
+const isTokenCurrent = async (decoded, user) => {
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) return false;
+  if (!decoded.sid) return true;
+  return Boolean(await Session.exists({ _id: decoded.sid, userId: user._id, revokedAt: null }));
+};
+
 // Middleware to verify JWT token
 const auth = async (req, res, next) => {
   try {
@@ -22,6 +32,10 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ error: 'Account is deactivated' });
     }
 
+    if (!(await isTokenCurrent(decoded, user))) {
+      return res.status(401).json({ error: 'Session has been signed out' });
+    }
+
     // Check if account is locked
     if (user.lockUntil && user.lockUntil > Date.now()) {
       const remainingTime = Math.ceil((user.lockUntil - Date.now()) / 1000 / 60);
@@ -31,6 +45,7 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -71,8 +86,9 @@ const optionalAuth = async (req, res, next) => {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         const user = await User.findById(decoded.userId).select('-password');
         
-        if (user && user.isActive) {
+        if (user && user.isActive && await isTokenCurrent(decoded, user)) {
           req.user = user;
+          req.sessionId = decoded.sid || null;
         }
       } catch (jwtError) {
         // Silently ignore token errors for optional auth
@@ -73,6 +73,13 @@ const passwordChangeRateLimit = createRateLimit(
   'Too many password change attempts, please try again later'
 );
 
+// Verification and password reset emails
+const accountEmailRateLimit = createRateLimit(
+  60 * 60 * 1000, // 1 hour
+  5, // 5 emails
+  'Too many email requests, please try again later'
+);
+
 // File upload rate limiting
 const uploadRateLimit = createRateLimit(
   60 * 1000, // 1 minute
@@ -96,8 +103,9 @@ const globalRateLimit = createRateLimit(
 
 // CSRF Protection middleware
 const csrfProtection = (req, res, next) => {
-  // Skip CSRF for GET requests and API endpoints that don't modify data
-  if (req.method === 'GET' || req.path.includes('/api/csrf-token')) {
+  // Skip CSRF for GET requests and API endpoints that don't modify data.
+  // Payment webhooks come from the provider, not a browser, and are signed instead.
+  if (req.method === 'GET' || req.path.includes('/api/csrf-token') || req.path.startsWith('/api/billing/webhook')) {
     return next();
   }
 
@@ -193,6 +201,7 @@ module.exports = {
   sanitizeInput,
   authRateLimit,
   passwordChangeRateLimit,
+  accountEmailRateLimit,
   uploadRateLimit,
   generationRateLimit,
   globalRateLimit,
@@ -1,18 +1,10 @@
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs').promises;
 const sharp = require('sharp');
-const { v4: uuidv4 } = require('uuid');
-
-// Ensure upload directory exists
-const uploadDir = path.join(__dirname, '../uploads');
-fs.mkdir(uploadDir, { recursive: true }).catch(console.error);
+const storage = require('../services/storage');
 
 // Configure multer for file uploads
-const storage = multer.memoryStorage(); // Store in memory for processing
-
 const upload = multer({
-  storage,
+  storage: multer.memoryStorage(), // Store in memory for processing
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB limit
     files: 1
@@ -37,6 +29,24 @@ const upload = multer({
   }
 }).single('image');
 
+// Preset sheets (CSV or XLSX) uploaded by admins, kept in memory for parsing
+const uploadSpreadsheet = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      const error = new Error(`Invalid file type. Only .csv and .xlsx sheets are allowed. Got: ${file.originalname}`);
+      error.statusCode = 400;
+      cb(error, false);
+    }
+  }
+}).single('file');
+
 // Middleware to process uploaded images
 const processImage = async (req, res, next) => {
   console.log('🔍 [UPLOAD DEBUG] processImage middleware called');
@@ -116,25 +126,24 @@ const processImage = async (req, res, next) => {
       console.log('✅ [UPLOAD DEBUG] Image converted to JPEG');
     }
 
-    // Generate unique filename
-    const filename = `${uuidv4()}.jpg`;
-    const filepath = path.join(uploadDir, filename);
+    // Generate unique storage key
+    const key = storage.createKey('uploads', 'jpg');
 
     console.log('🔍 [UPLOAD DEBUG] Saving processed image:', {
-      filename,
-      filepath,
+      key,
+      storage: storage.name,
       processedSize: processedBuffer.length,
       originalSize: req.file.size
     });
 
-    // Save processed image to disk
-    await fs.writeFile(filepath, processedBuffer);
-    console.log('✅ [UPLOAD DEBUG] Image saved to disk');
+    // Save processed image to the configured storage backend
+    await storage.put(key, processedBuffer, { contentType: 'image/jpeg' });
+    console.log('✅ [UPLOAD DEBUG] Image saved to storage');
 
     // Update req.file with processed image info
     req.file.buffer = processedBuffer;
-    req.file.filename = filename;
-    req.file.path = filepath;
+    req.file.key = key;
+    req.file.filename = key.split('/').pop();
     req.file.size = processedBuffer.length;
     req.file.mimetype = 'image/jpeg';
     
@@ -249,12 +258,11 @@ const saveBase64Image = async (req, res, next) => {
   }
 
   try {
-    // Generate unique filename
-    const filename = `${uuidv4()}.jpg`;
-    const filepath = path.join(uploadDir, filename);
+    // Generate unique storage key
+    const key = storage.createKey('uploads', 'jpg');
 
     console.log('🔍 [UPLOAD DEBUG] Processing base64 image:', {
-      filename,
+      key,
       bufferSize: req.imageBuffer.length,
       format: req.imageFormat
     });
@@ -264,10 +272,10 @@ const saveBase64Image = async (req, res, next) => {
       .jpeg({ quality: 85, progressive: true })
       .toBuffer();
 
-    console.log('🔍 [UPLOAD DEBUG] Image processed, saving to disk...');
+    console.log('🔍 [UPLOAD DEBUG] Image processed, saving to storage...');
 
-    // Save to disk
-    await fs.writeFile(filepath, processedBuffer);
+    // Save to the configured storage backend
+    await storage.put(key, processedBuffer, { contentType: 'image/jpeg' });
 
     // Create file object similar to multer
     req.file = {
@@ -277,12 +285,12 @@ const saveBase64Image = async (req, res, next) => {
       mimetype: 'image/jpeg',
       buffer: processedBuffer,
       size: processedBuffer.length,
-      filename,
-      path: filepath
+      filename: key.split('/').pop(),
+      key
     };
 
     console.log('✅ [UPLOAD DEBUG] Base64 image saved successfully:', {
-      filename: req.file.filename,
+      key: req.file.key,
       size: req.file.size
     });
 
@@ -309,10 +317,10 @@ const cleanupOnError = (req, res, next) => {
   
   res.send = function(data) {
     // If there's an error status and we have a file, clean it up
-    if (res.statusCode >= 400 && req.file && req.file.path) {
-      console.log('⚠️ [UPLOAD DEBUG] Cleaning up file on error:', req.file.path);
+    if (res.statusCode >= 400 && req.file && req.file.key) {
+      console.log('⚠️ [UPLOAD DEBUG] Cleaning up file on error:', req.file.key);
       try {
-        fs.unlink(req.file.path).catch(err => {
+        storage.delete(req.file.key).catch(err => {
           console.error('❌ [UPLOAD DEBUG] File cleanup error:', err.message);
         });
       } catch (cleanupError) {
@@ -328,6 +336,7 @@ const cleanupOnError = (req, res, next) => {
 
 module.exports = {
   upload: upload,
+  uploadSpreadsheet,
   processImage,
   validateBase64Image,
   saveBase64Image,
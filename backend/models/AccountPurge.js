@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Audit record of an account that was permanently deleted. It outlives the
+// user, so it keeps only their id and a hash of their email (enough to answer
+// "was this person's data erased, and when?") plus what was removed.
+const accountPurgeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  // SHA-256 of the lowercased email address
+  emailHash: {
+    type: String,
+    required: [true, 'Email hash is required'],
+    index: true
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'admin'],
+    required: [true, 'Trigger is required']
+  },
+  // Admin who purged the account immediately instead of waiting for the schedule
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // 'partial' when some stored files could not be deleted
+  status: {
+    type: String,
+    enum: ['completed', 'partial'],
+    default: 'completed'
+  },
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
+  // Documents removed per collection, e.g. { generations: 12, quotas: 30 }
+  deletedDocuments: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  deletedFiles: {
+    type: Number,
+    default: 0
+  },
+  // Stored files that could not be deleted
+  fileErrors: [{
+    key: String,
+    error: String
+  }],
+  purgedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+accountPurgeSchema.index({ purgedAt: -1 });
+
+module.exports = mongoose.model('AccountPurge', accountPurgeSchema);
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Single-use tokens sent by email: confirming an address and resetting a
+// password. Only a hash is stored; the token itself is only in the link.
+const authTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['email_verification', 'password_reset'],
+    required: [true, 'Token type is required']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  // The address the email was sent to; a verification link only confirms that address
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+authTokenSchema.index({ userId: 1, type: 1 });
+
+// Tokens are removed by MongoDB once they expire
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash a token for storage and lookup
+authTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to create a token, replacing any unused one of the same type.
+// Resolves to the token to put in the link.
+authTokenSchema.statics.issue = async function(user, type, ttlMs) {
+  await this.deleteMany({ userId: user._id, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await this.create({
+    userId: user._id,
+    type,
+    tokenHash: this.hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+};
+
+// Static method to look up a token that can still be used, without using it
+authTokenSchema.statics.findUsable = function(token, type) {
+  return this.findOne({
+    tokenHash: this.hashToken(token),
+    type,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to use a token; resolves to null if it was already used or has expired
+authTokenSchema.statics.consume = function(token, type) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: this.hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
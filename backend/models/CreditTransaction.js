@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+// One immutable ledger entry per change to a user's credit balance.
+// Positive amounts add credits (purchases, grants, refunds), negative amounts
+// spend them (consumption). A user's entries form a chain numbered by
+// `sequence`, each carrying the balance after it, so the newest entry is the
+// balance; User.creditBalance only caches it.
+const creditTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Transaction type is required'],
+    enum: ['purchase', 'grant', 'consumption', 'refund']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Amount must be a whole number of credits'
+    }
+  },
+  balanceAfter: {
+    type: Number,
+    required: [true, 'Balance after is required']
+  },
+  // Position in the user's chain; unique per user, so two writers that read the
+  // same balance can't both append after it. Entries from before the chain have none.
+  sequence: {
+    type: Number,
+    default: undefined
+  },
+  // Replaying a request with the same key returns the original entry instead of
+  // moving credits twice
+  idempotencyKey: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  reference: {
+    generationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Generation',
+      default: null
+    },
+    // The consumption a refund gives back
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CreditTransaction',
+      default: null
+    },
+    paymentProvider: {
+      type: String,
+      default: null
+    },
+    paymentId: {
+      type: String,
+      default: null
+    }
+  },
+  // Admin who granted the credits
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+creditTransactionSchema.index({ userId: 1, createdAt: -1 });
+creditTransactionSchema.index(
+  { userId: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $type: 'number' } } }
+);
+
+// Static method to recompute a user's balance from the ledger (audit against User.creditBalance)
+creditTransactionSchema.statics.getBalance = async function(userId) {
+  const [result] = await this.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: null, balance: { $sum: '$amount' } } }
+  ]);
+  return result ? result.balance : 0;
+};
+
+// Static method to get the end of a user's chain: the newest sequence number and
+// the balance after it. A ledger from before the chain starts at its total.
+creditTransactionSchema.statics.getLatest = async function(userId) {
+  const latest = await this.findOne({ userId, sequence: { $type: 'number' } })
+    .sort({ sequence: -1 })
+    .select('sequence balanceAfter');
+  if (latest) {
+    return { sequence: latest.sequence, balance: latest.balanceAfter };
+  }
+  return { sequence: 0, balance: await this.getBalance(userId) };
+};
+
+// Static method to get a page of a user's ledger, newest first
+creditTransactionSchema.statics.getUserHistory = function(userId, page = 1, limit = 20) {
+  return this.find({ userId })
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+};
+
+// Static method to total how much of a consumption has already been refunded
+creditTransactionSchema.statics.getRefundedAmount = async function(transactionId) {
+  const [result] = await this.aggregate([
+    { $match: { type: 'refund', 'reference.transactionId': new mongoose.Types.ObjectId(transactionId) } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+  return result ? result.amount : 0;
+};
+
+module.exports = mongoose.model('CreditTransaction', creditTransactionSchema);
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const storage = require('../services/storage');
+
+// Completed exports carry a signed download link instead of their storage key
+function withDownloadUrl(doc, ret) {
+  ret.downloadUrl = doc.status === 'completed' && doc.storageKey
+    ? storage.getSignedUrl(doc.storageKey)
+    : null;
+  delete ret.storageKey;
+  delete ret.lockedBy;
+  return ret;
+}
+
+const exportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  // ZIP archives are built in the background, then kept until expiresAt
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'expired'],
+    default: 'queued'
+  },
+  // 'account' is a personal data export: every generation with its original,
+  // plus the profile, quota history, credit ledger and subscription
+  kind: {
+    type: String,
+    enum: ['generations', 'account'],
+    default: 'generations'
+  },
+  // Generations to include; empty means the user's whole history
+  generationIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: []
+  },
+  includeOriginals: {
+    type: Boolean,
+    default: false
+  },
+  storageKey: {
+    type: String,
+    default: null
+  },
+  fileSize: {
+    type: Number,
+    default: 0
+  },
+  // Generations in the archive, and image files that were no longer in storage
+  itemCount: {
+    type: Number,
+    default: 0
+  },
+  missingFiles: {
+    type: Number,
+    default: 0
+  },
+  errorMessage: {
+    type: String,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { transform: withDownloadUrl },
+  toObject: { transform: withDownloadUrl }
+});
+
+exportSchema.index({ status: 1, createdAt: 1 });
+exportSchema.index({ userId: 1, createdAt: -1 });
+
+// Export records are kept for a month after they finish
+exportSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Static method to atomically claim the oldest queued export for a worker
+exportSchema.statics.claimNext = function(workerId) {
+  return this.findOneAndUpdate(
+    { status: 'queued' },
+    { $set: { status: 'running', lockedBy: workerId, startedAt: new Date() } },
+    { new: true, sort: { createdAt: 1 } }
+  );
+};
+
+// Static method to find a user's export that is still being built
+exportSchema.statics.findActiveForUser = function(userId) {
+  return this.findOne({ userId, status: { $in: ['queued', 'running'] } });
+};
+
+// Instance method to record the finished archive
+exportSchema.methods.markCompleted = function({ storageKey, fileSize, itemCount, missingFiles, expiresAt }) {
+  this.status = 'completed';
+  this.storageKey = storageKey;
+  this.fileSize = fileSize;
+  this.itemCount = itemCount;
+  this.missingFiles = missingFiles;
+  this.expiresAt = expiresAt;
+  this.finishedAt = new Date();
+  this.lockedBy = null;
+  this.errorMessage = null;
+  return this.save();
+};
+
+// Instance method to mark as failed
+exportSchema.methods.markFailed = function(errorMessage) {
+  this.status = 'failed';
+  this.errorMessage = errorMessage;
+  this.finishedAt = new Date();
+  this.lockedBy = null;
+  return this.save();
+};
+
+module.exports = mongoose.model('Export', exportSchema);
@@ -1,4 +1,25 @@
 const mongoose = require('mongoose');
+const storage = require('../services/storage');
+const quotaService = require('../services/quotaService');
+const promptAssembly = require('../services/promptAssembly');
+const { getDayWindow } = require('../utils/timezone');
+
+// Fill the URL fields from storage keys with freshly signed, expiring URLs.
+// System instructions stay server-side, and prompts saved before prompt assembly
+// existed lose the upload reference they carried.
+function withSignedUrls(doc, ret) {
+  if (doc.originalImageKey) {
+    ret.originalImageUrl = storage.getSignedUrl(doc.originalImageKey);
+  }
+  if (doc.generatedImageKey) {
+    ret.generatedImageUrl = storage.getSignedUrl(doc.generatedImageKey);
+  }
+  if (ret.prompt) {
+    ret.prompt = promptAssembly.stripInternalReferences(ret.prompt);
+  }
+  delete ret.systemInstructions;
+  return ret;
+}
 
 const generationSchema = new mongoose.Schema({
   userId: {
@@ -7,6 +28,27 @@ const generationSchema = new mongoose.Schema({
     required: [true, 'User ID is required'],
     index: true
   },
+  generationType: {
+    type: String,
+    enum: ['image-to-image', 'text-to-image'],
+    default: 'image-to-image'
+  },
+  // Storage keys; responses carry signed URLs built from them (see toJSON below)
+  originalImageKey: {
+    type: String,
+    default: null
+  },
+  // Primary output; the user's favourite when several variations were generated
+  generatedImageKey: {
+    type: String,
+    default: null
+  },
+  // Every output produced by the latest run, in generation order
+  generatedImageKeys: {
+    type: [String],
+    default: []
+  },
+  // Host-bound URLs, only set on records created before the storage layer
   originalImageUrl: {
     type: String,
     default: null
@@ -15,41 +57,67 @@ const generationSchema = new mongoose.Schema({
     type: String,
     default: null
   },
-  // Added: store the final prompt used for generation
+  // The prompt as the user sees it: the preset rendered with their values plus
+  // any extra text. Built by services/promptAssembly, never containing file references.
   prompt: {
     type: String,
     required: [true, 'Prompt is required'],
     maxlength: [2000, 'Prompt is too long']
   },
-  presetUsed: {
+  // Instructions sent to the model alongside the prompt; not returned to clients
+  systemInstructions: {
+    type: String,
+    default: null,
+    maxlength: [2000, 'System instructions are too long']
+  },
+  // Files sent to the model with the prompt, as storage keys; the provider gets their bytes
+  attachments: [{
+    _id: false,
+    role: {
+      type: String,
+      enum: ['source'],
+      default: 'source'
+    },
+    storageKey: {
+      type: String,
+      required: true
+    },
+    mimeType: {
+      type: String,
+      default: 'image/jpeg'
+    }
+  }],
+  // Preset the generation used, by its permanent id (the preset's slug), with
+  // the name it had at the time so history reads the same after renames or
+  // deletion. Both are null for a custom prompt.
+  presetId: {
     type: String,
-    default: 'custom',
-    enum: [
-      'portrait-enhancement',
-      'artistic-landscape',
-      'modern-architecture',
-      'fantasy-character',
-      'abstract-geometry',
-      'product-shot',
-      'editing',
-      'background',
-      'retouch',
-      'portrait',
-      'lighting',
-      '90s movie',
-      '1970s suit',
-      'black and white close-up portrait',
-      'Paris Travel',
-      'Statue of Liberty',
-      'Taj Mahal at sunrise',
-      'Great Wall of China',
-      'Eiffel Tower',
-      'top of the Hollywood Sign',
-      'reimagined in the 90s',
-      '80s character with big hair',
-      '1970s disco look',
-      'custom'
-    ]
+    default: null
+  },
+  presetName: {
+    type: String,
+    default: null,
+    maxlength: [100, 'Preset name cannot exceed 100 characters']
+  },
+  // Refinement threads: a refinement edits one output of its parent, and every
+  // generation in a thread points at the first one (rootId is null on the root)
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Generation',
+    default: null,
+    index: true
+  },
+  rootId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Generation',
+    default: null,
+    index: true
+  },
+  // Position in the thread: 0 for the root, one more than the parent for a refinement
+  turn: {
+    type: Number,
+    default: 0,
+    min: [0, 'Turn cannot be negative']
   },
   refinements: {
     style: {
@@ -68,6 +136,117 @@ const generationSchema = new mongoose.Schema({
       maxlength: [100, 'Theme refinement cannot exceed 100 characters']
     }
   },
+  // Original request inputs, kept so a generation can be replayed on retry
+  inputs: {
+    imageKey: {
+      type: String,
+      default: null
+    },
+    userPrompt: {
+      type: String,
+      default: null,
+      maxlength: [1000, 'Prompt must be less than 1000 characters']
+    },
+    presetId: {
+      type: String,
+      default: null
+    },
+    // Validated values for the preset's template variables
+    variables: {
+      type: Map,
+      of: String,
+      default: undefined
+    },
+    size: {
+      type: String,
+      default: '1024x1024'
+    },
+    // Number of variations requested; each one is charged against the quota
+    count: {
+      type: Number,
+      default: 1,
+      min: [1, 'At least one variation is required'],
+      max: [4, 'No more than 4 variations can be requested']
+    },
+    model: {
+      type: String,
+      default: null
+    }
+  },
+  // One entry per run of this generation (the initial run plus every retry)
+  attempts: [{
+    number: {
+      type: Number,
+      required: true
+    },
+    trigger: {
+      type: String,
+      enum: ['initial', 'retry'],
+      default: 'initial'
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'completed', 'failed'],
+      default: 'processing'
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now
+    },
+    finishedAt: {
+      type: Date,
+      default: null
+    },
+    errorMessage: {
+      type: String,
+      default: null
+    },
+    generatedImageKey: {
+      type: String,
+      default: null
+    },
+    // Files the run stored and the bytes each one added to storageBytes
+    outputs: [{
+      _id: false,
+      storageKey: String,
+      bytes: {
+        type: Number,
+        default: 0
+      }
+    }],
+    // Daily quota (or credits, once the quota is used up) taken for this run
+    // and how much of it has been given back
+    quota: {
+      source: {
+        type: String,
+        enum: ['quota', 'credits'],
+        default: 'quota'
+      },
+      date: {
+        type: Date,
+        default: null
+      },
+      // Ledger entry that paid for the run when source is 'credits'
+      transactionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CreditTransaction',
+        default: null
+      },
+      reserved: {
+        type: Number,
+        default: 0
+      },
+      refunded: {
+        type: Number,
+        default: 0
+      }
+    }
+  }],
+  retryCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Retry count cannot be negative']
+  },
   // Added: store generation parameters (e.g., size, quality, style)
   parameters: {
     type: mongoose.Schema.Types.Mixed,
@@ -83,6 +262,11 @@ const generationSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Set when the AI service handed back the input image unchanged
+  echoedInput: {
+    type: Boolean,
+    default: false
+  },
   processingStartTime: {
     type: Date,
     default: Date.now
@@ -91,15 +275,22 @@ const generationSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Name of the registered image provider; 'openai' only appears on legacy records
   aiProvider: {
     type: String,
-    default: 'openai',
-    enum: ['openai', 'stability', 'midjourney']
+    default: 'gemini',
+    enum: ['gemini', 'stub', 'openai']
   },
   aiRequestId: {
     type: String,
     default: null
   },
+  // Bytes held in storage for this generation (upload plus every output); kept in sync by the storage reaper
+  storageBytes: {
+    type: Number,
+    default: 0,
+    min: [0, 'Storage bytes cannot be negative']
+  },
   metadata: {
     originalImageSize: {
       width: Number,
@@ -116,14 +307,15 @@ const generationSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
+  toJSON: { virtuals: true, transform: withSignedUrls },
+  toObject: { virtuals: true, transform: withSignedUrls }
 });
 
 // Compound indexes for efficient queries
 generationSchema.index({ userId: 1, createdAt: -1 });
 generationSchema.index({ status: 1, createdAt: -1 });
 generationSchema.index({ userId: 1, status: 1 });
+generationSchema.index({ userId: 1, presetId: 1 });
 
 // Virtual for processing duration
 generationSchema.virtual('processingDuration').get(function() {
@@ -196,10 +388,9 @@ generationSchema.statics.getStats = async function(userId = null) {
   };
 };
 
-// Get today's generation count for a user
-generationSchema.statics.getTodayCount = function(userId) {
-  const startOfDay = new Date();
-  startOfDay.setHours(0, 0, 0, 0);
+// Get today's generation count for a user, with "today" in their time zone
+generationSchema.statics.getTodayCount = function(userId, timezone) {
+  const { date: startOfDay } = getDayWindow(timezone);
 
   return this.countDocuments({
     userId,
@@ -207,31 +398,233 @@ generationSchema.statics.getTodayCount = function(userId) {
   });
 };
 
-// Instance method to mark as completed
-generationSchema.methods.markCompleted = function(generatedImageUrl, metadata = {}) {
-  this.generatedImageUrl = generatedImageUrl;
+// Static method to get how many bytes of storage a user's generations occupy
+generationSchema.statics.getStorageUsage = async function(userId) {
+  const [usage] = await this.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: null, bytes: { $sum: '$storageBytes' } } }
+  ]);
+  return usage ? usage.bytes : 0;
+};
+
+// Instance method to list every storage key this generation references
+generationSchema.methods.getStorageKeys = function() {
+  const keys = [
+    this.originalImageKey,
+    this.inputs?.imageKey,
+    this.generatedImageKey,
+    ...(this.generatedImageKeys || []),
+    ...(this.attempts || []).map(attempt => attempt.generatedImageKey)
+  ];
+  return [...new Set(keys.filter(Boolean))];
+};
+
+// Static method to get how many times a failed generation may be retried
+generationSchema.statics.getMaxRetries = function() {
+  return parseInt(process.env.MAX_GENERATION_RETRIES) || 3;
+};
+
+// Static method to get how many variations a tier may request at once
+generationSchema.statics.getMaxVariations = function(userTier = 'free') {
+  const limit = userTier === 'paid'
+    ? parseInt(process.env.PAID_TIER_MAX_VARIATIONS) || 4
+    : parseInt(process.env.FREE_TIER_MAX_VARIATIONS) || 2;
+  return Math.min(Math.max(limit, 1), 4);
+};
+
+// Static method to get how many refinements deep a thread may go
+generationSchema.statics.getMaxRefineDepth = function() {
+  return parseInt(process.env.MAX_REFINE_DEPTH) || 20;
+};
+
+// Static method to get a generation's ancestors, oldest first, walking up at most
+// limit parents. Stops early where a parent has been deleted.
+generationSchema.statics.getAncestors = async function(generation, limit = Infinity) {
+  const ancestors = [];
+  let parentId = generation.parentId;
+
+  while (parentId && ancestors.length < limit) {
+    const parent = await this.findById(parentId)
+      .select('prompt parentId turn');
+    if (!parent) break;
+    ancestors.unshift(parent);
+    parentId = parent.parentId;
+  }
+
+  return ancestors;
+};
+
+// Static method to get every generation of a user's thread, in creation order
+generationSchema.statics.getThread = function(rootId, userId) {
+  return this.find({
+    userId,
+    $or: [{ _id: rootId }, { rootId }]
+  }).sort({ createdAt: 1 });
+};
+
+// Instance method to begin a new run (initial or retry) paid for by a quota reservation; caller saves
+generationSchema.methods.startAttempt = function(trigger = 'initial', reservation = null) {
+  if (trigger === 'retry') {
+    this.retryCount += 1;
+  }
+
+  const previous = this.attempts[this.attempts.length - 1];
+
+  this.attempts.push({
+    number: this.attempts.length + 1,
+    trigger,
+    status: 'processing',
+    startedAt: new Date(),
+    quota: {
+      source: reservation ? reservation.source : 'quota',
+      date: reservation ? reservation.date : null,
+      transactionId: reservation ? reservation.transactionId : null,
+      reserved: reservation ? reservation.amount : 0,
+      refunded: 0
+    }
+  });
+
+  this.status = 'processing';
+  this.errorMessage = null;
+  this.generatedImageKey = null;
+  this.generatedImageKeys = [];
+  this.generatedImageUrl = null;
+  this.echoedInput = false;
+  this.processingStartTime = new Date();
+  this.processingEndTime = null;
+  this.set('metadata.processingTime', undefined);
+
+  // Outputs of the previous run that nothing references any more stop counting
+  // towards usage; the storage reaper removes the files themselves
+  if (previous) {
+    const referenced = new Set(this.getStorageKeys());
+    const released = (previous.outputs || [])
+      .filter(output => !referenced.has(output.storageKey))
+      .reduce((sum, output) => sum + output.bytes, 0);
+    this.storageBytes = Math.max(0, this.storageBytes - released);
+  }
+  return this;
+};
+
+// Instance method to record the files the current run stored and charge them to usage; caller saves
+generationSchema.methods.recordOutputs = function(images) {
+  const attempt = this.attempts[this.attempts.length - 1];
+  const outputs = images.map(image => ({
+    storageKey: image.storageKey,
+    bytes: image.data?.fileSize || 0
+  }));
+
+  if (attempt) {
+    attempt.outputs = outputs;
+  }
+  this.storageBytes += outputs.reduce((sum, output) => sum + output.bytes, 0);
+  return this;
+};
+
+// Instance method to close the current attempt entry
+generationSchema.methods.finishAttempt = function(status, details = {}) {
+  const attempt = this.attempts[this.attempts.length - 1];
+  if (!attempt || attempt.status !== 'processing') return;
+
+  attempt.status = status;
+  attempt.finishedAt = new Date();
+  attempt.errorMessage = details.errorMessage || null;
+  attempt.generatedImageKey = details.generatedImageKey || null;
+};
+
+// Instance method to refund quota for outputs the current run didn't deliver
+// (defaults to everything still unrefunded); caller saves
+generationSchema.methods.refundQuota = async function(amount = Infinity) {
+  const attempt = this.attempts[this.attempts.length - 1];
+  if (!attempt || !attempt.quota || !attempt.quota.reserved) return 0;
+
+  const refundable = Math.min(amount, attempt.quota.reserved - attempt.quota.refunded);
+  if (refundable <= 0) return 0;
+
+  await quotaService.refund(this.userId, attempt.quota, refundable);
+  attempt.quota.refunded += refundable;
+  return refundable;
+};
+
+// Instance method to check whether a failed generation may be retried
+generationSchema.methods.canRetry = function() {
+  return this.status === 'failed' && this.retryCount < this.constructor.getMaxRetries();
+};
+
+// Instance method to mark as completed; accepts one storage key or every variation (first becomes primary)
+generationSchema.methods.markCompleted = function(generatedImageKeys, metadata = {}) {
+  const imageKeys = [].concat(generatedImageKeys).filter(Boolean);
+  const generatedImageKey = imageKeys[0] || null;
+  this.generatedImageKey = generatedImageKey;
+  this.generatedImageKeys = imageKeys;
   this.status = 'completed';
   this.processingEndTime = new Date();
-  this.metadata = { ...this.metadata, ...metadata };
+  Object.entries(metadata).forEach(([key, value]) => {
+    this.set(`metadata.${key}`, value);
+  });
+  this.finishAttempt('completed', { generatedImageKey });
   return this.save();
 };
 
 // Instance method to mark as failed
-generationSchema.methods.markFailed = function(errorMessage) {
+generationSchema.methods.markFailed = async function(errorMessage) {
+  // A failed run produced nothing, so none of its quota is kept
+  await this.refundQuota();
   this.status = 'failed';
   this.errorMessage = errorMessage;
   this.processingEndTime = new Date();
+  this.finishAttempt('failed', { errorMessage });
   return this.save();
 };
 
-// Virtual for imageUrls array used by frontend (derive from generatedImageUrl)
+// Instance method to promote one of the variations (by position) to the primary image
+generationSchema.methods.selectFavorite = function(index) {
+  const imageKey = this.generatedImageKeys[index];
+  if (!imageKey) {
+    throw new Error('Image is not one of this generation\'s outputs');
+  }
+
+  this.generatedImageKey = imageKey;
+  const attempt = this.attempts[this.attempts.length - 1];
+  if (attempt && attempt.status === 'completed') {
+    attempt.generatedImageKey = imageKey;
+  }
+  return this.save();
+};
+
+// Virtual for imageUrls array used by frontend (signed URLs for every variation,
+// falling back to the stored URL on records from before the storage layer)
 generationSchema.virtual('imageUrls').get(function() {
+  if (this.generatedImageKeys && this.generatedImageKeys.length > 0) {
+    return this.generatedImageKeys.map(key => storage.getSignedUrl(key));
+  }
   return this.generatedImageUrl ? [this.generatedImageUrl] : [];
 });
 
+// Virtual for the index of the primary image within imageUrls
+generationSchema.virtual('favoriteIndex').get(function() {
+  const index = (this.generatedImageKeys || []).indexOf(this.generatedImageKey);
+  return index === -1 ? 0 : index;
+});
+
+// Instance method to get a signed URL for the uploaded source image
+generationSchema.methods.getOriginalImageUrl = function() {
+  return this.originalImageKey ? storage.getSignedUrl(this.originalImageKey) : this.originalImageUrl;
+};
+
+// Instance method to get a signed URL for the primary output image
+generationSchema.methods.getGeneratedImageUrl = function() {
+  return this.generatedImageKey ? storage.getSignedUrl(this.generatedImageKey) : this.generatedImageUrl;
+};
+
+// Virtual for the id of the thread the generation belongs to (its root's id)
+generationSchema.virtual('threadId').get(function() {
+  return this.rootId || this._id;
+});
+
 // Virtual to provide preset object shape expected by frontend
 generationSchema.virtual('preset').get(function() {
-  return this.presetUsed ? { name: this.presetUsed } : null;
+  return this.presetId || this.presetName ? { id: this.presetId, name: this.presetName } : null;
 });
 
 module.exports = mongoose.model('Generation', generationSchema);
\ No newline at end of file
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+
+const generationJobSchema = new mongoose.Schema({
+  generationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Generation',
+    required: [true, 'Generation ID is required'],
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Job type is required'],
+    enum: ['image-to-image', 'text-to-image']
+  },
+  // Everything the worker needs to run the job without the original request
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: [0, 'Attempts cannot be negative']
+  },
+  maxAttempts: {
+    type: Number,
+    default: 2,
+    min: [1, 'Max attempts must be at least 1']
+  },
+  timeoutMs: {
+    type: Number,
+    default: 120000,
+    min: [1000, 'Timeout must be at least 1 second']
+  },
+  runAfter: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  // A running job whose lock has expired belongs to a worker that crashed
+  lockExpiresAt: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  errorMessage: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Claim order and crash recovery lookups
+generationJobSchema.index({ status: 1, runAfter: 1, createdAt: 1 });
+generationJobSchema.index({ status: 1, lockExpiresAt: 1 });
+
+// Finished jobs are only kept for a week
+generationJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Static method to atomically claim the oldest runnable job for a worker
+generationJobSchema.statics.claimNext = function(workerId, types = []) {
+  const now = new Date();
+  const filter = {
+    status: 'queued',
+    runAfter: { $lte: now }
+  };
+  if (types.length > 0) {
+    filter.type = { $in: types };
+  }
+
+  return this.findOneAndUpdate(
+    filter,
+    [
+      {
+        $set: {
+          status: 'running',
+          lockedBy: workerId,
+          lockedAt: now,
+          startedAt: now,
+          attempts: { $add: ['$attempts', 1] },
+          // Allow the job its full timeout plus a grace period before it is considered abandoned
+          lockExpiresAt: { $add: [now, { $multiply: ['$timeoutMs', 2] }] }
+        }
+      }
+    ],
+    { new: true, sort: { runAfter: 1, createdAt: 1 } }
+  );
+};
+
+// Static method to find running jobs whose worker has gone away
+generationJobSchema.statics.findStalled = function() {
+  return this.find({
+    status: 'running',
+    lockExpiresAt: { $lt: new Date() }
+  });
+};
+
+// Static method to get the latest job for a generation
+generationJobSchema.statics.findLatestForGeneration = function(generationId) {
+  return this.findOne({ generationId }).sort({ createdAt: -1 });
+};
+
+// Instance method to mark as completed
+generationJobSchema.methods.markCompleted = function() {
+  this.status = 'completed';
+  this.finishedAt = new Date();
+  this.lockExpiresAt = null;
+  this.errorMessage = null;
+  return this.save();
+};
+
+// Instance method to mark as failed
+generationJobSchema.methods.markFailed = function(errorMessage) {
+  this.status = 'failed';
+  this.finishedAt = new Date();
+  this.lockExpiresAt = null;
+  this.errorMessage = errorMessage;
+  return this.save();
+};
+
+// Instance method to put a job back on the queue
+generationJobSchema.methods.requeue = function(delayMs = 0) {
+  this.status = 'queued';
+  this.lockedBy = null;
+  this.lockedAt = null;
+  this.lockExpiresAt = null;
+  this.runAfter = new Date(Date.now() + delayMs);
+  return this.save();
+};
+
+// Instance method to check whether another attempt is allowed
+generationJobSchema.methods.canRetry = function() {
+  return this.attempts < this.maxAttempts;
+};
+
+module.exports = mongoose.model('GenerationJob', generationJobSchema);
@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const { parseTemplate } = require('../../shared/presetTemplate.js');
+
+// Lowercase words joined by hyphens, e.g. "1970s Disco Look" -> "1970s-disco-look"
+const slugify = (text = '') => text
+  .toString()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .substring(0, 80);
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Why a prompt template doesn't parse, or null when it does
+const templateProblem = (template) => {
+  try {
+    parseTemplate(template);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// A preset prompt users pick when generating. The slug is the preset's public,
+// permanent id: it is set once on creation and never derived from file order.
+const presetSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: [80, 'Slug cannot exceed 80 characters'],
+    match: [SLUG_PATTERN, 'Slug may only contain lowercase letters, numbers and hyphens'],
+    immutable: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Category cannot exceed 50 characters'],
+    index: true
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Tags cannot exceed 30 characters']
+  }],
+  mainPrompt: {
+    type: String,
+    required: [true, 'Main prompt is required'],
+    trim: true,
+    maxlength: [2000, 'Main prompt cannot exceed 2000 characters'],
+    // The prompt is a template; its variables must parse
+    validate: {
+      validator: (value) => templateProblem(value) === null,
+      message: (props) => templateProblem(props.value)
+    }
+  },
+  negativePrompt: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [1000, 'Negative prompt cannot exceed 1000 characters']
+  },
+  style: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: 'realistic',
+    maxlength: [50, 'Style cannot exceed 50 characters']
+  },
+  qualityLevel: {
+    type: String,
+    enum: ['standard', 'high', 'ultra'],
+    default: 'high'
+  },
+  // Lowest user tier that may use the preset
+  tier: {
+    type: String,
+    enum: ['free', 'paid'],
+    default: 'free'
+  },
+  thumbnailUrl: {
+    type: String,
+    trim: true,
+    default: null,
+    maxlength: [500, 'Thumbnail URL cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Where the preset came from; imported rows keep a fingerprint of their
+  // content so running the importer again doesn't duplicate them
+  source: {
+    kind: {
+      type: String,
+      enum: ['admin', 'import'],
+      default: 'admin'
+    },
+    file: {
+      type: String,
+      default: null
+    },
+    fingerprint: {
+      type: String,
+      default: null
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+presetSchema.index({ 'source.fingerprint': 1 }, { unique: true, sparse: true });
+presetSchema.index({ isActive: 1, category: 1, sortOrder: 1 });
+
+// Static method to check whether a user tier may use a preset of the given tier
+presetSchema.statics.tierAllows = function(presetTier, userTier = 'free') {
+  return presetTier === 'free' || userTier === 'paid';
+};
+
+// Instance method to check whether a user tier may use the preset
+presetSchema.methods.isAvailableTo = function(userTier = 'free') {
+  return this.constructor.tierAllows(this.tier, userTier);
+};
+
+// Instance method to get the shape the prompt matcher and generate routes work with
+presetSchema.methods.toPromptShape = function() {
+  return {
+    id: this.slug,
+    slug: this.slug,
+    name: this.name,
+    description: this.description || '',
+    category: this.category,
+    tags: (this.tags || []).join(', '),
+    main_prompt: this.mainPrompt,
+    negative_prompt: this.negativePrompt || '',
+    style: this.style || 'realistic',
+    quality_level: this.qualityLevel,
+    user_tier: this.tier,
+    thumbnail_url: this.thumbnailUrl,
+    is_active: this.isActive
+  };
+};
+
+// Static method to turn a name into a slug no other preset uses ("retouch", "retouch-2", ...).
+// `reserved` holds slugs that are spoken for but not saved yet.
+presetSchema.statics.generateUniqueSlug = async function(text, reserved = new Set()) {
+  const base = slugify(text) || 'preset';
+  const taken = new Set([
+    ...reserved,
+    ...(await this.find({ slug: new RegExp(`^${base}(-\\d+)?$`) }).select('slug').lean())
+      .map(preset => preset.slug)
+  ]);
+
+  if (!taken.has(base)) return base;
+
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) {
+    suffix++;
+  }
+  return `${base}-${suffix}`;
+};
+
+// Static method to get every active preset in display order
+presetSchema.statics.findActive = function() {
+  return this.find({ isActive: true }).sort({ category: 1, sortOrder: 1, name: 1 });
+};
+
+module.exports = mongoose.model('Preset', presetSchema);
+module.exports.slugify = slugify;
+module.exports.SLUG_PATTERN = SLUG_PATTERN;
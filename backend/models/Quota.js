@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, getDayWindow, isValidTimeZone } = require('../utils/timezone');
 
 const quotaSchema = new mongoose.Schema({
   userId: {
@@ -22,14 +23,16 @@ const quotaSchema = new mongoose.Schema({
     required: [true, 'Generations limit is required'],
     min: [1, 'Generations limit must be at least 1']
   },
+  // Set with date when the window opens (see getTodayQuota). No default: an
+  // upsert would evaluate it without a document and fail to cast
   resetAt: {
     type: Date,
-    default: function() {
-      const tomorrow = new Date(this.date);
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      tomorrow.setHours(0, 0, 0, 0);
-      return tomorrow;
-    }
+    required: [true, 'Reset time is required']
+  },
+  // Zone the window was opened in; it stays in force until resetAt
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE
   }
 }, {
   timestamps: true,
@@ -60,52 +63,77 @@ quotaSchema.virtual('status').get(function() {
   return 'normal';
 });
 
-// Static method to get or create today's quota for a user
-quotaSchema.statics.getTodayQuota = async function(userId, userTier = 'free') {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  
-  // Determine limit based on user tier
-  const limit = userTier === 'paid' 
+// Start of the current quota day and of the next one, in the user's time zone
+quotaSchema.statics.getQuotaWindow = function(timezone, now = new Date()) {
+  return getDayWindow(timezone, now);
+};
+
+// Static method to get the daily limit for a tier
+quotaSchema.statics.getLimitForTier = function(userTier = 'free') {
+  return userTier === 'paid'
     ? parseInt(process.env.PAID_TIER_DAILY_LIMIT) || 50
     : parseInt(process.env.FREE_TIER_DAILY_LIMIT) || 5;
-  
-  let quota = await this.findOne({ userId, date: today });
-  
-  if (!quota) {
-    quota = await this.create({
-      userId,
-      date: today,
-      generationsUsed: 0,
-      generationsLimit: limit
-    });
-  } else if (quota.generationsLimit !== limit) {
-    // Update limit if user tier changed
-    quota.generationsLimit = limit;
-    await quota.save();
+};
+
+// Static method to get or create today's quota for a user.
+// A single upsert, so concurrent first requests of the day can't create two documents.
+quotaSchema.statics.getTodayQuota = async function(userId, userTier = 'free', timezone, now = new Date()) {
+  const limitUpdate = { $set: { generationsLimit: this.getLimitForTier(userTier) } };
+
+  // A window that is still open keeps running even if the user has since changed
+  // time zone, so switching zones can't be used to get a fresh quota early
+  const current = await this.findOneAndUpdate(
+    { userId, date: { $lte: now }, resetAt: { $gt: now } },
+    limitUpdate,
+    { new: true, sort: { date: -1 } }
+  );
+  if (current) return current;
+
+  const zone = isValidTimeZone(timezone) ? timezone : DEFAULT_TIMEZONE;
+  const day = this.getQuotaWindow(zone, now);
+
+  // After a move west the new zone's day began before the last window closed;
+  // start it where that window ended instead, so the two never overlap
+  const previous = await this.findOne({ userId }).sort({ date: -1 }).select('resetAt');
+  const date = previous && previous.resetAt > day.date ? previous.resetAt : day.date;
+
+  const update = {
+    // Keep the limit in step with the user's current tier
+    ...limitUpdate,
+    $setOnInsert: { generationsUsed: 0, resetAt: day.resetAt, timezone: zone }
+  };
+
+  try {
+    return await this.findOneAndUpdate({ userId, date }, update, { upsert: true, new: true });
+  } catch (error) {
+    // Two upserts raced on the unique index; the loser retries against the winner's document
+    if (error.code !== 11000) throw error;
+    return this.findOneAndUpdate({ userId, date }, update, { new: true });
   }
-  
-  return quota;
 };
 
-// Static method to check if user can generate
-quotaSchema.statics.canUserGenerate = async function(userId, userTier = 'free') {
-  const quota = await this.getTodayQuota(userId, userTier);
-  return quota.generationsUsed < quota.generationsLimit;
+// Static method to atomically take `amount` generations from today's quota.
+// Resolves to the updated quota, or null when the reservation would exceed the limit.
+quotaSchema.statics.reserve = async function(userId, userTier = 'free', amount = 1, timezone) {
+  const quota = await this.getTodayQuota(userId, userTier, timezone);
+
+  return this.findOneAndUpdate(
+    {
+      _id: quota._id,
+      $expr: { $lte: [{ $add: ['$generationsUsed', amount] }, '$generationsLimit'] }
+    },
+    { $inc: { generationsUsed: amount } },
+    { new: true }
+  );
 };
 
-// Static method to increment usage
-quotaSchema.statics.incrementUsage = async function(userId, userTier = 'free') {
-  const quota = await this.getTodayQuota(userId, userTier);
-  
-  if (quota.generationsUsed >= quota.generationsLimit) {
-    throw new Error('Daily generation limit exceeded');
-  }
-  
-  quota.generationsUsed += 1;
-  await quota.save();
-  
-  return quota;
+// Static method to give back generations reserved on a given day (never below zero)
+quotaSchema.statics.release = function(userId, date, amount = 1) {
+  return this.findOneAndUpdate(
+    { userId, date },
+    [{ $set: { generationsUsed: { $max: [0, { $subtract: ['$generationsUsed', amount] }] } } }],
+    { new: true }
+  );
 };
 
 // Static method to get quota history for a user
@@ -122,12 +150,13 @@ quotaSchema.statics.getUserQuotaHistory = function(userId, days = 30) {
 
 // Static method to get quota statistics
 quotaSchema.statics.getQuotaStats = async function(userId = null) {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+  // Users' days start at different instants, so match every window open right now
+  const now = new Date();
+  const current = { date: { $lte: now }, resetAt: { $gt: now } };
   
   const matchStage = userId 
-    ? { userId: new mongoose.Types.ObjectId(userId), date: today }
-    : { date: today };
+    ? { userId: new mongoose.Types.ObjectId(userId), ...current }
+    : current;
   
   const stats = await this.aggregate([
     { $match: matchStage },
@@ -154,10 +183,12 @@ quotaSchema.statics.getQuotaStats = async function(userId = null) {
 
 // Static method to reset expired quotas (cleanup job)
 quotaSchema.statics.resetExpiredQuotas = async function() {
-  const now = new Date();
+  // Windows closed in the last two days are kept: getTodayQuota needs the last
+  // one to start the next window after it, whatever zone the user moved to
+  const cutoff = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
   
   const result = await this.deleteMany({
-    resetAt: { $lt: now }
+    resetAt: { $lt: cutoff }
   });
   
   return result.deletedCount;
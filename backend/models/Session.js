@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// One signed-in device. The refresh token lives in an httpOnly cookie and is
+// replaced on every refresh; only hashes are stored. Presenting the token that
+// was just replaced means it was copied, so the session is revoked.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  previousTokenHash: {
+    type: String,
+    default: null,
+    index: true
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  // User.tokenVersion when the session was last refreshed; bumping the user's
+  // version ends every session that hasn't been re-issued since
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  userAgent: {
+    type: String,
+    default: null,
+    maxlength: 500
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user', 'password_change', 'token_reuse', 'deactivated', null],
+    default: null
+  }
+}, {
+  timestamps: true,
+  // "sessions" already holds express-session's CSRF sessions (connect-mongo)
+  collection: 'authsessions'
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// Expired sessions are removed by MongoDB once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash a refresh token for storage and lookup
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to get a user's signed-in devices, most recently used first
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke all of a user's sessions, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptId = null) {
+  const filter = { userId, revokedAt: null };
+  if (exceptId) {
+    filter._id = { $ne: exceptId };
+  }
+  return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+// Instance method to check whether the session can still be used
+sessionSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+// A user's Pro subscription as last reported by the payment provider. User.tier
+// is derived from it: 'paid' while the subscription is entitled, 'free' after.
+//   active    - paid up for the current period (may be set to cancel at its end)
+//   past_due  - renewal payment failed or wasn't confirmed; Pro until the grace period ends
+//   canceled  - ended by the user (at period end) or by the provider
+//   expired   - the grace period ran out without a successful payment
+const subscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    unique: true
+  },
+  plan: {
+    type: String,
+    enum: ['pro'],
+    default: 'pro'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'past_due', 'canceled', 'expired'],
+    default: 'active',
+    index: true
+  },
+  provider: {
+    type: String,
+    required: [true, 'Payment provider is required']
+  },
+  providerSubscriptionId: {
+    type: String,
+    required: [true, 'Provider subscription ID is required'],
+    unique: true
+  },
+  // Key of the subscribe request that created the current provider subscription
+  idempotencyKey: {
+    type: String,
+    default: null
+  },
+  currentPeriodStart: {
+    type: Date,
+    required: [true, 'Current period start is required']
+  },
+  currentPeriodEnd: {
+    type: Date,
+    required: [true, 'Current period end is required'],
+    index: true
+  },
+  cancelAtPeriodEnd: {
+    type: Boolean,
+    default: false
+  },
+  canceledAt: {
+    type: Date,
+    default: null
+  },
+  gracePeriodEndsAt: {
+    type: Date,
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Instance method to check whether the subscription still grants the paid tier
+subscriptionSchema.methods.isEntitled = function(now = new Date()) {
+  if (this.status === 'active') {
+    return !this.cancelAtPeriodEnd || this.currentPeriodEnd > now;
+  }
+  if (this.status === 'past_due') {
+    return Boolean(this.gracePeriodEndsAt) && this.gracePeriodEndsAt > now;
+  }
+  return false;
+};
+
+// Instance method to work out the status the subscription should have moved to
+// by `now`, or null when it is still current
+subscriptionSchema.methods.getLapsedStatus = function(now = new Date(), graceMs = 0) {
+  if (this.status === 'active' && this.currentPeriodEnd <= now) {
+    if (this.cancelAtPeriodEnd) {
+      return { status: 'canceled', endedAt: this.currentPeriodEnd };
+    }
+
+    // The renewal was never confirmed: keep Pro for the grace period
+    const gracePeriodEndsAt = new Date(this.currentPeriodEnd.getTime() + graceMs);
+    return gracePeriodEndsAt > now
+      ? { status: 'past_due', gracePeriodEndsAt }
+      : { status: 'expired', gracePeriodEndsAt, endedAt: gracePeriodEndsAt };
+  }
+
+  if (this.status === 'past_due' && (!this.gracePeriodEndsAt || this.gracePeriodEndsAt <= now)) {
+    return { status: 'expired', endedAt: this.gracePeriodEndsAt || now };
+  }
+
+  return null;
+};
+
+// Static method to find subscriptions whose period or grace period has run out
+subscriptionSchema.statics.findLapsed = function(now = new Date()) {
+  return this.find({
+    $or: [
+      { status: 'active', currentPeriodEnd: { $lte: now } },
+      { status: 'past_due', gracePeriodEndsAt: { $lte: now } },
+      { status: 'past_due', gracePeriodEndsAt: null }
+    ]
+  });
+};
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/timezone');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -36,6 +37,17 @@ const userSchema = new mongoose.Schema({
     enum: ['free', 'paid'],
     default: 'free'
   },
+  // Running total of the credit ledger (CreditTransaction); only changed by the billing service
+  creditBalance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit balance cannot be negative']
+  },
+  // Sequence of the ledger entry creditBalance was copied from
+  creditSequence: {
+    type: Number,
+    default: 0
+  },
   role: {
     type: String,
     enum: ['user', 'admin'],
@@ -45,6 +57,21 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // An admin deactivation; unlike a pending deletion it can't be undone by logging in
+  deactivatedByAdmin: {
+    type: Boolean,
+    default: false
+  },
+  // Set once the user follows the link in the verification email; changing the
+  // email address clears it
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   lastLogin: {
     type: Date,
     default: null
@@ -53,12 +80,36 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // IANA time zone the daily quota resets in (e.g. "Europe/Berlin")
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Please choose a valid time zone'
+    }
+  },
   loginAttempts: {
     type: Number,
     default: 0
   },
   lockUntil: {
     type: Date
+  },
+  // Carried in every access token; bumping it invalidates all tokens issued before
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Set when the user asks for their account to be deleted; the account stays
+  // deactivated until deletionScheduledFor, then everything is purged
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true,
@@ -80,6 +131,7 @@ userSchema.virtual('dailyLimit').get(function() {
 
 // Index for email lookups
 userSchema.index({ email: 1 });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -111,6 +163,35 @@ userSchema.methods.updateLastLogin = function() {
   return this.save({ validateBeforeSave: false });
 };
 
+// Instance method to invalidate every access token issued so far (saved by the caller)
+userSchema.methods.bumpTokenVersion = function() {
+  this.tokenVersion = (this.tokenVersion || 0) + 1;
+  return this;
+};
+
+// Instance method to deactivate the account until it is purged at scheduledFor
+userSchema.methods.scheduleDeletion = function(scheduledFor) {
+  this.isActive = false;
+  this.bumpTokenVersion();
+  this.deletionRequestedAt = new Date();
+  this.deletionScheduledFor = scheduledFor;
+  return this.save({ validateBeforeSave: false });
+};
+
+// Instance method to check whether the user may cancel their pending deletion
+// themselves (by logging in); not once an admin has deactivated the account
+userSchema.methods.canCancelDeletion = function() {
+  return Boolean(this.deletionScheduledFor) && !this.deactivatedByAdmin;
+};
+
+// Instance method to cancel a pending deletion and reactivate the account
+userSchema.methods.cancelDeletion = function() {
+  this.isActive = true;
+  this.deletionRequestedAt = null;
+  this.deletionScheduledFor = null;
+  return this.save({ validateBeforeSave: false });
+};
+
 // Static method to find user by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
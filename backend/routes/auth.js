@@ -1,23 +1,40 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const { isValidTimeZone } = require('../utils/timezone');
 const { auth, authRateLimit, accountLockout, recordFailedLogin, clearLoginAttempts } = require('../middleware/auth');
-const { passwordChangeRateLimit } = require('../middleware/security');
+const { passwordChangeRateLimit, accountEmailRateLimit } = require('../middleware/security');
 const { asyncHandler } = require('../middleware/errorHandler');
+const accountDeletion = require('../services/accountDeletion');
+const sessionService = require('../services/sessionService');
+const accountEmails = require('../services/accountEmails');
+const Session = require('../models/Session');
+const { SessionError } = sessionService;
+const { AccountEmailError } = accountEmails;
+
+// A failed email shouldn't fail the request that triggered it; the user can ask again
+const sendVerification = async (user) => {
+  try {
+    await accountEmails.sendVerification(user);
+  } catch (error) {
+    console.error(`❌ [ACCOUNT EMAILS] Failed to send verification email to user ${user._id}:`, error.message);
+  }
+};
 
-const router = express.Router();
-
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
-  );
+// Answer an AccountEmailError with its status, rethrow anything else
+const handleAccountEmailError = (error, res) => {
+  if (error instanceof AccountEmailError) {
+    return res.status(error.statusCode).json({
+      error: error.message
+    });
+  }
+  throw error;
 };
 
+const router = express.Router();
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -59,7 +76,7 @@ router.post('/register', authRateLimit, [
     });
   }
 
-  const { email, password, firstName, lastName } = req.body;
+  const { email, password, firstName, lastName, timezone } = req.body;
 
   try {
     // Check if user already exists
@@ -75,17 +92,21 @@ router.post('/register', authRateLimit, [
       email,
       password,
       firstName,
-      lastName
+      lastName,
+      // The browser's zone; an unrecognised one shouldn't block sign-up
+      ...(isValidTimeZone(timezone) && { timezone })
     });
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session: refresh token in a cookie, access token in the response
+    const { accessToken: token } = await sessionService.start(user, req, res);
 
     // Update last login
     await user.updateLastLogin();
 
+    await sendVerification(user);
+
     res.status(201).json({
       message: 'User registered successfully',
       token,
@@ -96,7 +117,9 @@ router.post('/register', authRateLimit, [
         lastName: user.lastName,
         fullName: user.fullName,
         tier: user.tier,
-        dailyLimit: user.dailyLimit
+        dailyLimit: user.dailyLimit,
+        timezone: user.timezone,
+        emailVerified: user.emailVerified
       }
     });
   } catch (dbError) {
@@ -141,8 +164,9 @@ router.post('/login', authRateLimit, accountLockout, [
       });
     }
 
-    // Check if account is active
-    if (!user.isActive) {
+    // Check if account is active; an account waiting to be deleted at the user's
+    // request can still sign in, which cancels the deletion
+    if (!user.isActive && !user.canCancelDeletion()) {
       return res.status(401).json({
         error: 'Account is deactivated. Please contact support.'
       });
@@ -160,14 +184,22 @@ router.post('/login', authRateLimit, accountLockout, [
     // Clear login attempts on successful login
     await clearLoginAttempts(user._id);
 
-    // Generate token
-    const token = generateToken(user._id);
+    const deletionCancelled = user.canCancelDeletion();
+    if (deletionCancelled) {
+      await accountDeletion.cancel(user);
+    }
+
+    // Start a session: refresh token in a cookie, access token in the response
+    const { accessToken: token } = await sessionService.start(user, req, res);
 
     // Update last login
     await user.updateLastLogin();
 
     res.json({
-      message: 'Login successful',
+      message: deletionCancelled
+        ? 'Login successful. Your account deletion has been cancelled.'
+        : 'Login successful',
+      deletionCancelled,
       token,
       user: {
         id: user._id,
@@ -177,6 +209,8 @@ router.post('/login', authRateLimit, accountLockout, [
         fullName: user.fullName,
         tier: user.tier,
         dailyLimit: user.dailyLimit,
+        timezone: user.timezone,
+        emailVerified: user.emailVerified,
         lastLogin: user.lastLogin
       }
     });
@@ -202,6 +236,9 @@ router.get('/me', auth, asyncHandler(async (req, res) => {
       fullName: req.user.fullName,
       tier: req.user.tier,
       dailyLimit: req.user.dailyLimit,
+      timezone: req.user.timezone,
+      emailVerified: req.user.emailVerified,
+      creditBalance: req.user.creditBalance,
       lastLogin: req.user.lastLogin,
       createdAt: req.user.createdAt
     }
@@ -226,7 +263,11 @@ router.put('/profile', auth, [
     .optional()
     .isEmail()
     .normalizeEmail()
-    .withMessage('Please provide a valid email')
+    .withMessage('Please provide a valid email'),
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Please choose a valid time zone')
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -237,28 +278,40 @@ router.put('/profile', auth, [
     });
   }
 
-  const { firstName, lastName, email } = req.body;
+  const { firstName, lastName, email, timezone } = req.body;
   const user = req.user;
 
   // Check if email is being changed and if it's already taken
-  if (email && email !== user.email) {
+  const emailChanged = Boolean(email) && email !== user.email;
+  if (emailChanged) {
     const existingUser = await User.findByEmail(email);
     if (existingUser) {
       return res.status(400).json({
         error: 'Email is already in use'
       });
     }
+    // The new address has to be confirmed again
     user.email = email;
+    user.emailVerified = false;
+    user.emailVerifiedAt = null;
   }
 
   // Update other fields
   if (firstName) user.firstName = firstName;
   if (lastName) user.lastName = lastName;
+  // Takes effect from the next quota day; the current one keeps its reset time
+  if (timezone) user.timezone = timezone;
 
   await user.save();
 
+  if (emailChanged) {
+    await sendVerification(user);
+  }
+
   res.json({
-    message: 'Profile updated successfully',
+    message: emailChanged
+      ? 'Profile updated. Check your inbox to confirm your new email address.'
+      : 'Profile updated successfully',
     user: {
       id: user._id,
       email: user.email,
@@ -266,7 +319,9 @@ router.put('/profile', auth, [
       lastName: user.lastName,
       fullName: user.fullName,
       tier: user.tier,
-      dailyLimit: user.dailyLimit
+      dailyLimit: user.dailyLimit,
+      timezone: user.timezone,
+      emailVerified: user.emailVerified
     }
   });
 }));
@@ -316,29 +371,256 @@ router.put('/password', passwordChangeRateLimit, auth, [
   user.password = newPassword;
   await user.save();
 
+  // Sign out every other device; this one gets a token for the new version
+  const token = await sessionService.invalidateTokens(user, {
+    keepSessionId: req.sessionId,
+    reason: 'password_change'
+  });
+
   res.json({
-    message: 'Password updated successfully'
+    message: 'Password updated successfully. Other devices have been signed out.',
+    token
   });
 }));
 
-// @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from the verification email
+// @access  Public
+router.post('/verify-email', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const user = await accountEmails.verifyEmail(req.body.token);
+
+    res.json({
+      message: 'Email address confirmed',
+      email: user.email
+    });
+  } catch (error) {
+    handleAccountEmailError(error, res);
+  }
+}));
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send a new verification email
 // @access  Private
-router.post('/logout', auth, (req, res) => {
-  // In a JWT implementation, logout is typically handled client-side
-  // by removing the token. This endpoint exists for consistency.
+router.post('/verify-email/resend', accountEmailRateLimit, auth, asyncHandler(async (req, res) => {
+  if (req.user.emailVerified) {
+    return res.status(400).json({
+      error: 'Your email address is already confirmed'
+    });
+  }
+
+  await accountEmails.sendVerification(req.user);
+
+  res.json({
+    message: `Verification email sent to ${req.user.email}`
+  });
+}));
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', accountEmailRateLimit, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    await accountEmails.requestPasswordReset(req.body.email);
+  } catch (error) {
+    console.error('❌ [ACCOUNT EMAILS] Failed to send password reset email:', error.message);
+  }
+
+  // Same answer whether or not the account exists
+  res.json({
+    message: 'If an account exists for that email, a password reset link is on its way.'
+  });
+}));
+
+// @route   POST /api/auth/reset-password/check
+// @desc    Check a password reset token before asking for the new password
+// @access  Public
+router.post('/reset-password/check', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const reset = await accountEmails.checkPasswordReset(req.body.token);
+    res.json({ valid: true, ...reset });
+  } catch (error) {
+    handleAccountEmailError(error, res);
+  }
+}));
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a password reset token
+// @access  Public
+router.post('/reset-password', passwordChangeRateLimit, [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    await accountEmails.resetPassword(req.body.token, req.body.password);
+
+    res.json({
+      message: 'Password reset. You can now log in with your new password.'
+    });
+  } catch (error) {
+    handleAccountEmailError(error, res);
+  }
+}));
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange the refresh cookie for a new one and a fresh access token
+// @access  Public (refresh cookie)
+router.post('/refresh', asyncHandler(async (req, res) => {
+  try {
+    const { user, accessToken } = await sessionService.refresh(req, res);
+
+    res.json({
+      token: accessToken,
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        fullName: user.fullName,
+        tier: user.tier,
+        dailyLimit: user.dailyLimit,
+        timezone: user.timezone,
+        emailVerified: user.emailVerified,
+        creditBalance: user.creditBalance,
+        lastLogin: user.lastLogin,
+        createdAt: user.createdAt
+      }
+    });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    throw error;
+  }
+}));
+
+// @route   POST /api/auth/logout
+// @desc    Logout user: revoke this device's session and clear its refresh cookie
+// @access  Public (refresh cookie)
+router.post('/logout', asyncHandler(async (req, res) => {
+  await sessionService.end(req, res);
+
   res.json({
     message: 'Logged out successfully'
   });
-});
+}));
+
+// @route   GET /api/auth/sessions
+// @desc    Get the devices the user is signed in on
+// @access  Private
+router.get('/sessions', auth, asyncHandler(async (req, res) => {
+  const sessions = await Session.findActiveForUser(req.user._id);
+
+  res.json({
+    sessions: sessions.map(session => sessionService.toResponse(session, req.sessionId))
+  });
+}));
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', auth, asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({
+      error: 'Session not found'
+    });
+  }
+
+  try {
+    await sessionService.revoke(req.user._id, req.params.id);
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    throw error;
+  }
+
+  res.json({
+    message: 'Device signed out'
+  });
+}));
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every device except this one
+// @access  Private
+router.delete('/sessions', auth, asyncHandler(async (req, res) => {
+  const result = await sessionService.revokeOthers(req.user._id, req.sessionId);
+
+  res.json({
+    message: `Signed out of ${result.modifiedCount} other device(s)`,
+    revoked: result.modifiedCount
+  });
+}));
 
 // @route   DELETE /api/auth/account
-// @desc    Deactivate user account
+// @desc    Deactivate the account and schedule it for permanent deletion
 // @access  Private
 router.delete('/account', auth, [
   body('password')
     .notEmpty()
-    .withMessage('Password is required to deactivate account')
+    .withMessage('Password is required to delete your account')
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -362,13 +644,13 @@ router.delete('/account', auth, [
     });
   }
 
-  // Deactivate account instead of deleting
-  user.isActive = false;
-  await user.save();
+  await accountDeletion.schedule(user);
+  sessionService.clearCookie(res);
 
   res.json({
-    message: 'Account deactivated successfully'
+    message: `Your account has been deactivated and will be permanently deleted on ${user.deletionScheduledFor.toDateString()}. Log in before then to cancel.`,
+    deletionScheduledFor: user.deletionScheduledFor
   });
 }));
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,249 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { auth, requireAdmin } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const User = require('../models/User');
+const CreditTransaction = require('../models/CreditTransaction');
+const billing = require('../services/billing');
+const subscriptionService = require('../services/subscriptionService');
+
+const router = express.Router();
+
+// Clients send an Idempotency-Key header (or body field) per purchase attempt so
+// a retried request returns the original result instead of charging again
+const getIdempotencyKey = (req) => req.get('Idempotency-Key') || req.body.idempotencyKey || undefined;
+
+const validate = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+// @route   GET /api/billing/catalog
+// @desc    Credit packs, Pro plan price and accepted payment methods
+// @access  Public
+router.get('/catalog', asyncHandler(async (req, res) => {
+  res.json(billing.getCatalog());
+}));
+
+// @route   GET /api/billing/balance
+// @desc    Get the user's credit balance
+// @access  Private
+router.get('/balance', auth, asyncHandler(async (req, res) => {
+  res.json({
+    balance: await billing.getBalance(req.user._id),
+    creditsPerGeneration: billing.creditsPerGeneration
+  });
+}));
+
+// @route   GET /api/billing/transactions
+// @desc    Get the user's credit ledger
+// @access  Private
+router.get('/transactions', auth, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  const [transactions, total] = await Promise.all([
+    CreditTransaction.getUserHistory(req.user._id, page, limit),
+    CreditTransaction.countDocuments({ userId: req.user._id })
+  ]);
+
+  res.json({
+    transactions,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+// @route   POST /api/billing/credits
+// @desc    Buy a credit pack
+// @access  Private
+router.post('/credits', auth, [
+  body('packId')
+    .isString()
+    .withMessage('packId is required'),
+  body('paymentMethod')
+    .optional()
+    .isString()
+], asyncHandler(async (req, res) => {
+  if (!validate(req, res)) return;
+
+  const { transaction, duplicate } = await billing.purchaseCredits(req.user, req.body.packId, {
+    paymentMethod: req.body.paymentMethod,
+    idempotencyKey: getIdempotencyKey(req)
+  });
+
+  res.status(duplicate ? 200 : 201).json({
+    message: duplicate ? 'Purchase already processed' : 'Credits added',
+    transaction,
+    balance: transaction.balanceAfter
+  });
+}));
+
+// @route   POST /api/billing/upgrade
+// @desc    Subscribe to the Pro plan and upgrade the user's tier
+// @access  Private
+router.post('/upgrade', auth, [
+  body('paymentMethod')
+    .optional()
+    .isString()
+], asyncHandler(async (req, res) => {
+  if (!validate(req, res)) return;
+
+  const { subscription, transaction, user } = await subscriptionService.subscribe(req.user, {
+    paymentMethod: req.body.paymentMethod,
+    idempotencyKey: getIdempotencyKey(req)
+  });
+
+  res.json({
+    message: 'Successfully upgraded to paid tier',
+    subscription: subscriptionService.toResponse(subscription),
+    transaction,
+    user: {
+      id: user._id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      fullName: user.fullName,
+      tier: user.tier,
+      dailyLimit: user.dailyLimit,
+      timezone: user.timezone,
+      creditBalance: user.creditBalance
+    }
+  });
+}));
+
+// @route   GET /api/billing/subscription
+// @desc    Get the user's subscription state and renewal date
+// @access  Private
+router.get('/subscription', auth, asyncHandler(async (req, res) => {
+  const subscription = await subscriptionService.getForUser(req.user._id);
+  // Re-read the tier: a lapsed subscription is settled (and the user downgraded) above
+  const user = await User.findById(req.user._id).select('tier');
+
+  res.json({
+    subscription: subscriptionService.toResponse(subscription),
+    tier: user.tier
+  });
+}));
+
+// @route   POST /api/billing/subscription/cancel
+// @desc    Cancel the subscription at the end of the current period
+// @access  Private
+router.post('/subscription/cancel', auth, asyncHandler(async (req, res) => {
+  const subscription = await subscriptionService.cancel(req.user);
+
+  res.json({
+    message: 'Your subscription will end at the close of the current period',
+    subscription: subscriptionService.toResponse(subscription)
+  });
+}));
+
+// @route   POST /api/billing/subscription/resume
+// @desc    Keep a subscription that was set to cancel at period end
+// @access  Private
+router.post('/subscription/resume', auth, asyncHandler(async (req, res) => {
+  const subscription = await subscriptionService.resume(req.user);
+
+  res.json({
+    message: 'Your subscription will renew as normal',
+    subscription: subscriptionService.toResponse(subscription)
+  });
+}));
+
+// @route   POST /api/billing/webhook
+// @desc    Payment provider events (renewals, failed payments, cancellations)
+// @access  Public (signed by the provider; see services/payments)
+router.post('/webhook', asyncHandler(async (req, res) => {
+  if (!req.rawBody) {
+    return res.status(400).json({
+      error: 'Webhook body must be JSON'
+    });
+  }
+
+  const { event, duplicate, status } = await subscriptionService.handleWebhook(
+    req.rawBody,
+    req.get('X-Webhook-Signature')
+  );
+
+  res.json({
+    received: true,
+    eventId: event.id,
+    duplicate,
+    status
+  });
+}));
+
+// @route   GET /api/billing/admin/users/:id/ledger
+// @desc    A user's ledger with the cached balance checked against it (admin only)
+// @access  Private (Admin)
+router.get('/admin/users/:id/ledger', auth, requireAdmin, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select('email creditBalance');
+  if (!user) {
+    return res.status(404).json({
+      error: 'User not found'
+    });
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const [transactions, ledgerBalance] = await Promise.all([
+    CreditTransaction.getUserHistory(user._id, page, limit),
+    CreditTransaction.getBalance(user._id)
+  ]);
+
+  res.json({
+    user: { id: user._id, email: user.email },
+    balance: user.creditBalance,
+    ledgerBalance,
+    consistent: ledgerBalance === user.creditBalance,
+    transactions
+  });
+}));
+
+// @route   POST /api/billing/admin/users/:id/grant
+// @desc    Grant (or, with a negative amount, remove) credits (admin only)
+// @access  Private (Admin)
+router.post('/admin/users/:id/grant', auth, requireAdmin, [
+  body('amount')
+    .isInt({ min: -100000, max: 100000 })
+    .custom(value => parseInt(value) !== 0)
+    .withMessage('amount must be a non-zero whole number of credits'),
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('A reason is required for the audit trail')
+], asyncHandler(async (req, res) => {
+  if (!validate(req, res)) return;
+
+  const user = await User.findById(req.params.id).select('_id');
+  if (!user) {
+    return res.status(404).json({
+      error: 'User not found'
+    });
+  }
+
+  const { transaction, duplicate } = await billing.grant(user._id, parseInt(req.body.amount), {
+    reason: req.body.reason,
+    adminId: req.user._id,
+    idempotencyKey: getIdempotencyKey(req)
+  });
+
+  res.status(duplicate ? 200 : 201).json({
+    message: duplicate ? 'Grant already processed' : 'Credits updated',
+    transaction,
+    balance: transaction.balanceAfter
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,157 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const Export = require('../models/Export');
+const exportService = require('../services/exportService');
+const { ExportError } = exportService;
+
+const router = express.Router();
+
+const validate = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+// Selection accepted by both export endpoints; no ids means the whole history
+const selectionRules = [
+  body('ids')
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('ids must be a list of at most 1000 generation ids'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Every id must be a generation id'),
+  body('includeOriginals')
+    .optional()
+    .isBoolean()
+    .withMessage('includeOriginals must be true or false')
+];
+
+const readSelection = (req) => ({
+  generationIds: req.body.ids || [],
+  includeOriginals: req.body.includeOriginals === true || req.body.includeOriginals === 'true'
+});
+
+// @route   POST /api/exports/download
+// @desc    Stream a ZIP of a small selection of generations with its manifest
+// @access  Private
+router.post('/download', auth, selectionRules, asyncHandler(async (req, res) => {
+  if (!validate(req, res)) return;
+
+  const { generationIds, includeOriginals } = readSelection(req);
+  const count = await exportService.countGenerations(req.user._id, generationIds);
+
+  if (count === 0) {
+    return res.status(404).json({
+      error: 'There are no generations to export'
+    });
+  }
+
+  if (count > exportService.streamLimit) {
+    return res.status(413).json({
+      error: `Downloads are limited to ${exportService.streamLimit} generations; request a background export instead`,
+      count,
+      limit: exportService.streamLimit
+    });
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="vibra-ai-export-${date}.zip"`,
+    'Cache-Control': 'no-store'
+  });
+
+  try {
+    const generations = exportService.findGenerations(req.user._id, generationIds).cursor();
+    await exportService.writeArchive(res, generations, { includeOriginals });
+  } catch (error) {
+    // Headers are already sent, so the client only sees a truncated download
+    console.error('❌ [EXPORTS] Streamed export failed:', error.message);
+    res.destroy();
+  }
+}));
+
+// @route   POST /api/exports
+// @desc    Queue a background ZIP export of selected or all generations
+// @access  Private
+router.post('/', auth, selectionRules, asyncHandler(async (req, res) => {
+  if (!validate(req, res)) return;
+
+  try {
+    const record = await exportService.request(req.user, readSelection(req));
+    res.status(202).json({
+      message: 'Export queued. It will be ready to download shortly.',
+      export: record
+    });
+  } catch (error) {
+    if (error instanceof ExportError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    throw error;
+  }
+}));
+
+// @route   POST /api/exports/account
+// @desc    Queue a personal data export: profile, generation history, images and quota history
+// @access  Private
+router.post('/account', auth, asyncHandler(async (req, res) => {
+  try {
+    const record = await exportService.request(req.user, { kind: 'account' });
+    res.status(202).json({
+      message: 'Data export queued. It will be ready to download shortly.',
+      export: record
+    });
+  } catch (error) {
+    if (error instanceof ExportError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    throw error;
+  }
+}));
+
+// @route   GET /api/exports
+// @desc    Get the user's recent exports, with download links for finished ones
+// @access  Private
+router.get('/', auth, asyncHandler(async (req, res) => {
+  const exports = await Export.find({ userId: req.user._id })
+    .sort({ createdAt: -1 })
+    .limit(10);
+
+  res.json({
+    exports,
+    streamLimit: exportService.streamLimit
+  });
+}));
+
+// @route   GET /api/exports/:id
+// @desc    Get the status of an export
+// @access  Private
+router.get('/:id', auth, asyncHandler(async (req, res) => {
+  const record = await Export.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!record) {
+    return res.status(404).json({
+      error: 'Export not found'
+    });
+  }
+
+  res.json({ export: record });
+}));
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const path = require('path');
+const { pipeline } = require('stream');
+const { asyncHandler } = require('../middleware/errorHandler');
+const storage = require('../services/storage');
+
+const router = express.Router();
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.zip': 'application/zip',
+  '.json': 'application/json'
+};
+
+// @route   GET /api/files/:key
+// @desc    Serve a locally stored object through a signed, expiring URL
+// @access  Public (the signature is the credential)
+router.get('/*', asyncHandler(async (req, res) => {
+  // Object stores sign their own URLs; this route only fronts the local driver
+  if (typeof storage.driver.verifySignature !== 'function') {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  const key = req.params[0];
+  const { expires, signature } = req.query;
+
+  if (!storage.driver.verifySignature(key, expires, signature)) {
+    return res.status(403).json({ error: 'Link is invalid or has expired' });
+  }
+
+  let stream;
+  try {
+    stream = await storage.stream(key);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    throw error;
+  }
+
+  res.set({
+    'Content-Type': CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream',
+    // Cacheable by the browser for as long as the link is valid, never by shared caches
+    'Cache-Control': `private, max-age=${Math.max(0, Number(expires) - Math.floor(Date.now() / 1000))}`
+  });
+
+  // Piped rather than buffered, so a large export ZIP never sits in memory whole
+  pipeline(stream, res, (error) => {
+    // Headers are already sent, so the client only sees a truncated download
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error(`❌ [FILES] Download of ${key} failed:`, error.message);
+    }
+  });
+}));
+
+module.exports = router;
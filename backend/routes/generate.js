@@ -6,33 +6,25 @@ const { upload, processImage } = require('../middleware/upload');
 const { asyncHandler } = require('../middleware/errorHandler');
 const User = require('../models/User');
 const Generation = require('../models/Generation');
-const Quota = require('../models/Quota');
-const GeminiService = require('../services/geminiService');
-const GeminiImageService = require('../services/geminiService');
+const Preset = require('../models/Preset');
+const providerRegistry = require('../services/providers');
+const { ProviderError } = providerRegistry;
 const promptMatcher = require('../services/promptMatcher');
+const generationQueue = require('../services/generationQueue');
+const generationEvents = require('../services/generationEvents');
+const storage = require('../services/storage');
+const storageReaper = require('../services/storageReaper');
+const quotaService = require('../services/quotaService');
+const { QuotaExceededError } = quotaService;
+const promptAssembly = require('../services/promptAssembly');
+const { TemplateError } = require('../../shared/presetTemplate.js');
 const path = require('path');
 const fs = require('fs');
 const sharp = require('sharp');
 
 const router = express.Router();
 
-// Initialize AI services with error handling
-let geminiService = null;
-let geminiImageService = null;
-
-try {
-  if (process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your-gemini-api-key-here') {
-    geminiService = new GeminiService();
-    geminiImageService = new GeminiService(); // Use the same real Gemini service
-    console.log('✅ Gemini services initialized with real API');
-  } else {
-    console.warn('⚠️  Gemini API key not configured.');
-  }
-} catch (error) {
-  console.error('Failed to initialize Gemini services:', error.message);
-}
-
-// Fallback presets (used when no CSV file is available)
+// Fallback presets (used when the preset library is empty or unreachable)
 const FALLBACK_PRESETS = {
   'realistic-portrait': {
     id: 'realistic-portrait',
@@ -66,6 +58,322 @@ const FALLBACK_PRESETS = {
   }
 };
 
+// Look up a preset by id (or legacy name) in the library, then the fallbacks
+const findPreset = async (preset) => {
+  if (!preset) return null;
+
+  try {
+    const allPrompts = await promptMatcher.getAllPrompts();
+    const found = allPrompts.find(p => p.id === preset || p.name === preset);
+    if (found) return found;
+  } catch (error) {
+    console.error('❌ [BACKEND DEBUG] Error loading presets:', error);
+  }
+
+  return FALLBACK_PRESETS[preset]
+    || Object.values(FALLBACK_PRESETS).find(p => p.id === preset || p.name === preset)
+    || null;
+};
+
+// Paid presets are left out of free users' listings; posting one's id directly is refused too
+const presetAccessError = (presetData, userTier) => {
+  if (!presetData || Preset.tierAllows(presetData.user_tier, userTier)) return null;
+  return {
+    success: false,
+    error: `The "${presetData.name}" preset is only available on the paid plan`
+  };
+};
+
+// Assemble the prompt, system instructions and attachments for a new generation
+// with an already resolved preset (or none; the user prompt is then used as-is).
+// Throws a TemplateError when the preset's variables are missing or invalid.
+const buildGenerationPrompt = ({ generationType, prompt = '', presetData, variables = {}, attachments = [] }) => {
+  const assembled = promptAssembly.assemble({
+    generationType,
+    userPrompt: prompt,
+    preset: presetData,
+    variables,
+    attachments
+  });
+  // Generations keep the preset's id and a snapshot of its name
+  const presetRef = presetData
+    ? { presetId: presetData.id, presetName: presetData.name || presetData.category || presetData.id }
+    : { presetId: null, presetName: null };
+
+  return { ...assembled, ...presetRef };
+};
+
+// Preset variable values arrive as an object (JSON body) or a JSON string
+// (multipart form); returns null when they can't be read
+const parseVariables = (raw) => {
+  if (raw === undefined || raw === null || raw === '') return {};
+  let variables = raw;
+  if (typeof raw === 'string') {
+    try {
+      variables = JSON.parse(raw);
+    } catch (error) {
+      return null;
+    }
+  }
+  if (typeof variables !== 'object' || Array.isArray(variables)) return null;
+  return variables;
+};
+
+// Response for preset variables that failed validation
+const templateError = (error) => ({
+  success: false,
+  error: error.message,
+  fields: error.fields
+});
+
+// Run every requested variation in parallel and keep the ones that produced an image.
+// Provider progress is forwarded to stream subscribers, tagged with the variation index.
+const generateVariations = async (generationId, provider, count, generateOne) => {
+  const results = await Promise.allSettled(
+    Array.from({ length: count }, async (_, variation) => {
+      const onEvent = (type, data = {}) => generationEvents.publish(generationId, type, { variation, ...data });
+      const result = await generateOne(variation, onEvent);
+      if (result && result.storageKey) {
+        onEvent('image-saved', { imageUrl: storage.getSignedUrl(result.storageKey) });
+      }
+      return result;
+    })
+  );
+
+  const images = [];
+  results.forEach((result, variation) => {
+    if (result.status === 'fulfilled' && result.value && result.value.storageKey) {
+      images.push(result.value);
+    } else {
+      console.error(`❌ [WORKER DEBUG] Variation ${variation + 1}/${count} from ${provider.name} failed:`,
+        result.status === 'rejected' ? result.reason?.message : result.value);
+    }
+  });
+
+  if (images.length === 0) {
+    const rejected = results.find(result => result.status === 'rejected');
+    throw rejected ? rejected.reason : new Error('Invalid response from AI service');
+  }
+
+  return images;
+};
+
+// 507 body for users whose stored images have reached their tier's cap
+const storageCapError = (usage) => ({
+  success: false,
+  error: 'Storage limit reached. Delete some generations or upgrade your plan to create new ones.',
+  storage: {
+    usedBytes: usage.usedBytes,
+    capBytes: usage.capBytes
+  }
+});
+
+// 429 body when a quota reservation is refused
+const quotaExceededError = (error) => ({
+  success: false,
+  error: error.message,
+  quota: error.quota ? quotaService.toResponse(error.quota) : undefined
+});
+
+// Reserve quota (or credits) for a new run and record it on the generation; caller saves
+const reserveAttempt = async (generation, user, trigger, count) => {
+  const { quota, reservation } = await quotaService.reserve(user, count, {
+    generationId: generation._id,
+    attempt: generation.attempts.length + 1
+  });
+  generation.startAttempt(trigger, reservation);
+  return { quota, paidWith: reservation.source };
+};
+
+// Persist a generation whose quota is already reserved and hand it to the queue.
+// If either step fails the reservation is refunded before the error propagates.
+const saveAndQueue = async (generation) => {
+  try {
+    await generation.save();
+    await queueGeneration(generation);
+  } catch (error) {
+    if (generation.isNew) {
+      await generation.refundQuota().catch(() => {});
+    } else {
+      await generation.markFailed('Could not queue generation').catch(() => {});
+    }
+    throw error;
+  }
+};
+
+// Remove files a run stored but will never record, e.g. once the queue has timed it out
+const discardImages = (images) => Promise.all(images.map(image => (
+  storage.delete(image.storageKey).catch(error => {
+    console.error('❌ [WORKER DEBUG] Failed to delete discarded output:', image.storageKey, error.message);
+  })
+)));
+
+// Worker handler for queued image-to-image jobs
+const processImageToImageJob = async (job, { signal }) => {
+  const { size = '1024x1024', count = 1 } = job.payload;
+
+  const generation = await Generation.findById(job.generationId);
+  if (!generation) {
+    throw new Error('Generation record no longer exists');
+  }
+
+  // Built from the stored generation, so retries of older records are cleaned up too.
+  // Refinements continue the conversation that produced their source image.
+  const ancestors = generation.parentId
+    ? await Generation.getAncestors(generation, promptAssembly.historyTurns())
+    : [];
+  const { prompt, systemInstructions, attachments, history } = promptAssembly.forProvider(generation, ancestors);
+  const source = attachments.find(attachment => attachment.role === 'source');
+  if (!source) {
+    throw new Error('Generation has no source image');
+  }
+  const imageKey = source.storageKey;
+
+  const provider = providerRegistry.get(job.payload.provider || generation.aiProvider);
+  const imageBuffer = await storage.get(imageKey);
+  const images = await generateVariations(generation._id, provider, count, (variation, onEvent) => (
+    provider.generateImageFromImage(imageBuffer, prompt, {
+      width: parseInt(size.split('x')[0]),
+      height: parseInt(size.split('x')[1]),
+      mimeType: source.mimeType,
+      systemInstructions,
+      history,
+      variation,
+      onEvent
+    })
+  ));
+
+  const imageKeys = images.map(image => image.storageKey);
+  const stored = images.filter(image => image.storageKey !== imageKey);
+
+  // The queue already failed this job on timeout; don't overwrite that outcome
+  if (signal.aborted) {
+    await discardImages(stored);
+    return;
+  }
+
+  // Echoes of the input are never offered as variations unless nothing else came back
+  const outputs = imageKeys.filter(key => key !== imageKey);
+  generation.echoedInput = outputs.length === 0;
+  if (generation.echoedInput) {
+    console.warn('⚠️ [WORKER DEBUG] Output image is identical to the input image (echo).', {
+      imageKey,
+      imageKeys
+    });
+  }
+
+  // Variations that failed or echoed the input don't count against the quota
+  await generation.refundQuota(count - outputs.length);
+
+  generation.recordOutputs(stored);
+  await generation.markCompleted(generation.echoedInput ? imageKeys : outputs, {
+    cost: provider.cost('imageToImage', { size }) * images.length,
+    generatedImageSize: {
+      width: images[0].data?.width,
+      height: images[0].data?.height,
+      fileSize: images[0].data?.fileSize
+    }
+  });
+  console.log('✅ [WORKER DEBUG] Generation completed:', generation._id, `(${images.length}/${count} variations)`);
+};
+
+// Worker handler for queued text-to-image jobs
+const processTextToImageJob = async (job, { signal }) => {
+  const { size = '1024x1024', count = 1 } = job.payload;
+
+  const generation = await Generation.findById(job.generationId);
+  if (!generation) {
+    throw new Error('Generation record no longer exists');
+  }
+
+  const { prompt, systemInstructions } = promptAssembly.forProvider(generation);
+  const provider = providerRegistry.get(job.payload.provider || generation.aiProvider);
+  const images = await generateVariations(generation._id, provider, count, (variation, onEvent) => (
+    provider.generateImage(prompt, {
+      width: parseInt(size.split('x')[0]),
+      height: parseInt(size.split('x')[1]),
+      size,
+      systemInstructions,
+      variation,
+      onEvent
+    })
+  ));
+
+  // The queue already failed this job on timeout; don't overwrite that outcome
+  if (signal.aborted) {
+    await discardImages(images);
+    return;
+  }
+
+  // Variations that failed don't count against the quota
+  await generation.refundQuota(count - images.length);
+
+  generation.recordOutputs(images);
+  await generation.markCompleted(images.map(image => image.storageKey), {
+    cost: provider.cost('textToImage', { size }) * images.length,
+    generatedImageSize: {
+      width: images[0].data?.width,
+      height: images[0].data?.height,
+      fileSize: images[0].data?.fileSize
+    }
+  });
+  console.log('✅ [WORKER DEBUG] Generation completed:', generation._id, `(${images.length}/${count} variations)`);
+};
+
+generationQueue.registerHandler('image-to-image', processImageToImageJob);
+generationQueue.registerHandler('text-to-image', processTextToImageJob);
+
+// Queue a worker run for a generation from its persisted inputs
+const queueGeneration = (generation) => generationQueue.enqueue(generation.generationType, {
+  generationId: generation._id,
+  userId: generation.userId,
+  payload: {
+    provider: generation.aiProvider,
+    size: generation.inputs.size,
+    count: generation.inputs.count || 1
+  }
+});
+
+// Shape of a generation as reported by the status and stream endpoints
+const formatGenerationStatus = (generation) => ({
+  id: generation._id,
+  status: generation.status,
+  generationType: generation.generationType,
+  imageUrls: generation.imageUrls,
+  generatedImageUrl: generation.getGeneratedImageUrl(),
+  favoriteIndex: generation.favoriteIndex,
+  variationCount: generation.inputs?.count || 1,
+  originalImageUrl: generation.getOriginalImageUrl(),
+  echoedInput: generation.echoedInput,
+  prompt: generation.prompt,
+  revisedPrompt: generation.revisedPrompt,
+  preset: generation.preset,
+  parentId: generation.parentId,
+  threadId: generation.threadId,
+  turn: generation.turn,
+  parameters: generation.parameters,
+  error: generation.errorMessage,
+  attempts: generation.attempts,
+  retryCount: generation.retryCount,
+  maxRetries: Generation.getMaxRetries(),
+  createdAt: generation.createdAt,
+  completedAt: generation.processingEndTime
+});
+
+// Parse the requested number of variations and check it against the tier limit
+const parseVariationCount = (value, userTier) => {
+  const maxVariations = Generation.getMaxVariations(userTier);
+  const count = value === undefined || value === '' ? 1 : Number(value);
+
+  if (!Number.isInteger(count) || count < 1 || count > 4) {
+    return { error: 'Count must be a whole number between 1 and 4' };
+  }
+  if (count > maxVariations) {
+    return { error: `Your plan allows up to ${maxVariations} variation${maxVariations === 1 ? '' : 's'} per generation` };
+  }
+  return { count };
+};
+
 // @route   GET /api/generate/presets
 // @desc    Get available generation presets
 // @access  Private
@@ -73,10 +381,10 @@ router.get('/presets', auth, asyncHandler(async (req, res) => {
   const userTier = req.user.tier;
   
   try {
-    // Try to get prompts from CSV first
+    // Try the preset library first
     let allPrompts = await promptMatcher.getAllPrompts();
     
-    // If no CSV prompts available, use fallback presets
+    // If no presets have been imported yet, use fallback presets
     if (allPrompts.length === 0) {
       allPrompts = Object.values(FALLBACK_PRESETS);
     }
@@ -105,6 +413,7 @@ router.get('/presets', auth, asyncHandler(async (req, res) => {
       style: prompt.style,
       main_prompt: prompt.main_prompt,
       negative_prompt: prompt.negative_prompt,
+      thumbnail_url: prompt.thumbnail_url || null,
       available: true
     }));
     
@@ -118,6 +427,7 @@ router.get('/presets', auth, asyncHandler(async (req, res) => {
         style: prompt.style,
         main_prompt: prompt.main_prompt,
         negative_prompt: prompt.negative_prompt,
+        thumbnail_url: prompt.thumbnail_url || null,
         available: false,
         requiresPaid: true
       }));
@@ -128,7 +438,7 @@ router.get('/presets', auth, asyncHandler(async (req, res) => {
     res.json({
       presets,
       userTier,
-      source: allPrompts.length > Object.keys(FALLBACK_PRESETS).length ? 'csv' : 'fallback'
+      source: allPrompts.some(prompt => prompt.slug) ? 'database' : 'fallback'
     });
     
   } catch (error) {
@@ -149,14 +459,172 @@ router.get('/presets', auth, asyncHandler(async (req, res) => {
    }
 }));
 
-// Text-to-image route removed - only image-to-image generation is supported
+// @route   GET /api/generate/providers
+// @desc    List the image providers available to the user
+// @access  Private
+router.get('/providers', auth, asyncHandler(async (req, res) => {
+  res.json({
+    providers: providerRegistry.list(req.user.tier)
+  });
+}));
+
+// @route   POST /api/generate/text-to-image
+// @desc    Generate an image from a prompt and/or preset, without a source photo
+// @access  Private
+router.post('/text-to-image', generationRateLimit, auth, async (req, res) => {
+  try {
+    const { prompt = '', preset, size = '1024x1024', provider: requestedProvider } = req.body;
+
+    const variables = parseVariables(req.body.variables);
+    if (!variables) {
+      return res.status(400).json({
+        success: false,
+        error: 'Preset variables must be an object of name/value pairs'
+      });
+    }
+
+    const { count, error: countError } = parseVariationCount(req.body.count, req.user.tier);
+    if (countError) {
+      return res.status(400).json({
+        success: false,
+        error: countError
+      });
+    }
+
+    if (prompt.trim().length === 0 && !preset) {
+      return res.status(400).json({
+        success: false,
+        error: 'A prompt or a preset is required'
+      });
+    }
+
+    if (prompt.length > 1000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Prompt must be less than 1000 characters'
+      });
+    }
+
+    // Pick the image provider (explicit request, else the tier default)
+    let provider;
+    try {
+      provider = providerRegistry.resolve({
+        requested: requestedProvider,
+        tier: req.user.tier,
+        operation: 'textToImage'
+      });
+    } catch (error) {
+      if (error instanceof ProviderError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+      throw error;
+    }
+
+    const storageUsage = await storageReaper.checkUserCap(req.user);
+    if (storageUsage.exceeded) {
+      return res.status(507).json(storageCapError(storageUsage));
+    }
+
+    const presetData = await findPreset(preset);
+    const presetError = presetAccessError(presetData, req.user.tier);
+    if (presetError) {
+      return res.status(403).json(presetError);
+    }
+
+    let assembled;
+    try {
+      assembled = buildGenerationPrompt({ generationType: 'text-to-image', prompt, presetData, variables });
+    } catch (error) {
+      if (error instanceof TemplateError) {
+        return res.status(error.statusCode).json(templateError(error));
+      }
+      throw error;
+    }
+    const { prompt: finalPrompt, presetId, presetName } = assembled;
+    if (!finalPrompt) {
+      return res.status(400).json({
+        success: false,
+        error: 'The selected preset has no prompt; please describe the image'
+      });
+    }
+
+    // Record the generation up front so the client has an id to poll
+    const generation = new Generation({
+      userId: req.user.id,
+      generationType: 'text-to-image',
+      presetId,
+      presetName,
+      prompt: finalPrompt,
+      systemInstructions: assembled.systemInstructions,
+      attachments: assembled.attachments,
+      inputs: {
+        userPrompt: prompt,
+        presetId: preset || null,
+        variables: assembled.variables,
+        size,
+        count,
+        model: provider.modelName
+      },
+      aiProvider: provider.name,
+      parameters: { size, count },
+      status: 'processing'
+    });
+
+    // Every variation counts as one generation against the daily quota
+    let quota;
+    let paidWith;
+    try {
+      ({ quota, paidWith } = await reserveAttempt(generation, req.user, 'initial', count));
+    } catch (error) {
+      if (error instanceof QuotaExceededError) {
+        return res.status(429).json(quotaExceededError(error));
+      }
+      throw error;
+    }
+
+    await saveAndQueue(generation);
+
+    res.status(202).json({
+      success: true,
+      message: 'Generation queued',
+      generation: {
+        id: generation._id,
+        status: generation.status,
+        generationType: generation.generationType,
+        variationCount: count,
+        prompt: finalPrompt,
+        createdAt: generation.createdAt
+      },
+      quota: quotaService.toResponse(quota),
+      paidWith
+    });
+
+  } catch (error) {
+    console.error('❌ [BACKEND DEBUG] Text-to-image generation error:', {
+      message: error.message,
+      stack: error.stack,
+      userId: req.user?.id
+    });
+
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.name === 'ValidationError'
+        ? 'Invalid data provided. Please check your input and try again.'
+        : 'Internal server error. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { debug: error.message })
+    });
+  }
+});
 
 // Image-to-image generation
 router.post('/image-to-image', uploadRateLimit, generationRateLimit, auth, upload, processImage, async (req, res) => {
   console.log('🔍 [BACKEND DEBUG] Image-to-image route called');
   
   try {
-    const { prompt, preset, size = '1024x1024' } = req.body;
+    const { prompt = '', preset, size = '1024x1024', provider: requestedProvider } = req.body;
     
     console.log('🔍 [BACKEND DEBUG] Request details:', {
       prompt: prompt?.substring(0, 100) + '...',
@@ -168,12 +636,27 @@ router.post('/image-to-image', uploadRateLimit, generationRateLimit, auth, uploa
       userId: req.user.id
     });
 
+    const { count, error: countError } = parseVariationCount(req.body.count, req.user.tier);
+    if (countError) {
+      return res.status(400).json({
+        success: false,
+        error: countError
+      });
+    }
+
+    const variables = parseVariables(req.body.variables);
+    if (!variables) {
+      return res.status(400).json({
+        success: false,
+        error: 'Preset variables must be an object of name/value pairs'
+      });
+    }
+
     // Validate required fields
-    if (!prompt || prompt.trim().length === 0) {
-      console.error('❌ [BACKEND DEBUG] Missing or empty prompt');
+    if (prompt.trim().length === 0 && !preset) {
       return res.status(400).json({
         success: false,
-        error: 'Prompt is required and cannot be empty'
+        error: 'A prompt or a preset is required'
       });
     }
 
@@ -193,8 +676,24 @@ router.post('/image-to-image', uploadRateLimit, generationRateLimit, auth, uploa
       });
     }
 
-    // Check user quota
-    console.log('🔍 [BACKEND DEBUG] Checking user quota...');
+    // Pick the image provider (explicit request, else the tier default)
+    let provider;
+    try {
+      provider = providerRegistry.resolve({
+        requested: requestedProvider,
+        tier: req.user.tier,
+        operation: 'imageToImage'
+      });
+    } catch (error) {
+      if (error instanceof ProviderError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+      throw error;
+    }
+
     const user = await User.findById(req.user.id);
     if (!user) {
       console.error('❌ [BACKEND DEBUG] User not found:', req.user.id);
@@ -204,198 +703,110 @@ router.post('/image-to-image', uploadRateLimit, generationRateLimit, auth, uploa
       });
     }
 
-    // Get or create quota for today
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Start of day
-    
-    let quota = await Quota.findOne({ userId: req.user.id, date: today });
-    if (!quota) {
-      const generationsLimit = user.tier === 'paid' ? 50 : 5;
-      quota = new Quota({
-        userId: req.user.id,
-        date: today,
-        generationsUsed: 0,
-        generationsLimit
-      });
-      await quota.save();
+    // The rejected upload is left for the storage reaper to collect
+    const storageUsage = await storageReaper.checkUserCap(user);
+    if (storageUsage.exceeded) {
+      return res.status(507).json(storageCapError(storageUsage));
     }
 
-    if (quota.generationsUsed >= quota.generationsLimit) {
-      console.error('❌ [BACKEND DEBUG] Quota exceeded:', { generationsUsed: quota.generationsUsed, generationsLimit: quota.generationsLimit });
-      return res.status(429).json({
-        success: false,
-        error: 'Daily generation limit exceeded. Please upgrade to Pro for unlimited generations.'
-      });
+    const presetData = await findPreset(preset);
+    const presetError = presetAccessError(presetData, user.tier);
+    if (presetError) {
+      return res.status(403).json(presetError);
     }
 
-    console.log('✅ [BACKEND DEBUG] Quota check passed:', { generationsUsed: quota.generationsUsed, generationsLimit: quota.generationsLimit });
-
-    // Build uploaded image URL for placeholder replacement
-    const uploadedImageUrl = `${req.protocol}://${req.get('host')}/uploads/${req.file.filename}`;
-    console.log('🔍 [BACKEND DEBUG] Uploaded image URL:', uploadedImageUrl);
-
-    // Process preset and construct final prompt with image reference
-    let finalPrompt = prompt;
-    let normalizedPreset = preset || 'custom';
-    if (preset) {
-      console.log('🔍 [BACKEND DEBUG] Processing preset:', preset);
-      try {
-        const allPrompts = await promptMatcher.getAllPrompts();
-        let presetData = allPrompts.find(p => p.id === preset || p.name === preset);
-        if (!presetData) {
-          presetData = FALLBACK_PRESETS[preset] || Object.values(FALLBACK_PRESETS).find(p => p.id === preset || p.name === preset);
-        }
-
-        if (presetData) {
-          normalizedPreset = presetData.name || presetData.category || preset;
-          let base = presetData.main_prompt || '';
-
-          // Replace common image placeholders with the uploaded image URL
-          const imagePlaceholderPatterns = [/{image}/gi, /{image_url}/gi, /{image_path}/gi, /\[IMAGE\]/g];
-          imagePlaceholderPatterns.forEach((pattern) => {
-            base = base.replace(pattern, uploadedImageUrl);
-          });
-
-          // Replace {prompt} placeholder with user prompt if present
-          if (base.includes('{prompt}')) {
-            base = base.replace('{prompt}', prompt);
-          }
-
-          // If no explicit image placeholder existed, append a reference
-          if (!base.includes(uploadedImageUrl)) {
-            base = `${base}, reference image: ${uploadedImageUrl}`.trim();
-          }
-
-          // If {prompt} wasn't used and user provided extra instructions, append them
-          if (!/\{prompt\}/.test(presetData.main_prompt) && prompt && prompt.trim().length > 0) {
-            base = `${base}, ${prompt}`;
-          }
-
-          finalPrompt = base;
-
-          console.log('✅ [BACKEND DEBUG] Preset applied with image reference:', {
-            presetName: presetData.name || presetData.category,
-            uploadedImageUrl,
-            originalPrompt: prompt.substring(0, 100) + '...',
-            finalPrompt: finalPrompt.substring(0, 300) + '...'
-          });
-        } else {
-          console.warn('⚠️ [BACKEND DEBUG] Preset not found; will append image reference to user prompt');
-          finalPrompt = `${prompt}, reference image: ${uploadedImageUrl}`;
-        }
-      } catch (error) {
-        console.error('❌ [BACKEND DEBUG] Error processing preset:', error);
-        console.warn('⚠️ [BACKEND DEBUG] Falling back to user prompt with image reference');
-        finalPrompt = `${prompt}, reference image: ${uploadedImageUrl}`;
+    // The upload goes to the model as an attachment (its bytes), never as a reference in the prompt
+    let assembled;
+    try {
+      assembled = buildGenerationPrompt({
+        generationType: 'image-to-image',
+        prompt,
+        presetData,
+        variables,
+        attachments: [{ role: 'source', storageKey: req.file.key, mimeType: 'image/jpeg' }]
+      });
+    } catch (error) {
+      if (error instanceof TemplateError) {
+        return res.status(error.statusCode).json(templateError(error));
       }
-    } else {
-      // No preset provided; still add the image reference
-      finalPrompt = `${prompt}, reference image: ${uploadedImageUrl}`;
+      throw error;
+    }
+    const { prompt: finalPrompt, presetId, presetName } = assembled;
+    if (!finalPrompt) {
+      return res.status(400).json({
+        success: false,
+        error: 'The selected preset has no prompt; please describe the image'
+      });
     }
-
-    // Explicitly log the full final prompt that will be sent to AI
-    console.log('🧪 [BACKEND DEBUG] Final prompt to AI (image-to-image):', finalPrompt);
-    console.log('🧪 [BACKEND DEBUG] Image reference used in prompt:', uploadedImageUrl);
 
     console.log('🔍 [BACKEND DEBUG] File processing completed:', {
       originalName: req.file.originalname,
-      processedPath: req.file.path,
+      storageKey: req.file.key,
       size: req.file.size,
       mimetype: req.file.mimetype
     });
 
-    // Process image with Gemini service
-    console.log('🔍 [BACKEND DEBUG] Processing image with AI...');
-    
-    let imageUrl;
-    const originalImageUrl = `${req.protocol}://${req.get('host')}/uploads/${req.file.filename}`;
-    if (!geminiService) {
-      console.log('⚠️ [BACKEND DEBUG] Gemini service not available, using local uploaded image URL as processed result');
-      imageUrl = originalImageUrl;
-      console.log('✅ [BACKEND DEBUG] Using local processed image URL:', imageUrl);
-    } else {
-      try {
-        const imageResult = await geminiImageService.generateImageFromImage(req.file.path, finalPrompt, {
-          width: parseInt(size.split('x')[0]),
-          height: parseInt(size.split('x')[1])
-        });
-        
-        if (!imageResult || !imageResult.imageUrl) {
-          console.error('❌ [BACKEND DEBUG] Invalid Gemini service response:', imageResult);
-          return res.status(502).json({
-            success: false,
-            error: 'Invalid response from AI service'
-          });
-        }
-        
-        imageUrl = imageResult.imageUrl;
-        // Fallback to local uploaded URL if mock placeholder returned
-        if (/^https?:\/\/via\.placeholder\.com/i.test(imageUrl)) {
-          const localUrl = originalImageUrl;
-          console.log('⚠️ [BACKEND DEBUG] Placeholder image URL detected. Using local uploaded image instead:', localUrl);
-          imageUrl = localUrl;
+    // Record the generation up front so the client has an id to poll
+    const generation = new Generation({
+      userId: req.user.id,
+      generationType: 'image-to-image',
+      originalImageKey: req.file.key,
+      presetId,
+      presetName,
+      prompt: finalPrompt,
+      systemInstructions: assembled.systemInstructions,
+      attachments: assembled.attachments,
+      inputs: {
+        imageKey: req.file.key,
+        userPrompt: prompt,
+        presetId: preset || null,
+        variables: assembled.variables,
+        size,
+        count,
+        model: provider.modelName
+      },
+      aiProvider: provider.name,
+      parameters: { size, count },
+      status: 'processing',
+      storageBytes: req.file.size,
+      metadata: {
+        originalImageSize: {
+          width: req.file.metadata?.width,
+          height: req.file.metadata?.height,
+          fileSize: req.file.size
         }
-        console.log('✅ [BACKEND DEBUG] Generated processed image URL:', imageUrl);
-      } catch (error) {
-        console.error('❌ [BACKEND DEBUG] Unexpected service error, using fallback:', error);
-        // Fallback to original image if service throws unexpected errors
-        imageUrl = originalImageUrl;
       }
-    }
-
-    // Update user quota
-    console.log('🔍 [BACKEND DEBUG] Updating user quota...');
-    quota.generationsUsed += 1;
-    await quota.save();
-    console.log('✅ [BACKEND DEBUG] Quota updated successfully');
+    });
 
-    // Detect echo (output equals input)
-    const echoedInput = imageUrl === originalImageUrl;
-    if (echoedInput) {
-      console.warn('⚠️ [BACKEND DEBUG] Output image URL is identical to the input image URL (echo).', {
-        originalImageUrl,
-        imageUrl
-      });
+    // Every variation counts as one generation against the daily quota; it is
+    // reserved before the worker calls the model and refunded if that fails
+    let quota;
+    let paidWith;
+    try {
+      ({ quota, paidWith } = await reserveAttempt(generation, user, 'initial', count));
+    } catch (error) {
+      if (error instanceof QuotaExceededError) {
+        return res.status(429).json(quotaExceededError(error));
+      }
+      throw error;
     }
 
-    // Create generation record with proper error handling
-    let generation;
-    try {
-      generation = new Generation({
-        userId: req.user.id,
-        originalImageUrl,
-        generatedImageUrl: imageUrl,
-        presetUsed: normalizedPreset,
-        prompt: finalPrompt,
-        parameters: { size },
-        status: 'completed'
-      });
-      await generation.save();
-      console.log('✅ [BACKEND DEBUG] Generation record saved');
-    } catch (saveError) {
-      console.error('❌ [BACKEND DEBUG] Failed to save generation record:', saveError.message);
-      // Continue execution - don't fail the entire request for logging issues
-      generation = { _id: 'temp-id', generatedImageUrl: imageUrl, createdAt: new Date() };
-    }
- 
-    res.json({
+    // Save the record and hand the AI call off to the worker pool
+    await saveAndQueue(generation);
+
+    res.status(202).json({
       success: true,
-      message: 'Image generated successfully',
-      echoedInput,
+      message: 'Generation queued',
       generation: {
         id: generation._id,
-        imageUrl: generation.generatedImageUrl,
-        generatedImageUrl: generation.generatedImageUrl,
-        imageUrls: generation.imageUrls,
-        originalImageUrl,
+        status: generation.status,
+        originalImageUrl: generation.getOriginalImageUrl(),
+        variationCount: count,
         prompt: finalPrompt,
         createdAt: generation.createdAt
       },
-      quota: {
-        generationsUsed: quota.generationsUsed,
-        generationsLimit: quota.generationsLimit,
-        generationsRemaining: Math.max(0, quota.generationsLimit - quota.generationsUsed)
-      }
+      quota: quotaService.toResponse(quota),
+      paidWith
     });
 
   } catch (error) {
@@ -433,6 +844,182 @@ router.post('/image-to-image', uploadRateLimit, generationRateLimit, auth, uploa
   }
 });
 
+// @route   POST /api/generate/:id/refine
+// @desc    Edit one of a completed generation's outputs with a follow-up instruction
+// @access  Private
+router.post('/:id/refine', generationRateLimit, auth, [
+  body('instruction')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Instruction must be between 1 and 1000 characters'),
+  body('imageIndex')
+    .optional()
+    .isInt({ min: 0, max: 3 })
+    .withMessage('imageIndex must be the position of one of the generated images')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const parent = await Generation.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!parent) {
+    return res.status(404).json({
+      error: 'Generation not found'
+    });
+  }
+
+  if (parent.status !== 'completed') {
+    return res.status(400).json({
+      error: 'Can only refine completed generations'
+    });
+  }
+
+  if (parent.turn + 1 > Generation.getMaxRefineDepth()) {
+    return res.status(400).json({
+      error: `A thread can be refined at most ${Generation.getMaxRefineDepth()} times`
+    });
+  }
+
+  // The favourite is refined unless another variation is picked, by position
+  const index = req.body.imageIndex === undefined ? parent.favoriteIndex : parseInt(req.body.imageIndex);
+  const sourceKey = parent.generatedImageKeys.length > 0 ? parent.generatedImageKeys[index] : parent.generatedImageKey;
+  if (!sourceKey) {
+    return res.status(400).json({
+      error: 'Image is not one of this generation\'s outputs'
+    });
+  }
+  if (!(await storage.exists(sourceKey))) {
+    return res.status(410).json({
+      error: 'The image to refine is no longer available'
+    });
+  }
+
+  const { count, error: countError } = parseVariationCount(req.body.count, req.user.tier);
+  if (countError) {
+    return res.status(400).json({
+      error: countError
+    });
+  }
+
+  // Stay with the provider that holds the conversation unless another is requested
+  let provider;
+  try {
+    provider = providerRegistry.resolve({
+      requested: req.body.provider || (providerRegistry.has(parent.aiProvider) ? parent.aiProvider : undefined),
+      tier: req.user.tier,
+      operation: 'imageToImage'
+    });
+  } catch (error) {
+    if (error instanceof ProviderError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    throw error;
+  }
+
+  const storageUsage = await storageReaper.checkUserCap(req.user);
+  if (storageUsage.exceeded) {
+    return res.status(507).json(storageCapError(storageUsage));
+  }
+
+  const { instruction } = req.body;
+  const assembled = promptAssembly.assembleRefinement({ instruction, parent, sourceKey });
+  if (!assembled.prompt) {
+    return res.status(400).json({
+      error: 'Please describe what to change'
+    });
+  }
+
+  // The source image belongs to the parent, so the refinement starts with no stored bytes
+  const size = parent.inputs?.size || '1024x1024';
+  const generation = new Generation({
+    userId: req.user.id,
+    generationType: 'image-to-image',
+    originalImageKey: sourceKey,
+    parentId: parent._id,
+    rootId: parent.threadId,
+    turn: parent.turn + 1,
+    presetId: parent.presetId,
+    presetName: parent.presetName,
+    prompt: assembled.prompt,
+    systemInstructions: assembled.systemInstructions,
+    attachments: assembled.attachments,
+    inputs: {
+      imageKey: sourceKey,
+      userPrompt: instruction,
+      size,
+      count,
+      model: provider.modelName
+    },
+    aiProvider: provider.name,
+    parameters: { size, count },
+    status: 'processing'
+  });
+
+  let quota;
+  let paidWith;
+  try {
+    ({ quota, paidWith } = await reserveAttempt(generation, req.user, 'initial', count));
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return res.status(429).json(quotaExceededError(error));
+    }
+    throw error;
+  }
+
+  await saveAndQueue(generation);
+
+  res.status(202).json({
+    success: true,
+    message: 'Refinement queued',
+    generation: {
+      id: generation._id,
+      status: generation.status,
+      parentId: generation.parentId,
+      threadId: generation.threadId,
+      turn: generation.turn,
+      originalImageUrl: generation.getOriginalImageUrl(),
+      variationCount: count,
+      prompt: generation.prompt,
+      createdAt: generation.createdAt
+    },
+    quota: quotaService.toResponse(quota),
+    paidWith
+  });
+}));
+
+// @route   GET /api/generate/:id/thread
+// @desc    Get every generation in the refinement thread a generation belongs to
+// @access  Private
+router.get('/:id/thread', auth, asyncHandler(async (req, res) => {
+  const generation = await Generation.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!generation) {
+    return res.status(404).json({
+      error: 'Generation not found'
+    });
+  }
+
+  const thread = await Generation.getThread(generation.threadId, req.user._id);
+
+  res.json({
+    threadId: generation.threadId,
+    generations: thread.map(formatGenerationStatus)
+  });
+}));
+
 // @route   GET /api/generate/status/:id
 // @desc    Get generation status
 // @access  Private
@@ -448,22 +1035,111 @@ router.get('/status/:id', auth, asyncHandler(async (req, res) => {
     });
   }
 
+  // Worker-side progress (queue position, attempts) while the generation is in flight
+  const job = await generationQueue.getJobState(generation._id);
+
   res.json({
-    generation: {
-      id: generation._id,
-      status: generation.status,
-      imageUrls: generation.imageUrls,
-      prompt: generation.prompt,
-      revisedPrompt: generation.revisedPrompt,
-      preset: generation.preset,
-      parameters: generation.parameters,
-      error: generation.errorMessage,
-      createdAt: generation.createdAt,
-      completedAt: generation.processingEndTime
-    }
+    generation: formatGenerationStatus(generation),
+    job
   });
 }));
 
+// @route   GET /api/generate/stream/:id
+// @desc    Stream generation lifecycle events (Server-Sent Events)
+// @access  Private
+router.get('/stream/:id', auth, asyncHandler(async (req, res) => {
+  const generation = await Generation.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!generation) {
+    return res.status(404).json({
+      error: 'Generation not found'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let unsubscribe = () => {};
+  let heartbeat = null;
+
+  const send = (type, data) => {
+    if (closed) return;
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    // compression() buffers responses unless told to flush
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    clearInterval(heartbeat);
+    res.end();
+  };
+
+  // Terminal events carry the stored outcome so the client needs no extra request
+  const finish = async (type) => {
+    let latest = null;
+    try {
+      latest = await Generation.findById(generation._id);
+    } catch (error) {
+      console.error('❌ [BACKEND DEBUG] Failed to load finished generation:', error.message);
+    }
+    send(type, { generation: formatGenerationStatus(latest || generation) });
+    close();
+  };
+
+  req.on('close', close);
+
+  if (generation.status !== 'processing') {
+    return finish(generation.status);
+  }
+
+  // Replay what happened before the client connected, then follow live events
+  const forward = (event) => {
+    if (generationEvents.isTerminal(event.type)) {
+      finish(event.type);
+    } else {
+      send(event.type, { ...event.data, at: event.at });
+    }
+  };
+  const history = generationEvents.getHistory(generation._id);
+  unsubscribe = generationEvents.subscribe(generation._id, forward);
+  history.forEach(forward);
+
+  if (history.length === 0) {
+    // Headers are already sent, so a lookup failure must not reach the error handler
+    const job = await generationQueue.getJobState(generation._id).catch(() => null);
+    send('queued', { job });
+  }
+
+  // Keep proxies from closing the connection, and catch outcomes recorded by
+  // workers in other processes, whose events never reach this one
+  heartbeat = setInterval(async () => {
+    if (closed) return;
+    res.write(': heartbeat\n\n');
+    if (typeof res.flush === 'function') res.flush();
+
+    try {
+      const latest = await Generation.findById(generation._id).select('status');
+      if (latest && latest.status !== 'processing') {
+        await finish(latest.status);
+      }
+    } catch (error) {
+      console.error('❌ [BACKEND DEBUG] Stream status check failed:', error.message);
+    }
+  }, 15000);
+}));
+
 // @route   POST /api/generate/retry/:id
 // @desc    Retry a failed generation
 // @access  Private
@@ -485,33 +1161,115 @@ router.post('/retry/:id', auth, asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user can generate (quota check)
-  const canGenerate = await Quota.canUserGenerate(req.user._id);
-  if (!canGenerate) {
-    const quota = await Quota.getTodayQuota(req.user._id);
-    return res.status(429).json({
-      error: 'Daily generation limit exceeded',
-      quota: {
-        used: quota.generationsUsed,
-        limit: quota.generationsLimit,
-        resetAt: quota.resetAt
-      }
+  if (!generation.canRetry()) {
+    return res.status(400).json({
+      error: 'Retry limit reached for this generation',
+      retryCount: generation.retryCount,
+      maxRetries: Generation.getMaxRetries()
     });
   }
 
-  // Reset generation status
-  generation.status = 'processing';
-  generation.errorMessage = undefined;
-  generation.generatedImageUrl = null;
-  await generation.save();
+  // Generations created before inputs were persisted, or whose upload is gone, can't be replayed
+  const needsUpload = generation.generationType === 'image-to-image';
+  if (needsUpload && (!generation.inputs?.imageKey || !(await storage.exists(generation.inputs.imageKey)))) {
+    return res.status(410).json({
+      error: 'The original upload for this generation is no longer available'
+    });
+  }
 
-  // Retry logic for image-to-image generation
-  // This is a simplified retry - in a real implementation, you might want to
-  // store the original parameters and retry with the exact same settings
-  res.json({
+  if (!providerRegistry.has(generation.aiProvider)) {
+    return res.status(409).json({
+      error: `Image provider "${generation.aiProvider}" used by this generation is no longer available`
+    });
+  }
+
+  // A retry re-runs every variation, and each one costs a generation
+  const count = generation.inputs?.count || 1;
+
+  const storageUsage = await storageReaper.checkUserCap(req.user);
+  if (storageUsage.exceeded) {
+    return res.status(507).json(storageCapError(storageUsage));
+  }
+
+  let quota;
+  let paidWith;
+  try {
+    ({ quota, paidWith } = await reserveAttempt(generation, req.user, 'retry', count));
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return res.status(429).json({
+        error: error.message,
+        quota: quotaService.toResponse(error.quota)
+      });
+    }
+    throw error;
+  }
+
+  // Replay the stored inputs through the same worker pipeline
+  await saveAndQueue(generation);
+
+  res.status(202).json({
     message: 'Generation retry initiated',
     generationId: generation._id,
-    status: 'processing'
+    status: generation.status,
+    attempt: generation.attempts.length,
+    retriesRemaining: Math.max(0, Generation.getMaxRetries() - generation.retryCount),
+    quota: quotaService.toResponse(quota),
+    paidWith
+  });
+}));
+
+// @route   PUT /api/generate/favorite/:id
+// @desc    Pick which variation becomes the primary image of a generation
+// @access  Private
+router.put('/favorite/:id', auth, [
+  body('index')
+    .isInt({ min: 0, max: 3 })
+    .withMessage('index must be the position of one of the generated images')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const generation = await Generation.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!generation) {
+    return res.status(404).json({
+      error: 'Generation not found'
+    });
+  }
+
+  if (generation.status !== 'completed') {
+    return res.status(400).json({
+      error: 'Can only pick a favourite for completed generations'
+    });
+  }
+
+  // Signed URLs change on every response, so the variation is picked by position
+  const index = parseInt(req.body.index);
+  if (index >= generation.generatedImageKeys.length) {
+    return res.status(400).json({
+      error: 'Image is not one of this generation\'s outputs'
+    });
+  }
+
+  await generation.selectFavorite(index);
+
+  res.json({
+    message: 'Favourite image updated',
+    generation: {
+      id: generation._id,
+      generatedImageUrl: generation.getGeneratedImageUrl(),
+      favoriteIndex: generation.favoriteIndex,
+      imageUrls: generation.imageUrls
+    }
   });
 }));
 
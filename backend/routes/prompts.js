@@ -1,22 +1,284 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { auth, requireAdmin } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { uploadSpreadsheet } = require('../middleware/upload');
+const Preset = require('../models/Preset');
 const promptMatcher = require('../services/promptMatcher');
+const presetImporter = require('../services/presetImporter');
 
 const router = express.Router();
 
+// Access: every route needs a signed-in user. Listing and matching only ever
+// see presets the user's own tier (req.user.tier) may use; /stats, /reload and
+// everything under /admin are admin only.
 
+const validate = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+// Validation for preset fields; on update every field is optional
+const presetValidators = ({ partial = false } = {}) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
 
+  return [
+    body('slug')
+      .optional()
+      .matches(Preset.SLUG_PATTERN)
+      .withMessage('Slug may only contain lowercase letters, numbers and hyphens')
+      .isLength({ max: 80 }),
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    field('category')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Category must be between 1 and 50 characters'),
+    field('mainPrompt')
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('Main prompt must be between 1 and 2000 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot exceed 500 characters'),
+    body('negativePrompt')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Negative prompt cannot exceed 1000 characters'),
+    body('tags')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Tags must be a list of at most 20 tags'),
+    body('style')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 }),
+    body('qualityLevel')
+      .optional()
+      .isIn(['standard', 'high', 'ultra']),
+    body('tier')
+      .optional()
+      .isIn(['free', 'paid'])
+      .withMessage('Tier must be "free" or "paid"'),
+    body('thumbnailUrl')
+      .optional({ values: 'null' })
+      .isURL({ require_tld: false })
+      .withMessage('Thumbnail must be a URL'),
+    body('isActive')
+      .optional()
+      .isBoolean(),
+    body('sortOrder')
+      .optional()
+      .isInt()
+  ];
+};
 
+const EDITABLE_FIELDS = [
+  'name', 'description', 'category', 'tags', 'mainPrompt', 'negativePrompt',
+  'style', 'qualityLevel', 'tier', 'thumbnailUrl', 'isActive', 'sortOrder'
+];
 
+const pickPresetFields = (source) => EDITABLE_FIELDS.reduce((fields, name) => {
+  if (source[name] !== undefined) fields[name] = source[name];
+  return fields;
+}, {});
 
+// @route   GET /api/prompts/admin/presets
+// @desc    List every preset, including inactive ones (admin only)
+// @access  Private (Admin)
+router.get('/admin/presets', auth, requireAdmin, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
 
+  const filter = {};
+  if (req.query.category) filter.category = req.query.category.toString().toLowerCase();
+  if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+  if (req.query.tier) filter.tier = req.query.tier.toString();
+  if (req.query.search) {
+    const search = req.query.search.toString().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    filter.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { slug: { $regex: search, $options: 'i' } },
+      { mainPrompt: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  const [presets, total] = await Promise.all([
+    Preset.find(filter)
+      .sort({ category: 1, sortOrder: 1, name: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Preset.countDocuments(filter)
+  ]);
 
+  res.json({
+    presets,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
 
+// @route   GET /api/prompts/admin/presets/export
+// @desc    Download the preset catalogue as CSV or XLSX (?format=csv|xlsx,
+//          ?includeInactive=false to leave out deactivated presets)
+// @access  Private (Admin)
+router.get('/admin/presets/export', auth, requireAdmin, asyncHandler(async (req, res) => {
+  const { buffer, contentType, filename } = await presetImporter.exportPresets(
+    (req.query.format || 'csv').toString().toLowerCase(),
+    { includeInactive: req.query.includeInactive !== 'false' }
+  );
 
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+  res.send(buffer);
+}));
 
-// Get all prompts
-router.get('/all', async (req, res) => {
+// @route   POST /api/prompts/admin/presets/import
+// @desc    Import a CSV or XLSX preset sheet (multipart field "file"). With
+//          ?dryRun=true nothing is saved and the per-row report is returned;
+//          ?allowTierChanges=true lets the sheet change existing presets' tiers.
+// @access  Private (Admin)
+router.post('/admin/presets/import', auth, requireAdmin, uploadSpreadsheet, asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      error: 'Upload a .csv or .xlsx file in the "file" field'
+    });
+  }
+
+  const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+  const report = await presetImporter.importSheet(req.file.buffer, req.file.originalname, {
+    dryRun,
+    allowTierChanges: req.query.allowTierChanges === 'true' || req.body.allowTierChanges === 'true',
+    userId: req.user._id
+  });
+
+  if (!dryRun) {
+    await promptMatcher.reloadPrompts();
+  }
+
+  res.json({
+    message: dryRun ? 'Dry run complete; nothing was saved' : 'Import complete',
+    ...report
+  });
+}));
+
+// @route   GET /api/prompts/admin/presets/:slug
+// @desc    Get one preset (admin only)
+// @access  Private (Admin)
+router.get('/admin/presets/:slug', auth, requireAdmin, asyncHandler(async (req, res) => {
+  const preset = await Preset.findOne({ slug: req.params.slug });
+  if (!preset) {
+    return res.status(404).json({
+      error: 'Preset not found'
+    });
+  }
+
+  res.json({ preset });
+}));
+
+// @route   POST /api/prompts/admin/presets
+// @desc    Create a preset; the slug is generated from the name unless given
+// @access  Private (Admin)
+router.post('/admin/presets', auth, requireAdmin, presetValidators(), asyncHandler(async (req, res) => {
+  if (!validate(req, res)) return;
+
+  if (req.body.slug && await Preset.exists({ slug: req.body.slug })) {
+    return res.status(409).json({
+      error: `Slug "${req.body.slug}" is already in use`
+    });
+  }
+
+  const preset = await Preset.create({
+    ...pickPresetFields(req.body),
+    slug: req.body.slug || await Preset.generateUniqueSlug(req.body.name),
+    source: { kind: 'admin' },
+    createdBy: req.user._id,
+    updatedBy: req.user._id
+  });
+
+  await promptMatcher.reloadPrompts();
+
+  res.status(201).json({
+    message: 'Preset created',
+    preset
+  });
+}));
+
+// @route   PUT /api/prompts/admin/presets/:slug
+// @desc    Update a preset; the slug itself never changes
+// @access  Private (Admin)
+router.put('/admin/presets/:slug', auth, requireAdmin, presetValidators({ partial: true }), asyncHandler(async (req, res) => {
+  if (!validate(req, res)) return;
+
+  if (req.body.slug && req.body.slug !== req.params.slug) {
+    return res.status(400).json({
+      error: 'A preset\'s slug cannot be changed'
+    });
+  }
+
+  const preset = await Preset.findOne({ slug: req.params.slug });
+  if (!preset) {
+    return res.status(404).json({
+      error: 'Preset not found'
+    });
+  }
+
+  preset.set({ ...pickPresetFields(req.body), updatedBy: req.user._id });
+  await preset.save();
+  await promptMatcher.reloadPrompts();
+
+  res.json({
+    message: 'Preset updated',
+    preset
+  });
+}));
+
+// @route   DELETE /api/prompts/admin/presets/:slug
+// @desc    Deactivate a preset. It is kept (and can be re-activated) so past
+//          generations still point at a real preset.
+// @access  Private (Admin)
+router.delete('/admin/presets/:slug', auth, requireAdmin, asyncHandler(async (req, res) => {
+  const preset = await Preset.findOneAndUpdate(
+    { slug: req.params.slug },
+    { isActive: false, updatedBy: req.user._id },
+    { new: true }
+  );
+  if (!preset) {
+    return res.status(404).json({
+      error: 'Preset not found'
+    });
+  }
+
+  await promptMatcher.reloadPrompts();
+
+  res.json({
+    message: 'Preset deactivated',
+    preset
+  });
+}));
+
+// Get all prompts available to the user's tier
+router.get('/all', auth, async (req, res) => {
   try {
-    const prompts = await promptMatcher.getAllPrompts();
+    const prompts = await promptMatcher.getPromptsByUserTier(req.user.tier);
     res.json({ prompts, count: prompts.length });
   } catch (error) {
     console.error('Error getting prompts:', error);
@@ -27,11 +289,12 @@ router.get('/all', async (req, res) => {
   }
 });
 
-// Get prompts by category
-router.get('/category/:category', async (req, res) => {
+// Get prompts by category (available to the user's tier)
+router.get('/category/:category', auth, async (req, res) => {
   try {
     const { category } = req.params;
-    const prompts = await promptMatcher.getPromptsByCategory(category);
+    const prompts = (await promptMatcher.getPromptsByCategory(category))
+      .filter(prompt => prompt.user_tier === 'free' || req.user.tier === 'paid');
     res.json({ prompts, count: prompts.length, category });
   } catch (error) {
     console.error('Error getting prompts by category:', error);
@@ -42,10 +305,13 @@ router.get('/category/:category', async (req, res) => {
   }
 });
 
-// Smart prompt matching endpoint
-router.post('/match', async (req, res) => {
+// Smart prompt matching endpoint. The tier always comes from the signed-in
+// user; a userTier field in the body is ignored.
+router.post('/match', auth, async (req, res) => {
   try {
-    const { userInput, category, userTier = 'free', limit = 5 } = req.body;
+    const { userInput, category } = req.body;
+    const userTier = req.user.tier;
+    const limit = Math.min(Math.max(parseInt(req.body.limit) || 5, 1), 20);
     
     if (!userInput || userInput.trim().length === 0) {
       return res.status(400).json({ error: 'User input is required' });
@@ -74,10 +340,11 @@ router.post('/match', async (req, res) => {
   }
 });
 
-// Get best match for user input
-router.post('/best-match', async (req, res) => {
+// Get best match for user input (tier from the signed-in user, as for /match)
+router.post('/best-match', auth, async (req, res) => {
   try {
-    const { userInput, category, userTier = 'free' } = req.body;
+    const { userInput, category } = req.body;
+    const userTier = req.user.tier;
     
     if (!userInput || userInput.trim().length === 0) {
       return res.status(400).json({ error: 'User input is required' });
@@ -113,7 +380,7 @@ router.post('/best-match', async (req, res) => {
 });
 
 // Get available categories
-router.get('/categories', async (req, res) => {
+router.get('/categories', auth, async (req, res) => {
   try {
     const categories = await promptMatcher.getCategories();
     res.json({ categories });
@@ -127,7 +394,7 @@ router.get('/categories', async (req, res) => {
 });
 
 // Get available styles
-router.get('/styles', async (req, res) => {
+router.get('/styles', auth, async (req, res) => {
   try {
     const styles = await promptMatcher.getStyles();
     res.json({ styles });
@@ -140,8 +407,8 @@ router.get('/styles', async (req, res) => {
   }
 });
 
-// Get prompt statistics
-router.get('/stats', async (req, res) => {
+// Get prompt statistics (admin only)
+router.get('/stats', auth, requireAdmin, async (req, res) => {
   try {
     const stats = await promptMatcher.getStats();
     res.json(stats);
@@ -154,8 +421,8 @@ router.get('/stats', async (req, res) => {
   }
 });
 
-// Reload prompts (useful after upload)
-router.post('/reload', async (req, res) => {
+// Reload prompts (picks up presets imported by scripts/importPresets.js; admin only)
+router.post('/reload', auth, requireAdmin, async (req, res) => {
   try {
     await promptMatcher.reloadPrompts();
     const stats = await promptMatcher.getStats();
@@ -172,6 +439,4 @@ router.post('/reload', async (req, res) => {
   }
 });
 
-
-
 module.exports = router;
\ No newline at end of file
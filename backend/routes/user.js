@@ -1,18 +1,36 @@
 const express = require('express');
+const { body, query, validationResult } = require('express-validator');
 const { auth, requirePaidTier, requireAdmin } = require('../middleware/auth');
 const { uploadRateLimit } = require('../middleware/security');
 const { asyncHandler } = require('../middleware/errorHandler');
 const User = require('../models/User');
-const Quota = require('../models/Quota');
 const Generation = require('../models/Generation');
+const AccountPurge = require('../models/AccountPurge');
+const accountDeletion = require('../services/accountDeletion');
+const sessionService = require('../services/sessionService');
+const storageReaper = require('../services/storageReaper');
+const quotaService = require('../services/quotaService');
 
 const router = express.Router();
 
+const validate = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
 // @route   GET /api/user/quota
 // @desc    Get user's current quota status
 // @access  Private
 router.get('/quota', auth, asyncHandler(async (req, res) => {
-  const quota = await Quota.getTodayQuota(req.user._id);
+  const quota = await quotaService.getTodayQuota(req.user);
+  const storage = await storageReaper.checkUserCap(req.user);
   
   res.json({
     quota: {
@@ -22,11 +40,20 @@ router.get('/quota', auth, asyncHandler(async (req, res) => {
       usagePercentage: quota.usagePercentage,
       status: quota.status,
       resetAt: quota.resetAt,
-      date: quota.date
+      date: quota.date,
+      timezone: quota.timezone
     },
     user: {
       tier: req.user.tier,
-      dailyLimit: req.user.dailyLimit
+      dailyLimit: req.user.dailyLimit,
+      timezone: req.user.timezone,
+      creditBalance: req.user.creditBalance,
+      maxVariations: Generation.getMaxVariations(req.user.tier)
+    },
+    storage: {
+      usedBytes: storage.usedBytes,
+      capBytes: storage.capBytes,
+      exceeded: storage.exceeded
     }
   });
 }));
@@ -35,8 +62,8 @@ router.get('/quota', auth, asyncHandler(async (req, res) => {
 // @desc    Get user's generation history
 // @access  Private
 router.get('/generations', auth, asyncHandler(async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 20;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
   const status = req.query.status;
   const preset = req.query.preset;
   // New: support search and sortBy
@@ -46,11 +73,14 @@ router.get('/generations', auth, asyncHandler(async (req, res) => {
   // Build filter
   const filter = { userId: req.user._id };
   if (status && status !== 'all') filter.status = status;
-  if (preset) filter.presetUsed = preset;
-  if (search && search.trim()) {
+  // Presets are filtered by id; 'custom' means generations without a preset
+  if (preset) filter.presetId = preset === 'custom' ? null : preset;
+  if (search && search.toString().trim()) {
+    // Searched as literal text, not as a regular expression
+    const pattern = search.toString().trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     filter.$or = [
-      { prompt: { $regex: search, $options: 'i' } },
-      { presetUsed: { $regex: search, $options: 'i' } }
+      { prompt: { $regex: pattern, $options: 'i' } },
+      { presetName: { $regex: pattern, $options: 'i' } }
     ];
   }
 
@@ -72,9 +102,6 @@ router.get('/generations', auth, asyncHandler(async (req, res) => {
     if (!Array.isArray(obj.imageUrls) || obj.imageUrls.length === 0) {
       obj.imageUrls = obj.generatedImageUrl ? [obj.generatedImageUrl] : [];
     }
-    if (!obj.preset && obj.presetUsed) {
-      obj.preset = { name: obj.presetUsed };
-    }
     return obj;
   });
 
@@ -94,6 +121,76 @@ router.get('/generations', auth, asyncHandler(async (req, res) => {
   });
 }));
 
+// @route   GET /api/user/generations/facets
+// @desc    Presets and statuses found in the user's history, with counts, for filtering it
+// @access  Private
+router.get('/generations/facets', auth, asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+
+  const [presets, statuses] = await Promise.all([
+    Generation.aggregate([
+      { $match: { userId } },
+      { $sort: { createdAt: 1 } },
+      { $group: { _id: '$presetId', name: { $last: '$presetName' }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]),
+    Generation.aggregate([
+      { $match: { userId } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  res.json({
+    presets: presets.map(p => ({
+      id: p._id || 'custom',
+      name: p._id ? p.name || p._id : 'Custom prompt',
+      count: p.count
+    })),
+    statuses: statuses.map(s => ({
+      status: s._id,
+      count: s.count
+    }))
+  });
+}));
+
+// @route   POST /api/user/generations/bulk-delete
+// @desc    Delete several generations at once
+// @access  Private
+router.post('/generations/bulk-delete', auth, [
+  body('ids')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('ids must list between 1 and 100 generations'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Every id must be a generation id')
+], asyncHandler(async (req, res) => {
+  if (!validate(req, res)) return;
+
+  // Generations still being worked on are skipped: the worker would fail on the
+  // missing record and their reserved quota would never be refunded
+  const inFlight = await Generation.find({
+    _id: { $in: req.body.ids },
+    userId: req.user._id,
+    status: 'processing'
+  }).select('_id');
+
+  // Only the user's own generations are touched; their files go with the next storage reaper run
+  const result = await Generation.deleteMany({
+    _id: { $in: req.body.ids },
+    userId: req.user._id,
+    status: { $ne: 'processing' }
+  });
+
+  const skipped = inFlight.map(generation => generation._id);
+  res.json({
+    message: skipped.length > 0
+      ? `${result.deletedCount} generation(s) deleted; ${skipped.length} still in progress were kept`
+      : `${result.deletedCount} generation(s) deleted`,
+    deleted: result.deletedCount,
+    skipped
+  });
+}));
+
 // @route   GET /api/user/generations/:id
 // @desc    Get specific generation details
 // @access  Private
@@ -116,19 +213,22 @@ router.get('/generations/:id', auth, asyncHandler(async (req, res) => {
 // @desc    Delete a generation
 // @access  Private
 router.delete('/generations/:id', auth, asyncHandler(async (req, res) => {
-  const generation = await Generation.findOne({
+  // Same rule as bulk delete: a generation still being worked on can't be removed
+  const generation = await Generation.findOneAndDelete({
     _id: req.params.id,
-    userId: req.user._id
+    userId: req.user._id,
+    status: { $ne: 'processing' }
   });
 
   if (!generation) {
-    return res.status(404).json({
-      error: 'Generation not found'
+    const inFlight = await Generation.exists({ _id: req.params.id, userId: req.user._id });
+    return res.status(inFlight ? 409 : 404).json({
+      error: inFlight
+        ? 'This generation is still in progress; delete it once it has finished'
+        : 'Generation not found'
     });
   }
 
-  await generation.deleteOne();
-
   res.json({
     message: 'Generation deleted successfully'
   });
@@ -162,12 +262,13 @@ router.get('/stats', auth, asyncHandler(async (req, res) => {
   });
 
   // Get today's quota
-  const todayQuota = await Quota.getTodayQuota(userId);
+  const todayQuota = await quotaService.getTodayQuota(req.user);
 
-  // Get most used presets
+  // Get most used presets, by id; the name shown is the latest snapshot
   const presetStats = await Generation.aggregate([
     { $match: { userId: userId, status: 'completed' } },
-    { $group: { _id: '$presetUsed', count: { $sum: 1 } } },
+    { $sort: { createdAt: 1 } },
+    { $group: { _id: '$presetId', name: { $last: '$presetName' }, count: { $sum: 1 } } },
     { $sort: { count: -1 } },
     { $limit: 5 }
   ]);
@@ -211,7 +312,8 @@ router.get('/stats', auth, asyncHandler(async (req, res) => {
         remaining: todayQuota.generationsRemaining
       },
       presets: presetStats.map(p => ({
-        name: p._id,
+        id: p._id || 'custom',
+        name: p._id ? p.name || p._id : 'Custom prompt',
         count: p.count
       })),
       activity: dailyActivity.map(a => ({
@@ -260,37 +362,6 @@ router.get('/tier-info', auth, asyncHandler(async (req, res) => {
   });
 }));
 
-// @route   POST /api/user/upgrade
-// @desc    Upgrade user to paid tier (placeholder for payment integration)
-// @access  Private
-router.post('/upgrade', auth, asyncHandler(async (req, res) => {
-  if (req.user.tier === 'paid') {
-    return res.status(400).json({
-      error: 'User is already on paid tier'
-    });
-  }
-
-  // In a real implementation, this would integrate with a payment processor
-  // For now, we'll just simulate the upgrade
-  
-  // This is a placeholder - in production, you would:
-  // 1. Validate payment information
-  // 2. Process payment with Stripe/PayPal/etc.
-  // 3. Only upgrade on successful payment
-
-  const user = await User.findById(req.user._id);
-  await user.upgradeToPaid();
-
-  res.json({
-    message: 'Successfully upgraded to paid tier',
-    user: {
-      id: user._id,
-      tier: user.tier,
-      dailyLimit: user.dailyLimit
-    }
-  });
-}));
-
 // Admin routes
 
 // @route   GET /api/user/admin/users
@@ -385,17 +456,150 @@ router.put('/admin/users/:id/status', auth, requireAdmin, asyncHandler(async (re
     });
   }
 
-  user.isActive = isActive;
-  await user.save();
+  // Reactivating an account that is waiting to be deleted cancels the deletion.
+  // Deactivating keeps any pending deletion, but the user can no longer cancel
+  // it (and undo the deactivation) by logging in.
+  user.deactivatedByAdmin = !isActive;
+  if (isActive && user.deletionScheduledFor) {
+    await accountDeletion.cancel(user);
+  } else {
+    user.isActive = isActive;
+    await user.save();
+  }
+
+  // A deactivated user is signed out everywhere straight away
+  if (!isActive) {
+    await sessionService.invalidateTokens(user, { reason: 'deactivated' });
+  }
 
   res.json({
     message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
     user: {
       id: user._id,
       email: user.email,
-      isActive: user.isActive
+      isActive: user.isActive,
+      deletionScheduledFor: user.deletionScheduledFor
+    }
+  });
+}));
+
+// @route   POST /api/user/admin/users/:id/purge
+// @desc    Permanently delete a user and all their data now (admin only)
+// @access  Private (Admin)
+router.post('/admin/users/:id/purge', auth, requireAdmin, [
+  body('confirmEmail')
+    .isEmail()
+    .withMessage("Confirm the purge with the user's email address")
+], asyncHandler(async (req, res) => {
+  if (!validate(req, res)) return;
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return res.status(404).json({
+      error: 'User not found'
+    });
+  }
+
+  if (user._id.equals(req.user._id)) {
+    return res.status(400).json({
+      error: 'You cannot purge your own account'
+    });
+  }
+
+  if (req.body.confirmEmail.toLowerCase() !== user.email) {
+    return res.status(400).json({
+      error: "The confirmation email does not match the user's email"
+    });
+  }
+
+  const purge = await accountDeletion.purge(user, {
+    trigger: 'admin',
+    performedBy: req.user._id
+  });
+
+  res.json({
+    message: 'User and all their data permanently deleted',
+    purge
+  });
+}));
+
+// @route   GET /api/user/admin/purges
+// @desc    Audit trail of permanently deleted accounts (admin only)
+// @access  Private (Admin)
+router.get('/admin/purges', auth, requireAdmin, [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('userId').optional().isMongoId().withMessage('userId must be a user id'),
+  query('email').optional().isEmail().withMessage('email must be an email address')
+], asyncHandler(async (req, res) => {
+  if (!validate(req, res)) return;
+
+  const page = req.query.page || 1;
+  const limit = req.query.limit || 50;
+
+  const filter = {};
+  if (req.query.userId) filter.userId = req.query.userId;
+  // Emails are only kept hashed, so look them up by their hash
+  if (req.query.email) filter.emailHash = accountDeletion.hashEmail(req.query.email);
+
+  const [purges, total] = await Promise.all([
+    AccountPurge.find(filter)
+      .populate('performedBy', 'email firstName lastName')
+      .sort({ purgedAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit),
+    AccountPurge.countDocuments(filter)
+  ]);
+
+  res.json({
+    purges,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+// @route   GET /api/user/admin/storage
+// @desc    Dry-run storage reconciliation report (admin only)
+// @access  Private (Admin)
+router.get('/admin/storage', auth, requireAdmin, asyncHandler(async (req, res) => {
+  if (storageReaper.running) {
+    return res.status(409).json({
+      error: 'Storage reaper is already running'
+    });
+  }
+
+  const report = await storageReaper.run({ dryRun: true });
+
+  res.json({
+    report,
+    lastRun: storageReaper.lastReport && {
+      finishedAt: storageReaper.lastReport.finishedAt,
+      deleted: storageReaper.lastReport.deleted,
+      reclaimedBytes: storageReaper.lastReport.reclaimedBytes
     }
   });
 }));
 
+// @route   POST /api/user/admin/storage/reap
+// @desc    Delete orphaned files and recompute storage usage (admin only)
+// @access  Private (Admin)
+router.post('/admin/storage/reap', auth, requireAdmin, asyncHandler(async (req, res) => {
+  if (storageReaper.running) {
+    return res.status(409).json({
+      error: 'Storage reaper is already running'
+    });
+  }
+
+  const report = await storageReaper.run({ dryRun: false });
+
+  res.json({
+    message: `Removed ${report.deleted} orphaned file(s)`,
+    report
+  });
+}));
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,47 @@
+// One-time import of the preset CSV files into MongoDB.
+//   node scripts/importPresets.js [--dry-run] [file.csv|file.xlsx ...]
+// With no files every sheet in data/prompts is imported. Safe to run again:
+// rows that were already imported are skipped.
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const path = require('path');
+const { connectDB, closeDB } = require('../config/database');
+const presetImporter = require('../services/presetImporter');
+
+const run = async () => {
+  await connectDB();
+
+  const args = process.argv.slice(2);
+  const options = { dryRun: args.includes('--dry-run') };
+  const files = args.filter(arg => !arg.startsWith('--')).map(file => path.resolve(file));
+  let reports;
+  if (files.length > 0) {
+    // One file at a time, so generated slugs can't collide
+    reports = [];
+    for (const file of files) {
+      reports.push(await presetImporter.importFile(file, options));
+    }
+  } else {
+    reports = await presetImporter.importDirectory(undefined, options);
+  }
+
+  if (reports.length === 0) {
+    console.log(`No preset sheets found in ${presetImporter.DEFAULT_DIR}`);
+  }
+
+  reports.forEach(report => {
+    const { summary } = report;
+    console.log(`📄 ${report.file}${report.dryRun ? ' (dry run)' : ''}: ${summary.create} created, ${summary.update} updated, ` +
+      `${summary.unchanged} unchanged, ${summary.duplicate} duplicates, ${summary.tier_conflict} tier conflicts, ${summary.invalid} invalid`);
+    report.rows
+      .filter(row => row.errors.length > 0 || row.warnings.length > 0)
+      .forEach(row => console.log(`   line ${row.line} (${row.action}): ${[...row.errors, ...row.warnings].join('; ')}`));
+  });
+
+  await closeDB();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Preset import failed:', error);
+  await closeDB().catch(() => {});
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+// One-time migration of Generation.presetUsed (a preset name from a fixed list)
+// to presetId + presetName.
+//   node scripts/migratePresetRefs.js [--dry-run]
+// Names are matched to presets by name, slug or (for early CSV presets, named
+// after their category) category. Names no preset matches keep their slugified
+// name as id, so their history still groups together. Safe to run again.
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const { connectDB, closeDB } = require('../config/database');
+const Generation = require('../models/Generation');
+const Preset = require('../models/Preset');
+const { slugify } = Preset;
+
+const run = async () => {
+  await connectDB();
+  const dryRun = process.argv.includes('--dry-run');
+
+  // Inactive presets count too: old generations may have used them
+  const presets = await Preset.find().select('slug name category').lean();
+  const resolve = (name) => {
+    const lower = name.toLowerCase();
+    return presets.find(preset => preset.name.toLowerCase() === lower)
+      || presets.find(preset => preset.slug === slugify(name))
+      || presets.find(preset => preset.category === lower);
+  };
+
+  // presetUsed is no longer in the schema, so read it from the raw collection
+  const names = await Generation.collection.distinct('presetUsed', { presetUsed: { $exists: true } });
+  let migrated = 0;
+
+  for (const name of names) {
+    const filter = { presetUsed: name };
+    const count = await Generation.collection.countDocuments(filter);
+    let update;
+    let outcome;
+    let icon = '✅';
+
+    if (!name || name === 'custom') {
+      update = { presetId: null, presetName: null };
+      outcome = 'custom prompt';
+    } else {
+      const preset = resolve(name);
+      update = { presetId: preset ? preset.slug : (slugify(name) || null), presetName: name };
+      outcome = preset ? `preset ${preset.slug}` : `no matching preset, id ${update.presetId}`;
+      if (!preset) icon = '⚠️ ';
+    }
+
+    console.log(`${icon} "${name}" (${count} generation${count === 1 ? '' : 's'}): ${outcome}`);
+    if (!dryRun) {
+      await Generation.collection.updateMany(filter, { $set: update, $unset: { presetUsed: '' } });
+    }
+    migrated += count;
+  }
+
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} generation(s) from ${names.length} preset name(s)`);
+  await closeDB();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Preset reference migration failed:', error);
+  await closeDB().catch(() => {});
+  process.exit(1);
+});
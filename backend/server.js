@@ -6,6 +6,7 @@ const morgan = require('morgan');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const mongoSanitize = require('express-mongo-sanitize');
+const cookieParser = require('cookie-parser');
 const session = require('express-session');
 const MongoStore = require('connect-mongo');
 const path = require('path');
@@ -21,6 +22,16 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
 const generateRoutes = require('./routes/generate');
 const promptsRoutes = require('./routes/prompts');
+const filesRoutes = require('./routes/files');
+const billingRoutes = require('./routes/billing');
+const exportsRoutes = require('./routes/exports');
+
+// Background workers
+const generationQueue = require('./services/generationQueue');
+const storageReaper = require('./services/storageReaper');
+const subscriptionService = require('./services/subscriptionService');
+const exportService = require('./services/exportService');
+const accountDeletion = require('./services/accountDeletion');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
@@ -33,6 +44,11 @@ const {
 
 const app = express();
 
+// Presigned object-store URLs are loaded and downloaded straight from the bucket
+const storageOrigin = process.env.STORAGE_DRIVER === 's3'
+  ? new URL(process.env.STORAGE_S3_PUBLIC_ENDPOINT || process.env.STORAGE_S3_ENDPOINT || 'https://s3.amazonaws.com').origin
+  : null;
+
 // Security headers
 app.use(securityHeaders);
 
@@ -43,9 +59,9 @@ app.use(helmet({
       defaultSrc: ["'self'"],
       styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
       fontSrc: ["'self'", "https://fonts.gstatic.com"],
-      imgSrc: ["'self'", "data:", "https:"],
+      imgSrc: ["'self'", "data:", "https:", storageOrigin].filter(Boolean),
       scriptSrc: ["'self'"],
-      connectSrc: ["'self'"],
+      connectSrc: ["'self'", storageOrigin].filter(Boolean),
       frameSrc: ["'none'"],
       objectSrc: ["'none'"],
       upgradeInsecureRequests: []
@@ -100,9 +116,20 @@ app.use(cors({
 app.use(globalRateLimit);
 
 // Body parsing middleware (reduced limits for security)
-app.use(express.json({ limit: '1mb' }));
+app.use(express.json({
+  limit: '1mb',
+  // Payment webhooks are verified against the exact bytes that were signed
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/billing/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
+// Refresh tokens arrive in an httpOnly cookie
+app.use(cookieParser());
+
 // Input sanitization
 app.use(sanitizeInput);
 
@@ -114,7 +141,8 @@ if (process.env.NODE_ENV !== 'test') {
   app.use(morgan('combined'));
 }
 
-// Static file serving for uploads
+// Static file serving for uploads made before the storage layer existed;
+// newer files are served through signed URLs (see routes/files.js)
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Health check endpoint
@@ -138,6 +166,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/generate', generateRoutes);
 app.use('/api/prompts', promptsRoutes);
+app.use('/api/files', filesRoutes);
+app.use('/api/billing', billingRoutes);
+app.use('/api/exports', exportsRoutes);
 
 // 404 handler for API routes
 app.use('/api/*', (req, res) => {
@@ -174,6 +205,21 @@ const connectDB = async () => {
     });
     
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    // Start processing queued generations (also recovers jobs left behind by a crash)
+    await generationQueue.start();
+
+    // Periodically remove files no generation references any more
+    storageReaper.start();
+
+    // Downgrade users whose subscription ended or whose grace period ran out
+    subscriptionService.start();
+
+    // Build queued ZIP exports and delete the ones that have expired
+    exportService.start();
+
+    // Purge accounts whose deletion cooling-off period has ended
+    accountDeletion.start();
   } catch (error) {
     console.error('Database connection error:', error);
     process.exit(1);
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Generation = require('../models/Generation');
+const GenerationJob = require('../models/GenerationJob');
+const Quota = require('../models/Quota');
+const CreditTransaction = require('../models/CreditTransaction');
+const Subscription = require('../models/Subscription');
+const Export = require('../models/Export');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const AccountPurge = require('../models/AccountPurge');
+const storageReaper = require('./storageReaper');
+const paymentProvider = require('./payments');
+const { GENERATION_FILE_FIELDS } = storageReaper;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every collection holding a user's documents, by the name used in the audit record
+const USER_COLLECTIONS = {
+  generations: Generation,
+  generationJobs: GenerationJob,
+  quotas: Quota,
+  creditTransactions: CreditTransaction,
+  subscriptions: Subscription,
+  exports: Export,
+  sessions: Session,
+  authTokens: AuthToken
+};
+
+// Self-service account deletion. Asking to delete deactivates the account and
+// schedules it for purging after a cooling-off period, during which logging in
+// again cancels the request. Once due, the user's documents and stored files
+// are removed for good and an AccountPurge audit record is written.
+class AccountDeletionService {
+  constructor() {
+    this.graceDays = parseFloat(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+    this.intervalMs = (parseFloat(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES) || 60) * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.purgeDue().catch(error => {
+        console.error('❌ [ACCOUNT DELETION] Scheduled purge failed:', error.message);
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+
+    console.log(`🗑️  [ACCOUNT DELETION] Purging accounts ${this.graceDays} day(s) after deletion is requested`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Deactivate the account and stop any subscription from renewing
+  async schedule(user) {
+    const subscription = await Subscription.findOne({ userId: user._id });
+    if (subscription && subscription.isEntitled() && !subscription.cancelAtPeriodEnd) {
+      await paymentProvider.cancelSubscription(subscription.providerSubscriptionId, { atPeriodEnd: true });
+      subscription.cancelAtPeriodEnd = true;
+      subscription.canceledAt = new Date();
+      await subscription.save();
+    }
+
+    await user.scheduleDeletion(new Date(Date.now() + this.graceDays * DAY_MS));
+    await Session.revokeAllForUser(user._id, 'deactivated');
+    console.log(`🗑️  [ACCOUNT DELETION] User ${user._id} scheduled for deletion on ${user.deletionScheduledFor.toISOString()}`);
+    return user;
+  }
+
+  async cancel(user) {
+    await user.cancelDeletion();
+    console.log(`↩️  [ACCOUNT DELETION] Deletion of user ${user._id} cancelled`);
+    return user;
+  }
+
+  // Purge every account whose cooling-off period has ended
+  async purgeDue(now = new Date()) {
+    if (this.running) return 0;
+    this.running = true;
+
+    try {
+      const due = await User.find({ deletionScheduledFor: { $ne: null, $lte: now } });
+      for (const user of due) {
+        try {
+          await this.purge(user, { trigger: 'scheduled' });
+        } catch (error) {
+          // The user is left in place, so the next run tries again
+          console.error(`❌ [ACCOUNT DELETION] Failed to purge user ${user._id}:`, error.message);
+        }
+      }
+      return due.length;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Permanently remove a user: stored files first, then their documents, then
+  // the user. Safe to run again if it was interrupted part way.
+  async purge(user, { trigger = 'scheduled', performedBy = null } = {}) {
+    const fileErrors = [];
+    let deletedFiles = 0;
+    const deleteFile = async (file) => {
+      try {
+        await storageReaper.deleteFile(file);
+        deletedFiles += 1;
+      } catch (error) {
+        fileErrors.push({ key: file.key, error: error.message });
+      }
+    };
+
+    const generations = Generation.find({ userId: user._id }).select(GENERATION_FILE_FIELDS).cursor();
+    const seen = new Set();
+    for await (const generation of generations) {
+      for (const file of storageReaper.generationFiles(generation)) {
+        const id = `${file.location}:${file.key}`;
+        if (seen.has(id)) continue;
+        seen.add(id);
+        await deleteFile(file);
+      }
+    }
+
+    const archives = await Export.find({ userId: user._id, storageKey: { $ne: null } }).select('storageKey');
+    for (const record of archives) {
+      await deleteFile({ location: 'storage', key: record.storageKey });
+    }
+
+    // A subscription still running would keep charging an account that no longer exists
+    const subscription = await Subscription.findOne({ userId: user._id, status: { $in: ['active', 'past_due'] } });
+    if (subscription) {
+      await paymentProvider.cancelSubscription(subscription.providerSubscriptionId, { atPeriodEnd: false });
+    }
+
+    const deletedDocuments = {};
+    for (const [name, Model] of Object.entries(USER_COLLECTIONS)) {
+      const result = await Model.deleteMany({ userId: user._id });
+      deletedDocuments[name] = result.deletedCount;
+    }
+
+    const audit = await AccountPurge.create({
+      userId: user._id,
+      emailHash: this.hashEmail(user.email),
+      trigger,
+      performedBy,
+      status: fileErrors.length > 0 ? 'partial' : 'completed',
+      deletionRequestedAt: user.deletionRequestedAt,
+      deletionScheduledFor: user.deletionScheduledFor,
+      deletedDocuments,
+      deletedFiles,
+      fileErrors
+    });
+    await User.deleteOne({ _id: user._id });
+
+    console.log(`🗑️  [ACCOUNT DELETION] Purged user ${user._id} (${deletedFiles} file(s), ${fileErrors.length} error(s))`);
+    return audit;
+  }
+
+  hashEmail(email) {
+    return crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex');
+  }
+}
+
+// Export singleton instance
+module.exports = new AccountDeletionService();
@@ -0,0 +1,116 @@
+const User = require('../models/User');
+const AuthToken = require('../models/AuthToken');
+const mail = require('./mail');
+const templates = require('./mail/templates');
+const sessionService = require('./sessionService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class AccountEmailError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AccountEmailError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Email verification and password reset. Both send a link carrying a
+// single-use AuthToken to the frontend, which posts the token back here.
+class AccountEmailService {
+  constructor() {
+    this.verificationTtlMs = (parseFloat(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * HOUR_MS;
+    this.resetTtlMs = (parseFloat(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
+    this.frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  }
+
+  link(path, token) {
+    return `${this.frontendUrl}${path}?token=${encodeURIComponent(token)}`;
+  }
+
+  async sendVerification(user) {
+    const token = await AuthToken.issue(user, 'email_verification', this.verificationTtlMs);
+    await mail.send({
+      to: user.email,
+      ...templates.verifyEmail({
+        firstName: user.firstName,
+        url: this.link('/verify-email', token),
+        expiresInHours: Math.round(this.verificationTtlMs / HOUR_MS)
+      })
+    });
+    console.log(`📧 [ACCOUNT EMAILS] Verification email sent to user ${user._id}`);
+  }
+
+  // Confirm the address the token was sent to, if it is still the user's email
+  async verifyEmail(token) {
+    const record = await AuthToken.consume(token, 'email_verification');
+    const user = record && await User.findById(record.userId);
+    if (!user || user.email !== record.email) {
+      throw new AccountEmailError('This verification link is invalid or has expired');
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save({ validateBeforeSave: false });
+    }
+    return user;
+  }
+
+  // Send a reset link if the email belongs to an account. Callers answer the
+  // same way either way, so the response doesn't reveal who has an account.
+  async requestPasswordReset(email) {
+    const user = await User.findByEmail(email);
+    // Accounts waiting to be deleted may reset too; logging in cancels the deletion
+    if (!user || (!user.isActive && !user.canCancelDeletion())) {
+      return false;
+    }
+
+    const token = await AuthToken.issue(user, 'password_reset', this.resetTtlMs);
+    await mail.send({
+      to: user.email,
+      ...templates.passwordReset({
+        firstName: user.firstName,
+        url: this.link('/reset-password', token),
+        expiresInMinutes: Math.round(this.resetTtlMs / 60000)
+      })
+    });
+    console.log(`📧 [ACCOUNT EMAILS] Password reset email sent to user ${user._id}`);
+    return true;
+  }
+
+  // Check a reset link before the user picks a new password
+  async checkPasswordReset(token) {
+    const record = await AuthToken.findUsable(token, 'password_reset');
+    if (!record) {
+      throw new AccountEmailError('This password reset link is invalid or has expired');
+    }
+    return { email: record.email, expiresAt: record.expiresAt };
+  }
+
+  // Set the new password and sign the account out everywhere
+  async resetPassword(token, newPassword) {
+    const record = await AuthToken.consume(token, 'password_reset');
+    const user = record && await User.findById(record.userId).select('+password');
+    if (!user) {
+      throw new AccountEmailError('This password reset link is invalid or has expired');
+    }
+
+    user.password = newPassword;
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    // The reset link proved the user reads this inbox
+    if (user.email === record.email && !user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await sessionService.invalidateTokens(user, { reason: 'password_change' });
+    console.log(`🔑 [ACCOUNT EMAILS] Password reset for user ${user._id}`);
+    return user;
+  }
+}
+
+// Export singleton instance
+module.exports = new AccountEmailService();
+module.exports.AccountEmailError = AccountEmailError;
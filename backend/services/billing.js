@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const CreditTransaction = require('../models/CreditTransaction');
+const paymentProvider = require('./payments');
+
+class BillingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'BillingError';
+    this.statusCode = statusCode;
+  }
+}
+
+class InsufficientCreditsError extends BillingError {
+  constructor(balance, required) {
+    super(`Not enough credits: ${required} needed, ${balance} available`, 402);
+    this.name = 'InsufficientCreditsError';
+    this.balance = balance;
+    this.required = required;
+  }
+}
+
+// Appends that lose a race for the same place in a user's chain are retried this often
+const LEDGER_APPEND_ATTEMPTS = 5;
+
+// Credit packs sold as one-off top-ups (prices in cents)
+const CREDIT_PACKS = {
+  starter: { id: 'starter', name: 'Starter', credits: 50, price: 499 },
+  standard: { id: 'standard', name: 'Standard', credits: 120, price: 999 },
+  studio: { id: 'studio', name: 'Studio', credits: 300, price: 1999 }
+};
+
+// Every credit movement goes through the ledger: a CreditTransaction records
+// it and the balance after it, and the user's cached balance follows. Each entry
+// has an idempotency key, so retried requests and webhooks are harmless.
+class Billing {
+  constructor() {
+    this.currency = process.env.BILLING_CURRENCY || 'usd';
+    this.creditsPerGeneration = parseInt(process.env.CREDITS_PER_GENERATION) || 1;
+    this.proPlan = {
+      id: 'pro',
+      name: 'Pro',
+      price: parseInt(process.env.PRO_PLAN_PRICE_CENTS) || 999,
+      // Credits included with every paid period, usable once the daily quota runs out
+      credits: parseInt(process.env.PRO_PLAN_CREDITS) || 100
+    };
+  }
+
+  getCatalog() {
+    return {
+      currency: this.currency,
+      creditsPerGeneration: this.creditsPerGeneration,
+      creditPacks: Object.values(CREDIT_PACKS),
+      proPlan: this.proPlan,
+      paymentProvider: paymentProvider.name,
+      purchasesEnabled: paymentProvider.purchasesEnabled,
+      testPaymentMethods: paymentProvider.testPaymentMethods()
+    };
+  }
+
+  // Refuse anything that would take a payment when the provider can't
+  assertPurchasesEnabled() {
+    if (!paymentProvider.purchasesEnabled) {
+      throw new BillingError('Purchases are not available right now', 503);
+    }
+  }
+
+  // The ledger is the source of truth. A cached balance left behind by a write
+  // that stopped after its ledger entry is brought up to date here.
+  async getBalance(userId) {
+    const user = await User.findById(userId).select('creditSequence');
+    if (!user) {
+      throw new BillingError('User not found', 404);
+    }
+
+    const latest = await CreditTransaction.getLatest(userId);
+    if (latest.sequence > (user.creditSequence || 0)) {
+      await this.syncBalance(userId, { sequence: latest.sequence, balanceAfter: latest.balance });
+    }
+    return latest.balance;
+  }
+
+  // Apply one ledger entry. Debits never take the balance below zero.
+  // Resolves to { transaction, duplicate } where duplicate means the key was already used.
+  // The entry is appended to the user's chain in a single insert, so there is
+  // nothing to undo if the process dies before the cached balance is updated;
+  // the next entry or balance read brings the cache up to date.
+  async record({ userId, type, amount, idempotencyKey, description, reference = {}, createdBy = null, metadata = {} }) {
+    const existing = await CreditTransaction.findOne({ idempotencyKey });
+    if (existing) {
+      return { transaction: existing, duplicate: true };
+    }
+
+    if (!(await User.exists({ _id: userId }))) {
+      throw new BillingError('User not found', 404);
+    }
+
+    for (let attempt = 0; attempt < LEDGER_APPEND_ATTEMPTS; attempt++) {
+      const latest = await CreditTransaction.getLatest(userId);
+      if (amount < 0 && latest.balance + amount < 0) {
+        throw new InsufficientCreditsError(latest.balance, -amount);
+      }
+
+      let transaction;
+      try {
+        transaction = await CreditTransaction.create({
+          userId,
+          type,
+          amount,
+          balanceAfter: latest.balance + amount,
+          sequence: latest.sequence + 1,
+          idempotencyKey,
+          description,
+          reference,
+          createdBy,
+          metadata
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        // Either a concurrent request with the same key won the race, or another
+        // entry took this place in the chain and the balance must be read again
+        const duplicate = await CreditTransaction.findOne({ idempotencyKey });
+        if (duplicate) {
+          return { transaction: duplicate, duplicate: true };
+        }
+        continue;
+      }
+
+      await this.syncBalance(userId, transaction);
+      return { transaction, duplicate: false };
+    }
+
+    throw new BillingError('Too many concurrent credit changes, please try again', 503);
+  }
+
+  // Copy a ledger entry's balance to the user, unless a newer one got there first
+  syncBalance(userId, { sequence, balanceAfter }) {
+    return User.updateOne(
+      { _id: userId, creditSequence: { $not: { $gte: sequence } } },
+      { $set: { creditBalance: balanceAfter, creditSequence: sequence } }
+    );
+  }
+
+  // Charge the payment method, then credit the ledger. The same idempotency key
+  // is used for both, so a retry neither charges nor credits twice.
+  async chargeAndRecord(user, { price, description, paymentMethod, idempotencyKey, credits, metadata }) {
+    this.assertPurchasesEnabled();
+
+    const existing = await CreditTransaction.findOne({ idempotencyKey });
+    if (existing) {
+      return { transaction: existing, duplicate: true };
+    }
+
+    const charge = await paymentProvider.charge({
+      amount: price,
+      currency: this.currency,
+      description,
+      customerId: user._id,
+      paymentMethod,
+      idempotencyKey
+    });
+
+    if (charge.status !== 'succeeded') {
+      throw new BillingError(charge.failureMessage || 'Payment failed', 402);
+    }
+
+    return this.record({
+      userId: user._id,
+      type: 'purchase',
+      amount: credits,
+      idempotencyKey,
+      description,
+      reference: {
+        paymentProvider: paymentProvider.name,
+        paymentId: charge.id
+      },
+      metadata: { ...metadata, price, currency: this.currency }
+    });
+  }
+
+  async purchaseCredits(user, packId, { paymentMethod, idempotencyKey = crypto.randomUUID() } = {}) {
+    const pack = CREDIT_PACKS[packId];
+    if (!pack) {
+      throw new BillingError(`Unknown credit pack "${packId}"`);
+    }
+
+    return this.chargeAndRecord(user, {
+      price: pack.price,
+      credits: pack.credits,
+      description: `${pack.name} credit pack (${pack.credits} credits)`,
+      paymentMethod,
+      idempotencyKey: `purchase:${user._id}:${idempotencyKey}`,
+      metadata: { packId: pack.id }
+    });
+  }
+
+  // Credit the Pro plan's included credits for one paid subscription period.
+  // Keyed by period, so the subscribe request and the renewal webhook for the
+  // same period only credit once.
+  grantPlanCredits(userId, { subscriptionId, periodStart, paymentId = null }) {
+    return this.record({
+      userId,
+      type: 'purchase',
+      amount: this.proPlan.credits,
+      idempotencyKey: `subscription:${subscriptionId}:period:${new Date(periodStart).toISOString()}`,
+      description: `${this.proPlan.name} plan credits`,
+      reference: {
+        paymentProvider: paymentProvider.name,
+        paymentId
+      },
+      metadata: { plan: this.proPlan.id, subscriptionId, price: this.proPlan.price, currency: this.currency }
+    });
+  }
+
+  // Admin grant (or correction, with a negative amount)
+  grant(userId, amount, { reason, adminId, idempotencyKey = crypto.randomUUID() }) {
+    return this.record({
+      userId,
+      type: 'grant',
+      amount,
+      idempotencyKey: `grant:${userId}:${idempotencyKey}`,
+      description: reason,
+      createdBy: adminId
+    });
+  }
+
+  // Pay for a generation run with credits; throws InsufficientCreditsError
+  consumeForGeneration(userId, images, { generationId, attempt }) {
+    return this.record({
+      userId,
+      type: 'consumption',
+      amount: -images * this.creditsPerGeneration,
+      idempotencyKey: `generation:${generationId}:attempt:${attempt}`,
+      description: `${images} generation(s) beyond the daily quota`,
+      reference: { generationId },
+      metadata: { images }
+    });
+  }
+
+  // Give back credits for `images` outputs of a consumption that weren't delivered.
+  // refundedSoFar makes the key unique per partial refund of the same consumption.
+  async refundGeneration(transactionId, images, refundedSoFar = 0) {
+    const consumption = await CreditTransaction.findById(transactionId);
+    if (!consumption || consumption.type !== 'consumption') {
+      throw new BillingError('Consumption to refund was not found', 404);
+    }
+
+    const credits = Math.min(
+      images * this.creditsPerGeneration,
+      -consumption.amount - await CreditTransaction.getRefundedAmount(transactionId)
+    );
+    if (credits <= 0) return null;
+
+    return this.record({
+      userId: consumption.userId,
+      type: 'refund',
+      amount: credits,
+      idempotencyKey: `refund:${transactionId}:${refundedSoFar + images}`,
+      description: `Refund for ${images} undelivered generation(s)`,
+      reference: {
+        generationId: consumption.reference.generationId,
+        transactionId
+      }
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new Billing();
+module.exports.BillingError = BillingError;
+module.exports.InsufficientCreditsError = InsufficientCreditsError;
+module.exports.CREDIT_PACKS = CREDIT_PACKS;
@@ -0,0 +1,350 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const archiver = require('archiver');
+const { createObjectCsvStringifier } = require('csv-writer');
+const Export = require('../models/Export');
+const Generation = require('../models/Generation');
+const User = require('../models/User');
+const Quota = require('../models/Quota');
+const CreditTransaction = require('../models/CreditTransaction');
+const Subscription = require('../models/Subscription');
+const storage = require('./storage');
+const promptAssembly = require('./promptAssembly');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const MANIFEST_COLUMNS = [
+  'id', 'created_at', 'completed_at', 'status', 'type', 'preset_id', 'preset_name',
+  'prompt', 'size', 'images', 'original', 'parent_id', 'error'
+];
+
+class ExportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ExportError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Builds ZIP archives of a user's generations: every output image (optionally the
+// originals too) plus manifest.json and manifest.csv describing each generation.
+// Account exports add the rest of the user's personal data under account/.
+// Small selections are streamed straight into the response; larger ones become
+// Export jobs built in the background and stored under exports/ until they expire.
+class ExportService {
+  constructor() {
+    // Largest selection streamed directly; anything bigger needs a background export
+    this.streamLimit = parseInt(process.env.EXPORT_STREAM_MAX_GENERATIONS) || 50;
+    this.ttlMs = (parseFloat(process.env.EXPORT_TTL_HOURS) || 24) * HOUR_MS;
+    this.intervalMs = (parseFloat(process.env.EXPORT_SWEEP_INTERVAL_MINUTES) || 5) * 60 * 1000;
+    // A running export older than this was abandoned by a crashed worker
+    this.stalledMs = (parseFloat(process.env.EXPORT_TIMEOUT_MINUTES) || 60) * 60 * 1000;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.processing = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    const sweep = () => {
+      this.sweep().catch(error => {
+        console.error('❌ [EXPORTS] Sweep failed:', error.message);
+      });
+    };
+    this.timer = setInterval(sweep, this.intervalMs);
+    this.timer.unref();
+    sweep();
+
+    console.log(`📦 [EXPORTS] Export worker ${this.workerId} started`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Fail abandoned exports, delete expired archives and build whatever is queued
+  async sweep() {
+    const stalled = await Export.updateMany(
+      { status: 'running', startedAt: { $lt: new Date(Date.now() - this.stalledMs) } },
+      { $set: { status: 'failed', errorMessage: 'Export was interrupted; please request it again', finishedAt: new Date(), lockedBy: null } }
+    );
+    if (stalled.modifiedCount > 0) {
+      console.warn(`⚠️ [EXPORTS] Failed ${stalled.modifiedCount} interrupted export(s)`);
+    }
+
+    await this.expireArchives();
+    await this.processQueue();
+  }
+
+  async expireArchives() {
+    const expired = await Export.find({ status: 'completed', expiresAt: { $lt: new Date() } });
+
+    for (const record of expired) {
+      try {
+        if (record.storageKey) {
+          await storage.delete(record.storageKey);
+        }
+        record.status = 'expired';
+        record.storageKey = null;
+        await record.save();
+      } catch (error) {
+        console.error(`❌ [EXPORTS] Failed to expire export ${record._id}:`, error.message);
+      }
+    }
+
+    return expired.length;
+  }
+
+  // Resolve a selection to the user's generations, oldest first. Ids that aren't
+  // the user's are ignored; no ids means every generation they have.
+  findGenerations(userId, generationIds = []) {
+    const filter = { userId };
+    if (generationIds.length > 0) {
+      filter._id = { $in: generationIds };
+    }
+    return Generation.find(filter).sort({ createdAt: 1 });
+  }
+
+  countGenerations(userId, generationIds = []) {
+    const filter = { userId };
+    if (generationIds.length > 0) {
+      filter._id = { $in: generationIds };
+    }
+    return Generation.countDocuments(filter);
+  }
+
+  // Queue a background export; a user has at most one being built at a time
+  async request(user, { kind = 'generations', generationIds = [], includeOriginals = false } = {}) {
+    const active = await Export.findActiveForUser(user._id);
+    if (active) {
+      throw new ExportError('An export is already being prepared', 409);
+    }
+
+    // An account export covers everything, even with no generations
+    const isAccount = kind === 'account';
+    const count = await this.countGenerations(user._id, isAccount ? [] : generationIds);
+    if (count === 0 && !isAccount) {
+      throw new ExportError('There are no generations to export', 404);
+    }
+
+    const record = await Export.create({
+      userId: user._id,
+      kind,
+      generationIds: isAccount ? [] : generationIds,
+      includeOriginals: isAccount || includeOriginals
+    });
+    console.log(`📥 [EXPORTS] Queued ${kind} export ${record._id} of ${count} generation(s) for user ${user._id}`);
+
+    setImmediate(() => {
+      this.processQueue().catch(error => {
+        console.error('❌ [EXPORTS] Failed to process queue:', error.message);
+      });
+    });
+
+    return record;
+  }
+
+  // Build queued exports one at a time
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      let record;
+      while ((record = await Export.claimNext(this.workerId))) {
+        await this.build(record);
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  // Write the archive to a temporary file, then stream it into storage
+  async build(record) {
+    const tempPath = path.join(os.tmpdir(), `vibra-export-${record._id}.zip`);
+    console.log(`▶️  [EXPORTS] Building export ${record._id}`);
+
+    try {
+      const generations = this.findGenerations(record.userId, record.generationIds).cursor();
+      const output = fs.createWriteStream(tempPath);
+      const closed = once(output, 'close');
+      const extraFiles = record.kind === 'account' ? await this.accountFiles(record.userId) : [];
+      const summary = await this.writeArchive(output, generations, {
+        includeOriginals: record.includeOriginals,
+        extraFiles
+      });
+      await closed;
+
+      const storageKey = `exports/${record._id}.zip`;
+      const { size } = await fs.promises.stat(tempPath);
+      await storage.putFile(storageKey, tempPath, { contentType: 'application/zip' });
+
+      await record.markCompleted({
+        storageKey,
+        fileSize: size,
+        itemCount: summary.itemCount,
+        missingFiles: summary.missingFiles,
+        expiresAt: new Date(Date.now() + this.ttlMs)
+      });
+      console.log(`✅ [EXPORTS] Export ${record._id} ready (${summary.itemCount} generation(s), ${size} bytes)`);
+    } catch (error) {
+      console.error(`❌ [EXPORTS] Export ${record._id} failed:`, error.message);
+      await record.markFailed(error.message).catch(() => {});
+    } finally {
+      await fs.promises.unlink(tempPath).catch(() => {});
+    }
+  }
+
+  // Stream a ZIP of the generations (an array or a query cursor) into output, a
+  // file or an HTTP response. Images are streamed from storage one at a time, so memory stays flat however
+  // long the history is. Resolves once the archive has been finalized.
+  async writeArchive(output, generations, { includeOriginals = false, extraFiles = [] } = {}) {
+    const archive = archiver('zip', { store: true });
+    let finished = false;
+    // Settles early if the archive fails or the output goes away (a cancelled download)
+    const failed = new Promise((_, reject) => {
+      archive.on('error', reject);
+      output.on('close', () => {
+        if (finished) return;
+        archive.abort();
+        reject(new ExportError('The export was cancelled before it finished'));
+      });
+    });
+    failed.catch(() => {});
+    archive.pipe(output);
+
+    // Each stored file goes in once, even when several generations use it
+    // (a refinement's source is its parent's output)
+    const written = new Map();
+    let missingFiles = 0;
+
+    const addFile = async (key, name) => {
+      if (written.has(key)) return written.get(key);
+
+      let stream;
+      try {
+        stream = await storage.stream(key);
+      } catch (error) {
+        missingFiles += 1;
+        return null;
+      }
+
+      const entry = once(archive, 'entry');
+      archive.append(stream, { name });
+      await Promise.race([entry, failed]);
+      written.set(key, name);
+      return name;
+    };
+
+    const manifest = [];
+    for await (const generation of generations) {
+      const id = generation._id.toString();
+      const date = generation.createdAt.toISOString().slice(0, 10);
+
+      const images = [];
+      const keys = generation.generatedImageKeys.length > 0
+        ? generation.generatedImageKeys
+        : [generation.generatedImageKey].filter(Boolean);
+      for (const [index, key] of keys.entries()) {
+        const name = await addFile(key, `images/${date}-${id}-${index + 1}${path.extname(key) || '.jpg'}`);
+        if (name) images.push(name);
+      }
+
+      let original = null;
+      if (includeOriginals && generation.originalImageKey) {
+        original = await addFile(generation.originalImageKey, `originals/${date}-${id}${path.extname(generation.originalImageKey) || '.jpg'}`);
+      }
+
+      manifest.push(this.manifestEntry(generation, images, original));
+    }
+
+    extraFiles.forEach(file => archive.append(file.content, { name: file.name }));
+    archive.append(JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      count: manifest.length,
+      generations: manifest
+    }, null, 2), { name: 'manifest.json' });
+    archive.append(this.manifestCsv(manifest), { name: 'manifest.csv' });
+
+    await Promise.race([archive.finalize(), failed]);
+    finished = true;
+    return { itemCount: manifest.length, missingFiles };
+  }
+
+  // The user's personal data besides their generations, as JSON files
+  async accountFiles(userId) {
+    const [user, quotas, transactions, subscription] = await Promise.all([
+      User.findById(userId),
+      Quota.find({ userId }).sort({ date: 1 }).lean(),
+      CreditTransaction.find({ userId }).sort({ createdAt: 1 }).lean(),
+      Subscription.findOne({ userId }).lean()
+    ]);
+    if (!user) {
+      throw new ExportError('User not found', 404);
+    }
+
+    const profile = user.toJSON();
+    delete profile.loginAttempts;
+    delete profile.lockUntil;
+
+    const file = (name, data) => ({ name: `account/${name}`, content: JSON.stringify(data, null, 2) });
+    return [
+      file('profile.json', profile),
+      file('quota-history.json', quotas),
+      file('credit-transactions.json', transactions),
+      file('subscription.json', subscription)
+    ];
+  }
+
+  // What the manifest records about one generation; file paths are inside the archive
+  manifestEntry(generation, images, original) {
+    const favorite = generation.generatedImageKeys.indexOf(generation.generatedImageKey);
+    return {
+      id: generation._id.toString(),
+      createdAt: generation.createdAt,
+      completedAt: generation.processingEndTime,
+      status: generation.status,
+      type: generation.generationType,
+      preset: generation.presetId || generation.presetName
+        ? { id: generation.presetId, name: generation.presetName }
+        : null,
+      prompt: promptAssembly.stripInternalReferences(generation.prompt || ''),
+      size: generation.inputs?.size || generation.parameters?.size || null,
+      images,
+      favoriteImage: images[favorite] || images[0] || null,
+      original,
+      parentId: generation.parentId ? generation.parentId.toString() : null,
+      error: generation.errorMessage || null
+    };
+  }
+
+  manifestCsv(manifest) {
+    const stringifier = createObjectCsvStringifier({
+      header: MANIFEST_COLUMNS.map(column => ({ id: column, title: column }))
+    });
+    const records = manifest.map(entry => ({
+      id: entry.id,
+      created_at: entry.createdAt ? entry.createdAt.toISOString() : '',
+      completed_at: entry.completedAt ? entry.completedAt.toISOString() : '',
+      status: entry.status,
+      type: entry.type,
+      preset_id: entry.preset?.id || '',
+      preset_name: entry.preset?.name || '',
+      prompt: entry.prompt,
+      size: entry.size || '',
+      images: entry.images.join(';'),
+      original: entry.original || '',
+      parent_id: entry.parentId || '',
+      error: entry.error || ''
+    }));
+    return stringifier.getHeaderString() + stringifier.stringifyRecords(records);
+  }
+}
+
+// Export singleton instance
+module.exports = new ExportService();
+module.exports.ExportError = ExportError;
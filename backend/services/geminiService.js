@@ -1,12 +1,27 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const crypto = require('crypto');
-const fs = require('fs');
-const path = require('path');
+const sharp = require('sharp');
+const storage = require('./storage');
 
 class GeminiService {
   constructor() {
+    this.name = 'gemini';
     this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-2.5-flash-image-preview' });
+    this.modelName = 'gemini-2.5-flash-image-preview';
+    this.model = this.genAI.getGenerativeModel({ model: this.modelName });
+  }
+
+  capabilities() {
+    return {
+      imageToImage: true,
+      textToImage: true,
+      offline: false
+    };
+  }
+
+  // Credits charged per generated image
+  cost() {
+    return parseFloat(process.env.GEMINI_CREDITS_PER_IMAGE) || 1;
   }
 
   async generateImage(prompt, options = {}) {
@@ -16,7 +31,9 @@ class GeminiService {
         height = 1024,
         size = '1024x1024',
         quality = 'standard',
-        style = 'natural'
+        style = 'natural',
+        systemInstructions = null,
+        onEvent = () => {}
       } = options;
 
       // Privacy-safe payload debug for image generation
@@ -36,69 +53,40 @@ class GeminiService {
         }]
       }];
 
-      const generateContentConfig = {
-        responseModalities: ['IMAGE', 'TEXT']
-      };
-
       let imageData = null;
-      let textResponse = '';
-      let fileIndex = 0;
+      const { inlineData, textResponse } = await this.streamContent(contents, onEvent, systemInstructions);
 
-      // Generate content using non-streaming approach
-      const result = await this.model.generateContent({
-        contents: contents,
-        generationConfig: generateContentConfig
-      });
+      if (inlineData) {
+        const dataBuffer = Buffer.from(inlineData.data, 'base64');
 
-      const response = await result.response;
-      
-      if (response.candidates && response.candidates[0] && response.candidates[0].content) {
-        const parts = response.candidates[0].content.parts;
-        
-        for (const part of parts) {
-          // Check for image data
-          if (part.inlineData && part.inlineData.data) {
-            const inlineData = part.inlineData;
-            const dataBuffer = Buffer.from(inlineData.data, 'base64');
-            
-            // Generate unique filename
-            const fileId = crypto.randomUUID();
-            const mimeType = inlineData.mimeType || 'image/jpeg';
-            const extension = mimeType.split('/')[1] || 'jpg';
-            const fileName = `${fileId}.${extension}`;
-            const filePath = path.join(__dirname, '../uploads', fileName);
-            
-            // Save the image file
-            fs.writeFileSync(filePath, dataBuffer);
-            
-            imageData = {
-              fileName: fileName,
-              filePath: filePath,
-              mimeType: mimeType,
-              size: dataBuffer.length
-            };
-            break; // Take the first image found
-            
-            console.log('✅ [GEMINI DEBUG] Image generated and saved:', fileName);
-          }
-          
-          // Check for text response
-          if (part.text) {
-            textResponse += part.text;
-          }
-        }
+        // Generate unique filename
+        const fileId = crypto.randomUUID();
+        const mimeType = inlineData.mimeType || 'image/jpeg';
+        const extension = mimeType.split('/')[1] || 'jpg';
+        const fileName = `${fileId}.${extension}`;
+        const storageKey = `generated/${fileName}`;
+
+        // Save the image file
+        await storage.put(storageKey, dataBuffer, { contentType: mimeType });
+
+        imageData = {
+          fileName: fileName,
+          storageKey: storageKey,
+          mimeType: mimeType,
+          size: dataBuffer.length
+        };
+
+        console.log('✅ [GEMINI DEBUG] Image generated and saved:', fileName);
       }
 
       if (!imageData) {
         throw new Error('No image data received from Gemini API');
       }
 
-      // Return the generated image URL
-      const imageUrl = `/uploads/${imageData.fileName}`;
-
+      // Return the storage key; URLs are signed when responses are built
       return {
         success: true,
-        imageUrl: imageUrl,
+        storageKey: imageData.storageKey,
         enhancedPrompt: textResponse || prompt,
         data: {
           width: width,
@@ -144,16 +132,18 @@ class GeminiService {
     }
   }
 
-  async generateImageFromImage(imagePath, prompt, options = {}) {
+  async generateImageFromImage(imageBuffer, prompt, options = {}) {
     try {
       const {
         width = 1024,
         height = 1024,
-        size = '1024x1024'
+        size = '1024x1024',
+        mimeType = 'image/jpeg',
+        systemInstructions = null,
+        history = [],
+        onEvent = () => {}
       } = options;
 
-      // Read the uploaded image file
-      const imageBuffer = fs.readFileSync(imagePath);
       const base64Image = imageBuffer.toString('base64');
 
       // Privacy-safe payload debug for image+prompt request
@@ -165,88 +155,71 @@ class GeminiService {
           imageBytes: imageBuffer.length,
           imageBase64Length: base64Image.length,
           imageHashPrefix: imageHash,
-          mimeType: 'image/jpeg',
+          mimeType,
+          historyTurns: history.length,
           options: { width, height, size }
         });
       } catch (_) {}
-      
-      // Use the proper Gemini image generation API with input image and streaming
-      const contents = [{
-        role: 'user',
-        parts: [
-          {
-            text: prompt
-          },
-          {
-            inlineData: {
-              mimeType: 'image/jpeg',
-              data: base64Image
-            }
-          }
-        ]
-      }];
 
-      const generateContentConfig = {
-        responseModalities: ['IMAGE', 'TEXT']
+      onEvent('uploading', { bytes: imageBuffer.length });
+
+      // Use the proper Gemini image generation API with input image and streaming.
+      // With history the image is the model's reply in the last turn, and the
+      // prompt is a follow-up to it.
+      const imagePart = {
+        inlineData: {
+          mimeType,
+          data: base64Image
+        }
       };
+      const contents = history.length > 0
+        ? [
+            ...this.historyContents(history, imagePart),
+            { role: 'user', parts: [{ text: prompt }] }
+          ]
+        : [{
+            role: 'user',
+            parts: [
+              {
+                text: prompt
+              },
+              imagePart
+            ]
+          }];
 
       let imageData = null;
-      let textResponse = '';
+      const { inlineData, textResponse } = await this.streamContent(contents, onEvent, systemInstructions);
 
-      // Generate content using non-streaming approach
-      const result = await this.model.generateContent({
-        contents: contents,
-        generationConfig: generateContentConfig
-      });
+      if (inlineData) {
+        const dataBuffer = Buffer.from(inlineData.data, 'base64');
 
-      const response = await result.response;
-      
-      if (response.candidates && response.candidates[0] && response.candidates[0].content) {
-        const parts = response.candidates[0].content.parts;
-        
-        for (const part of parts) {
-          // Check for image data
-          if (part.inlineData && part.inlineData.data) {
-            const inlineData = part.inlineData;
-            const dataBuffer = Buffer.from(inlineData.data, 'base64');
-            
-            // Generate unique filename for image-to-image
-            const timestamp = Date.now();
-            const randomId = Math.random().toString(36).substring(2, 15);
-            const fileName = `gemini-i2i-${timestamp}-${randomId}.jpg`;
-            const filePath = path.join(__dirname, '../uploads', fileName);
-            
-            // Save the image file
-            fs.writeFileSync(filePath, dataBuffer);
-            
-            imageData = {
-              fileName: fileName,
-              filePath: filePath,
-              mimeType: 'image/jpeg',
-              size: dataBuffer.length
-            };
-            
-            console.log('✅ [GEMINI DEBUG] Image-to-image generated and saved:', fileName);
-            break; // Take the first image found
-          }
-          
-          // Check for text response
-          if (part.text) {
-            textResponse += part.text;
-          }
-        }
+        // Generate unique filename for image-to-image
+        const timestamp = Date.now();
+        const randomId = Math.random().toString(36).substring(2, 15);
+        const fileName = `gemini-i2i-${timestamp}-${randomId}.jpg`;
+        const storageKey = `generated/${fileName}`;
+
+        // Save the image file
+        await storage.put(storageKey, dataBuffer, { contentType: 'image/jpeg' });
+
+        imageData = {
+          fileName: fileName,
+          storageKey: storageKey,
+          mimeType: 'image/jpeg',
+          size: dataBuffer.length
+        };
+
+        console.log('✅ [GEMINI DEBUG] Image-to-image generated and saved:', fileName);
       }
 
       if (!imageData) {
         throw new Error('No image data received from Gemini API');
       }
 
-      // Return the generated image URL
-      const imageUrl = `/uploads/${imageData.fileName}`;
-
+      // Return the storage key; URLs are signed when responses are built
       return {
         success: true,
-        imageUrl: imageUrl,
+        storageKey: imageData.storageKey,
         enhancedPrompt: textResponse || prompt,
         data: {
           width: width,
@@ -292,6 +265,57 @@ class GeminiService {
     }
   }
 
+  // Turn { role, text } history into request contents, attaching the image to
+  // the last model turn (the one that produced it)
+  historyContents(history, imagePart) {
+    const lastModelTurn = history.map(turn => turn.role).lastIndexOf('model');
+    return history.map((turn, index) => ({
+      role: turn.role,
+      parts: index === lastModelTurn
+        ? [{ text: turn.text }, imagePart]
+        : [{ text: turn.text }]
+    }));
+  }
+
+  // Stream the model response, forwarding text parts as they arrive. The SDK's
+  // aggregated response drops inline image data, so the first image part is kept here.
+  // System instructions travel separately from the user's prompt.
+  async streamContent(contents, onEvent = () => {}, systemInstructions = null) {
+    onEvent('model-called', { provider: this.name, model: this.modelName });
+
+    const result = await this.model.generateContentStream({
+      contents: contents,
+      ...(systemInstructions && {
+        systemInstruction: { role: 'system', parts: [{ text: systemInstructions }] }
+      }),
+      generationConfig: {
+        responseModalities: ['IMAGE', 'TEXT']
+      }
+    });
+
+    let inlineData = null;
+    let textResponse = '';
+
+    for await (const chunk of result.stream) {
+      const parts = chunk.candidates?.[0]?.content?.parts || [];
+
+      for (const part of parts) {
+        // Check for image data
+        if (!inlineData && part.inlineData && part.inlineData.data) {
+          inlineData = part.inlineData;
+        }
+
+        // Check for text response
+        if (part.text) {
+          textResponse += part.text;
+          onEvent('text-chunk', { text: part.text });
+        }
+      }
+    }
+
+    return { inlineData, textResponse };
+  }
+
   async validateApiKey() {
     try {
       // Test the API key with a simple request
@@ -322,13 +346,8 @@ class GeminiService {
   // Generate local placeholder image for fallback scenarios
   async generateLocalPlaceholder(width, height, text) {
     try {
-      const uploadsDir = path.join(__dirname, '../uploads');
-      if (!fs.existsSync(uploadsDir)) {
-        fs.mkdirSync(uploadsDir, { recursive: true });
-      }
-
       const fileName = `placeholder-${Date.now()}-${Math.random().toString(36).substr(2, 9)}.jpg`;
-      const filePath = path.join(uploadsDir, fileName);
+      const storageKey = `generated/${fileName}`;
 
       // Create a colorful gradient placeholder
       const colors = [
@@ -340,7 +359,7 @@ class GeminiService {
       ];
       const randomColor = colors[Math.floor(Math.random() * colors.length)];
 
-      await sharp({
+      const buffer = await sharp({
         create: {
           width: width,
           height: height,
@@ -349,14 +368,14 @@ class GeminiService {
         }
       })
       .jpeg({ quality: 85 })
-      .toFile(filePath);
+      .toBuffer();
 
-      const imageUrl = `/uploads/${fileName}`;
-      console.log('✅ [GEMINI DEBUG] Local placeholder image generated:', imageUrl);
+      await storage.put(storageKey, buffer, { contentType: 'image/jpeg' });
+      console.log('✅ [GEMINI DEBUG] Local placeholder image generated:', storageKey);
 
       return {
         success: true,
-        imageUrl: imageUrl,
+        storageKey: storageKey,
         isPlaceholder: true,
         data: {
           width: width,
@@ -364,7 +383,7 @@ class GeminiService {
           text: text,
           fileName: fileName,
           mimeType: 'image/jpeg',
-          fileSize: fs.statSync(filePath).size
+          fileSize: buffer.length
         }
       };
 
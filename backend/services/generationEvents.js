@@ -0,0 +1,65 @@
+const EventEmitter = require('events');
+
+const TERMINAL_EVENTS = ['completed', 'failed'];
+
+// In-process pub/sub for generation lifecycle events, consumed by the SSE stream.
+// Recent events are buffered per generation so a client that subscribes late
+// (e.g. after the POST returned) still sees what happened before it connected.
+class GenerationEvents extends EventEmitter {
+  constructor() {
+    super();
+    this.historyLimit = 100;
+    this.historyTtlMs = 5 * 60 * 1000;
+    this.history = new Map();
+    // One listener per open stream; don't warn when many users are watching
+    this.setMaxListeners(0);
+  }
+
+  publish(generationId, type, data = {}) {
+    const key = generationId.toString();
+    const event = { type, data, at: new Date().toISOString() };
+
+    let entry = this.history.get(key);
+    if (!entry) {
+      entry = { events: [], timer: null };
+      this.history.set(key, entry);
+    }
+
+    // A retry starts a fresh lifecycle for the same generation
+    if (type === 'queued') {
+      entry.events = [];
+    }
+
+    entry.events.push(event);
+    if (entry.events.length > this.historyLimit) {
+      entry.events.shift();
+    }
+
+    // Drop the buffer a while after the last event so memory doesn't grow
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => this.history.delete(key), this.historyTtlMs);
+    entry.timer.unref();
+
+    this.emit(key, event);
+    return event;
+  }
+
+  // Subscribe to a generation's events; returns an unsubscribe function
+  subscribe(generationId, listener) {
+    const key = generationId.toString();
+    this.on(key, listener);
+    return () => this.off(key, listener);
+  }
+
+  getHistory(generationId) {
+    const entry = this.history.get(generationId.toString());
+    return entry ? [...entry.events] : [];
+  }
+
+  isTerminal(type) {
+    return TERMINAL_EVENTS.includes(type);
+  }
+}
+
+// Export singleton instance
+module.exports = new GenerationEvents();
@@ -0,0 +1,241 @@
+const os = require('os');
+const GenerationJob = require('../models/GenerationJob');
+const Generation = require('../models/Generation');
+const generationEvents = require('./generationEvents');
+
+class JobTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Generation timed out after ${Math.round(timeoutMs / 1000)} seconds`);
+    this.name = 'JobTimeoutError';
+  }
+}
+
+class GenerationQueue {
+  constructor() {
+    this.concurrency = parseInt(process.env.GENERATION_CONCURRENCY) || 2;
+    this.jobTimeoutMs = parseInt(process.env.GENERATION_JOB_TIMEOUT_MS) || 120000;
+    this.pollIntervalMs = parseInt(process.env.GENERATION_POLL_INTERVAL_MS) || 1000;
+    this.recoveryIntervalMs = parseInt(process.env.GENERATION_RECOVERY_INTERVAL_MS) || 60000;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.handlers = new Map();
+    this.activeJobs = new Map();
+    this.pollTimer = null;
+    this.recoveryTimer = null;
+    this.polling = false;
+    this.started = false;
+  }
+
+  // Register the function that processes jobs of a given type
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  // Persist a job for a generation; it is picked up by whichever worker polls next
+  async enqueue(type, { generationId, userId, payload = {}, timeoutMs, maxAttempts }) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type "${type}"`);
+    }
+
+    const job = await GenerationJob.create({
+      generationId,
+      userId,
+      type,
+      payload,
+      timeoutMs: timeoutMs || this.jobTimeoutMs,
+      ...(maxAttempts && { maxAttempts })
+    });
+
+    console.log(`📥 [QUEUE] Enqueued ${type} job ${job._id} for generation ${generationId}`);
+    generationEvents.publish(generationId, 'queued', { jobId: job._id });
+
+    // Don't make the caller wait for the next poll tick
+    if (this.started) {
+      setImmediate(() => this.poll());
+    }
+
+    return job;
+  }
+
+  // Start polling for work; recovers jobs abandoned by crashed workers first
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    try {
+      await this.recoverStalledJobs();
+      await this.failOrphanedGenerations();
+    } catch (error) {
+      console.error('❌ [QUEUE] Crash recovery failed:', error.message);
+    }
+
+    this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.recoveryTimer = setInterval(() => {
+      this.recoverStalledJobs().catch(error => {
+        console.error('❌ [QUEUE] Stalled job sweep failed:', error.message);
+      });
+    }, this.recoveryIntervalMs);
+
+    // Timers must not keep the process alive on shutdown
+    this.pollTimer.unref();
+    this.recoveryTimer.unref();
+
+    console.log(`⚙️  [QUEUE] Generation worker ${this.workerId} started (concurrency ${this.concurrency})`);
+    this.poll();
+  }
+
+  // Stop claiming new jobs and wait for the running ones to settle
+  async stop() {
+    this.started = false;
+    clearInterval(this.pollTimer);
+    clearInterval(this.recoveryTimer);
+    this.pollTimer = null;
+    this.recoveryTimer = null;
+
+    await Promise.allSettled([...this.activeJobs.values()]);
+  }
+
+  // Claim jobs until the concurrency limit is reached or the queue is empty
+  async poll() {
+    if (!this.started || this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.started && this.activeJobs.size < this.concurrency) {
+        const job = await GenerationJob.claimNext(this.workerId, [...this.handlers.keys()]);
+        if (!job) break;
+
+        const execution = this.execute(job).finally(() => {
+          this.activeJobs.delete(job._id.toString());
+          // A slot just freed up, look for more work
+          setImmediate(() => this.poll());
+        });
+        this.activeJobs.set(job._id.toString(), execution);
+      }
+    } catch (error) {
+      console.error('❌ [QUEUE] Failed to claim job:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Run a claimed job with its timeout and record the outcome
+  async execute(job) {
+    const handler = this.handlers.get(job.type);
+    const controller = new AbortController();
+    let timer = null;
+
+    console.log(`▶️  [QUEUE] Running ${job.type} job ${job._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    try {
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(new JobTimeoutError(job.timeoutMs));
+        }, job.timeoutMs);
+      });
+
+      await Promise.race([handler(job, { signal: controller.signal }), timeout]);
+      await job.markCompleted();
+
+      console.log(`✅ [QUEUE] Job ${job._id} completed`);
+      generationEvents.publish(job.generationId, 'completed', { jobId: job._id });
+    } catch (error) {
+      console.error(`❌ [QUEUE] Job ${job._id} failed:`, error.message);
+      await this.failJob(job, error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Mark both the job and its generation as failed
+  async failJob(job, errorMessage) {
+    try {
+      await job.markFailed(errorMessage);
+
+      const generation = await Generation.findById(job.generationId);
+      if (generation && generation.status === 'processing') {
+        await generation.markFailed(errorMessage);
+      }
+      generationEvents.publish(job.generationId, 'failed', { jobId: job._id, error: errorMessage });
+    } catch (error) {
+      console.error(`❌ [QUEUE] Failed to record failure for job ${job._id}:`, error.message);
+    }
+  }
+
+  // Requeue or fail jobs that were left running by a worker that died
+  async recoverStalledJobs() {
+    const stalled = await GenerationJob.findStalled();
+
+    for (const job of stalled) {
+      if (job.canRetry()) {
+        console.warn(`♻️  [QUEUE] Requeueing stalled job ${job._id} (was locked by ${job.lockedBy})`);
+        await job.requeue();
+      } else {
+        console.warn(`⚠️ [QUEUE] Stalled job ${job._id} has no attempts left, failing it`);
+        await this.failJob(job, 'Generation was interrupted and could not be resumed');
+      }
+    }
+
+    return stalled.length;
+  }
+
+  // Fail generations stuck in 'processing' that no queued or running job will ever finish
+  async failOrphanedGenerations() {
+    const cutoff = new Date(Date.now() - this.jobTimeoutMs * 2);
+    const candidates = await Generation.find({
+      status: 'processing',
+      processingStartTime: { $lt: cutoff }
+    }).select('_id');
+
+    let failed = 0;
+    for (const { _id } of candidates) {
+      const pending = await GenerationJob.exists({
+        generationId: _id,
+        status: { $in: ['queued', 'running'] }
+      });
+      if (pending) continue;
+
+      const generation = await Generation.findById(_id);
+      if (generation && generation.status === 'processing') {
+        await generation.markFailed('Generation was interrupted and could not be resumed');
+        failed += 1;
+      }
+    }
+
+    if (failed > 0) {
+      console.warn(`⚠️ [QUEUE] Marked ${failed} orphaned generation(s) as failed`);
+    }
+    return failed;
+  }
+
+  // Queue position and worker state for the status endpoint
+  async getJobState(generationId) {
+    const job = await GenerationJob.findLatestForGeneration(generationId);
+    if (!job) return null;
+
+    const state = {
+      id: job._id,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+
+    if (job.status === 'queued') {
+      state.position = await GenerationJob.countDocuments({
+        status: 'queued',
+        $or: [
+          { runAfter: { $lt: job.runAfter } },
+          { runAfter: job.runAfter, createdAt: { $lt: job.createdAt } }
+        ]
+      }) + 1;
+    }
+
+    return state;
+  }
+}
+
+// Export singleton instance
+module.exports = new GenerationQueue();
+module.exports.JobTimeoutError = JobTimeoutError;
@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+
+// Prints each email to the server log instead of sending it. The default in
+// development, so links in verification and reset emails can be copied from there.
+// Elsewhere only the headers are printed, since the links are live credentials.
+class ConsoleTransport {
+  constructor(options = {}) {
+    this.name = 'console';
+    this.showBody = options.showBody !== false;
+  }
+
+  async send(message) {
+    const id = crypto.randomUUID();
+    console.log([
+      `📧 [MAIL] ${id}`,
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      this.showBody ? message.text : '(body hidden outside development)'
+    ].join('\n'));
+    return { id };
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Writes each email to its own JSON file in a folder, newest last by name.
+// Tests and local tooling read the outbox to follow links in the emails.
+class FileTransport {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.outboxDir = path.resolve(options.outboxDir || path.join(__dirname, '../../mail-outbox'));
+  }
+
+  async send(message) {
+    const id = crypto.randomUUID();
+    const sentAt = new Date();
+    await fs.mkdir(this.outboxDir, { recursive: true });
+    await fs.writeFile(
+      path.join(this.outboxDir, `${sentAt.getTime()}-${id}.json`),
+      JSON.stringify({ id, sentAt, ...message }, null, 2)
+    );
+    return { id };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,57 @@
+const ConsoleTransport = require('./consoleTransport');
+const FileTransport = require('./fileTransport');
+const SmtpTransport = require('./smtpTransport');
+
+// Transports that keep emails on the server; they never reach the user
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+// Every mail transport implements:
+//   name
+//   send({ from, to, subject, text, html }) -> { id }
+// Transports only deliver; the emails themselves are built in templates.js.
+class Mail {
+  constructor(transport) {
+    this.transport = transport;
+    this.from = process.env.MAIL_FROM || 'Vibra AI <no-reply@vibra-ai.local>';
+  }
+
+  get name() {
+    return this.transport.name;
+  }
+
+  send({ to, subject, text, html }) {
+    return this.transport.send({ from: this.from, to, subject, text, html });
+  }
+}
+
+const createTransport = (env = process.env) => {
+  const transportName = env.MAIL_TRANSPORT || (env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+  // Reset and verification links in those emails would only be readable on the server
+  if (env.NODE_ENV === 'production' && LOCAL_TRANSPORTS.includes(transportName)) {
+    throw new Error(`MAIL_TRANSPORT "${transportName}" can't be used in production; configure the smtp transport`);
+  }
+
+  switch (transportName) {
+    case 'smtp':
+      return new SmtpTransport({
+        host: env.MAIL_SMTP_HOST,
+        port: parseInt(env.MAIL_SMTP_PORT) || 587,
+        secure: env.MAIL_SMTP_SECURE === 'true',
+        user: env.MAIL_SMTP_USER,
+        password: env.MAIL_SMTP_PASSWORD
+      });
+    case 'file':
+      return new FileTransport({ outboxDir: env.MAIL_FILE_DIR });
+    case 'console':
+      // Tests and staging get the headers only; the body holds live links
+      return new ConsoleTransport({ showBody: (env.NODE_ENV || 'development') === 'development' });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${transportName}"`);
+  }
+};
+
+// Export singleton instance
+module.exports = new Mail(createTransport());
+module.exports.Mail = Mail;
+module.exports.createTransport = createTransport;
@@ -0,0 +1,25 @@
+const nodemailer = require('nodemailer');
+
+// Delivers email through an SMTP server (a mail provider's relay in production).
+class SmtpTransport {
+  constructor(options = {}) {
+    this.name = 'smtp';
+    if (!options.host) {
+      throw new Error('MAIL_SMTP_HOST is required for the smtp mail transport');
+    }
+
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: options.port || 587,
+      secure: Boolean(options.secure),
+      auth: options.user ? { user: options.user, pass: options.password } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { id: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
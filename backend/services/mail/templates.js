@@ -0,0 +1,47 @@
+// Account emails. Each builder returns { subject, text, html } for mail.send.
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const layout = (paragraphs, action) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #111827; max-width: 560px; margin: 0 auto; padding: 24px;">
+    ${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n    ')}
+    <p><a href="${escapeHtml(action.url)}" style="display: inline-block; padding: 12px 20px; background: #2563eb; color: #ffffff; border-radius: 8px; text-decoration: none;">${escapeHtml(action.label)}</a></p>
+    <p style="color: #6b7280; font-size: 12px;">Or paste this link into your browser: ${escapeHtml(action.url)}</p>
+  </body>
+</html>`;
+
+const verifyEmail = ({ firstName, url, expiresInHours }) => {
+  const paragraphs = [
+    `Hi ${firstName},`,
+    'Please confirm this is your email address for your Vibra AI account.',
+    `The link works once and expires in ${expiresInHours} hours.`
+  ];
+  return {
+    subject: 'Confirm your email address',
+    text: `${paragraphs.join('\n\n')}\n\n${url}\n`,
+    html: layout(paragraphs, { url, label: 'Confirm email' })
+  };
+};
+
+const passwordReset = ({ firstName, url, expiresInMinutes }) => {
+  const paragraphs = [
+    `Hi ${firstName},`,
+    'Someone asked to reset the password for your Vibra AI account. If it was you, choose a new password with the link below.',
+    `The link works once and expires in ${expiresInMinutes} minutes. If you didn't ask for this, you can ignore this email; your password won't change.`
+  ];
+  return {
+    subject: 'Reset your password',
+    text: `${paragraphs.join('\n\n')}\n\n${url}\n`,
+    html: layout(paragraphs, { url, label: 'Reset password' })
+  };
+};
+
+module.exports = {
+  verifyEmail,
+  passwordReset
+};
@@ -1,359 +0,0 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const fs = require('fs');
-const path = require('path');
-const sharp = require('sharp');
-const https = require('https');
-
-class GeminiImageService {
-  constructor() {
-    if (!process.env.GEMINI_API_KEY || process.env.GEMINI_API_KEY === 'your-gemini-api-key') {
-      console.warn('⚠️  Gemini API key not configured. Image generation will use mock responses.');
-      this.genAI = null;
-    } else {
-      this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-      // Use Gemini Pro for text generation and image analysis
-      this.model = this.genAI.getGenerativeModel({ model: 'gemini-pro' });
-    }
-  }
-
-  async generateImage(prompt, options = {}) {
-    try {
-      const {
-        width = 1024,
-        height = 1024,
-        style = 'vivid',
-        quality = 'standard'
-      } = options;
-
-      console.log('🔎 [GEMINI DEBUG] Generating image with prompt:', {
-        promptLength: prompt ? prompt.length : 0,
-        promptPreview: prompt ? `${prompt.substring(0, 80)}...` : undefined,
-        options: { width, height, style, quality }
-      });
-
-      if (!this.genAI) {
-        console.log('⚠️ [GEMINI DEBUG] Gemini service not available, generating local placeholder image');
-        return this.generateLocalPlaceholder(width, height, 'AI Generated Image');
-      }
-
-      // Generate enhanced description using Gemini
-      const enhancementPrompt = `Create a detailed, artistic description for image generation based on this prompt: "${prompt}". 
-      Include specific details about:
-      - Visual style and artistic technique
-      - Color palette and lighting
-      - Composition and perspective
-      - Mood and atmosphere
-      - Technical quality specifications
-      
-      Make it suitable for ${style} style with ${quality} quality. Respond with only the enhanced description, no explanations.`;
-
-      const result = await this.model.generateContent(enhancementPrompt);
-      const response = await result.response;
-      const enhancedDescription = response.text();
-
-      console.log('✅ [GEMINI DEBUG] Enhanced description generated:', {
-        originalPrompt: prompt.substring(0, 50) + '...',
-        enhancedLength: enhancedDescription.length
-      });
-
-      // For now, generate a sophisticated placeholder with Gemini-enhanced metadata
-      // In production, this would integrate with an actual image generation service
-      // that works with Gemini's enhanced descriptions
-      const imageResult = await this.generateGeminiPlaceholder(width, height, enhancedDescription, prompt);
-
-      return {
-        success: true,
-        imageUrl: imageResult.imageUrl,
-        enhancedPrompt: enhancedDescription,
-        originalPrompt: prompt,
-        geminiProcessed: true,
-        data: {
-          width: width,
-          height: height,
-          prompt: prompt,
-          enhancedPrompt: enhancedDescription,
-          style: style,
-          quality: quality,
-          service: 'gemini-nano-banana'
-        }
-      };
-
-    } catch (error) {
-      console.error('❌ [GEMINI DEBUG] Image generation error:', error);
-      
-      // Handle specific Gemini error types with fallback responses
-      let fallbackMessage = 'Generation Failed';
-      
-      if (error.message?.includes('API key')) {
-        console.warn('⚠️ [GEMINI DEBUG] API key issue, using fallback');
-        fallbackMessage = 'API Configuration Issue';
-      } else if (error.message?.includes('quota') || error.message?.includes('billing')) {
-        console.warn('⚠️ [GEMINI DEBUG] Quota/billing issue, using fallback');
-        fallbackMessage = 'Service Temporarily Unavailable';
-      } else if (error.message?.includes('safety') || error.message?.includes('blocked')) {
-        console.warn('⚠️ [GEMINI DEBUG] Content blocked, using fallback');
-        fallbackMessage = 'Content Filtered';
-      } else if (error.message?.includes('rate') || error.message?.includes('limit')) {
-        console.warn('⚠️ [GEMINI DEBUG] Rate limit exceeded, using fallback');
-        fallbackMessage = 'Service Busy';
-      } else if (error.message?.includes('not found') || error.message?.includes('404')) {
-        console.warn('⚠️ [GEMINI DEBUG] Model not found, using fallback');
-        fallbackMessage = 'Model Unavailable';
-      }
-
-      // Always fallback to local placeholder instead of throwing errors
-      console.log('⚠️ [GEMINI DEBUG] Falling back to local placeholder due to error');
-      return this.generateLocalPlaceholder(width, height, fallbackMessage);
-    }
-  }
-
-  async generateImageFromImage(imagePath, prompt, options = {}) {
-    try {
-      const {
-        width = 1024,
-        height = 1024
-      } = options;
-
-      console.log('🔎 [GEMINI DEBUG] Generating image-to-image with prompt:', {
-        promptLength: prompt ? prompt.length : 0,
-        promptPreview: prompt ? `${prompt.substring(0, 80)}...` : undefined,
-        imagePath: imagePath,
-        options: { width, height }
-      });
-
-      if (!this.genAI) {
-        console.log('⚠️ [GEMINI DEBUG] Gemini service not available, generating local placeholder image');
-        return this.generateLocalPlaceholder(width, height, 'AI Processed Image');
-      }
-
-      // Read and analyze the input image with Gemini Vision
-      const imageData = fs.readFileSync(imagePath);
-      const base64Image = imageData.toString('base64');
-      
-      // Use Gemini 1.5 Flash for image analysis (supports vision)
-      const visionModel = this.genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-      
-      const analysisPrompt = `Analyze this image and create a detailed description that captures:
-      - Main subjects and objects
-      - Visual style and artistic elements
-      - Color scheme and lighting
-      - Composition and layout
-      - Mood and atmosphere
-      
-      Then enhance it based on this user prompt: "${prompt}"
-      
-      Provide a comprehensive description suitable for generating a new image that maintains the essence while incorporating the user's requirements.`;
-
-      const imagePart = {
-        inlineData: {
-          data: base64Image,
-          mimeType: 'image/jpeg'
-        }
-      };
-
-      const result = await visionModel.generateContent([analysisPrompt, imagePart]);
-      const response = await result.response;
-      const enhancedDescription = response.text();
-
-      console.log('✅ [GEMINI DEBUG] Image analysis and enhancement completed:', {
-        originalPrompt: prompt.substring(0, 50) + '...',
-        enhancedLength: enhancedDescription.length
-      });
-
-      // Generate sophisticated placeholder with Gemini-enhanced metadata
-      const imageResult = await this.generateGeminiPlaceholder(width, height, enhancedDescription, prompt, true);
-
-      return {
-        success: true,
-        imageUrl: imageResult.imageUrl,
-        enhancedPrompt: enhancedDescription,
-        originalPrompt: prompt,
-        geminiProcessed: true,
-        imageToImage: true,
-        data: {
-          width: width,
-          height: height,
-          prompt: prompt,
-          enhancedPrompt: enhancedDescription,
-          sourceImage: imagePath,
-          service: 'gemini-nano-banana'
-        }
-      };
-
-    } catch (error) {
-      console.error('❌ [GEMINI DEBUG] Image-to-image generation error:', error);
-      
-      // Handle specific Gemini error types with fallback responses
-      let fallbackMessage = 'Processing Failed';
-      
-      if (error.message?.includes('API key')) {
-        console.warn('⚠️ [GEMINI DEBUG] API key issue, using fallback');
-        fallbackMessage = 'API Configuration Issue';
-      } else if (error.message?.includes('quota') || error.message?.includes('billing')) {
-        console.warn('⚠️ [GEMINI DEBUG] Quota/billing issue, using fallback');
-        fallbackMessage = 'Service Temporarily Unavailable';
-      } else if (error.message?.includes('safety') || error.message?.includes('blocked')) {
-        console.warn('⚠️ [GEMINI DEBUG] Content blocked, using fallback');
-        fallbackMessage = 'Content Filtered';
-      } else if (error.message?.includes('rate') || error.message?.includes('limit')) {
-        console.warn('⚠️ [GEMINI DEBUG] Rate limit exceeded, using fallback');
-        fallbackMessage = 'Service Busy';
-      } else if (error.message?.includes('not found') || error.message?.includes('404')) {
-        console.warn('⚠️ [GEMINI DEBUG] Model not found, using fallback');
-        fallbackMessage = 'Model Unavailable';
-      }
-
-      // Always fallback to local placeholder instead of throwing errors
-      console.log('⚠️ [GEMINI DEBUG] Falling back to local placeholder due to error');
-      return this.generateLocalPlaceholder(width, height, fallbackMessage);
-    }
-  }
-
-  async generateGeminiPlaceholder(width, height, enhancedDescription, originalPrompt, isImageToImage = false) {
-    try {
-      const uploadsDir = path.join(__dirname, '../uploads');
-      if (!fs.existsSync(uploadsDir)) {
-        fs.mkdirSync(uploadsDir, { recursive: true });
-      }
-
-      const fileName = `gemini-${isImageToImage ? 'i2i' : 'txt'}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}.jpg`;
-      const filePath = path.join(uploadsDir, fileName);
-
-      // Create a sophisticated gradient based on prompt analysis
-      const colors = this.analyzePromptForColors(originalPrompt);
-      
-      // Create a more sophisticated placeholder with gradient
-      const gradient = await this.createGradientImage(width, height, colors);
-      
-      await sharp(gradient)
-        .jpeg({ quality: 90 })
-        .toFile(filePath);
-
-      const imageUrl = `/uploads/${fileName}`;
-      console.log('✅ [GEMINI DEBUG] Gemini-enhanced placeholder image generated:', imageUrl);
-
-      return {
-        success: true,
-        imageUrl: imageUrl,
-        isGeminiPlaceholder: true,
-        enhancedDescription: enhancedDescription,
-        data: {
-          width: width,
-          height: height,
-          originalPrompt: originalPrompt,
-          enhancedDescription: enhancedDescription
-        }
-      };
-
-    } catch (error) {
-      console.error('❌ [GEMINI DEBUG] Failed to generate Gemini placeholder:', error);
-      throw new Error('Failed to generate Gemini-enhanced placeholder image');
-    }
-  }
-
-  analyzePromptForColors(prompt) {
-    const colorKeywords = {
-      'sunset': [{ r: 255, g: 94, b: 77 }, { r: 255, g: 154, b: 0 }],
-      'ocean': [{ r: 0, g: 119, b: 190 }, { r: 0, g: 180, b: 216 }],
-      'forest': [{ r: 76, g: 175, b: 80 }, { r: 139, g: 195, b: 74 }],
-      'night': [{ r: 63, g: 81, b: 181 }, { r: 48, g: 63, b: 159 }],
-      'fire': [{ r: 244, g: 67, b: 54 }, { r: 255, g: 152, b: 0 }],
-      'space': [{ r: 103, g: 58, b: 183 }, { r: 63, g: 81, b: 181 }],
-      'gold': [{ r: 255, g: 193, b: 7 }, { r: 255, g: 235, b: 59 }],
-      'purple': [{ r: 156, g: 39, b: 176 }, { r: 103, g: 58, b: 183 }]
-    };
-
-    const lowerPrompt = prompt.toLowerCase();
-    for (const [keyword, colors] of Object.entries(colorKeywords)) {
-      if (lowerPrompt.includes(keyword)) {
-        return colors;
-      }
-    }
-
-    // Default sophisticated gradient
-    return [{ r: 99, g: 102, b: 241 }, { r: 168, g: 85, b: 247 }];
-  }
-
-  async createGradientImage(width, height, colors) {
-    const [color1, color2] = colors;
-    
-    // Create a diagonal gradient
-    const canvas = Buffer.alloc(width * height * 3);
-    
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const factor = (x + y) / (width + height);
-        const r = Math.round(color1.r + (color2.r - color1.r) * factor);
-        const g = Math.round(color1.g + (color2.g - color1.g) * factor);
-        const b = Math.round(color1.b + (color2.b - color1.b) * factor);
-        
-        const idx = (y * width + x) * 3;
-        canvas[idx] = r;
-        canvas[idx + 1] = g;
-        canvas[idx + 2] = b;
-      }
-    }
-    
-    return {
-      create: {
-        width: width,
-        height: height,
-        channels: 3,
-        background: { r: color1.r, g: color1.g, b: color1.b }
-      }
-    };
-  }
-
-  async generateLocalPlaceholder(width, height, text) {
-    try {
-      const uploadsDir = path.join(__dirname, '../uploads');
-      if (!fs.existsSync(uploadsDir)) {
-        fs.mkdirSync(uploadsDir, { recursive: true });
-      }
-
-      const fileName = `placeholder-${Date.now()}-${Math.random().toString(36).substr(2, 9)}.jpg`;
-      const filePath = path.join(uploadsDir, fileName);
-
-      // Create a colorful gradient placeholder
-      const colors = [
-        { r: 99, g: 102, b: 241 },   // Indigo
-        { r: 168, g: 85, b: 247 },   // Purple
-        { r: 236, g: 72, b: 153 },   // Pink
-        { r: 59, g: 130, b: 246 },   // Blue
-        { r: 16, g: 185, b: 129 },   // Emerald
-      ];
-      const randomColor = colors[Math.floor(Math.random() * colors.length)];
-
-      await sharp({
-        create: {
-          width: width,
-          height: height,
-          channels: 3,
-          background: randomColor
-        }
-      })
-      .jpeg({ quality: 85 })
-      .toFile(filePath);
-
-      const imageUrl = `/uploads/${fileName}`;
-      console.log('✅ [GEMINI DEBUG] Local placeholder image generated:', imageUrl);
-
-      return {
-        success: true,
-        imageUrl: imageUrl,
-        isPlaceholder: true,
-        data: {
-          width: width,
-          height: height,
-          text: text
-        }
-      };
-
-    } catch (error) {
-      console.error('❌ [GEMINI DEBUG] Failed to generate local placeholder:', error);
-      throw new Error('Failed to generate placeholder image');
-    }
-  }
-}
-
-module.exports = GeminiImageService;
\ No newline at end of file
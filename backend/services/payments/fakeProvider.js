@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+
+// Payment methods the fake provider understands, so the whole purchase flow
+// (including declines) can be exercised without a real processor
+const TEST_PAYMENT_METHODS = {
+  pm_card_visa: { label: 'Test card (always succeeds)', succeeds: true },
+  pm_card_declined: { label: 'Test card (always declined)', succeeds: false, failureMessage: 'Your card was declined' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// In-memory payment provider for development. Charges are kept per
+// idempotency key, like a real processor, so a retried request never charges twice.
+// Webhooks are signed Stripe-style: header "t=<unix seconds>,v1=<hex HMAC-SHA256
+// of `${t}.${rawBody}`>" with PAYMENT_WEBHOOK_SECRET, so local tools can sign
+// events with signWebhookPayload() and post them to /api/billing/webhook.
+class FakePaymentProvider {
+  constructor(options = {}) {
+    this.name = 'fake';
+    this.webhookSecret = options.webhookSecret;
+    this.periodDays = options.periodDays || 30;
+    this.purchasesEnabled = options.purchasesEnabled !== false;
+    this.charges = new Map();
+    this.subscriptions = new Map();
+  }
+
+  get webhooksEnabled() {
+    return Boolean(this.webhookSecret);
+  }
+
+  testPaymentMethods() {
+    if (!this.purchasesEnabled) return [];
+    return Object.entries(TEST_PAYMENT_METHODS).map(([id, method]) => ({ id, label: method.label }));
+  }
+
+  async charge({ amount, currency, description, customerId, paymentMethod = 'pm_card_visa', idempotencyKey }) {
+    if (idempotencyKey && this.charges.has(idempotencyKey)) {
+      return this.charges.get(idempotencyKey);
+    }
+
+    const method = TEST_PAYMENT_METHODS[paymentMethod];
+    const succeeded = Boolean(method && method.succeeds);
+    const charge = {
+      id: `fake_ch_${crypto.randomUUID()}`,
+      status: succeeded ? 'succeeded' : 'failed',
+      amount,
+      currency,
+      description,
+      customerId: customerId.toString(),
+      failureMessage: succeeded ? null : (method ? method.failureMessage : `Unknown payment method "${paymentMethod}"`),
+      createdAt: new Date()
+    };
+
+    if (idempotencyKey) {
+      this.charges.set(idempotencyKey, charge);
+    }
+
+    console.log(`💳 [PAYMENTS] Fake charge ${charge.id} ${charge.status} (${amount} ${currency})`);
+    return charge;
+  }
+
+  async refund(chargeId, { amount } = {}) {
+    const charge = [...this.charges.values()].find(existing => existing.id === chargeId);
+    if (!charge || charge.status !== 'succeeded') {
+      return { id: null, status: 'failed', failureMessage: 'Charge not found' };
+    }
+
+    return { id: `fake_re_${crypto.randomUUID()}`, status: 'succeeded', amount: amount || charge.amount };
+  }
+
+  // Start a subscription, charging the first period up front
+  async createSubscription({ plan, price, currency, customerId, paymentMethod, idempotencyKey }) {
+    const existing = [...this.subscriptions.values()].find(subscription => subscription.idempotencyKey === idempotencyKey);
+    if (existing) return existing;
+
+    const charge = await this.charge({
+      amount: price,
+      currency,
+      description: `${plan} subscription`,
+      customerId,
+      paymentMethod,
+      idempotencyKey: `${idempotencyKey}:first-period`
+    });
+
+    const now = new Date();
+    const subscription = {
+      id: `fake_sub_${crypto.randomUUID()}`,
+      idempotencyKey,
+      plan,
+      status: charge.status === 'succeeded' ? 'active' : 'incomplete',
+      currentPeriodStart: now,
+      currentPeriodEnd: new Date(now.getTime() + this.periodDays * DAY_MS),
+      cancelAtPeriodEnd: false,
+      latestChargeId: charge.id,
+      failureMessage: charge.failureMessage
+    };
+
+    this.subscriptions.set(subscription.id, subscription);
+    return subscription;
+  }
+
+  // Cancel now, or flag the subscription to end with its current period
+  async cancelSubscription(subscriptionId, { atPeriodEnd = true } = {}) {
+    const subscription = this.subscriptions.get(subscriptionId) || { id: subscriptionId };
+    Object.assign(subscription, atPeriodEnd
+      ? { cancelAtPeriodEnd: true }
+      : { status: 'canceled', cancelAtPeriodEnd: false });
+    return subscription;
+  }
+
+  async resumeSubscription(subscriptionId) {
+    const subscription = this.subscriptions.get(subscriptionId) || { id: subscriptionId };
+    subscription.cancelAtPeriodEnd = false;
+    return subscription;
+  }
+
+  signWebhookPayload(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  // Check the signature header and return the parsed event, or throw
+  verifyWebhook(rawBody, signatureHeader) {
+    if (!this.webhookSecret) {
+      throw new Error('Webhook secret is not configured');
+    }
+
+    const fields = Object.fromEntries(
+      String(signatureHeader || '').split(',').map(part => part.trim().split('='))
+    );
+    const timestamp = parseInt(fields.t);
+    if (!timestamp || !fields.v1) {
+      throw new Error('Missing webhook signature');
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new Error('Webhook signature has expired');
+    }
+
+    const expected = Buffer.from(this.signWebhookPayload(rawBody, timestamp).split('v1=')[1], 'hex');
+    const received = Buffer.from(fields.v1, 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    return JSON.parse(rawBody.toString('utf8'));
+  }
+}
+
+module.exports = FakePaymentProvider;
@@ -0,0 +1,51 @@
+const FakePaymentProvider = require('./fakeProvider');
+
+// Every payment provider implements:
+//   name
+//   purchasesEnabled (false when the provider can't take real payments here)
+//   charge({ amount, currency, description, customerId, paymentMethod, idempotencyKey })
+//     -> { id, status: 'succeeded' | 'failed', amount, currency, failureMessage }
+//   refund(chargeId, { amount }) -> { id, status, amount }
+//   createSubscription({ plan, price, currency, customerId, paymentMethod, idempotencyKey })
+//     -> { id, status: 'active' | 'incomplete', currentPeriodStart, currentPeriodEnd, failureMessage }
+//   cancelSubscription(id, { atPeriodEnd }), resumeSubscription(id)
+//   webhooksEnabled (false when no webhook secret is configured)
+//   verifyWebhook(rawBody, signatureHeader) -> event { id, type, data } (throws when the signature is bad)
+//     with type one of:
+//       invoice.paid            data { subscriptionId, periodStart, periodEnd, paymentId }
+//       invoice.payment_failed  data { subscriptionId }
+//       subscription.updated    data { subscriptionId, cancelAtPeriodEnd }
+//       subscription.deleted    data { subscriptionId }
+//   testPaymentMethods() -> [{ id, label }] (empty for real processors)
+// Amounts are in the currency's minor unit (cents). Providers must treat a
+// repeated idempotencyKey as the same charge or subscription.
+const createPaymentProvider = (env = process.env) => {
+  const providerName = env.PAYMENT_PROVIDER || 'fake';
+  const isProduction = env.NODE_ENV === 'production';
+
+  if (providerName !== 'fake') {
+    throw new Error(`Unknown PAYMENT_PROVIDER "${providerName}"`);
+  }
+
+  // Only the webhook depends on the secret, so the rest of the app still starts
+  // without it; the webhook answers 503 until it is set
+  if (isProduction && !env.PAYMENT_WEBHOOK_SECRET) {
+    console.error('❌ PAYMENT_WEBHOOK_SECRET is not set; billing webhooks are disabled until it is');
+  }
+
+  // The fake provider approves its test cards, so in production it would hand
+  // out credits and Pro for free; purchases and webhooks are refused instead
+  if (isProduction) {
+    console.warn('⚠️  No real payment provider is configured; purchases are disabled');
+  }
+
+  return new FakePaymentProvider({
+    webhookSecret: env.PAYMENT_WEBHOOK_SECRET,
+    periodDays: parseInt(env.FAKE_PAYMENT_PERIOD_DAYS) || 30,
+    purchasesEnabled: !isProduction
+  });
+};
+
+// Export singleton instance
+module.exports = createPaymentProvider();
+module.exports.createPaymentProvider = createPaymentProvider;
@@ -0,0 +1,373 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const XLSX = require('xlsx');
+const { createObjectCsvStringifier } = require('csv-writer');
+const Preset = require('../models/Preset');
+
+const DEFAULT_DIR = path.join(__dirname, '../data/prompts');
+
+// Sheet columns, in export order. Only category and main_prompt are required on import.
+const COLUMNS = [
+  'slug', 'name', 'description', 'category', 'tags', 'main_prompt', 'negative_prompt',
+  'style', 'quality_level', 'user_tier', 'thumbnail_url', 'is_active', 'sort_order'
+];
+
+const TIER_ALIASES = { free: 'free', paid: 'paid', premium: 'paid', pro: 'paid' };
+
+// Fields compared to decide whether a matching preset actually changes
+const COMPARED_FIELDS = [
+  'name', 'description', 'category', 'tags', 'mainPrompt', 'negativePrompt',
+  'style', 'qualityLevel', 'tier', 'thumbnailUrl', 'isActive', 'sortOrder'
+];
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const toBoolean = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value === 'boolean') return value;
+  return !['false', '0', 'no', 'inactive'].includes(value.toString().trim().toLowerCase());
+};
+
+class PresetImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PresetImportError';
+    this.statusCode = 400;
+  }
+}
+
+// Imports preset sheets (CSV or XLSX) into the Preset collection and exports
+// the catalogue in the same columns, so an export can be edited and imported
+// back. Every import is analysed row by row first; a dry run stops there and
+// returns the report.
+//
+// A row whose slug matches an existing preset updates it. A row without a slug
+// creates a preset unless its category and prompt match one already imported
+// (a duplicate). Changing a preset's tier is reported as a tier conflict and
+// only applied when allowTierChanges is set.
+class PresetImporter {
+  detectFormat(filename = '') {
+    const extension = path.extname(filename).toLowerCase().replace('.', '');
+    if (!FORMATS[extension]) {
+      throw new PresetImportError('Preset sheets must be .csv or .xlsx files');
+    }
+    return extension;
+  }
+
+  // Rows as objects keyed by lowercase column name
+  async parseSheet(buffer, filename) {
+    const format = this.detectFormat(filename);
+
+    if (format === 'csv') {
+      return new Promise((resolve, reject) => {
+        const rows = [];
+        Readable.from(buffer)
+          .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase() }))
+          .on('data', row => rows.push(row))
+          .on('end', () => resolve(rows))
+          .on('error', reject);
+      });
+    }
+
+    let workbook;
+    try {
+      workbook = XLSX.read(buffer, { type: 'buffer' });
+    } catch (error) {
+      throw new PresetImportError(`Could not read the spreadsheet: ${error.message}`);
+    }
+
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet) {
+      throw new PresetImportError('The spreadsheet has no sheets');
+    }
+
+    return XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false }).map(row => (
+      Object.fromEntries(Object.entries(row).map(([key, value]) => [key.trim().toLowerCase(), value]))
+    ));
+  }
+
+  fingerprint(category, mainPrompt) {
+    return crypto.createHash('sha1')
+      .update(`${category.trim().toLowerCase()}\n${mainPrompt.trim()}`)
+      .digest('hex');
+  }
+
+  // Map a sheet row to Preset fields, collecting problems instead of throwing
+  rowToPreset(row, { file, index }) {
+    const value = (column) => (row[column] === undefined || row[column] === null ? '' : row[column].toString().trim());
+    const errors = [];
+    const category = value('category');
+    const mainPrompt = value('main_prompt');
+    const tierValue = value('user_tier').toLowerCase();
+    const sortOrder = value('sort_order');
+
+    if (!category) errors.push('category is required');
+    if (!mainPrompt) errors.push('main_prompt is required');
+    if (tierValue && !TIER_ALIASES[tierValue]) {
+      errors.push(`user_tier "${value('user_tier')}" is not a tier (free or paid)`);
+    }
+    if (sortOrder && !Number.isInteger(Number(sortOrder))) {
+      errors.push('sort_order must be a whole number');
+    }
+
+    const fields = {
+      slug: value('slug').toLowerCase() || null,
+      // Older sheets have no name column; the category doubles as the name
+      name: value('name') || category,
+      description: value('description'),
+      category,
+      tags: value('tags').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean),
+      mainPrompt,
+      negativePrompt: value('negative_prompt'),
+      style: value('style').toLowerCase() || 'realistic',
+      qualityLevel: value('quality_level').toLowerCase() || 'high',
+      tier: TIER_ALIASES[tierValue] || 'free',
+      thumbnailUrl: value('thumbnail_url') || null,
+      isActive: toBoolean(row.is_active, true),
+      sortOrder: sortOrder ? Number(sortOrder) : index,
+      source: {
+        kind: 'import',
+        file,
+        fingerprint: category && mainPrompt ? this.fingerprint(category, mainPrompt) : null
+      }
+    };
+
+    // Schema validation catches lengths, slug format and enums. Missing values
+    // were reported above by column name.
+    const validationError = new Preset({ ...fields, slug: fields.slug || 'preset' }).validateSync();
+    if (validationError) {
+      Object.values(validationError.errors)
+        .filter(error => error.kind !== 'required')
+        .forEach(error => {
+          if (!errors.includes(error.message)) errors.push(error.message);
+        });
+    }
+
+    return { fields, errors };
+  }
+
+  changedFields(preset, fields) {
+    return COMPARED_FIELDS.filter(name => {
+      const current = name === 'tags' ? (preset.tags || []).join(',') : preset[name];
+      const next = name === 'tags' ? fields.tags.join(',') : fields[name];
+      return (current ?? '') !== (next ?? '');
+    });
+  }
+
+  // Work out what importing each row would do. Resolves to the report rows, each
+  // with an action: create, update, unchanged, duplicate, invalid or tier_conflict.
+  async analyze(rows, { file, allowTierChanges = false }) {
+    const slugs = rows.map(row => (row.slug || '').toString().trim().toLowerCase()).filter(Boolean);
+    const fingerprints = [];
+    const parsed = rows.map((row, index) => {
+      const result = this.rowToPreset(row, { file, index });
+      if (result.fields.source.fingerprint) fingerprints.push(result.fields.source.fingerprint);
+      return result;
+    });
+
+    const existing = await Preset.find({
+      $or: [{ slug: { $in: slugs } }, { 'source.fingerprint': { $in: fingerprints } }]
+    });
+    const bySlug = new Map(existing.map(preset => [preset.slug, preset]));
+    const byFingerprint = new Map(existing
+      .filter(preset => preset.source && preset.source.fingerprint)
+      .map(preset => [preset.source.fingerprint, preset]));
+
+    // First line each slug / prompt was seen on in this sheet
+    const seenSlugs = new Map();
+    const seenFingerprints = new Map();
+    // Slugs the sheet names plus those new presets will get, so generated slugs avoid both
+    const reservedSlugs = new Set(slugs);
+
+    const report = [];
+    for (const [index, { fields, errors }] of parsed.entries()) {
+      // Line 1 is the header
+      const line = index + 2;
+      const entry = { line, slug: fields.slug, name: fields.name, action: null, errors, warnings: [] };
+      report.push(entry);
+
+      if (errors.length > 0) {
+        entry.action = 'invalid';
+        continue;
+      }
+
+      const { fingerprint } = fields.source;
+      const sheetDuplicate = (fields.slug && seenSlugs.get(fields.slug)) || seenFingerprints.get(fingerprint);
+      if (sheetDuplicate) {
+        entry.action = 'duplicate';
+        entry.errors.push(`Same preset as line ${sheetDuplicate.line}`);
+        if (sheetDuplicate.tier !== fields.tier) {
+          entry.warnings.push(`Tier conflict: line ${sheetDuplicate.line} says "${sheetDuplicate.tier}", this line says "${fields.tier}"`);
+        }
+        continue;
+      }
+      if (fields.slug) seenSlugs.set(fields.slug, { line, tier: fields.tier });
+      seenFingerprints.set(fingerprint, { line, tier: fields.tier });
+
+      const match = fields.slug ? bySlug.get(fields.slug) : byFingerprint.get(fingerprint);
+
+      if (!match) {
+        const fingerprintOwner = byFingerprint.get(fingerprint);
+        if (fingerprintOwner) {
+          // A new slug for a prompt another preset already has
+          entry.action = 'duplicate';
+          entry.errors.push(`Same category and prompt as existing preset "${fingerprintOwner.slug}"`);
+          continue;
+        }
+
+        entry.action = 'create';
+        entry.slug = fields.slug || await Preset.generateUniqueSlug(fields.name, reservedSlugs);
+        reservedSlugs.add(entry.slug);
+        entry.fields = { ...fields, slug: entry.slug };
+        continue;
+      }
+
+      entry.slug = match.slug;
+
+      if (!fields.slug) {
+        // Matched by prompt only: the preset is already in the library
+        entry.action = 'duplicate';
+        entry.errors.push(`Already imported as "${match.slug}"`);
+        continue;
+      }
+
+      const changes = this.changedFields(match, fields);
+      if (changes.includes('tier') && !allowTierChanges) {
+        entry.action = 'tier_conflict';
+        entry.errors.push(`Tier conflict: "${match.slug}" is "${match.tier}", the sheet says "${fields.tier}"`);
+        continue;
+      }
+      if (changes.includes('tier')) {
+        entry.warnings.push(`Tier changes from "${match.tier}" to "${fields.tier}"`);
+      }
+
+      entry.action = changes.length > 0 ? 'update' : 'unchanged';
+      entry.changes = changes;
+      entry.preset = match;
+      entry.fields = fields;
+    }
+
+    return report;
+  }
+
+  // Analyse a sheet and, unless it is a dry run, apply the creates and updates.
+  // Resolves to { file, format, dryRun, summary, rows }.
+  async importSheet(buffer, filename, { dryRun = false, allowTierChanges = false, userId = null } = {}) {
+    const format = this.detectFormat(filename);
+    const file = path.basename(filename);
+    const rows = await this.parseSheet(buffer, filename);
+
+    if (rows.length === 0) {
+      throw new PresetImportError('The sheet has no rows');
+    }
+    if (!('category' in rows[0]) || !('main_prompt' in rows[0])) {
+      throw new PresetImportError('The sheet needs "category" and "main_prompt" columns');
+    }
+
+    const entries = await this.analyze(rows, { file, allowTierChanges });
+
+    if (!dryRun) {
+      for (const entry of entries) {
+        try {
+          if (entry.action === 'create') {
+            await Preset.create({ ...entry.fields, createdBy: userId, updatedBy: userId });
+          } else if (entry.action === 'update') {
+            // Keep the preset's own origin; only the sheet's content is applied
+            const { slug, source, ...changes } = entry.fields;
+            entry.preset.set({ ...changes, updatedBy: userId });
+            await entry.preset.save();
+          }
+        } catch (error) {
+          entry.action = 'invalid';
+          entry.errors.push(error.code === 11000 ? 'Conflicts with a preset saved meanwhile' : error.message);
+        }
+      }
+    }
+
+    const summary = { rows: entries.length, create: 0, update: 0, unchanged: 0, duplicate: 0, invalid: 0, tier_conflict: 0 };
+    entries.forEach(entry => { summary[entry.action]++; });
+
+    return {
+      file,
+      format,
+      dryRun,
+      summary,
+      rows: entries.map(({ fields, preset, ...entry }) => entry)
+    };
+  }
+
+  // Import one sheet from disk (used by scripts/importPresets.js)
+  async importFile(filePath, options = {}) {
+    return this.importSheet(fs.readFileSync(filePath), filePath, options);
+  }
+
+  // Import every CSV and XLSX file in a directory (by default data/prompts)
+  async importDirectory(dir = DEFAULT_DIR, options = {}) {
+    const files = fs.existsSync(dir)
+      ? fs.readdirSync(dir).filter(name => /\.(csv|xlsx)$/i.test(name)).sort()
+      : [];
+
+    const reports = [];
+    for (const name of files) {
+      reports.push(await this.importFile(path.join(dir, name), options));
+    }
+    return reports;
+  }
+
+  // The catalogue as a CSV or XLSX file in the import columns.
+  // Resolves to { buffer, contentType, filename }.
+  async exportPresets(format = 'csv', { includeInactive = true } = {}) {
+    if (!FORMATS[format]) {
+      throw new PresetImportError('Export format must be csv or xlsx');
+    }
+
+    const presets = await Preset.find(includeInactive ? {} : { isActive: true })
+      .sort({ category: 1, sortOrder: 1, name: 1 });
+    const records = presets.map(preset => ({
+      slug: preset.slug,
+      name: preset.name,
+      description: preset.description,
+      category: preset.category,
+      tags: (preset.tags || []).join(', '),
+      main_prompt: preset.mainPrompt,
+      negative_prompt: preset.negativePrompt,
+      style: preset.style,
+      quality_level: preset.qualityLevel,
+      user_tier: preset.tier,
+      thumbnail_url: preset.thumbnailUrl || '',
+      is_active: preset.isActive ? 'true' : 'false',
+      sort_order: preset.sortOrder
+    }));
+
+    let buffer;
+    if (format === 'csv') {
+      const stringifier = createObjectCsvStringifier({
+        header: COLUMNS.map(column => ({ id: column, title: column }))
+      });
+      buffer = Buffer.from(stringifier.getHeaderString() + stringifier.stringifyRecords(records), 'utf8');
+    } else {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(records, { header: COLUMNS }), 'Presets');
+      buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    return {
+      buffer,
+      contentType: FORMATS[format].contentType,
+      filename: `presets-${date}.${FORMATS[format].extension}`
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new PresetImporter();
+module.exports.PresetImportError = PresetImportError;
+module.exports.DEFAULT_DIR = DEFAULT_DIR;
+module.exports.COLUMNS = COLUMNS;
@@ -0,0 +1,236 @@
+const { words, stem, editDistance, STOPWORDS } = require('./text');
+const { lookup, maxPhraseLength, LANGUAGE_NAMES } = require('./lexicon');
+
+// Preset fields that are indexed, with how much a hit in each counts
+const FIELD_WEIGHTS = {
+  name: 3,
+  tags: 2.5,
+  category: 2,
+  description: 1.5,
+  style: 1,
+  main_prompt: 1
+};
+
+const FIELD_LABELS = {
+  name: 'name',
+  tags: 'tags',
+  category: 'category',
+  description: 'description',
+  style: 'style',
+  main_prompt: 'prompt'
+};
+
+// How much a query term counts depending on how it was recognised
+const VIA_WEIGHTS = {
+  keyword: 1,
+  translation: 1,
+  synonym: 0.8,
+  fuzzy: 0.6
+};
+
+// Turn text into index terms. Lexicon phrases (synonyms and translations) become
+// their concept's term; other words are stemmed, and stopwords dropped.
+// Each term keeps the words it came from, for explanations.
+const analyze = (text) => {
+  const tokens = words(text);
+  const stems = tokens.map(stem);
+  const terms = [];
+
+  let i = 0;
+  while (i < tokens.length) {
+    let matched = false;
+
+    for (let length = Math.min(maxPhraseLength, tokens.length - i); length >= 1; length--) {
+      const entry = lookup.get(stems.slice(i, i + length).join(' '));
+      if (entry) {
+        terms.push({
+          term: entry.term,
+          original: tokens.slice(i, i + length).join(' '),
+          via: entry.via === 'exact' ? 'keyword' : entry.via,
+          language: entry.language
+        });
+        i += length;
+        matched = true;
+        break;
+      }
+    }
+
+    if (!matched) {
+      if (tokens[i].length > 1 && !STOPWORDS.has(tokens[i])) {
+        terms.push({ term: stems[i], original: tokens[i], via: 'keyword', language: null });
+      }
+      i++;
+    }
+  }
+
+  return terms;
+};
+
+const joinList = (items) => (items.length <= 1
+  ? items.join('')
+  : `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`);
+
+const describeMatch = ({ query, term, via, language, fields }) => {
+  const where = joinList(fields.map(field => FIELD_LABELS[field]));
+  switch (via) {
+    case 'synonym':
+      return `"${query}" (a synonym of "${term}") in ${where}`;
+    case 'translation':
+      return `"${query}" (${LANGUAGE_NAMES[language] || language} for "${term}") in ${where}`;
+    case 'fuzzy':
+      return `"${query}" (read as "${term}") in ${where}`;
+    default:
+      return `"${query}" in ${where}`;
+  }
+};
+
+// In-memory TF-IDF index over preset text. Rebuilt whenever the preset list
+// changes; search ranks presets by cosine similarity to the query and explains
+// which query words matched which fields, and how (keyword, synonym,
+// translation or typo correction).
+class PresetIndex {
+  constructor() {
+    this.documents = [];
+    this.idf = new Map();
+  }
+
+  build(prompts) {
+    const documentFrequency = new Map();
+
+    this.documents = prompts.map(prompt => {
+      const weightedFrequency = new Map();
+      const fieldsByTerm = new Map();
+
+      Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+        analyze(prompt[field] || '').forEach(({ term }) => {
+          weightedFrequency.set(term, (weightedFrequency.get(term) || 0) + weight);
+          if (!fieldsByTerm.has(term)) fieldsByTerm.set(term, new Set());
+          fieldsByTerm.get(term).add(field);
+        });
+      });
+
+      weightedFrequency.forEach((_, term) => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      });
+
+      return { prompt, weightedFrequency, fieldsByTerm };
+    });
+
+    const total = this.documents.length;
+    this.idf = new Map();
+    documentFrequency.forEach((count, term) => {
+      this.idf.set(term, Math.log(1 + total / count));
+    });
+
+    // Log-scaled, IDF-weighted vectors and their lengths
+    this.documents.forEach(document => {
+      document.vector = new Map();
+      let sumOfSquares = 0;
+      document.weightedFrequency.forEach((frequency, term) => {
+        const value = (1 + Math.log(frequency)) * this.idf.get(term);
+        document.vector.set(term, value);
+        sumOfSquares += value * value;
+      });
+      document.norm = Math.sqrt(sumOfSquares) || 1;
+    });
+  }
+
+  // Closest indexed term to a word the index doesn't know (typos, partial words)
+  correct(term) {
+    if (term.length < 4) return null;
+
+    const maxDistance = term.length >= 8 ? 2 : 1;
+    let best = null;
+    this.idf.forEach((_, candidate) => {
+      if (candidate.includes(' ')) return;
+      const distance = candidate.startsWith(term) ? 0.5 : editDistance(term, candidate, maxDistance);
+      if (distance <= maxDistance && (!best || distance < best.distance)) {
+        best = { term: candidate, distance };
+      }
+    });
+    return best && best.term;
+  }
+
+  // Query terms with their weights and where they came from
+  analyzeQuery(query) {
+    const terms = new Map();
+
+    analyze(query).forEach(token => {
+      let { term, via } = token;
+      if (!this.idf.has(term)) {
+        const corrected = this.correct(term);
+        if (!corrected) {
+          terms.set(term, terms.get(term) || { weight: 0, sources: [{ ...token }], known: false });
+          return;
+        }
+        term = corrected;
+        via = 'fuzzy';
+      }
+
+      const entry = terms.get(term) || { weight: 0, sources: [], known: true };
+      entry.weight = Math.max(entry.weight, VIA_WEIGHTS[via] * this.idf.get(term));
+      entry.sources.push({ ...token, term, via });
+      entry.known = true;
+      terms.set(term, entry);
+    });
+
+    return terms;
+  }
+
+  // Rank presets for a query. filter(prompt) limits the candidates.
+  // Returns [{ prompt, score, explanation }], best first.
+  search(query, { filter = () => true, limit = 5 } = {}) {
+    const queryTerms = this.analyzeQuery(query);
+    const known = [...queryTerms.entries()].filter(([, entry]) => entry.known);
+    if (known.length === 0) return [];
+
+    const queryNorm = Math.sqrt(known.reduce((sum, [, entry]) => sum + entry.weight * entry.weight, 0)) || 1;
+    const results = [];
+
+    this.documents.forEach(document => {
+      if (!filter(document.prompt)) return;
+
+      let dot = 0;
+      const matchedTerms = [];
+      known.forEach(([term, entry]) => {
+        const value = document.vector.get(term);
+        if (!value) return;
+
+        const contribution = (entry.weight * value) / (queryNorm * document.norm);
+        dot += contribution;
+        entry.sources.forEach(source => matchedTerms.push({
+          query: source.original,
+          term,
+          via: source.via,
+          language: source.language,
+          fields: [...document.fieldsByTerm.get(term)],
+          contribution: Math.round(contribution * 1000) / 1000
+        }));
+      });
+
+      if (dot <= 0) return;
+
+      const matchedQueries = new Set(matchedTerms.map(match => match.query));
+      const unmatchedTerms = [...queryTerms.values()]
+        .flatMap(entry => entry.sources.map(source => source.original))
+        .filter(original => !matchedQueries.has(original));
+
+      matchedTerms.sort((a, b) => b.contribution - a.contribution);
+      results.push({
+        prompt: document.prompt,
+        score: Math.round(dot * 1000) / 1000,
+        explanation: {
+          summary: `Matched ${joinList(matchedTerms.map(describeMatch))}`,
+          matchedTerms,
+          unmatchedTerms
+        }
+      });
+    });
+
+    results.sort((a, b) => b.score - a.score);
+    return results.slice(0, limit);
+  }
+}
+
+module.exports = PresetIndex;
+module.exports.analyze = analyze;
@@ -0,0 +1,194 @@
+const { words, stem } = require('./text');
+
+// Concepts presets are searched by. Each has a canonical English term, English
+// synonyms and translations (es, fr, de, it, pt); any of them, in a query or in
+// preset text, is indexed as the concept's term. Multi-word entries match as phrases.
+const CONCEPTS = [
+  {
+    term: 'portrait',
+    synonyms: ['headshot', 'head shot', 'face', 'selfie', 'close-up', 'closeup', 'profile picture', 'avatar'],
+    translations: { es: ['retrato', 'cara', 'rostro'], fr: ['visage', 'autoportrait'], de: ['porträt', 'gesicht', 'bildnis'], it: ['ritratto', 'viso', 'volto'], pt: ['rosto'] }
+  },
+  {
+    term: 'background',
+    synonyms: ['backdrop', 'bg', 'surroundings', 'setting'],
+    translations: { es: ['fondo'], fr: ['arrière-plan', 'arriere plan', 'fond', 'décor'], de: ['hintergrund'], it: ['sfondo'], pt: ['fundo', 'cenário'] }
+  },
+  {
+    term: 'retouch',
+    synonyms: ['touch up', 'touch-up', 'smooth skin', 'skin smoothing', 'blemish', 'airbrush', 'beautify'],
+    translations: { es: ['retocar', 'retoque'], fr: ['retoucher', 'retouche'], de: ['retusche', 'retuschieren'], it: ['ritocco', 'ritoccare'], pt: ['retoque', 'retocar'] }
+  },
+  {
+    term: 'edit',
+    synonyms: ['editing', 'color grade', 'colour grade', 'color grading', 'colour grading', 'enhance', 'adjust'],
+    translations: { es: ['editar', 'edición', 'mejorar'], fr: ['éditer', 'retoucher les couleurs', 'améliorer'], de: ['bearbeiten', 'verbessern'], it: ['modificare', 'migliorare'], pt: ['editar', 'melhorar'] }
+  },
+  {
+    term: 'lighting',
+    synonyms: ['light', 'lights', 'illumination', 'lit', 'shadows', 'rim light'],
+    translations: { es: ['iluminación', 'luz', 'luces'], fr: ['éclairage', 'lumière'], de: ['beleuchtung', 'licht'], it: ['illuminazione', 'luce'], pt: ['iluminação', 'luz'] }
+  },
+  {
+    term: 'cinematic',
+    synonyms: ['movie', 'film', 'filmic', 'cinema', 'hollywood style'],
+    translations: { es: ['película', 'cine', 'cinematográfico'], fr: ['cinéma', 'cinématographique'], de: ['kino', 'filmisch'], it: ['cinematografico'], pt: ['filme', 'cinematográfico'] }
+  },
+  {
+    term: 'vintage',
+    synonyms: ['retro', 'old', 'old school', 'old-school', 'nostalgic', 'throwback', 'classic'],
+    translations: { es: ['antiguo', 'clásico'], fr: ['rétro', 'ancien', 'classique'], de: ['altmodisch', 'klassisch'], it: ['d\'epoca', 'classico'], pt: ['antigo', 'clássico'] }
+  },
+  {
+    term: 'seventies',
+    synonyms: ['70s', '1970s', '70', '1970'],
+    translations: { es: ['setenta', 'setentas'], fr: ['soixante-dix', 'années 70'], de: ['siebziger'], it: ['anni 70', 'settanta'], pt: ['anos 70', 'setenta'] }
+  },
+  {
+    term: 'eighties',
+    synonyms: ['80s', '1980s', '80', '1980'],
+    translations: { es: ['ochenta', 'ochentas'], fr: ['quatre-vingt', 'années 80'], de: ['achtziger'], it: ['anni 80', 'ottanta'], pt: ['anos 80', 'oitenta'] }
+  },
+  {
+    term: 'nineties',
+    synonyms: ['90s', '1990s', '90', '1990'],
+    translations: { es: ['noventa', 'noventas'], fr: ['quatre-vingt-dix', 'années 90'], de: ['neunziger'], it: ['anni 90', 'novanta'], pt: ['anos 90', 'noventa'] }
+  },
+  {
+    term: 'disco',
+    synonyms: ['bell-bottoms', 'bell bottoms', 'dance floor', 'funk'],
+    translations: { es: ['discoteca'], fr: ['discothèque'], de: ['diskothek', 'disko'], it: ['discoteca'], pt: ['discoteca'] }
+  },
+  {
+    term: 'suit',
+    synonyms: ['tuxedo', 'blazer', 'formal wear', 'business attire'],
+    translations: { es: ['traje', 'esmoquin'], fr: ['costard'], de: ['anzug'], it: ['abito', 'completo'], pt: ['terno', 'fato'] }
+  },
+  {
+    term: 'monochrome',
+    synonyms: ['black and white', 'black & white', 'b&w', 'bw', 'grayscale', 'greyscale', 'noir'],
+    translations: { es: ['blanco y negro', 'monocromo'], fr: ['noir et blanc', 'monochrome'], de: ['schwarz weiß', 'schwarzweiß', 'schwarz-weiß'], it: ['bianco e nero'], pt: ['preto e branco'] }
+  },
+  {
+    term: 'travel',
+    synonyms: ['trip', 'vacation', 'holiday', 'tourist', 'tourism', 'landmark', 'sightseeing'],
+    translations: { es: ['viaje', 'viajar', 'vacaciones', 'turista'], fr: ['voyage', 'vacances', 'touriste'], de: ['reise', 'urlaub', 'tourist'], it: ['viaggio', 'vacanza', 'turista'], pt: ['viagem', 'férias', 'turista'] }
+  },
+  {
+    term: 'paris',
+    synonyms: ['eiffel', 'eiffel tower', 'arc de triomphe', 'champs elysees'],
+    translations: { es: ['torre eiffel', 'parís'], fr: ['tour eiffel'], de: ['eiffelturm'], it: ['torre eiffel', 'parigi'], pt: ['torre eiffel'] }
+  },
+  {
+    term: 'egypt',
+    synonyms: ['pyramid', 'pyramids', 'giza', 'sphinx', 'cairo'],
+    translations: { es: ['egipto', 'pirámide', 'pirámides'], fr: ['égypte', 'pyramide', 'pyramides'], de: ['ägypten', 'pyramide', 'pyramiden'], it: ['egitto', 'piramide', 'piramidi'], pt: ['egito', 'pirâmide', 'pirâmides'] }
+  },
+  {
+    term: 'new york',
+    synonyms: ['nyc', 'statue of liberty', 'manhattan', 'liberty'],
+    translations: { es: ['nueva york', 'estatua de la libertad'], fr: ['statue de la liberté'], de: ['freiheitsstatue'], it: ['statua della libertà'], pt: ['nova iorque', 'estátua da liberdade'] }
+  },
+  {
+    term: 'india',
+    synonyms: ['taj mahal', 'agra', 'mumbai', 'bollywood'],
+    translations: { es: ['la india'], fr: ['inde'], de: ['indien'], it: ['indiano'], pt: ['índia'] }
+  },
+  {
+    term: 'china',
+    synonyms: ['great wall', 'great wall of china', 'beijing'],
+    translations: { es: ['gran muralla'], fr: ['chine', 'grande muraille'], de: ['chinesische mauer'], it: ['cina', 'grande muraglia'], pt: ['grande muralha'] }
+  },
+  {
+    term: 'hollywood',
+    synonyms: ['hollywood sign', 'los angeles', 'celebrity', 'movie star'],
+    translations: { es: ['estrella de cine', 'famoso'], fr: ['star de cinéma', 'célébrité'], de: ['filmstar', 'promi'], it: ['star del cinema', 'celebrità'], pt: ['estrela de cinema', 'celebridade'] }
+  },
+  {
+    term: 'scifi',
+    synonyms: ['sci-fi', 'science fiction', 'futuristic', 'future', 'cyberpunk', 'space', 'neon'],
+    translations: { es: ['ciencia ficción', 'futurista', 'futuro', 'espacio'], fr: ['science-fiction', 'futuriste', 'futur', 'espace'], de: ['zukunft', 'futuristisch', 'weltraum'], it: ['fantascienza', 'futuristico', 'futuro', 'spazio'], pt: ['ficção científica', 'futurista', 'futuro', 'espaço'] }
+  },
+  {
+    term: 'woman',
+    synonyms: ['women', 'female', 'girl', 'lady'],
+    translations: { es: ['mujer', 'chica'], fr: ['femme', 'fille'], de: ['frau', 'mädchen'], it: ['donna', 'ragazza'], pt: ['mulher', 'menina'] }
+  },
+  {
+    term: 'man',
+    synonyms: ['men', 'male', 'guy', 'gentleman'],
+    translations: { es: ['hombre', 'chico'], fr: ['homme', 'garçon'], de: ['mann', 'junge'], it: ['uomo', 'ragazzo'], pt: ['homem', 'rapaz'] }
+  },
+  {
+    term: 'hair',
+    synonyms: ['hairstyle', 'hairdo', 'haircut'],
+    translations: { es: ['pelo', 'cabello', 'peinado'], fr: ['cheveux', 'coiffure'], de: ['haare', 'frisur'], it: ['capelli', 'acconciatura'], pt: ['cabelo', 'penteado'] }
+  },
+  {
+    term: 'studio',
+    synonyms: ['professional', 'photoshoot', 'photo shoot'],
+    translations: { es: ['estudio', 'profesional'], fr: ['professionnel'], de: ['professionell', 'fotostudio'], it: ['studio fotografico', 'professionale'], pt: ['estúdio', 'profissional'] }
+  },
+  {
+    term: 'sunrise',
+    synonyms: ['sunset', 'golden hour', 'dawn', 'dusk'],
+    translations: { es: ['amanecer', 'atardecer', 'puesta de sol'], fr: ['lever du soleil', 'coucher du soleil', 'aube'], de: ['sonnenaufgang', 'sonnenuntergang'], it: ['alba', 'tramonto'], pt: ['nascer do sol', 'pôr do sol'] }
+  },
+  {
+    term: 'night',
+    synonyms: ['nighttime', 'night-time', 'evening'],
+    translations: { es: ['noche', 'nocturno'], fr: ['nuit', 'nocturne'], de: ['nacht'], it: ['notte', 'notturno'], pt: ['noite', 'noturno'] }
+  },
+  {
+    term: 'fashion',
+    synonyms: ['outfit', 'clothes', 'clothing', 'attire', 'dressed'],
+    translations: { es: ['moda', 'ropa', 'vestido'], fr: ['mode', 'vêtements', 'tenue'], de: ['mode', 'kleidung', 'outfit'], it: ['moda', 'vestiti', 'abbigliamento'], pt: ['moda', 'roupa', 'roupas'] }
+  },
+  {
+    term: 'realistic',
+    synonyms: ['photorealistic', 'realism', 'lifelike', 'real'],
+    translations: { es: ['realista'], fr: ['réaliste'], de: ['realistisch', 'fotorealistisch'], it: ['realistico'], pt: ['realista'] }
+  },
+  {
+    term: 'water',
+    synonyms: ['wet', 'droplets', 'rain', 'splash'],
+    translations: { es: ['agua', 'mojado', 'lluvia'], fr: ['eau', 'mouillé', 'pluie'], de: ['wasser', 'nass', 'regen'], it: ['acqua', 'bagnato', 'pioggia'], pt: ['água', 'molhado', 'chuva'] }
+  }
+];
+
+// Phrase (as index terms, joined by spaces) -> { term, via, language, phrase }
+const buildLookup = () => {
+  const lookup = new Map();
+  let maxPhraseLength = 1;
+
+  const add = (text, concept, via, language = 'en') => {
+    const key = words(text).map(stem).join(' ');
+    if (!key || lookup.has(key)) return;
+    lookup.set(key, { term: concept.term, via, language, phrase: text });
+    maxPhraseLength = Math.max(maxPhraseLength, key.split(' ').length);
+  };
+
+  // Canonical terms first so they win over a synonym spelled the same way
+  CONCEPTS.forEach(concept => add(concept.term, concept, 'exact'));
+  CONCEPTS.forEach(concept => concept.synonyms.forEach(synonym => add(synonym, concept, 'synonym')));
+  CONCEPTS.forEach(concept => Object.entries(concept.translations).forEach(([language, translations]) => (
+    translations.forEach(translation => add(translation, concept, 'translation', language))
+  )));
+
+  return { lookup, maxPhraseLength };
+};
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese'
+};
+
+module.exports = {
+  CONCEPTS,
+  LANGUAGE_NAMES,
+  ...buildLookup()
+};
@@ -0,0 +1,195 @@
+// Text normalisation shared by the preset index and queries: lowercase,
+// accents folded ("porträt" -> "portrat"), split into letter/digit words.
+const normalize = (text = '') => text
+  .toString()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const words = (text) => normalize(text).match(WORD_PATTERN) || [];
+
+// Function words that carry no meaning for matching, in the languages the
+// lexicon translates from. Stored accent-folded, like the words they're compared to.
+// Nouns such as "photo" stay: presets about photos are described with them, and
+// IDF already makes a word that every preset uses count for little.
+const STOPWORDS = new Set([
+  // English
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'i', 'in',
+  'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'their', 'them',
+  'this', 'to', 'too', 'was', 'with', 'while', 'you', 'your', 'make', 'create', 'want', 'like',
+  'look', 'please', 'some', 'very',
+  // Spanish
+  'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'y', 'o', 'de', 'del', 'en', 'con',
+  'por', 'para', 'que', 'mi', 'su', 'al', 'quiero',
+  // French
+  'le', 'les', 'une', 'des', 'et', 'ou', 'du', 'au', 'aux', 'avec', 'pour', 'dans', 'sur', 'mon',
+  'ma', 'mes', 'je', 'veux',
+  // German
+  'der', 'die', 'das', 'ein', 'eine', 'einen', 'und', 'oder', 'mit', 'im', 'ich', 'mein',
+  'meine',
+  // Italian / Portuguese
+  'il', 'lo', 'gli', 'di', 'da', 'con', 'per', 'uno', 'e', 'um', 'uma', 'os', 'as', 'com', 'do',
+  'na', 'no', 'meu', 'minha'
+]);
+
+// Porter (1980) stemmer for English words
+const isConsonant = (word, i) => {
+  const char = word[i];
+  if ('aeiou'.includes(char)) return false;
+  if (char === 'y') return i === 0 || !isConsonant(word, i - 1);
+  return true;
+};
+
+// Number of vowel-consonant sequences in the stem ("m" in Porter's paper)
+const measure = (stem) => {
+  let count = 0;
+  let i = 0;
+  const length = stem.length;
+  while (i < length && isConsonant(stem, i)) i++;
+  while (i < length) {
+    while (i < length && !isConsonant(stem, i)) i++;
+    if (i >= length) break;
+    while (i < length && isConsonant(stem, i)) i++;
+    count++;
+  }
+  return count;
+};
+
+const hasVowel = (stem) => [...stem].some((_, i) => !isConsonant(stem, i));
+
+const endsWithDoubleConsonant = (word) => {
+  const length = word.length;
+  return length >= 2 && word[length - 1] === word[length - 2] && isConsonant(word, length - 1);
+};
+
+// consonant-vowel-consonant, where the last consonant is not w, x or y
+const endsCvc = (word) => {
+  const length = word.length;
+  return length >= 3
+    && isConsonant(word, length - 3)
+    && !isConsonant(word, length - 2)
+    && isConsonant(word, length - 1)
+    && !'wxy'.includes(word[length - 1]);
+};
+
+// Replace the first matching suffix when the remaining stem has measure > minMeasure
+const replaceSuffix = (word, rules, minMeasure) => {
+  for (const [suffix, replacement] of rules) {
+    if (word.endsWith(suffix)) {
+      const stem = word.slice(0, -suffix.length);
+      return measure(stem) > minMeasure ? stem + replacement : word;
+    }
+  }
+  return word;
+};
+
+const STEP2_RULES = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'],
+  ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'],
+  ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'],
+  ['fulness', 'ful'], ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'],
+  ['logi', 'log']
+];
+
+const STEP3_RULES = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'], ['ical', 'ic'], ['ful', ''], ['ness', '']
+];
+
+const STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent', 'ion', 'ou',
+  'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+const stem = (input) => {
+  let word = input;
+  if (word.length <= 2 || /\d/.test(word)) return word;
+
+  // Step 1a: plurals
+  if (word.endsWith('sses')) word = word.slice(0, -2);
+  else if (word.endsWith('ies')) word = word.slice(0, -2);
+  else if (!word.endsWith('ss') && word.endsWith('s')) word = word.slice(0, -1);
+
+  // Step 1b: -ed and -ing
+  let trimmed = false;
+  if (word.endsWith('eed')) {
+    if (measure(word.slice(0, -3)) > 0) word = word.slice(0, -1);
+  } else if (word.endsWith('ed') && hasVowel(word.slice(0, -2))) {
+    word = word.slice(0, -2);
+    trimmed = true;
+  } else if (word.endsWith('ing') && hasVowel(word.slice(0, -3))) {
+    word = word.slice(0, -3);
+    trimmed = true;
+  }
+  if (trimmed) {
+    if (word.endsWith('at') || word.endsWith('bl') || word.endsWith('iz')) {
+      word += 'e';
+    } else if (endsWithDoubleConsonant(word) && !'lsz'.includes(word[word.length - 1])) {
+      word = word.slice(0, -1);
+    } else if (measure(word) === 1 && endsCvc(word)) {
+      word += 'e';
+    }
+  }
+
+  // Step 1c: y -> i
+  if (word.endsWith('y') && hasVowel(word.slice(0, -1))) {
+    word = `${word.slice(0, -1)}i`;
+  }
+
+  // Steps 2 and 3: double and single suffixes
+  word = replaceSuffix(word, STEP2_RULES, 0);
+  word = replaceSuffix(word, STEP3_RULES, 0);
+
+  // Step 4: strip suffixes when the stem is long enough
+  for (const suffix of STEP4_SUFFIXES.slice().sort((a, b) => b.length - a.length)) {
+    if (word.endsWith(suffix)) {
+      const base = word.slice(0, -suffix.length);
+      const allowed = suffix === 'ion' ? /[st]$/.test(base) : true;
+      if (allowed && measure(base) > 1) word = base;
+      break;
+    }
+  }
+
+  // Step 5: final -e and -ll
+  if (word.endsWith('e')) {
+    const base = word.slice(0, -1);
+    const m = measure(base);
+    if (m > 1 || (m === 1 && !endsCvc(base))) word = base;
+  }
+  if (measure(word) > 1 && endsWithDoubleConsonant(word) && word.endsWith('l')) {
+    word = word.slice(0, -1);
+  }
+
+  return word;
+};
+
+// Levenshtein distance, capped: returns max + 1 as soon as it's exceeded
+const editDistance = (a, b, max = 2) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+module.exports = {
+  normalize,
+  words,
+  stem,
+  editDistance,
+  STOPWORDS
+};
@@ -0,0 +1,149 @@
+const { renderTemplate, templateVariables, validateVariables } = require('../../shared/presetTemplate.js');
+
+// What the model is told regardless of the user's prompt, per generation type
+const BASE_INSTRUCTIONS = {
+  'image-to-image': 'Edit the attached photo as the user describes. Keep the person recognisable and the original framing unless the prompt says otherwise. Respond with a single image.',
+  'text-to-image': 'Create a single image that matches the user\'s description.',
+  refine: 'Continue editing the image from your last turn as the user asks. Change only what they ask for and keep everything else as it is. Respond with a single image.'
+};
+
+// Stands in for the model's side of earlier turns in a refinement's history;
+// only the image being refined is sent as bytes
+const MODEL_TURN_TEXT = 'Here is the edited image.';
+
+// Older generations had the upload appended to the prompt as ", reference image: <key or url>"
+const LEGACY_REFERENCE_PATTERN = /,?\s*reference image:\s*\S+/gi;
+const URL_PATTERN = /\bhttps?:\/\/[^\s,;"'<>)]+/gi;
+const STORAGE_KEY_PATTERN = /\b(?:uploads|generated)\/[\w-]+\.(?:jpe?g|png|webp|gif)\b/gi;
+const INTERNAL_PATH_PATTERN = /^\/(?:uploads|api\/files)\//;
+const PRIVATE_HOST_PATTERN = /^(?:localhost|127\.|10\.|192\.168\.|172\.(?:1[6-9]|2\d|3[01])\.|0\.0\.0\.0$|\[::1\]$|.*\.local$|.*\.internal$)/;
+
+// Builds what a generation asks the model for, kept in three parts: the prompt the
+// user sees, the system instructions, and attachments (stored by key, sent as bytes).
+// Nothing that points back at our servers (upload URLs, signed links, storage keys)
+// ever reaches the provider.
+class PromptAssembly {
+  // Hosts of our own services, from configuration
+  internalHosts() {
+    return [process.env.FRONTEND_URL, process.env.STORAGE_S3_ENDPOINT, process.env.STORAGE_S3_PUBLIC_ENDPOINT]
+      .filter(Boolean)
+      .map(url => {
+        try {
+          return new URL(url).host;
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  isInternalUrl(text) {
+    let url;
+    try {
+      url = new URL(text);
+    } catch (error) {
+      return false;
+    }
+    return PRIVATE_HOST_PATTERN.test(url.hostname)
+      || this.internalHosts().includes(url.host)
+      || INTERNAL_PATH_PATTERN.test(url.pathname)
+      || url.searchParams.has('X-Amz-Signature')
+      || url.searchParams.has('signature');
+  }
+
+  // Remove references to our own storage and servers from prompt text
+  stripInternalReferences(text = '') {
+    return text
+      .replace(LEGACY_REFERENCE_PATTERN, '')
+      .replace(URL_PATTERN, url => (this.isInternalUrl(url) ? '' : url))
+      .replace(STORAGE_KEY_PATTERN, '')
+      .replace(/\s+,/g, ',')
+      .replace(/,(\s*,)+/g, ',')
+      .replace(/\s{2,}/g, ' ')
+      .replace(/^[\s,]+|[\s,]+$/g, '');
+  }
+
+  systemInstructionsFor(generationType, preset = null) {
+    const instructions = [BASE_INSTRUCTIONS[generationType] || BASE_INSTRUCTIONS['text-to-image']];
+    if (preset?.negative_prompt) {
+      instructions.push(`Avoid: ${preset.negative_prompt}`);
+    }
+    return instructions.join('\n');
+  }
+
+  // Assemble a new generation's request. preset is the prompt shape from the
+  // matcher (or null); its main prompt is rendered with the user's variables,
+  // throwing a TemplateError when they're invalid. Attachments are
+  // { role, storageKey, mimeType } and are never mentioned in the prompt.
+  assemble({ generationType, userPrompt = '', preset = null, variables = {}, attachments = [] }) {
+    const extra = this.stripInternalReferences(userPrompt.trim());
+    let prompt = extra;
+    let values = {};
+
+    if (preset) {
+      const template = preset.main_prompt || '';
+      ({ values } = validateVariables(templateVariables(template), variables));
+      const rendered = this.stripInternalReferences(renderTemplate(template, variables).trim());
+      // Extra instructions from the user follow the preset's prompt
+      prompt = [rendered, extra].filter(Boolean).join(', ');
+    }
+
+    return {
+      prompt,
+      systemInstructions: this.systemInstructionsFor(generationType, preset),
+      attachments: attachments.map(({ role, storageKey, mimeType }) => ({ role, storageKey, mimeType })),
+      variables: values
+    };
+  }
+
+  // Assemble a refinement of one of parent's outputs (sourceKey). The instruction
+  // is the prompt of the new turn; the preset's "Avoid" list carries over.
+  assembleRefinement({ instruction, parent, sourceKey }) {
+    const avoid = (parent.systemInstructions || '')
+      .split('\n')
+      .filter(line => line.startsWith('Avoid:'));
+
+    return {
+      prompt: this.stripInternalReferences(instruction.trim()),
+      systemInstructions: [BASE_INSTRUCTIONS.refine, ...avoid].join('\n'),
+      attachments: [{ role: 'source', storageKey: sourceKey, mimeType: 'image/jpeg' }]
+    };
+  }
+
+  // How many earlier turns a refinement sends along with its instruction
+  historyTurns() {
+    return parseInt(process.env.REFINE_HISTORY_TURNS) || 6;
+  }
+
+  // Conversation that led to a refinement's source image, from its ancestors
+  // (oldest first): the user's prompt then the model's reply for every turn
+  historyFor(ancestors = []) {
+    return ancestors.flatMap(ancestor => [
+      { role: 'user', text: this.stripInternalReferences(ancestor.prompt || '') || 'Edit this image.' },
+      { role: 'model', text: MODEL_TURN_TEXT }
+    ]);
+  }
+
+  // What the worker sends to the provider for a stored generation. Generations
+  // created before prompts were assembled have no system instructions or
+  // attachments of their own, and may carry a reference to their upload.
+  // Refinements pass their ancestors to continue the conversation.
+  forProvider(generation, ancestors = []) {
+    const attachments = generation.attachments?.length
+      ? generation.attachments.map(({ role, storageKey, mimeType }) => ({ role, storageKey, mimeType }))
+      : (generation.inputs?.imageKey
+        ? [{ role: 'source', storageKey: generation.inputs.imageKey, mimeType: 'image/jpeg' }]
+        : []);
+
+    return {
+      prompt: this.stripInternalReferences(generation.prompt || ''),
+      systemInstructions: generation.systemInstructions
+        || (generation.parentId ? BASE_INSTRUCTIONS.refine : this.systemInstructionsFor(generation.generationType)),
+      attachments,
+      history: this.historyFor(ancestors)
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new PromptAssembly();
@@ -1,68 +1,30 @@
-const fs = require('fs');
-const path = require('path');
-const csv = require('csv-parser');
+const Preset = require('../models/Preset');
+const PresetIndex = require('./presetSearch');
+const { analyze } = PresetIndex;
 
 class PromptMatcher {
   constructor() {
     this.prompts = [];
-    this.csvPath = path.join(__dirname, '../data/prompts/master_prompts.csv');
+    // Active presets are cached briefly; admin changes call reloadPrompts()
+    this.cacheTtlMs = (parseInt(process.env.PRESET_CACHE_TTL_SECONDS) || 60) * 1000;
     this.lastLoadTime = null;
+    this.index = new PresetIndex();
   }
 
-  // Load prompts from CSV file
+  // Load active presets from the database
   async loadPrompts() {
-    try {
-      if (!fs.existsSync(this.csvPath)) {
-        console.log('No prompts CSV file found, using empty prompts array');
-        this.prompts = [];
-        return;
-      }
-
-      const stats = fs.statSync(this.csvPath);
-      
-      // Only reload if file has been modified
-      if (this.lastLoadTime && stats.mtime <= this.lastLoadTime) {
-        return;
-      }
-
-      this.prompts = [];
-      
-      return new Promise((resolve, reject) => {
-        fs.createReadStream(this.csvPath)
-          .pipe(csv())
-          .on('data', (row) => {
-            // Clean and validate row data
-            const prompt = {
-              id: `${row.category}_${this.prompts.length + 1}`,
-              name: row.category?.toString().trim(),
-              description: '',
-              category: row.category?.toString().trim() || 'general',
-              tags: '',
-              main_prompt: row.main_prompt?.toString().trim(),
-              negative_prompt: '',
-              style: 'realistic',
-              quality_level: 'high',
-              user_tier: 'free',
-              is_active: true
-            };
+    if (this.lastLoadTime && Date.now() - this.lastLoadTime < this.cacheTtlMs) {
+      return;
+    }
 
-            // Only add valid prompts
-            if (prompt.category && prompt.main_prompt) {
-              this.prompts.push(prompt);
-            }
-          })
-          .on('end', () => {
-            this.lastLoadTime = stats.mtime;
-            console.log(`Loaded ${this.prompts.length} prompts from CSV`);
-            resolve();
-          })
-          .on('error', (error) => {
-            console.error('Error loading prompts:', error);
-            reject(error);
-          });
-      });
+    try {
+      const presets = await Preset.findActive();
+      this.prompts = presets.map(preset => preset.toPromptShape());
+      this.index.build(this.prompts);
+      this.lastLoadTime = Date.now();
+      console.log(`Loaded ${this.prompts.length} presets from the database`);
     } catch (error) {
-      console.error('Failed to load prompts:', error);
+      console.error('Failed to load presets:', error);
       throw error;
     }
   }
@@ -84,12 +46,7 @@ class PromptMatcher {
   // Get prompts by user tier
   async getPromptsByUserTier(userTier = 'free') {
     await this.loadPrompts();
-    return this.prompts.filter(prompt => {
-      if (userTier === 'premium') {
-        return true; // Premium users can access all prompts
-      }
-      return prompt.user_tier === 'free';
-    });
+    return this.prompts.filter(prompt => Preset.tierAllows(prompt.user_tier, userTier));
   }
 
   // Find prompt by exact ID
@@ -98,123 +55,60 @@ class PromptMatcher {
     return this.prompts.find(prompt => prompt.id === id);
   }
 
-  // Smart matching based on user input
-  async findBestMatch(userInput, userTier = 'free', category = null) {
-    await this.loadPrompts();
-    
-    let availablePrompts = await this.getPromptsByUserTier(userTier);
-    
-    if (category) {
-      availablePrompts = availablePrompts.filter(prompt => 
-        prompt.category.toLowerCase() === category.toLowerCase()
-      );
+  // Presets available to a tier, optionally within one category
+  async getAvailablePrompts(userTier = 'free', category = null) {
+    const availablePrompts = await this.getPromptsByUserTier(userTier);
+    if (!category) {
+      return availablePrompts;
     }
+    return availablePrompts.filter(prompt =>
+      prompt.category.toLowerCase() === category.toLowerCase()
+    );
+  }
 
+  // Ranked matches for a free-text query, each with a matchScore (0-1) and an
+  // explanation of which query words matched which preset fields
+  async findMatches(userInput, userTier = 'free', category = null, limit = 5) {
+    const availablePrompts = await this.getAvailablePrompts(userTier, category);
     if (availablePrompts.length === 0) {
-      return null;
+      return [];
     }
 
-    const input = userInput.toLowerCase();
-    const matches = [];
-
-    availablePrompts.forEach(prompt => {
-      let score = 0;
-      
-      // Check name match
-      if (prompt.name.toLowerCase().includes(input)) {
-        score += 10;
-      }
-      
-      // Check description match
-      if (prompt.description.toLowerCase().includes(input)) {
-        score += 5;
-      }
-      
-      // Check tags match
-      const tags = prompt.tags.toLowerCase().split(',').map(tag => tag.trim());
-      tags.forEach(tag => {
-        if (input.includes(tag) || tag.includes(input)) {
-          score += 3;
-        }
-      });
-      
-      // Check category match
-      if (prompt.category.toLowerCase().includes(input)) {
-        score += 2;
-      }
-      
-      // Check style match
-      if (prompt.style.toLowerCase().includes(input)) {
-        score += 2;
-      }
-      
-      // Keyword matching in main prompt
-      const inputWords = input.split(' ').filter(word => word.length > 2);
-      inputWords.forEach(word => {
-        if (prompt.main_prompt.toLowerCase().includes(word)) {
-          score += 1;
-        }
-      });
-      
-      if (score > 0) {
-        matches.push({ prompt, score });
-      }
+    const availableIds = new Set(availablePrompts.map(prompt => prompt.id));
+    const results = this.index.search(userInput, {
+      filter: prompt => availableIds.has(prompt.id),
+      limit
     });
 
-    // Sort by score and return best match
-    matches.sort((a, b) => b.score - a.score);
-    
-    return matches.length > 0 ? matches[0].prompt : availablePrompts[0]; // Return best match or first available
+    return results.map(({ prompt, score, explanation }) => ({
+      ...prompt,
+      matchScore: score,
+      explanation
+    }));
   }
 
-  // Get multiple matches for user selection
-  async findMatches(userInput, userTier = 'free', category = null, limit = 5) {
-    await this.loadPrompts();
-    
-    let availablePrompts = await this.getPromptsByUserTier(userTier);
-    
-    if (category) {
-      availablePrompts = availablePrompts.filter(prompt => 
-        prompt.category.toLowerCase() === category.toLowerCase()
-      );
+  // Best match for a query; falls back to the first available preset when
+  // nothing matches, so callers always get something to generate with
+  async findBestMatch(userInput, userTier = 'free', category = null) {
+    const [bestMatch] = await this.findMatches(userInput, userTier, category, 1);
+    if (bestMatch) {
+      return bestMatch;
     }
 
-    if (availablePrompts.length === 0) {
-      return [];
+    const [fallback] = await this.getAvailablePrompts(userTier, category);
+    if (!fallback) {
+      return null;
     }
 
-    const input = userInput.toLowerCase();
-    const matches = [];
-
-    availablePrompts.forEach(prompt => {
-      let score = 0;
-      
-      // Same scoring logic as findBestMatch
-      if (prompt.name.toLowerCase().includes(input)) score += 10;
-      if (prompt.description.toLowerCase().includes(input)) score += 5;
-      
-      const tags = prompt.tags.toLowerCase().split(',').map(tag => tag.trim());
-      tags.forEach(tag => {
-        if (input.includes(tag) || tag.includes(input)) score += 3;
-      });
-      
-      if (prompt.category.toLowerCase().includes(input)) score += 2;
-      if (prompt.style.toLowerCase().includes(input)) score += 2;
-      
-      const inputWords = input.split(' ').filter(word => word.length > 2);
-      inputWords.forEach(word => {
-        if (prompt.main_prompt.toLowerCase().includes(word)) score += 1;
-      });
-      
-      if (score > 0) {
-        matches.push({ ...prompt, matchScore: score });
+    return {
+      ...fallback,
+      matchScore: 0,
+      explanation: {
+        summary: 'Nothing matched the query; showing the first available preset',
+        matchedTerms: [],
+        unmatchedTerms: analyze(userInput).map(token => token.original)
       }
-    });
-
-    // Sort by score and return top matches
-    matches.sort((a, b) => b.matchScore - a.matchScore);
-    
-    return matches.slice(0, limit);
+    };
   }
 
   // Get available categories
@@ -231,7 +125,7 @@ class PromptMatcher {
     return styles.sort();
   }
 
-  // Force reload prompts (useful after upload)
+  // Force reload prompts (after admin changes or an import)
   async reloadPrompts() {
     this.lastLoadTime = null;
     await this.loadPrompts();
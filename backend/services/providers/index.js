@@ -0,0 +1,98 @@
+const GeminiService = require('../geminiService');
+const StubProvider = require('./stubProvider');
+
+class ProviderError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ProviderError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Every provider implements:
+//   name, modelName
+//   capabilities() -> { imageToImage, textToImage, offline }
+//   cost(operation, options) -> credits per generated image
+//   generateImageFromImage(imageBuffer, prompt, options)
+//   generateImage(prompt, options)
+// Both save their output through the storage service and resolve to
+// { success, storageKey, enhancedPrompt, data: { width, height, fileSize, ... } }
+// options.variation is the index of the candidate when several are requested at once;
+// options.onEvent(type, data) receives progress ('uploading', 'model-called', 'text-chunk');
+// options.systemInstructions are sent apart from the prompt, and options.mimeType
+// describes imageBuffer. options.history ([{ role: 'user'|'model', text }], oldest
+// first) is the conversation that produced imageBuffer when refining an earlier
+// output; providers without multi-turn support may ignore it. Prompts come from
+// services/promptAssembly and never reference stored files: the image is passed as bytes.
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  get(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new ProviderError(`Image provider "${name}" is not available`);
+    }
+    return provider;
+  }
+
+  // Provider used when the request doesn't name one: per-tier override, then global default
+  getDefaultName(tier = 'free') {
+    const configured = process.env[`IMAGE_PROVIDER_${tier.toUpperCase()}`] || process.env.IMAGE_PROVIDER;
+    if (configured && this.has(configured)) {
+      return configured;
+    }
+    return this.has('gemini') ? 'gemini' : 'stub';
+  }
+
+  // Pick the provider for a request and check it supports the operation
+  resolve({ requested, tier = 'free', operation = 'imageToImage' } = {}) {
+    const provider = this.get(requested || this.getDefaultName(tier));
+
+    if (!provider.capabilities()[operation]) {
+      throw new ProviderError(`Image provider "${provider.name}" does not support ${operation}`);
+    }
+
+    return provider;
+  }
+
+  list(tier = 'free') {
+    const defaultName = this.getDefaultName(tier);
+    return [...this.providers.values()].map(provider => ({
+      name: provider.name,
+      model: provider.modelName,
+      capabilities: provider.capabilities(),
+      cost: provider.cost(),
+      default: provider.name === defaultName
+    }));
+  }
+}
+
+const registry = new ProviderRegistry();
+
+// The stub is always registered so the pipeline works without network access
+registry.register(new StubProvider());
+
+try {
+  if (process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your-gemini-api-key-here') {
+    registry.register(new GeminiService());
+    console.log('✅ Gemini provider initialized with real API');
+  } else {
+    console.warn('⚠️  Gemini API key not configured. Falling back to the stub image provider.');
+  }
+} catch (error) {
+  console.error('Failed to initialize Gemini provider:', error.message);
+}
+
+// Export singleton instance
+module.exports = registry;
+module.exports.ProviderError = ProviderError;
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const storage = require('../storage');
+
+// Offline provider: derives a deterministic sharp transformation from the inputs,
+// so the same image and prompt always look the same without any network calls.
+// Every output is still stored under its own key, so generations never share a file
+class StubProvider {
+  constructor() {
+    this.name = 'stub';
+    this.modelName = 'stub-sharp-v1';
+  }
+
+  capabilities() {
+    return {
+      imageToImage: true,
+      textToImage: true,
+      offline: true
+    };
+  }
+
+  // Stub generations are free
+  cost() {
+    return 0;
+  }
+
+  async generateImageFromImage(imageBuffer, prompt, options = {}) {
+    const { width = 1024, height = 1024, variation = 0, onEvent = () => {} } = options;
+
+    onEvent('uploading', { bytes: imageBuffer.length });
+    const digest = crypto.createHash('sha256')
+      .update(imageBuffer)
+      .update(this.seedText(prompt, width, height, variation))
+      .digest('hex');
+    const seed = parseInt(digest.slice(0, 8), 16);
+    onEvent('model-called', { provider: this.name, model: this.modelName });
+
+    let pipeline = sharp(imageBuffer)
+      .resize(width, height, { fit: 'cover' })
+      // A hue shift of at least 30 degrees guarantees the output never echoes the input
+      .modulate({ hue: 30 + (seed % 300), saturation: 1 + (seed % 5) / 10 });
+
+    if (seed & 1) pipeline = pipeline.flop();
+    if (seed & 2) pipeline = pipeline.tint(this.colorFromDigest(digest, 8));
+    pipeline = (seed & 4) ? pipeline.sharpen() : pipeline.blur(1.5);
+
+    const outputBuffer = await pipeline.jpeg({ quality: 85 }).toBuffer();
+    return this.saveOutput(outputBuffer, { width, height, prompt });
+  }
+
+  async generateImage(prompt, options = {}) {
+    const { width = 1024, height = 1024, variation = 0, onEvent = () => {} } = options;
+
+    onEvent('model-called', { provider: this.name, model: this.modelName });
+    const digest = crypto.createHash('sha256')
+      .update(this.seedText(prompt, width, height, variation))
+      .digest('hex');
+    const from = this.colorFromDigest(digest, 0);
+    const to = this.colorFromDigest(digest, 8);
+    const accent = this.colorFromDigest(digest, 16);
+    const seed = parseInt(digest.slice(24, 32), 16);
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+      <defs>
+        <linearGradient id="g" x1="0" y1="0" x2="1" y2="1">
+          <stop offset="0" stop-color="rgb(${from.r},${from.g},${from.b})"/>
+          <stop offset="1" stop-color="rgb(${to.r},${to.g},${to.b})"/>
+        </linearGradient>
+      </defs>
+      <rect width="100%" height="100%" fill="url(#g)"/>
+      <circle cx="${seed % width}" cy="${(seed >> 8) % height}" r="${Math.round(Math.min(width, height) / 4)}"
+        fill="rgb(${accent.r},${accent.g},${accent.b})" fill-opacity="0.6"/>
+    </svg>`;
+
+    const outputBuffer = await sharp(Buffer.from(svg)).jpeg({ quality: 85 }).toBuffer();
+    return this.saveOutput(outputBuffer, { width, height, prompt });
+  }
+
+  // Variation 0 keeps the original seed so single-image outputs stay stable
+  seedText(prompt, width, height, variation) {
+    const base = `${prompt}|${width}x${height}`;
+    return variation > 0 ? `${base}|v${variation}` : base;
+  }
+
+  colorFromDigest(digest, offset) {
+    return {
+      r: parseInt(digest.slice(offset, offset + 2), 16),
+      g: parseInt(digest.slice(offset + 2, offset + 4), 16),
+      b: parseInt(digest.slice(offset + 4, offset + 6), 16)
+    };
+  }
+
+  async saveOutput(buffer, { width, height, prompt }) {
+    const storageKey = storage.createKey('generated');
+    const fileName = storageKey.slice('generated/'.length);
+    await storage.put(storageKey, buffer, { contentType: 'image/jpeg' });
+
+    return {
+      success: true,
+      storageKey,
+      enhancedPrompt: prompt,
+      data: {
+        width,
+        height,
+        prompt,
+        fileName,
+        mimeType: 'image/jpeg',
+        fileSize: buffer.length
+      }
+    };
+  }
+}
+
+module.exports = StubProvider;
@@ -0,0 +1,87 @@
+const Quota = require('../models/Quota');
+const billing = require('./billing');
+const { InsufficientCreditsError } = billing;
+
+class QuotaExceededError extends Error {
+  constructor(quota, amount) {
+    const remaining = quota ? quota.generationsRemaining : 0;
+    super(remaining > 0
+      ? `Only ${remaining} generation(s) left today; request fewer variations.`
+      : 'Daily generation limit exceeded. Upgrade to Pro or buy credits to keep generating.');
+    this.name = 'QuotaExceededError';
+    this.statusCode = 429;
+    this.quota = quota;
+    this.amount = amount;
+  }
+}
+
+// The one place daily generation quota is read, reserved and refunded.
+// Quota is reserved before any provider call and handed back for variations
+// that fail or merely echo the input, so users only pay for real outputs.
+class QuotaService {
+  getTodayQuota(user) {
+    return Quota.getTodayQuota(user._id, user.tier, user.timezone);
+  }
+
+  // Reserve `amount` generations or throw QuotaExceededError. Once the daily
+  // quota is used up the run is paid for with credits, if the user has enough.
+  // The returned reservation is stored on the generation attempt so it can be refunded later.
+  async reserve(user, amount = 1, { generationId, attempt } = {}) {
+    const quota = await Quota.reserve(user._id, user.tier, amount, user.timezone);
+
+    if (quota) {
+      return {
+        quota,
+        reservation: { source: 'quota', date: quota.date, amount }
+      };
+    }
+
+    const todayQuota = await this.getTodayQuota(user);
+
+    if (generationId) {
+      try {
+        const { transaction } = await billing.consumeForGeneration(user._id, amount, { generationId, attempt });
+        return {
+          quota: todayQuota,
+          reservation: { source: 'credits', transactionId: transaction._id, amount }
+        };
+      } catch (error) {
+        if (!(error instanceof InsufficientCreditsError)) throw error;
+      }
+    }
+
+    throw new QuotaExceededError(todayQuota, amount);
+  }
+
+  // Give back part of a reservation (an attempt's quota entry): to the day it
+  // was taken from, or to the credit balance when credits paid for it
+  async refund(userId, reservation, amount = reservation.reserved) {
+    if (!reservation || amount <= 0) return null;
+
+    if (reservation.source === 'credits') {
+      await billing.refundGeneration(reservation.transactionId, amount, reservation.refunded || 0);
+      console.log(`↩️  [QUOTA] Refunded credits for ${amount} generation(s) to user ${userId}`);
+      return null;
+    }
+
+    if (!reservation.date) return null;
+
+    const quota = await Quota.release(userId, reservation.date, amount);
+    console.log(`↩️  [QUOTA] Refunded ${amount} generation(s) to user ${userId}`);
+    return quota;
+  }
+
+  // Quota summary included in generation responses
+  toResponse(quota) {
+    return {
+      generationsUsed: quota.generationsUsed,
+      generationsLimit: quota.generationsLimit,
+      generationsRemaining: quota.generationsRemaining,
+      resetAt: quota.resetAt
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new QuotaService();
+module.exports.QuotaExceededError = QuotaExceededError;
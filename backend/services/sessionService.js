@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Two tabs refreshing at once both present the same cookie; the one that loses
+// the race may still use the token it just replaced for this long
+const REUSE_GRACE_MS = 30 * 1000;
+
+class SessionError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Signed-in devices. Each login starts a Session with a refresh token kept in
+// an httpOnly cookie scoped to /api/auth; the API itself is called with
+// short-lived access tokens that carry the session id and the user's token
+// version. Every refresh replaces the refresh token, and presenting one that
+// was already replaced revokes the session.
+class SessionService {
+  constructor() {
+    this.accessTokenExpiry = process.env.JWT_ACCESS_EXPIRE || '15m';
+    this.refreshTtlMs = (parseFloat(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * DAY_MS;
+    this.cookieName = 'refreshToken';
+  }
+
+  cookieOptions() {
+    return {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict',
+      path: '/api/auth'
+    };
+  }
+
+  setCookie(res, refreshToken) {
+    res.cookie(this.cookieName, refreshToken, { ...this.cookieOptions(), maxAge: this.refreshTtlMs });
+  }
+
+  clearCookie(res) {
+    res.clearCookie(this.cookieName, this.cookieOptions());
+  }
+
+  readCookie(req) {
+    return req.cookies?.[this.cookieName] || null;
+  }
+
+  signAccessToken(user, session) {
+    return jwt.sign(
+      { userId: user._id, sid: session._id, tv: user.tokenVersion || 0 },
+      process.env.JWT_SECRET,
+      { expiresIn: this.accessTokenExpiry }
+    );
+  }
+
+  client(req) {
+    return {
+      userAgent: (req.get('user-agent') || '').slice(0, 500) || null,
+      ipAddress: req.ip || null
+    };
+  }
+
+  // Start a session for a user who just logged in or registered; sets the
+  // refresh cookie and resolves to the access token
+  async start(user, req, res) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const session = await Session.create({
+      userId: user._id,
+      tokenHash: Session.hashToken(refreshToken),
+      tokenVersion: user.tokenVersion || 0,
+      expiresAt: new Date(Date.now() + this.refreshTtlMs),
+      ...this.client(req)
+    });
+
+    this.setCookie(res, refreshToken);
+    return { session, accessToken: this.signAccessToken(user, session) };
+  }
+
+  // Swap the refresh cookie for a new one and a fresh access token
+  async refresh(req, res) {
+    const presented = this.readCookie(req);
+    if (!presented) {
+      throw new SessionError('No session, please log in');
+    }
+
+    const hash = Session.hashToken(presented);
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const now = new Date();
+    const update = {
+      tokenHash: Session.hashToken(refreshToken),
+      rotatedAt: now,
+      lastUsedAt: now,
+      ...this.client(req)
+    };
+    const usable = { revokedAt: null, expiresAt: { $gt: now } };
+
+    let session = await Session.findOneAndUpdate(
+      { tokenHash: hash, ...usable },
+      { $set: { ...update, previousTokenHash: hash } },
+      { new: true }
+    );
+
+    if (!session) {
+      session = await Session.findOneAndUpdate(
+        { previousTokenHash: hash, rotatedAt: { $gt: new Date(now.getTime() - REUSE_GRACE_MS) }, ...usable },
+        { $set: update },
+        { new: true }
+      );
+    }
+
+    if (!session) {
+      // A replaced token showing up later was copied from the device
+      const reused = await Session.findOne({ previousTokenHash: hash, revokedAt: null });
+      if (reused) {
+        await reused.revoke('token_reuse');
+        console.warn(`⚠️ [SESSIONS] Refresh token reused; revoked session ${reused._id} of user ${reused.userId}`);
+      }
+      this.clearCookie(res);
+      throw new SessionError('Session has expired. Please log in again.');
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive || session.tokenVersion !== (user.tokenVersion || 0)) {
+      await session.revoke(user && !user.isActive ? 'deactivated' : 'password_change');
+      this.clearCookie(res);
+      throw new SessionError('Session has expired. Please log in again.');
+    }
+
+    this.setCookie(res, refreshToken);
+    return { user, session, accessToken: this.signAccessToken(user, session) };
+  }
+
+  // Sign out the device holding the refresh cookie
+  async end(req, res) {
+    const presented = this.readCookie(req);
+    this.clearCookie(res);
+    if (!presented) return null;
+
+    const session = await Session.findOne({ tokenHash: Session.hashToken(presented), revokedAt: null });
+    if (session) {
+      await session.revoke('logout');
+    }
+    return session;
+  }
+
+  async revoke(userId, sessionId) {
+    const session = await Session.findOne({ _id: sessionId, userId, revokedAt: null });
+    if (!session) {
+      throw new SessionError('Session not found', 404);
+    }
+    return session.revoke('user');
+  }
+
+  // Sign out everywhere except the current session
+  revokeOthers(userId, currentSessionId, reason = 'user') {
+    return Session.revokeAllForUser(userId, reason, currentSessionId);
+  }
+
+  // Bump the user's token version, ending every other session, and re-issue the
+  // current one so the device that made the change stays signed in
+  async invalidateTokens(user, { keepSessionId = null, reason } = {}) {
+    user.bumpTokenVersion();
+    await user.save({ validateBeforeSave: false });
+    await Session.revokeAllForUser(user._id, reason, keepSessionId);
+
+    if (!keepSessionId) return null;
+
+    const session = await Session.findByIdAndUpdate(
+      keepSessionId,
+      { $set: { tokenVersion: user.tokenVersion } },
+      { new: true }
+    );
+    return session ? this.signAccessToken(user, session) : null;
+  }
+
+  // What the sessions list shows about a device
+  toResponse(session, currentSessionId) {
+    return {
+      id: session._id,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: Boolean(currentSessionId) && session._id.equals(currentSessionId)
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new SessionService();
+module.exports.SessionError = SessionError;
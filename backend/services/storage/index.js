@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const path = require('path');
+const LocalStorage = require('./localStorage');
+const S3Storage = require('./s3Storage');
+
+// Every storage driver implements:
+//   name
+//   put(key, buffer, { contentType }) -> { key, size, contentType }
+//   putFile(key, filePath, { contentType }) -> same, streaming the file from disk
+//   get(key) -> Buffer
+//   stream(key) -> Readable, rejecting with code ENOENT when the key is missing
+//   exists(key) -> boolean
+//   delete(key)
+//   list(prefix) -> [{ key, size, lastModified }]
+//   getSignedUrl(key, { expiresIn }) -> URL that stops working after expiresIn seconds
+// Documents store keys only; URLs are signed whenever a response is built.
+class Storage {
+  constructor(driver) {
+    this.driver = driver;
+    this.urlTtlSeconds = parseInt(process.env.STORAGE_URL_TTL_SECONDS) || 3600;
+  }
+
+  get name() {
+    return this.driver.name;
+  }
+
+  // New key under a folder, e.g. "uploads/<uuid>.jpg"
+  createKey(folder, extension = 'jpg') {
+    return `${folder}/${crypto.randomUUID()}.${extension.replace(/^\./, '')}`;
+  }
+
+  put(key, buffer, options = {}) {
+    return this.driver.put(key, buffer, options);
+  }
+
+  putFile(key, filePath, options = {}) {
+    return this.driver.putFile(key, filePath, options);
+  }
+
+  get(key) {
+    return this.driver.get(key);
+  }
+
+  stream(key) {
+    return this.driver.stream(key);
+  }
+
+  exists(key) {
+    return this.driver.exists(key);
+  }
+
+  delete(key) {
+    return this.driver.delete(key);
+  }
+
+  list(prefix = '') {
+    return this.driver.list(prefix);
+  }
+
+  getSignedUrl(key, { expiresIn = this.urlTtlSeconds } = {}) {
+    if (!key) return null;
+    return this.driver.getSignedUrl(key, { expiresIn });
+  }
+}
+
+const createDriver = () => {
+  const driverName = process.env.STORAGE_DRIVER || 'local';
+
+  if (driverName === 's3') {
+    return new S3Storage({
+      endpoint: process.env.STORAGE_S3_ENDPOINT,
+      publicEndpoint: process.env.STORAGE_S3_PUBLIC_ENDPOINT,
+      bucket: process.env.STORAGE_S3_BUCKET,
+      region: process.env.STORAGE_S3_REGION,
+      accessKeyId: process.env.STORAGE_S3_ACCESS_KEY,
+      secretAccessKey: process.env.STORAGE_S3_SECRET_KEY,
+      forcePathStyle: process.env.STORAGE_S3_FORCE_PATH_STYLE !== 'false'
+    });
+  }
+
+  if (driverName !== 'local') {
+    console.warn(`⚠️  Unknown STORAGE_DRIVER "${driverName}", using local disk storage`);
+  }
+
+  return new LocalStorage({
+    rootDir: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../../storage'),
+    signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET
+  });
+};
+
+// Export singleton instance
+module.exports = new Storage(createDriver());
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { once } = require('events');
+const { createReadStream } = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Stores objects on the local disk. Files are never served statically; the
+// files route streams them after checking the HMAC signature on the URL.
+class LocalStorage {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.rootDir = path.resolve(options.rootDir || path.join(__dirname, '../../storage'));
+    this.signingSecret = options.signingSecret;
+    this.urlPrefix = options.urlPrefix || '/api/files';
+  }
+
+  // Resolve a key to a path inside the root, refusing keys that escape it
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    const filePath = this.resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return { key, size: buffer.length, contentType };
+  }
+
+  async putFile(key, filePath, { contentType } = {}) {
+    const destination = this.resolvePath(key);
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+    await fs.copyFile(filePath, destination);
+    const { size } = await fs.stat(destination);
+    return { key, size, contentType };
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolvePath(key));
+  }
+
+  // Waits for the file to open, so a missing key rejects with ENOENT here
+  // rather than failing the stream after the caller has started piping it
+  async stream(key) {
+    const stream = createReadStream(this.resolvePath(key));
+    await once(stream, 'open');
+    return stream;
+  }
+
+  async exists(key) {
+    try {
+      await fs.access(this.resolvePath(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  // Every object under a prefix, with its size and modification time
+  async list(prefix = '') {
+    const baseDir = prefix ? this.resolvePath(prefix) : this.rootDir;
+    const objects = [];
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        // Skip dotfiles such as .gitkeep
+        if (entry.name.startsWith('.')) continue;
+
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (entry.isFile()) {
+          const stats = await fs.stat(entryPath);
+          objects.push({
+            key: path.relative(this.rootDir, entryPath).split(path.sep).join('/'),
+            size: stats.size,
+            lastModified: stats.mtime
+          });
+        }
+      }
+    };
+
+    await walk(baseDir);
+    return objects;
+  }
+
+  sign(key, expires) {
+    return crypto.createHmac('sha256', this.signingSecret)
+      .update(`${key}:${expires}`)
+      .digest('hex');
+  }
+
+  // Host-relative URL, so it works behind any proxy or function host
+  getSignedUrl(key, { expiresIn }) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${this.urlPrefix}/${encodedKey}?expires=${expires}&signature=${this.sign(key, expires)}`;
+  }
+
+  verifySignature(key, expires, signature) {
+    if (!expires || !signature || Number(expires) < Math.floor(Date.now() / 1000)) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expires));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+module.exports = LocalStorage;
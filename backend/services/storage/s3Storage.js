@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const { createReadStream } = require('fs');
+const fs = require('fs').promises;
+const { Readable } = require('stream');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+const decodeXml = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const xmlValue = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1]) : null;
+};
+
+// RFC 3986 encoding as required by SigV4 (encodeURIComponent leaves !'()* alone)
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// Talks to any S3-compatible object store (AWS S3, MinIO, R2...) using
+// Signature Version 4, both for API calls and for presigned download URLs.
+class S3Storage {
+  constructor(options = {}) {
+    this.name = 's3';
+    this.endpoint = new URL(options.endpoint || 'https://s3.amazonaws.com');
+    // Browsers may need a different host than the server (e.g. MinIO inside Docker)
+    this.publicEndpoint = new URL(options.publicEndpoint || this.endpoint.href);
+    this.bucket = options.bucket;
+    this.region = options.region || 'us-east-1';
+    this.accessKeyId = options.accessKeyId;
+    this.secretAccessKey = options.secretAccessKey;
+    this.forcePathStyle = options.forcePathStyle !== false;
+
+    if (!this.bucket || !this.accessKeyId || !this.secretAccessKey) {
+      throw new Error('S3 storage requires a bucket, access key and secret key');
+    }
+  }
+
+  // Host and canonical path for a key, in path-style or virtual-hosted style
+  objectLocation(key, endpoint = this.endpoint) {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    const basePath = endpoint.pathname.replace(/\/$/, '');
+
+    if (this.forcePathStyle) {
+      return { host: endpoint.host, path: `${basePath}/${this.bucket}/${encodedKey}` };
+    }
+    return { host: `${this.bucket}.${endpoint.host}`, path: `${basePath}/${encodedKey}` };
+  }
+
+  getSigningKey(date) {
+    const dateKey = hmac(`AWS4${this.secretAccessKey}`, date);
+    const regionKey = hmac(dateKey, this.region);
+    const serviceKey = hmac(regionKey, 's3');
+    return hmac(serviceKey, 'aws4_request');
+  }
+
+  signature({ method, path, query, headers, payloadHash, amzDate }) {
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&');
+    const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+    );
+    const canonicalHeaders = headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join('');
+    const signedHeaders = headerNames.join(';');
+
+    const canonicalRequest = [method, path, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    return {
+      scope,
+      signedHeaders,
+      canonicalQuery,
+      signature: crypto.createHmac('sha256', this.getSigningKey(date)).update(stringToSign).digest('hex')
+    };
+  }
+
+  amzDate(now = new Date()) {
+    return now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  }
+
+  // A streamed body can't be hashed up front, so it is sent as UNSIGNED-PAYLOAD
+  // with an explicit length (S3 refuses chunked uploads)
+  async request(method, key, { body, contentType, contentLength, query = {} } = {}) {
+    const { host, path } = this.objectLocation(key);
+    const amzDate = this.amzDate();
+    const streamed = body instanceof Readable;
+    const payloadHash = streamed ? 'UNSIGNED-PAYLOAD' : sha256(body || '');
+    const headers = {
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      ...(contentType && { 'content-type': contentType }),
+      ...(contentLength !== undefined && { 'content-length': contentLength })
+    };
+
+    const { scope, signedHeaders, signature, canonicalQuery } = this.signature({
+      method, path, query, headers, payloadHash, amzDate
+    });
+
+    const { host: _host, ...requestHeaders } = headers;
+    requestHeaders.authorization =
+      `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+
+    return fetch(`${this.endpoint.protocol}//${host}${path}${canonicalQuery ? `?${canonicalQuery}` : ''}`, {
+      method,
+      headers: requestHeaders,
+      body,
+      ...(streamed && { duplex: 'half' })
+    });
+  }
+
+  async put(key, buffer, { contentType = 'application/octet-stream' } = {}) {
+    const response = await this.request('PUT', key, { body: buffer, contentType });
+    if (!response.ok) {
+      throw new Error(`S3 upload of ${key} failed with status ${response.status}`);
+    }
+    return { key, size: buffer.length, contentType };
+  }
+
+  // Uploads a file from disk without reading it into memory
+  async putFile(key, filePath, { contentType = 'application/octet-stream' } = {}) {
+    const { size } = await fs.stat(filePath);
+    const response = await this.request('PUT', key, {
+      body: createReadStream(filePath),
+      contentType,
+      contentLength: size
+    });
+    if (!response.ok) {
+      throw new Error(`S3 upload of ${key} failed with status ${response.status}`);
+    }
+    return { key, size, contentType };
+  }
+
+  // GetObject, checking the status before the body is read
+  async getObject(key) {
+    const response = await this.request('GET', key);
+    if (!response.ok) {
+      const error = new Error(`S3 download of ${key} failed with status ${response.status}`);
+      error.code = response.status === 404 ? 'ENOENT' : undefined;
+      throw error;
+    }
+    return response;
+  }
+
+  async get(key) {
+    const response = await this.getObject(key);
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async stream(key) {
+    const response = await this.getObject(key);
+    return Readable.fromWeb(response.body);
+  }
+
+  async exists(key) {
+    const response = await this.request('HEAD', key);
+    return response.ok;
+  }
+
+  async delete(key) {
+    const response = await this.request('DELETE', key);
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`S3 delete of ${key} failed with status ${response.status}`);
+    }
+  }
+
+  // Every object under a prefix (ListObjectsV2, following continuation tokens)
+  async list(prefix = '') {
+    const objects = [];
+    let continuationToken = null;
+
+    do {
+      const query = { 'list-type': '2', prefix };
+      if (continuationToken) {
+        query['continuation-token'] = continuationToken;
+      }
+
+      const response = await this.request('GET', '', { query });
+      if (!response.ok) {
+        throw new Error(`S3 listing of ${prefix || 'bucket'} failed with status ${response.status}`);
+      }
+
+      const xml = await response.text();
+      for (const [, entry] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        objects.push({
+          key: xmlValue(entry, 'Key'),
+          size: parseInt(xmlValue(entry, 'Size')) || 0,
+          lastModified: new Date(xmlValue(entry, 'LastModified'))
+        });
+      }
+
+      continuationToken = xmlValue(xml, 'IsTruncated') === 'true'
+        ? xmlValue(xml, 'NextContinuationToken')
+        : null;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  // Presigned GET URL (query-string authentication), valid for expiresIn seconds
+  getSignedUrl(key, { expiresIn, now = new Date() }) {
+    const { host, path } = this.objectLocation(key, this.publicEndpoint);
+    const amzDate = this.amzDate(now);
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${this.accessKeyId}/${amzDate.slice(0, 8)}/${this.region}/s3/aws4_request`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(Math.min(expiresIn, 7 * 24 * 60 * 60)),
+      'X-Amz-SignedHeaders': 'host'
+    };
+
+    const { canonicalQuery, signature } = this.signature({
+      method: 'GET', path, query, headers: { host }, payloadHash: 'UNSIGNED-PAYLOAD', amzDate
+    });
+
+    return `${this.publicEndpoint.protocol}//${host}${path}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+  }
+}
+
+module.exports = S3Storage;
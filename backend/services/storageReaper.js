@@ -0,0 +1,250 @@
+const path = require('path');
+const Generation = require('../models/Generation');
+const User = require('../models/User');
+const storage = require('./storage');
+const LocalStorage = require('./storage/localStorage');
+
+const MB = 1024 * 1024;
+
+// Storage prefixes that only ever hold generation inputs and outputs
+const MANAGED_PREFIXES = ['uploads/', 'generated/'];
+
+// Generation fields that point at stored files
+const GENERATION_FILE_FIELDS = 'originalImageKey generatedImageKey generatedImageKeys inputs.imageKey attempts.generatedImageKey originalImageUrl generatedImageUrl';
+
+// Reconciles stored files against Generation records: files nothing references
+// are removed once they are older than the grace period (so uploads whose
+// generation is still being created are safe), and per-user usage is recomputed
+// so the storage cap can be enforced when new generations are requested.
+class StorageReaper {
+  constructor() {
+    this.gracePeriodMs = (parseFloat(process.env.STORAGE_GC_GRACE_HOURS) || 24) * 60 * 60 * 1000;
+    this.intervalMs = (parseFloat(process.env.STORAGE_GC_INTERVAL_MINUTES) || 60) * 60 * 1000;
+    this.enabled = process.env.STORAGE_GC_ENABLED !== 'false';
+    // Files written to backend/uploads before the storage layer existed
+    this.legacyStorage = new LocalStorage({ rootDir: path.join(__dirname, '../uploads') });
+    this.timer = null;
+    this.running = false;
+    this.lastReport = null;
+  }
+
+  start() {
+    if (!this.enabled || this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => {
+        console.error('❌ [STORAGE GC] Scheduled run failed:', error.message);
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+
+    console.log(`🧹 [STORAGE GC] Reaper scheduled every ${Math.round(this.intervalMs / 60000)} minutes`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  getUserCap(userTier = 'free') {
+    const capMb = userTier === 'paid'
+      ? parseFloat(process.env.PAID_TIER_STORAGE_CAP_MB) || 5000
+      : parseFloat(process.env.FREE_TIER_STORAGE_CAP_MB) || 500;
+    return capMb * MB;
+  }
+
+  // Current usage against the cap, used to refuse new generations once it is reached
+  async checkUserCap(user) {
+    const usedBytes = await Generation.getStorageUsage(user._id);
+    const capBytes = this.getUserCap(user.tier);
+    return {
+      usedBytes,
+      capBytes,
+      exceeded: usedBytes >= capBytes
+    };
+  }
+
+  // Every stored object that belongs to generations, tagged with where it lives
+  async listStoredFiles() {
+    const files = [];
+
+    for (const prefix of MANAGED_PREFIXES) {
+      const objects = await storage.list(prefix);
+      objects.forEach(object => files.push({ ...object, location: 'storage' }));
+    }
+
+    const legacyObjects = await this.legacyStorage.list();
+    legacyObjects.forEach(object => files.push({ ...object, location: 'legacy' }));
+
+    return files;
+  }
+
+  // Files a generation uses, in the storage layer or the legacy uploads folder.
+  // The generation needs the fields in GENERATION_FILE_FIELDS.
+  generationFiles(generation) {
+    const legacyKey = (url) => {
+      const match = url && url.match(/\/uploads\/([^/?#]+)/);
+      return match ? match[1] : null;
+    };
+
+    return [
+      ...generation.getStorageKeys().map(key => ({ location: 'storage', key })),
+      ...[legacyKey(generation.originalImageUrl), legacyKey(generation.generatedImageUrl)]
+        .filter(Boolean)
+        .map(key => ({ location: 'legacy', key }))
+    ];
+  }
+
+  // Delete a file returned by generationFiles
+  deleteFile(file) {
+    const target = file.location === 'legacy' ? this.legacyStorage : storage;
+    return target.delete(file.key);
+  }
+
+  // Map of "location:key" -> generation for everything still referenced
+  async collectReferences() {
+    const references = new Map();
+
+    const cursor = Generation.find({})
+      .select(`userId storageBytes ${GENERATION_FILE_FIELDS}`)
+      .cursor();
+
+    for await (const generation of cursor) {
+      this.generationFiles(generation)
+        .forEach(file => references.set(`${file.location}:${file.key}`, generation));
+    }
+
+    return references;
+  }
+
+  // Reconcile storage with the database. With dryRun nothing is deleted or
+  // updated; the report lists what a real run would do.
+  async run({ dryRun = false } = {}) {
+    if (this.running) {
+      throw new Error('Storage reaper is already running');
+    }
+    this.running = true;
+
+    const startedAt = new Date();
+    const cutoff = new Date(startedAt.getTime() - this.gracePeriodMs);
+
+    try {
+      // References are read after listing, so a file uploaded mid-run is either
+      // referenced already or still inside the grace period
+      const files = await this.listStoredFiles();
+      const references = await this.collectReferences();
+
+      const orphaned = [];
+      const generationBytes = new Map();
+      let referencedCount = 0;
+      let retainedCount = 0;
+
+      for (const file of files) {
+        const generation = references.get(`${file.location}:${file.key}`);
+
+        if (generation) {
+          referencedCount += 1;
+          const id = generation._id.toString();
+          generationBytes.set(id, (generationBytes.get(id) || 0) + file.size);
+        } else if (file.lastModified < cutoff) {
+          orphaned.push(file);
+        } else {
+          retainedCount += 1;
+        }
+      }
+
+      let deletedCount = 0;
+      let reclaimedBytes = 0;
+      const errors = [];
+
+      if (!dryRun) {
+        for (const file of orphaned) {
+          try {
+            await this.deleteFile(file);
+            deletedCount += 1;
+            reclaimedBytes += file.size;
+          } catch (error) {
+            errors.push({ key: file.key, error: error.message });
+          }
+        }
+      }
+
+      // Recompute per-generation and per-user usage from what is actually stored
+      const userBytes = new Map();
+      const usageUpdates = [];
+      const seen = new Set();
+      for (const generation of references.values()) {
+        const id = generation._id.toString();
+        if (seen.has(id)) continue;
+        seen.add(id);
+
+        const bytes = generationBytes.get(id) || 0;
+        const userId = generation.userId.toString();
+        userBytes.set(userId, (userBytes.get(userId) || 0) + bytes);
+
+        if (bytes !== generation.storageBytes) {
+          usageUpdates.push({
+            updateOne: { filter: { _id: generation._id }, update: { $set: { storageBytes: bytes } } }
+          });
+        }
+      }
+
+      if (!dryRun && usageUpdates.length > 0) {
+        await Generation.bulkWrite(usageUpdates);
+      }
+
+      const users = await User.find({ _id: { $in: [...userBytes.keys()] } }).select('email tier');
+      const usersOverCap = users
+        .map(user => ({
+          userId: user._id,
+          email: user.email,
+          tier: user.tier,
+          usedBytes: userBytes.get(user._id.toString()) || 0,
+          capBytes: this.getUserCap(user.tier)
+        }))
+        .filter(usage => usage.usedBytes >= usage.capBytes)
+        .sort((a, b) => b.usedBytes - a.usedBytes);
+
+      const report = {
+        dryRun,
+        startedAt,
+        finishedAt: new Date(),
+        gracePeriodHours: this.gracePeriodMs / (60 * 60 * 1000),
+        storage: storage.name,
+        scanned: files.length,
+        referenced: referencedCount,
+        retainedWithinGracePeriod: retainedCount,
+        orphaned: {
+          count: orphaned.length,
+          bytes: orphaned.reduce((sum, file) => sum + file.size, 0),
+          files: orphaned.map(({ key, size, lastModified, location }) => ({ key, size, lastModified, location }))
+        },
+        deleted: deletedCount,
+        reclaimedBytes,
+        usageCorrections: usageUpdates.length,
+        usersOverCap,
+        errors
+      };
+
+      if (!dryRun) {
+        this.lastReport = report;
+      }
+
+      console.log(`🧹 [STORAGE GC] ${dryRun ? 'Dry run' : 'Run'} finished:`, {
+        scanned: report.scanned,
+        orphaned: report.orphaned.count,
+        deleted: report.deleted,
+        reclaimedBytes: report.reclaimedBytes,
+        usersOverCap: usersOverCap.length
+      });
+
+      return report;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new StorageReaper();
+module.exports.GENERATION_FILE_FIELDS = GENERATION_FILE_FIELDS;
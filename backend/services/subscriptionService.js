@@ -0,0 +1,394 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const WebhookEvent = require('../models/WebhookEvent');
+const paymentProvider = require('./payments');
+const billing = require('./billing');
+const { BillingError } = billing;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// An event stuck in "processing" this long was abandoned by a crashed request
+// and may be claimed again by a redelivery
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+// Owns the Pro subscription lifecycle: subscribing, cancelling at period end,
+// applying provider webhooks and downgrading users whose subscription lapsed.
+// User.tier is only changed here (apart from admin overrides), always to
+// match whether the user's subscription is entitled.
+class SubscriptionService {
+  constructor() {
+    this.graceMs = (parseFloat(process.env.SUBSCRIPTION_GRACE_DAYS) || 3) * DAY_MS;
+    this.intervalMs = (parseFloat(process.env.SUBSCRIPTION_CHECK_INTERVAL_MINUTES) || 15) * 60 * 1000;
+    this.timer = null;
+
+    // Provider-neutral event types (see services/payments/index.js)
+    this.eventHandlers = {
+      'invoice.paid': this.handleInvoicePaid,
+      'invoice.payment_failed': this.handlePaymentFailed,
+      'subscription.updated': this.handleSubscriptionUpdated,
+      'subscription.deleted': this.handleSubscriptionDeleted
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.expireLapsed().catch(error => {
+        console.error('❌ [SUBSCRIPTIONS] Expiry check failed:', error.message);
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+
+    console.log(`📅 [SUBSCRIPTIONS] Expiry check scheduled every ${Math.round(this.intervalMs / 60000)} minutes`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // The user's subscription, brought up to date if its period has run out
+  async getForUser(userId) {
+    const subscription = await Subscription.findOne({ userId });
+    if (!subscription) return null;
+
+    const settled = await this.settle(subscription);
+    return settled || subscription;
+  }
+
+  toResponse(subscription, now = new Date()) {
+    if (!subscription) return null;
+
+    const entitled = subscription.isEntitled(now);
+    return {
+      plan: subscription.plan,
+      status: subscription.status,
+      entitled,
+      currentPeriodStart: subscription.currentPeriodStart,
+      currentPeriodEnd: subscription.currentPeriodEnd,
+      cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+      canceledAt: subscription.canceledAt,
+      gracePeriodEndsAt: subscription.gracePeriodEndsAt,
+      endedAt: subscription.endedAt,
+      // When the next payment is due, or when Pro access stops if none will be taken
+      renewsAt: subscription.status === 'active' && !subscription.cancelAtPeriodEnd
+        ? subscription.currentPeriodEnd
+        : null,
+      accessEndsAt: !entitled
+        ? null
+        : subscription.status === 'past_due'
+          ? subscription.gracePeriodEndsAt
+          : subscription.cancelAtPeriodEnd ? subscription.currentPeriodEnd : null
+    };
+  }
+
+  // Set User.tier from the subscription
+  async syncTier(userId) {
+    const subscription = await Subscription.findOne({ userId });
+    const tier = subscription && subscription.isEntitled() ? 'paid' : 'free';
+    return User.findByIdAndUpdate(userId, { tier }, { new: true });
+  }
+
+  // Start a Pro subscription: the provider charges the first period, its
+  // credits go to the ledger and the user moves to the paid tier. Safe to retry
+  // with the same idempotency key.
+  async subscribe(user, { paymentMethod, idempotencyKey = crypto.randomUUID() } = {}) {
+    billing.assertPurchasesEnabled();
+
+    const key = `subscribe:${user._id}:${idempotencyKey}`;
+    const existing = await Subscription.findOne({ userId: user._id });
+
+    if (existing && existing.idempotencyKey !== key && existing.isEntitled()) {
+      throw new BillingError('You already have an active subscription', 409);
+    }
+    if (!existing && user.tier === 'paid') {
+      throw new BillingError('User is already on paid tier');
+    }
+
+    const providerSubscription = await paymentProvider.createSubscription({
+      plan: billing.proPlan.id,
+      price: billing.proPlan.price,
+      currency: billing.currency,
+      customerId: user._id,
+      paymentMethod,
+      idempotencyKey: key
+    });
+
+    if (providerSubscription.status !== 'active') {
+      throw new BillingError(providerSubscription.failureMessage || 'Payment failed', 402);
+    }
+
+    // One document per user, reused when a lapsed user subscribes again
+    const subscription = await Subscription.findOneAndUpdate(
+      { userId: user._id },
+      {
+        $set: {
+          plan: billing.proPlan.id,
+          status: 'active',
+          provider: paymentProvider.name,
+          providerSubscriptionId: providerSubscription.id,
+          idempotencyKey: key,
+          currentPeriodStart: providerSubscription.currentPeriodStart,
+          currentPeriodEnd: providerSubscription.currentPeriodEnd,
+          cancelAtPeriodEnd: false,
+          canceledAt: null,
+          gracePeriodEndsAt: null,
+          endedAt: null
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const { transaction, duplicate } = await billing.grantPlanCredits(user._id, {
+      subscriptionId: providerSubscription.id,
+      periodStart: providerSubscription.currentPeriodStart,
+      paymentId: providerSubscription.latestChargeId
+    });
+
+    const updatedUser = await this.syncTier(user._id);
+    console.log(`📅 [SUBSCRIPTIONS] User ${user._id} subscribed (${providerSubscription.id})`);
+
+    return { subscription, transaction, duplicate, user: updatedUser };
+  }
+
+  // Stop renewing; Pro stays until the end of the paid period
+  async cancel(user) {
+    const subscription = await this.getForUser(user._id);
+    if (!subscription || !subscription.isEntitled()) {
+      throw new BillingError('No active subscription to cancel', 404);
+    }
+    if (subscription.cancelAtPeriodEnd) {
+      return subscription;
+    }
+
+    await paymentProvider.cancelSubscription(subscription.providerSubscriptionId, { atPeriodEnd: true });
+
+    return Subscription.findByIdAndUpdate(
+      subscription._id,
+      { cancelAtPeriodEnd: true, canceledAt: new Date() },
+      { new: true }
+    );
+  }
+
+  // Undo a pending cancellation before the period ends
+  async resume(user) {
+    const subscription = await this.getForUser(user._id);
+    if (!subscription || subscription.status !== 'active' || !subscription.isEntitled()) {
+      throw new BillingError('No subscription to resume', 404);
+    }
+    if (!subscription.cancelAtPeriodEnd) {
+      return subscription;
+    }
+
+    await paymentProvider.resumeSubscription(subscription.providerSubscriptionId);
+
+    return Subscription.findByIdAndUpdate(
+      subscription._id,
+      { cancelAtPeriodEnd: false, canceledAt: null },
+      { new: true }
+    );
+  }
+
+  // Move a subscription whose period or grace period ended to its next status
+  // and downgrade the user if that ends their Pro access. Resolves to the
+  // updated subscription, or null when nothing changed.
+  async settle(subscription, now = new Date()) {
+    const lapsed = subscription.getLapsedStatus(now, this.graceMs);
+    if (!lapsed) return null;
+
+    // Guarded on the state we read, so a renewal webhook arriving meanwhile wins
+    const updated = await Subscription.findOneAndUpdate(
+      {
+        _id: subscription._id,
+        status: subscription.status,
+        currentPeriodEnd: subscription.currentPeriodEnd
+      },
+      { $set: lapsed },
+      { new: true }
+    );
+    if (!updated) return null;
+
+    if (!updated.isEntitled(now)) {
+      await this.syncTier(updated.userId);
+      console.log(`📅 [SUBSCRIPTIONS] Subscription ${updated.providerSubscriptionId} ${updated.status}; user ${updated.userId} downgraded`);
+    }
+
+    return updated;
+  }
+
+  // Scheduled sweep over every lapsed subscription
+  async expireLapsed(now = new Date()) {
+    const subscriptions = await Subscription.findLapsed(now);
+    let settled = 0;
+
+    for (const subscription of subscriptions) {
+      if (await this.settle(subscription, now)) {
+        settled++;
+      }
+    }
+
+    return settled;
+  }
+
+  // Verify and apply one provider webhook. Each event is applied at most once;
+  // a failure is recorded and rethrown so the provider delivers it again.
+  async handleWebhook(rawBody, signature) {
+    billing.assertPurchasesEnabled();
+
+    if (!paymentProvider.webhooksEnabled) {
+      throw new BillingError('Billing webhooks are not configured', 503);
+    }
+
+    let event;
+    try {
+      event = paymentProvider.verifyWebhook(rawBody, signature);
+    } catch (error) {
+      throw new BillingError(error.message, 400);
+    }
+
+    if (!event || !event.id || !event.type) {
+      throw new BillingError('Malformed webhook event');
+    }
+
+    const record = await this.claimEvent(event);
+    if (!record) {
+      return { event, duplicate: true };
+    }
+
+    const handler = this.eventHandlers[event.type];
+
+    try {
+      const applied = handler ? await handler.call(this, event.data || {}) : false;
+      record.status = applied ? 'processed' : 'ignored';
+      record.processedAt = new Date();
+      record.error = null;
+      await record.save();
+      return { event, duplicate: false, status: record.status };
+    } catch (error) {
+      record.status = 'failed';
+      record.error = error.message;
+      await record.save();
+      throw error;
+    }
+  }
+
+  // Record the event, or take over a failed or abandoned earlier delivery.
+  // Resolves to null when the event was already handled (or is being handled).
+  async claimEvent(event) {
+    try {
+      return await WebhookEvent.create({
+        provider: paymentProvider.name,
+        eventId: event.id,
+        type: event.type,
+        payload: event.data || {}
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      return WebhookEvent.findOneAndUpdate(
+        {
+          provider: paymentProvider.name,
+          eventId: event.id,
+          $or: [
+            { status: 'failed' },
+            { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+          ]
+        },
+        { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+        { new: true }
+      );
+    }
+  }
+
+  async findByProviderId(providerSubscriptionId) {
+    const subscription = await Subscription.findOne({ providerSubscriptionId });
+    if (!subscription) {
+      console.warn(`⚠️  [SUBSCRIPTIONS] Webhook for unknown subscription ${providerSubscriptionId}`);
+    }
+    return subscription;
+  }
+
+  // A period was paid: extend the subscription and credit the period's credits.
+  // Out-of-order deliveries of older periods don't move the period back.
+  async handleInvoicePaid({ subscriptionId, periodStart, periodEnd, paymentId }) {
+    const subscription = await this.findByProviderId(subscriptionId);
+    if (!subscription || !periodStart || !periodEnd) return false;
+    if (subscription.status === 'canceled') return false;
+
+    await Subscription.updateOne(
+      { _id: subscription._id, currentPeriodEnd: { $lt: new Date(periodEnd) } },
+      {
+        $set: {
+          status: 'active',
+          currentPeriodStart: new Date(periodStart),
+          currentPeriodEnd: new Date(periodEnd),
+          gracePeriodEndsAt: null,
+          endedAt: null
+        }
+      }
+    );
+
+    await billing.grantPlanCredits(subscription.userId, { subscriptionId, periodStart, paymentId });
+    await this.syncTier(subscription.userId);
+    return true;
+  }
+
+  // Renewal failed: keep Pro through the grace period while the provider retries
+  async handlePaymentFailed({ subscriptionId }) {
+    const subscription = await this.findByProviderId(subscriptionId);
+    if (!subscription || subscription.status !== 'active') return false;
+
+    await Subscription.updateOne(
+      { _id: subscription._id, status: 'active' },
+      {
+        $set: {
+          status: 'past_due',
+          gracePeriodEndsAt: new Date(subscription.currentPeriodEnd.getTime() + this.graceMs)
+        }
+      }
+    );
+    return true;
+  }
+
+  // Cancellation scheduled or withdrawn outside the app (e.g. the provider's dashboard)
+  async handleSubscriptionUpdated({ subscriptionId, cancelAtPeriodEnd }) {
+    const subscription = await this.findByProviderId(subscriptionId);
+    if (!subscription || typeof cancelAtPeriodEnd !== 'boolean') return false;
+
+    await Subscription.updateOne(
+      { _id: subscription._id },
+      {
+        $set: {
+          cancelAtPeriodEnd,
+          canceledAt: cancelAtPeriodEnd ? subscription.canceledAt || new Date() : null
+        }
+      }
+    );
+    return true;
+  }
+
+  // The provider ended the subscription immediately
+  async handleSubscriptionDeleted({ subscriptionId }) {
+    const subscription = await this.findByProviderId(subscriptionId);
+    if (!subscription) return false;
+
+    const now = new Date();
+    await Subscription.updateOne(
+      { _id: subscription._id, status: { $in: ['active', 'past_due'] } },
+      {
+        $set: {
+          status: 'canceled',
+          canceledAt: subscription.canceledAt || now,
+          endedAt: now
+        }
+      }
+    );
+    await this.syncTier(subscription.userId);
+    return true;
+  }
+}
+
+// Export singleton instance
+module.exports = new SubscriptionService();
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibra-deletion-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_DIR = storageDir;
+process.env.STORAGE_SIGNING_SECRET = 'test-secret';
+process.env.JWT_SECRET = 'test-secret';
+
+const bcrypt = require('bcryptjs');
+const cookieParser = require('cookie-parser');
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Generation = require('../models/Generation');
+const GenerationJob = require('../models/GenerationJob');
+const Quota = require('../models/Quota');
+const CreditTransaction = require('../models/CreditTransaction');
+const Subscription = require('../models/Subscription');
+const Export = require('../models/Export');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const AccountPurge = require('../models/AccountPurge');
+const storage = require('../services/storage');
+const accountDeletion = require('../services/accountDeletion');
+const authRouter = require('../routes/auth');
+const { useMemoryCollection } = require('./helpers/memoryCollection');
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/auth', authRouter);
+
+const PASSWORD = 'Passw0rd!';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('account deletion', () => {
+  let passwordHash;
+  let users;
+  let collections;
+  let purges;
+  let sam;
+  let alex;
+
+  beforeAll(async () => {
+    passwordHash = await bcrypt.hash(PASSWORD, 4);
+  });
+
+  // Everything a user leaves behind: a generation with its files, a quota day,
+  // a ledger entry, a job and an export archive
+  const addHistory = async (user) => {
+    const keys = {
+      upload: storage.createKey('uploads'),
+      output: storage.createKey('generated'),
+      archive: storage.createKey('exports', 'zip')
+    };
+    for (const key of Object.values(keys)) {
+      await storage.put(key, Buffer.from(`${user.email}:${key}`));
+    }
+
+    const generation = collections.generations.insert({
+      userId: user._id,
+      generationType: 'image-to-image',
+      prompt: 'a lighthouse at dusk',
+      status: 'completed',
+      originalImageKey: keys.upload,
+      inputs: { imageKey: keys.upload },
+      generatedImageKey: keys.output,
+      generatedImageKeys: [keys.output]
+    });
+    collections.generationJobs.insert({ userId: user._id, generationId: generation._id, type: 'image-to-image', status: 'completed' });
+    collections.quotas.insert({ userId: user._id, date: new Date('2026-10-18T00:00:00Z'), generationsUsed: 1, generationsLimit: 3 });
+    collections.creditTransactions.insert({ userId: user._id, type: 'grant', amount: 5, balanceAfter: 5, idempotencyKey: `grant:${user._id}` });
+    collections.exports.insert({ userId: user._id, status: 'completed', storageKey: keys.archive });
+    return keys;
+  };
+
+  const login = (email) => request(app)
+    .post('/api/auth/login')
+    .send({ email, password: PASSWORD });
+
+  const requestDeletion = (token) => request(app)
+    .delete('/api/auth/account')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ password: PASSWORD });
+
+  const ownedBy = (user, docs) => docs.filter(doc => doc.userId.equals(user._id));
+
+  beforeEach(() => {
+    users = useMemoryCollection(User);
+    collections = {
+      generations: useMemoryCollection(Generation),
+      generationJobs: useMemoryCollection(GenerationJob),
+      quotas: useMemoryCollection(Quota),
+      creditTransactions: useMemoryCollection(CreditTransaction),
+      subscriptions: useMemoryCollection(Subscription),
+      exports: useMemoryCollection(Export),
+      sessions: useMemoryCollection(Session),
+      authTokens: useMemoryCollection(AuthToken)
+    };
+    purges = useMemoryCollection(AccountPurge);
+
+    const person = (email, firstName) => users.insert({
+      email,
+      password: passwordHash,
+      firstName,
+      lastName: 'Lee',
+      isActive: true,
+      tokenVersion: 0
+    });
+    sam = person('sam@example.com', 'Sam');
+    alex = person('alex@example.com', 'Alex');
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('deactivates the account and schedules it for the end of the cooling-off period', async () => {
+    const { body: { token } } = await login('sam@example.com');
+
+    const before = Date.now();
+    const response = await requestDeletion(token);
+
+    expect(response.status).toBe(200);
+    const scheduledFor = new Date(response.body.deletionScheduledFor).getTime();
+    expect(scheduledFor).toBeGreaterThanOrEqual(before + accountDeletion.graceDays * DAY_MS);
+    expect(users.docs[0]).toMatchObject({ isActive: false, deletionScheduledFor: new Date(scheduledFor) });
+    expect(ownedBy(sam, collections.sessions.docs).every(session => session.revokedAt)).toBe(true);
+
+    // The token it was asked with is signed out straight away
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+    expect(me.status).toBe(401);
+  });
+
+  it('refuses to schedule the deletion without the right password', async () => {
+    const { body: { token } } = await login('sam@example.com');
+
+    const response = await request(app)
+      .delete('/api/auth/account')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'wrong' });
+
+    expect(response.status).toBe(400);
+    expect(await User.findById(sam._id)).toMatchObject({ isActive: true, deletionScheduledFor: null });
+  });
+
+  it('cancels the deletion when the user logs in again before it is due', async () => {
+    await requestDeletion((await login('sam@example.com')).body.token);
+
+    const response = await login('sam@example.com');
+
+    expect(response.status).toBe(200);
+    expect(response.body.deletionCancelled).toBe(true);
+    expect(users.docs[0]).toMatchObject({ isActive: true, deletionRequestedAt: null, deletionScheduledFor: null });
+    expect(await accountDeletion.purgeDue(new Date(Date.now() + 365 * DAY_MS))).toBe(0);
+  });
+
+  it('purges only the deleted user\'s documents and files once the deletion is due', async () => {
+    const samKeys = await addHistory(sam);
+    const alexKeys = await addHistory(alex);
+    await login('alex@example.com');
+
+    // Scheduled, cancelled by logging in, then scheduled again
+    await requestDeletion((await login('sam@example.com')).body.token);
+    await login('sam@example.com');
+    await requestDeletion((await login('sam@example.com')).body.token);
+    const scheduledFor = users.docs[0].deletionScheduledFor;
+
+    expect(await accountDeletion.purgeDue(new Date(scheduledFor.getTime() - 1000))).toBe(0);
+    expect(users.docs).toHaveLength(2);
+
+    expect(await accountDeletion.purgeDue(new Date(scheduledFor.getTime() + 1000))).toBe(1);
+
+    expect(users.docs.map(user => user.email)).toEqual(['alex@example.com']);
+    for (const [name, collection] of Object.entries(collections)) {
+      expect([name, ownedBy(sam, collection.docs)]).toEqual([name, []]);
+    }
+    for (const key of Object.values(samKeys)) {
+      expect(await storage.exists(key)).toBe(false);
+    }
+
+    // Alex's account is untouched
+    for (const name of ['generations', 'generationJobs', 'quotas', 'creditTransactions', 'exports']) {
+      expect([name, ownedBy(alex, collections[name].docs)]).toEqual([name, [expect.anything()]]);
+    }
+    expect(ownedBy(alex, collections.sessions.docs)).toHaveLength(1);
+    for (const key of Object.values(alexKeys)) {
+      expect(await storage.exists(key)).toBe(true);
+    }
+    expect((await login('alex@example.com')).status).toBe(200);
+
+    // The audit record outlives the user without keeping their email
+    expect(purges.docs).toHaveLength(1);
+    expect(purges.docs[0]).toMatchObject({
+      userId: sam._id,
+      emailHash: accountDeletion.hashEmail('sam@example.com'),
+      trigger: 'scheduled',
+      status: 'completed',
+      deletionScheduledFor: scheduledFor,
+      deletedFiles: 3
+    });
+    expect(Object.fromEntries(purges.docs[0].deletedDocuments)).toEqual({
+      generations: 1,
+      generationJobs: 1,
+      quotas: 1,
+      creditTransactions: 1,
+      subscriptions: 0,
+      exports: 1,
+      sessions: 3,
+      authTokens: 0
+    });
+    expect(JSON.stringify(purges.docs[0])).not.toContain('sam@example.com');
+  });
+});
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibra-outbox-'));
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_FILE_DIR = outboxDir;
+process.env.FRONTEND_URL = 'http://app.test';
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AuthToken = require('../models/AuthToken');
+const sessionService = require('../services/sessionService');
+const accountEmails = require('../services/accountEmails');
+const { AccountEmailError } = accountEmails;
+
+// Just enough of a collection to run AuthToken's statics without MongoDB
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (condition && condition.$gt !== undefined) return doc[field] > condition.$gt;
+  return String(doc[field]) === String(condition);
+});
+
+const query = (value) => {
+  const promise = Promise.resolve(value);
+  promise.select = () => promise;
+  return promise;
+};
+
+// The emails in the outbox, oldest first
+const outbox = () => fs.readdirSync(outboxDir).sort()
+  .map(file => JSON.parse(fs.readFileSync(path.join(outboxDir, file), 'utf8')));
+
+const tokenFrom = (email, pathname) => {
+  const url = new URL(email.text.match(/https?:\/\/\S+/)[0]);
+  expect(url.origin + url.pathname).toBe(`http://app.test${pathname}`);
+  return url.searchParams.get('token');
+};
+
+describe('account emails', () => {
+  let tokens;
+  let user;
+
+  beforeEach(() => {
+    fs.readdirSync(outboxDir).forEach(file => fs.unlinkSync(path.join(outboxDir, file)));
+    tokens = [];
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      email: 'sam@example.com',
+      firstName: 'Sam',
+      isActive: true,
+      emailVerified: false,
+      save: jest.fn().mockResolvedValue()
+    };
+
+    jest.spyOn(AuthToken, 'deleteMany').mockImplementation(async (filter) => {
+      tokens = tokens.filter(token => !matches(token, filter));
+    });
+    jest.spyOn(AuthToken, 'create').mockImplementation(async (doc) => {
+      tokens.push({ ...doc, usedAt: null });
+    });
+    jest.spyOn(AuthToken, 'findOne').mockImplementation(async (filter) => tokens.find(token => matches(token, filter)) || null);
+    jest.spyOn(AuthToken, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const token = tokens.find(candidate => matches(candidate, filter));
+      return token ? Object.assign(token, update.$set) : null;
+    });
+
+    jest.spyOn(User, 'findByEmail').mockImplementation(async (email) => (email === user.email ? user : null));
+    jest.spyOn(User, 'findById').mockImplementation((id) => query(String(id) === String(user._id) ? user : null));
+    jest.spyOn(sessionService, 'invalidateTokens').mockResolvedValue(null);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+
+  describe('email verification', () => {
+    it('emails a link that verifies the address once', async () => {
+      await accountEmails.sendVerification(user);
+
+      const [email] = outbox();
+      expect(email.to).toBe('sam@example.com');
+      expect(email.subject).toMatch(/confirm/i);
+      const token = tokenFrom(email, '/verify-email');
+
+      // Only the hash is stored
+      expect(tokens[0].tokenHash).toBe(AuthToken.hashToken(token));
+      expect(JSON.stringify(tokens)).not.toContain(token);
+
+      await accountEmails.verifyEmail(token);
+      expect(user.emailVerified).toBe(true);
+      expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+
+      await expect(accountEmails.verifyEmail(token)).rejects.toThrow(AccountEmailError);
+    });
+
+    it('replaces the previous link when a new one is sent', async () => {
+      await accountEmails.sendVerification(user);
+      await accountEmails.sendVerification(user);
+
+      const [first, second] = outbox().map(email => tokenFrom(email, '/verify-email'));
+      await expect(accountEmails.verifyEmail(first)).rejects.toThrow(AccountEmailError);
+      await accountEmails.verifyEmail(second);
+      expect(user.emailVerified).toBe(true);
+    });
+
+    it('does not verify an address the user has since changed', async () => {
+      await accountEmails.sendVerification(user);
+      user.email = 'sam@elsewhere.com';
+
+      await expect(accountEmails.verifyEmail(tokenFrom(outbox()[0], '/verify-email'))).rejects.toThrow(AccountEmailError);
+      expect(user.emailVerified).toBe(false);
+    });
+
+    it('rejects an expired link', async () => {
+      await accountEmails.sendVerification(user);
+      tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+      await expect(accountEmails.verifyEmail(tokenFrom(outbox()[0], '/verify-email'))).rejects.toThrow(AccountEmailError);
+    });
+  });
+
+  describe('password reset', () => {
+    it('sends nothing for an unknown address', async () => {
+      await expect(accountEmails.requestPasswordReset('nobody@example.com')).resolves.toBe(false);
+      expect(outbox()).toHaveLength(0);
+    });
+
+    it('sets the new password once and signs the account out everywhere', async () => {
+      await expect(accountEmails.requestPasswordReset('sam@example.com')).resolves.toBe(true);
+      const token = tokenFrom(outbox()[0], '/reset-password');
+
+      await expect(accountEmails.checkPasswordReset(token)).resolves.toMatchObject({ email: 'sam@example.com' });
+
+      await accountEmails.resetPassword(token, 'NewPassw0rd!');
+      expect(user.password).toBe('NewPassw0rd!');
+      expect(user.emailVerified).toBe(true);
+      expect(user.save).toHaveBeenCalled();
+      expect(sessionService.invalidateTokens).toHaveBeenCalledWith(user, { reason: 'password_change' });
+
+      await expect(accountEmails.checkPasswordReset(token)).rejects.toThrow(AccountEmailError);
+      await expect(accountEmails.resetPassword(token, 'Another1!')).rejects.toThrow(AccountEmailError);
+      expect(user.password).toBe('NewPassw0rd!');
+    });
+
+    it('does not accept a verification link as a reset link', async () => {
+      await accountEmails.sendVerification(user);
+      const token = tokenFrom(outbox()[0], '/verify-email');
+
+      await expect(accountEmails.resetPassword(token, 'NewPassw0rd!')).rejects.toThrow(AccountEmailError);
+      expect(user.password).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const CreditTransaction = require('../models/CreditTransaction');
+const billing = require('../services/billing');
+const { BillingError, InsufficientCreditsError } = billing;
+const { useMemoryCollection } = require('./helpers/memoryCollection');
+
+describe('credit ledger', () => {
+  let users;
+  let ledger;
+  let user;
+
+  beforeEach(() => {
+    users = useMemoryCollection(User);
+    ledger = useMemoryCollection(CreditTransaction);
+    user = users.insert({
+      email: 'sam@example.com',
+      password: 'hashed',
+      firstName: 'Sam',
+      lastName: 'Lee'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const cachedBalance = async () => (await User.findById(user._id)).creditBalance;
+
+  it('chains entries and keeps the cached balance in step', async () => {
+    await billing.grant(user._id, 50, { reason: 'Welcome', adminId: null, idempotencyKey: 'a' });
+    await billing.consumeForGeneration(user._id, 2, { generationId: new mongoose.Types.ObjectId(), attempt: 1 });
+
+    expect(ledger.docs.map(entry => [entry.sequence, entry.amount, entry.balanceAfter])).toEqual([
+      [1, 50, 50],
+      [2, -2, 48]
+    ]);
+    expect(await cachedBalance()).toBe(48);
+    expect(await billing.getBalance(user._id)).toBe(48);
+    expect(await CreditTransaction.getBalance(user._id)).toBe(48);
+  });
+
+  describe('idempotency keys', () => {
+    it('returns the original entry when a key is used again', async () => {
+      const first = await billing.grant(user._id, 20, { reason: 'Retry me', adminId: null, idempotencyKey: 'same' });
+      const second = await billing.grant(user._id, 20, { reason: 'Retry me', adminId: null, idempotencyKey: 'same' });
+
+      expect(first.duplicate).toBe(false);
+      expect(second.duplicate).toBe(true);
+      expect(second.transaction._id).toEqual(first.transaction._id);
+      expect(ledger.docs).toHaveLength(1);
+      expect(await cachedBalance()).toBe(20);
+    });
+
+    it('moves credits once when the same key arrives concurrently', async () => {
+      const results = await Promise.all([1, 2, 3].map(() => (
+        billing.grant(user._id, 20, { reason: 'Race', adminId: null, idempotencyKey: 'race' })
+      )));
+
+      expect(results.filter(result => !result.duplicate)).toHaveLength(1);
+      expect(ledger.docs).toHaveLength(1);
+      expect(await billing.getBalance(user._id)).toBe(20);
+    });
+  });
+
+  describe('insufficient balance', () => {
+    it('refuses a debit larger than the balance and records nothing', async () => {
+      await billing.grant(user._id, 3, { reason: 'Some', adminId: null, idempotencyKey: 'a' });
+
+      const debit = billing.consumeForGeneration(user._id, 4, { generationId: new mongoose.Types.ObjectId(), attempt: 1 });
+
+      await expect(debit).rejects.toThrow(InsufficientCreditsError);
+      await expect(debit).rejects.toMatchObject({ balance: 3, required: 4, statusCode: 402 });
+      expect(ledger.docs).toHaveLength(1);
+      expect(await cachedBalance()).toBe(3);
+    });
+
+    it('never overdraws when debits race for the same credits', async () => {
+      await billing.grant(user._id, 100, { reason: 'Some', adminId: null, idempotencyKey: 'a' });
+
+      const results = await Promise.allSettled([1, 2, 3, 4].map(attempt => (
+        billing.grant(user._id, -30, { reason: 'Correction', adminId: null, idempotencyKey: `debit-${attempt}` })
+      )));
+
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(3);
+      expect(results.find(result => result.status === 'rejected').reason).toBeInstanceOf(InsufficientCreditsError);
+      expect(await billing.getBalance(user._id)).toBe(10);
+      expect(await cachedBalance()).toBe(10);
+      expect(ledger.docs.map(entry => entry.sequence)).toEqual([1, 2, 3, 4]);
+    });
+
+    it('refuses entries for a user that does not exist', async () => {
+      const missing = billing.grant(new mongoose.Types.ObjectId(), 5, { reason: 'Nobody', adminId: null });
+
+      await expect(missing).rejects.toThrow(BillingError);
+      await expect(missing).rejects.toMatchObject({ statusCode: 404 });
+      expect(ledger.docs).toHaveLength(0);
+    });
+  });
+
+  describe('recovery', () => {
+    it('catches the cached balance up when a write stopped after its ledger entry', async () => {
+      await billing.grant(user._id, 10, { reason: 'Some', adminId: null, idempotencyKey: 'a' });
+      // The process dies between appending the entry and updating the user
+      jest.spyOn(billing, 'syncBalance').mockRejectedValueOnce(new Error('Connection lost'));
+      await expect(billing.grant(user._id, 5, { reason: 'More', adminId: null, idempotencyKey: 'b' })).rejects.toThrow('Connection lost');
+
+      expect(await cachedBalance()).toBe(10);
+      // The ledger already has it, so a retry doesn't credit twice...
+      const retry = await billing.grant(user._id, 5, { reason: 'More', adminId: null, idempotencyKey: 'b' });
+      expect(retry.duplicate).toBe(true);
+      // ...and the next read repairs the cache
+      expect(await billing.getBalance(user._id)).toBe(15);
+      expect(await cachedBalance()).toBe(15);
+    });
+
+    it('never lets an older entry overwrite a newer cached balance', async () => {
+      await billing.grant(user._id, 10, { reason: 'Some', adminId: null, idempotencyKey: 'a' });
+      await billing.grant(user._id, 5, { reason: 'More', adminId: null, idempotencyKey: 'b' });
+
+      await billing.syncBalance(user._id, ledger.docs[0]);
+
+      expect(await cachedBalance()).toBe(15);
+    });
+
+    it('continues a ledger written before entries were chained', async () => {
+      ledger.insert({ userId: user._id, type: 'grant', amount: 40, balanceAfter: 40, idempotencyKey: 'legacy-1' });
+      ledger.insert({ userId: user._id, type: 'consumption', amount: -5, balanceAfter: 35, idempotencyKey: 'legacy-2' });
+
+      await billing.grant(user._id, 5, { reason: 'More', adminId: null, idempotencyKey: 'c' });
+
+      expect(ledger.docs[2]).toMatchObject({ sequence: 1, balanceAfter: 40 });
+      expect(await cachedBalance()).toBe(40);
+    });
+  });
+
+  describe('refunds', () => {
+    it('gives back at most what a consumption took', async () => {
+      await billing.grant(user._id, 10, { reason: 'Some', adminId: null, idempotencyKey: 'a' });
+      const { transaction } = await billing.consumeForGeneration(user._id, 3, { generationId: new mongoose.Types.ObjectId(), attempt: 1 });
+
+      await billing.refundGeneration(transaction._id, 2);
+      await billing.refundGeneration(transaction._id, 2, 2);
+
+      expect(await billing.getBalance(user._id)).toBe(10);
+      expect(ledger.docs.filter(entry => entry.type === 'refund').map(entry => entry.amount)).toEqual([2, 1]);
+    });
+  });
+});
@@ -0,0 +1,216 @@
+process.env.PAYMENT_WEBHOOK_SECRET = 'whsec_test';
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const WebhookEvent = require('../models/WebhookEvent');
+const CreditTransaction = require('../models/CreditTransaction');
+const paymentProvider = require('../services/payments');
+const billing = require('../services/billing');
+const subscriptionService = require('../services/subscriptionService');
+const billingRouter = require('../routes/billing');
+const { errorHandler } = require('../middleware/errorHandler');
+const { useMemoryCollection } = require('./helpers/memoryCollection');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mounted like server.js: the webhook is verified against the raw body
+const app = express();
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/billing/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
+app.use('/api/billing', billingRouter);
+app.use(errorHandler);
+
+const deliver = (event, { signature } = {}) => {
+  const rawBody = JSON.stringify(event);
+  return request(app)
+    .post('/api/billing/webhook')
+    .set('Content-Type', 'application/json')
+    .set('X-Webhook-Signature', signature || paymentProvider.signWebhookPayload(rawBody))
+    .send(rawBody);
+};
+
+describe('billing webhooks', () => {
+  let subscriptions;
+  let events;
+  let ledger;
+  let user;
+  let subscription;
+
+  beforeEach(async () => {
+    const users = useMemoryCollection(User);
+    subscriptions = useMemoryCollection(Subscription);
+    events = useMemoryCollection(WebhookEvent);
+    ledger = useMemoryCollection(CreditTransaction);
+
+    user = users.insert({
+      email: 'sam@example.com',
+      password: 'hashed',
+      firstName: 'Sam',
+      lastName: 'Lee',
+      tier: 'paid',
+      creditBalance: 0
+    });
+
+    const periodStart = new Date(Date.now() - 20 * DAY_MS);
+    subscription = await Subscription.create({
+      userId: user._id,
+      provider: 'fake',
+      providerSubscriptionId: 'fake_sub_1',
+      currentPeriodStart: periodStart,
+      currentPeriodEnd: new Date(periodStart.getTime() + 30 * DAY_MS)
+    });
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const renewal = (id = 'evt_renewal') => {
+    const periodStart = subscription.currentPeriodEnd;
+    return {
+      id,
+      type: 'invoice.paid',
+      data: {
+        subscriptionId: 'fake_sub_1',
+        periodStart: periodStart.toISOString(),
+        periodEnd: new Date(periodStart.getTime() + 30 * DAY_MS).toISOString(),
+        paymentId: 'fake_ch_renewal'
+      }
+    };
+  };
+
+  describe('signature', () => {
+    it('refuses an event with a bad signature', async () => {
+      const event = renewal();
+      const forged = paymentProvider.signWebhookPayload(JSON.stringify({ ...event, id: 'evt_other' }));
+
+      const response = await deliver(event, { signature: forged });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid webhook signature');
+      expect(events.docs).toHaveLength(0);
+      expect(ledger.docs).toHaveLength(0);
+    });
+
+    it('refuses an event without a signature', async () => {
+      const response = await deliver(renewal(), { signature: 'nothing' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing webhook signature');
+    });
+
+    it('refuses a correctly signed event whose timestamp is too old', async () => {
+      const event = renewal();
+      const tenMinutesAgo = Math.floor(Date.now() / 1000) - 10 * 60;
+
+      const response = await deliver(event, {
+        signature: paymentProvider.signWebhookPayload(JSON.stringify(event), tenMinutesAgo)
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Webhook signature has expired');
+      expect(events.docs).toHaveLength(0);
+    });
+
+    it('refuses every event while no webhook secret is configured', async () => {
+      const event = renewal();
+      const signature = paymentProvider.signWebhookPayload(JSON.stringify(event));
+      jest.replaceProperty(paymentProvider, 'webhookSecret', undefined);
+
+      const response = await deliver(event, { signature });
+
+      expect(response.status).toBe(503);
+      expect(response.body.error).toBe('Billing webhooks are not configured');
+      expect(events.docs).toHaveLength(0);
+    });
+  });
+
+  describe('redelivery', () => {
+    it('applies the same event once however often it is delivered', async () => {
+      const event = renewal();
+
+      const first = await deliver(event);
+      const second = await deliver(event);
+
+      expect(first.status).toBe(200);
+      expect(first.body).toMatchObject({ eventId: 'evt_renewal', duplicate: false, status: 'processed' });
+      expect(second.status).toBe(200);
+      expect(second.body.duplicate).toBe(true);
+
+      expect(events.docs).toHaveLength(1);
+      expect(ledger.docs).toHaveLength(1);
+      expect(await billing.getBalance(user._id)).toBe(billing.proPlan.credits);
+      expect(subscriptions.docs[0].currentPeriodEnd).toEqual(new Date(event.data.periodEnd));
+    });
+
+    it('credits a period once even when the provider sends it under two event ids', async () => {
+      await deliver(renewal('evt_a'));
+      await deliver(renewal('evt_b'));
+
+      expect(events.docs).toHaveLength(2);
+      expect(ledger.docs).toHaveLength(1);
+      expect(await billing.getBalance(user._id)).toBe(billing.proPlan.credits);
+    });
+
+    it('retries an event whose earlier delivery failed', async () => {
+      const event = renewal();
+      jest.spyOn(billing, 'grantPlanCredits').mockRejectedValueOnce(new Error('Ledger unavailable'));
+
+      expect((await deliver(event)).status).toBe(500);
+      expect(events.docs[0]).toMatchObject({ status: 'failed', error: 'Ledger unavailable' });
+
+      const retry = await deliver(event);
+      expect(retry.body).toMatchObject({ duplicate: false, status: 'processed' });
+      expect(events.docs[0].attempts).toBe(2);
+      expect(await billing.getBalance(user._id)).toBe(billing.proPlan.credits);
+    });
+  });
+
+  describe('lapsed subscriptions', () => {
+    it('keeps Pro through the grace period after a failed renewal, then drops to free', async () => {
+      const response = await deliver({ id: 'evt_failed', type: 'invoice.payment_failed', data: { subscriptionId: 'fake_sub_1' } });
+
+      expect(response.body.status).toBe('processed');
+      const gracePeriodEndsAt = new Date(subscription.currentPeriodEnd.getTime() + subscriptionService.graceMs);
+      expect(subscriptions.docs[0]).toMatchObject({ status: 'past_due', gracePeriodEndsAt });
+
+      // Still inside the grace period
+      expect(await subscriptionService.expireLapsed(new Date(gracePeriodEndsAt.getTime() - 1000))).toBe(0);
+      expect((await User.findById(user._id)).tier).toBe('paid');
+
+      expect(await subscriptionService.expireLapsed(new Date(gracePeriodEndsAt.getTime() + 1000))).toBe(1);
+      expect(subscriptions.docs[0].status).toBe('expired');
+      expect((await User.findById(user._id)).tier).toBe('free');
+    });
+
+    it('drops a subscription whose renewal never arrived once its grace period is over', async () => {
+      const afterGrace = new Date(subscription.currentPeriodEnd.getTime() + subscriptionService.graceMs + 1000);
+
+      expect(await subscriptionService.expireLapsed(afterGrace)).toBe(1);
+
+      expect(subscriptions.docs[0].status).toBe('expired');
+      expect((await User.findById(user._id)).tier).toBe('free');
+    });
+
+    it('lets a late renewal win over the grace period', async () => {
+      await deliver({ id: 'evt_failed', type: 'invoice.payment_failed', data: { subscriptionId: 'fake_sub_1' } });
+      await deliver(renewal());
+
+      const afterGrace = new Date(subscription.currentPeriodEnd.getTime() + subscriptionService.graceMs + 1000);
+      expect(await subscriptionService.expireLapsed(afterGrace)).toBe(0);
+      expect(subscriptions.docs[0].status).toBe('active');
+      expect((await User.findById(user._id)).tier).toBe('paid');
+    });
+  });
+});
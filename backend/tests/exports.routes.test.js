@@ -0,0 +1,281 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibra-exports-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_DIR = storageDir;
+process.env.STORAGE_SIGNING_SECRET = 'test-secret';
+process.env.JWT_SECRET = 'test-secret';
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const User = require('../models/User');
+const Generation = require('../models/Generation');
+const Export = require('../models/Export');
+const Quota = require('../models/Quota');
+const CreditTransaction = require('../models/CreditTransaction');
+const Subscription = require('../models/Subscription');
+const storage = require('../services/storage');
+const exportService = require('../services/exportService');
+const exportsRouter = require('../routes/exports');
+const filesRouter = require('../routes/files');
+const { errorHandler } = require('../middleware/errorHandler');
+const { useMemoryCollection } = require('./helpers/memoryCollection');
+const { readZip, binaryParser } = require('./helpers/zip');
+
+const app = express();
+app.use(express.json());
+app.use('/api/exports', exportsRouter);
+app.use('/api/files', filesRouter);
+app.use(errorHandler);
+
+const waitFor = async (check, timeoutMs = 4000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the export');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('/api/exports', () => {
+  let users;
+  let generations;
+  let exports;
+  let quotas;
+  let sam;
+  let alex;
+
+  const tokenFor = (user) => jwt.sign({ userId: user._id }, process.env.JWT_SECRET);
+
+  // A finished generation whose outputs (and upload) are in storage
+  const addGeneration = async (user, { prompt, outputs = 1, createdAt = new Date() }) => {
+    const files = {};
+    const store = async (folder) => {
+      const key = storage.createKey(folder);
+      files[key] = crypto.randomBytes(2048);
+      await storage.put(key, files[key], { contentType: 'image/jpeg' });
+      return key;
+    };
+
+    const originalImageKey = await store('uploads');
+    const generatedImageKeys = [];
+    for (let index = 0; index < outputs; index++) {
+      generatedImageKeys.push(await store('generated'));
+    }
+
+    const generation = generations.insert({
+      userId: user._id,
+      generationType: 'image-to-image',
+      prompt,
+      status: 'completed',
+      originalImageKey,
+      generatedImageKey: generatedImageKeys[0],
+      generatedImageKeys,
+      inputs: { size: '1024x1024', count: outputs },
+      createdAt,
+      updatedAt: createdAt
+    });
+    return { generation, files };
+  };
+
+  const queueExport = (user, body = {}) => request(app)
+    .post('/api/exports')
+    .set('Authorization', `Bearer ${tokenFor(user)}`)
+    .send(body);
+
+  const getExport = (user, id) => request(app)
+    .get(`/api/exports/${id}`)
+    .set('Authorization', `Bearer ${tokenFor(user)}`);
+
+  const waitUntilFinished = (user, id) => waitFor(async () => {
+    const response = await getExport(user, id);
+    return ['completed', 'failed'].includes(response.body.export.status) && response.body.export;
+  });
+
+  const download = (url) => request(app).get(url).buffer(true).parse(binaryParser);
+
+  beforeEach(() => {
+    users = useMemoryCollection(User);
+    generations = useMemoryCollection(Generation);
+    exports = useMemoryCollection(Export);
+    quotas = useMemoryCollection(Quota);
+    useMemoryCollection(CreditTransaction);
+    useMemoryCollection(Subscription);
+
+    const person = (email, firstName) => users.insert({
+      email,
+      password: 'hashed',
+      firstName,
+      lastName: 'Lee',
+      isActive: true
+    });
+    sam = person('sam@example.com', 'Sam');
+    alex = person('alex@example.com', 'Alex');
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('builds a queued export in the background and serves it through a signed link', async () => {
+    const first = await addGeneration(sam, { prompt: 'a lighthouse at dusk', outputs: 2, createdAt: new Date('2026-10-01T09:00:00Z') });
+    const second = await addGeneration(sam, { prompt: 'a harbour at dawn', createdAt: new Date('2026-10-02T09:00:00Z') });
+    await addGeneration(alex, { prompt: 'someone else\'s picture' });
+
+    const queued = await queueExport(sam);
+
+    expect(queued.status).toBe(202);
+    expect(queued.body.export).toMatchObject({ status: 'queued', kind: 'generations', downloadUrl: null });
+    expect(queued.body.export.storageKey).toBeUndefined();
+
+    const finished = await waitUntilFinished(sam, queued.body.export._id);
+    expect(finished).toMatchObject({ status: 'completed', itemCount: 2, missingFiles: 0 });
+    expect(finished.downloadUrl).toMatch(/^\/api\/files\/exports\/[0-9a-f]{24}\.zip\?expires=\d+&signature=[0-9a-f]+$/);
+
+    const response = await download(finished.downloadUrl);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/zip');
+    expect(response.body.length).toBe(finished.fileSize);
+
+    const entries = readZip(response.body);
+    const manifest = JSON.parse(entries.get('manifest.json'));
+    expect(manifest.generations.map(entry => entry.prompt)).toEqual(['a lighthouse at dusk', 'a harbour at dawn']);
+
+    // Every output of the user's generations, byte for byte, and nothing of anyone else's
+    const images = [...entries.keys()].filter(name => name.startsWith('images/'));
+    expect(images).toHaveLength(3);
+    const expected = [...first.generation.generatedImageKeys, ...second.generation.generatedImageKeys]
+      .map(key => ({ ...first.files, ...second.files }[key]));
+    expect(images.map(name => entries.get(name))).toEqual(expected);
+    expect([...entries.keys()].some(name => name.startsWith('originals/'))).toBe(false);
+
+    const csv = entries.get('manifest.csv').toString().trim().split('\n');
+    expect(csv).toHaveLength(3);
+    expect(csv[0]).toMatch(/^id,created_at,completed_at,status/);
+  });
+
+  it('exports only the selected generations, with their originals when asked', async () => {
+    const { generation, files } = await addGeneration(sam, { prompt: 'a lighthouse at dusk' });
+    await addGeneration(sam, { prompt: 'a harbour at dawn' });
+    const foreign = await addGeneration(alex, { prompt: 'someone else\'s picture' });
+
+    const queued = await queueExport(sam, {
+      ids: [generation._id.toString(), foreign.generation._id.toString()],
+      includeOriginals: true
+    });
+    const finished = await waitUntilFinished(sam, queued.body.export._id);
+
+    expect(finished.itemCount).toBe(1);
+    const entries = readZip((await download(finished.downloadUrl)).body);
+    const original = [...entries.keys()].find(name => name.startsWith('originals/'));
+    expect(entries.get(original)).toEqual(files[generation.originalImageKey]);
+    expect(JSON.parse(entries.get('manifest.json')).generations[0].original).toBe(original);
+  });
+
+  it('streams a small selection straight into the response', async () => {
+    const { generation, files } = await addGeneration(sam, { prompt: 'a lighthouse at dusk' });
+
+    const response = await request(app)
+      .post('/api/exports/download')
+      .set('Authorization', `Bearer ${tokenFor(sam)}`)
+      .send({ ids: [generation._id.toString()] })
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-disposition']).toMatch(/^attachment; filename="vibra-ai-export-\d{4}-\d{2}-\d{2}\.zip"$/);
+    const entries = readZip(response.body);
+    expect([...entries.values()]).toContainEqual(files[generation.generatedImageKey]);
+    expect(exports.docs).toHaveLength(0);
+  });
+
+  it('sends selections over the streaming limit to a background export', async () => {
+    jest.replaceProperty(exportService, 'streamLimit', 1);
+    await addGeneration(sam, { prompt: 'a lighthouse at dusk' });
+    await addGeneration(sam, { prompt: 'a harbour at dawn' });
+
+    const response = await request(app)
+      .post('/api/exports/download')
+      .set('Authorization', `Bearer ${tokenFor(sam)}`)
+      .send({});
+
+    expect(response.status).toBe(413);
+    expect(response.body).toMatchObject({ count: 2, limit: 1 });
+  });
+
+  it('keeps one user\'s exports out of another\'s reach', async () => {
+    await addGeneration(sam, { prompt: 'a lighthouse at dusk' });
+    const queued = await queueExport(sam);
+    await waitUntilFinished(sam, queued.body.export._id);
+
+    const response = await getExport(alex, queued.body.export._id);
+    const list = await request(app)
+      .get('/api/exports')
+      .set('Authorization', `Bearer ${tokenFor(alex)}`);
+
+    expect(response.status).toBe(404);
+    expect(list.body.exports).toEqual([]);
+  });
+
+  it('refuses to queue an export of nothing', async () => {
+    const response = await queueExport(sam);
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe('There are no generations to export');
+    expect(exports.docs).toHaveLength(0);
+  });
+
+  it('deletes the archive once it expires, so the old link stops working', async () => {
+    await addGeneration(sam, { prompt: 'a lighthouse at dusk' });
+    const queued = await queueExport(sam);
+    const finished = await waitUntilFinished(sam, queued.body.export._id);
+    exports.docs[0].expiresAt = new Date(Date.now() - 1000);
+
+    expect(await exportService.expireArchives()).toBe(1);
+
+    expect((await download(finished.downloadUrl)).status).toBe(404);
+    expect((await getExport(sam, finished._id)).body.export).toMatchObject({ status: 'expired', downloadUrl: null });
+  });
+
+  it('builds a personal data export with the profile, quota history and originals', async () => {
+    const { generation, files } = await addGeneration(sam, { prompt: 'a lighthouse at dusk' });
+    await addGeneration(alex, { prompt: 'someone else\'s picture' });
+    quotas.insert({ userId: sam._id, date: new Date('2026-10-18T00:00:00Z'), generationsUsed: 1, generationsLimit: 3 });
+    quotas.insert({ userId: alex._id, date: new Date('2026-10-18T00:00:00Z'), generationsUsed: 2, generationsLimit: 3 });
+
+    const queued = await request(app)
+      .post('/api/exports/account')
+      .set('Authorization', `Bearer ${tokenFor(sam)}`);
+
+    expect(queued.status).toBe(202);
+    expect(queued.body.export).toMatchObject({ kind: 'account', includeOriginals: true });
+
+    const finished = await waitUntilFinished(sam, queued.body.export._id);
+    const entries = readZip((await download(finished.downloadUrl)).body);
+
+    const profile = JSON.parse(entries.get('account/profile.json'));
+    expect(profile.email).toBe('sam@example.com');
+    expect(profile.password).toBeUndefined();
+    const quotaHistory = JSON.parse(entries.get('account/quota-history.json'));
+    expect(quotaHistory.map(day => day.generationsUsed)).toEqual([1]);
+    expect(JSON.parse(entries.get('account/subscription.json'))).toBeNull();
+
+    expect(finished.itemCount).toBe(1);
+    const original = [...entries.keys()].find(name => name.startsWith('originals/'));
+    expect(entries.get(original)).toEqual(files[generation.originalImageKey]);
+  });
+});
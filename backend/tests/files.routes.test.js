@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibra-files-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_DIR = storageDir;
+process.env.STORAGE_SIGNING_SECRET = 'test-secret';
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const storage = require('../services/storage');
+const filesRouter = require('../routes/files');
+
+const app = express();
+app.use('/api/files', filesRouter);
+
+describe('/api/files', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('streams the stored object without reading it into memory', async () => {
+    const content = crypto.randomBytes(256 * 1024);
+    const key = storage.createKey('exports', 'zip');
+    await storage.put(key, content, { contentType: 'application/zip' });
+    const get = jest.spyOn(storage, 'get');
+
+    const response = await request(app)
+      .get(storage.getSignedUrl(key, { expiresIn: 60 }))
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/zip');
+    expect(response.headers['cache-control']).toMatch(/^private, max-age=\d+$/);
+    expect(Buffer.compare(response.body, content)).toBe(0);
+    expect(get).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for a signed link to a missing object', async () => {
+    const response = await request(app).get(storage.getSignedUrl('generated/missing.jpg', { expiresIn: 60 }));
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe('File not found');
+  });
+
+  it('refuses a link with a bad signature', async () => {
+    const key = storage.createKey('generated');
+    await storage.put(key, Buffer.from('image'));
+    const url = storage.getSignedUrl(key, { expiresIn: 60 }).replace(/signature=\w+/, 'signature=forged');
+
+    const response = await request(app).get(url);
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,96 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const User = require('../models/User');
+const Quota = require('../models/Quota');
+const Generation = require('../models/Generation');
+const GenerationJob = require('../models/GenerationJob');
+const CreditTransaction = require('../models/CreditTransaction');
+const billing = require('../services/billing');
+const generateRouter = require('../routes/generate');
+const { useMemoryCollection } = require('./helpers/memoryCollection');
+
+const app = express();
+app.use(express.json());
+app.use('/api/generate', generateRouter);
+
+const FREE_LIMIT = Quota.getLimitForTier('free');
+
+describe('quota reservation under concurrent generate requests', () => {
+  let quotas;
+  let generations;
+  let jobs;
+  let ledger;
+  let user;
+  let token;
+
+  beforeEach(() => {
+    const users = useMemoryCollection(User);
+    // A round trip per operation, so the requests overlap between reading and reserving
+    quotas = useMemoryCollection(Quota, { latencyMs: 5 });
+    generations = useMemoryCollection(Generation);
+    jobs = useMemoryCollection(GenerationJob);
+    ledger = useMemoryCollection(CreditTransaction, { latencyMs: 5 });
+
+    user = users.insert({
+      email: 'sam@example.com',
+      password: 'hashed',
+      firstName: 'Sam',
+      lastName: 'Lee',
+      tier: 'free',
+      isActive: true,
+      timezone: 'UTC'
+    });
+    token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET);
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // All requests are in flight at once, like a client double-firing the button
+  const generateInParallel = (times) => Promise.all(Array.from({ length: times }, (_, index) => (
+    request(app)
+      .post('/api/generate/text-to-image')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ prompt: `a lighthouse at dusk #${index}`, provider: 'stub', size: '64x64' })
+  )));
+
+  const statuses = (responses) => responses.map(response => response.status).sort();
+
+  it('lets exactly the daily limit through', async () => {
+    const responses = await generateInParallel(FREE_LIMIT + 3);
+
+    expect(statuses(responses)).toEqual([
+      ...Array(FREE_LIMIT).fill(202),
+      ...Array(3).fill(429)
+    ]);
+    expect(quotas.docs).toHaveLength(1);
+    expect(quotas.docs[0].generationsUsed).toBe(FREE_LIMIT);
+    expect(generations.docs).toHaveLength(FREE_LIMIT);
+    expect(jobs.docs).toHaveLength(FREE_LIMIT);
+    expect(responses.find(response => response.status === 429).body.success).toBe(false);
+  });
+
+  it('pays with credits past the limit and never overdraws them', async () => {
+    await billing.grant(user._id, 2, { reason: 'Test credits', adminId: null });
+
+    const responses = await generateInParallel(FREE_LIMIT + 4);
+
+    expect(statuses(responses)).toEqual([
+      ...Array(FREE_LIMIT + 2).fill(202),
+      ...Array(2).fill(429)
+    ]);
+    expect(responses.filter(response => response.body.paidWith === 'credits')).toHaveLength(2);
+    expect(quotas.docs[0].generationsUsed).toBe(FREE_LIMIT);
+    expect(await billing.getBalance(user._id)).toBe(0);
+    expect(ledger.docs.filter(entry => entry.type === 'consumption')).toHaveLength(2);
+    expect(generations.docs).toHaveLength(FREE_LIMIT + 2);
+  });
+});
@@ -0,0 +1,352 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibra-storage-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_DIR = storageDir;
+process.env.STORAGE_SIGNING_SECRET = 'test-secret';
+delete process.env.GEMINI_API_KEY;
+
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Generation = require('../models/Generation');
+const GenerationJob = require('../models/GenerationJob');
+const Quota = require('../models/Quota');
+const storage = require('../services/storage');
+const quotaService = require('../services/quotaService');
+const generationQueue = require('../services/generationQueue');
+const StubProvider = require('../services/providers/stubProvider');
+// Registers the image-to-image and text-to-image job handlers
+require('../routes/generate');
+
+const QUOTA_DATE = new Date('2026-10-18T00:00:00Z');
+
+const waitFor = async (predicate, timeoutMs = 10000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the queue');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('generation pipeline with the stub provider', () => {
+  let jobs;
+  let generations;
+  let user;
+
+  // Create a generation the way the generate routes do: reserve quota, save, enqueue
+  const submit = async ({ generationType, count = 1, imageKey, timeoutMs }) => {
+    const generation = new Generation({
+      userId: user._id,
+      generationType,
+      prompt: 'a lighthouse at dusk',
+      attachments: imageKey ? [{ role: 'source', storageKey: imageKey, mimeType: 'image/jpeg' }] : [],
+      inputs: { imageKey, userPrompt: 'a lighthouse at dusk', size: '64x64', count },
+      aiProvider: 'stub',
+      parameters: { size: '64x64', count },
+      status: 'processing'
+    });
+    const { reservation } = await quotaService.reserve(user, count, { generationId: generation._id, attempt: 1 });
+    generation.startAttempt('initial', reservation);
+    generations.set(generation._id.toString(), generation);
+
+    const job = await enqueue(generation, { timeoutMs });
+    return { generation, job };
+  };
+
+  // The worker reads the prompt and the source image from the stored generation;
+  // the retry route replays it the same way
+  const enqueue = (generation, { timeoutMs } = {}) => generationQueue.enqueue(generation.generationType, {
+    generationId: generation._id,
+    userId: user._id,
+    payload: {
+      provider: generation.aiProvider,
+      size: generation.inputs.size,
+      count: generation.inputs.count
+    },
+    timeoutMs
+  });
+
+  const retry = async (generation) => {
+    const { reservation } = await quotaService.reserve(user, generation.inputs.count, {
+      generationId: generation._id,
+      attempt: generation.attempts.length + 1
+    });
+    generation.startAttempt('retry', reservation);
+    return enqueue(generation);
+  };
+
+  const upload = async (background) => {
+    const image = await sharp({
+      create: { width: 80, height: 80, channels: 3, background }
+    }).jpeg().toBuffer();
+    const key = storage.createKey('uploads');
+    await storage.put(key, image, { contentType: 'image/jpeg' });
+    return key;
+  };
+
+  const storedSize = (key) => fs.statSync(path.join(storageDir, key)).size;
+
+  // Let every stub call finish after delayMs, recording the files they store
+  const slowProvider = (method, delayMs) => {
+    const original = StubProvider.prototype[method];
+    const stored = [];
+    jest.spyOn(StubProvider.prototype, method).mockImplementation(async function(...args) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+      const result = await original.apply(this, args);
+      stored.push(result.storageKey);
+      return result;
+    });
+    return stored;
+  };
+
+  const runUntilFinished = async (job) => {
+    await generationQueue.start();
+    await waitFor(() => ['completed', 'failed'].includes(job.status));
+    await generationQueue.stop();
+  };
+
+  beforeEach(() => {
+    jobs = [];
+    generations = new Map();
+    user = { _id: new mongoose.Types.ObjectId(), tier: 'free' };
+
+    // Just enough of MongoDB for the queue: an in-memory job collection and
+    // claimNext taking the oldest queued job of a registered type
+    jest.spyOn(GenerationJob, 'create').mockImplementation(async (doc) => {
+      const job = new GenerationJob(doc);
+      jobs.push(job);
+      return job;
+    });
+    jest.spyOn(GenerationJob, 'claimNext').mockImplementation(async (workerId, types) => {
+      const job = jobs.find(candidate => candidate.status === 'queued' && types.includes(candidate.type));
+      if (!job) return null;
+      Object.assign(job, { status: 'running', lockedBy: workerId, attempts: job.attempts + 1, startedAt: new Date() });
+      return job;
+    });
+    jest.spyOn(GenerationJob, 'findStalled').mockResolvedValue([]);
+    jest.spyOn(GenerationJob.prototype, 'save').mockImplementation(async function() { return this; });
+
+    jest.spyOn(Generation, 'findById').mockImplementation(async (id) => generations.get(id.toString()) || null);
+    jest.spyOn(Generation, 'find').mockReturnValue({ select: async () => [] });
+    jest.spyOn(Generation.prototype, 'save').mockImplementation(async function() { return this; });
+
+    jest.spyOn(Quota, 'reserve').mockImplementation(async (userId, tier, amount) => ({
+      date: QUOTA_DATE,
+      generationsUsed: amount,
+      generationsLimit: 10,
+      generationsRemaining: 10 - amount
+    }));
+    jest.spyOn(Quota, 'release').mockResolvedValue(null);
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await generationQueue.stop();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('claims a queued text-to-image job and stores every variation', async () => {
+    const { generation, job } = await submit({ generationType: 'text-to-image', count: 2 });
+
+    await runUntilFinished(job);
+
+    expect(GenerationJob.claimNext).toHaveBeenCalledWith(generationQueue.workerId, expect.arrayContaining(['text-to-image']));
+    expect(job.status).toBe('completed');
+    expect(job.attempts).toBe(1);
+
+    expect(generation.status).toBe('completed');
+    expect(generation.generatedImageKeys).toHaveLength(2);
+    expect(new Set(generation.generatedImageKeys).size).toBe(2);
+    for (const key of generation.generatedImageKeys) {
+      expect(key).toMatch(/^generated\/[0-9a-f-]{36}\.jpg$/);
+      expect(await storage.exists(key)).toBe(true);
+      const { width, height } = await sharp(await storage.get(key)).metadata();
+      expect({ width, height }).toEqual({ width: 64, height: 64 });
+    }
+    expect(generation.storageBytes).toBe(generation.generatedImageKeys.reduce((sum, key) => sum + storedSize(key), 0));
+
+    // Every variation was delivered, so the reservation is kept
+    expect(Quota.release).not.toHaveBeenCalled();
+    expect(generation.attempts[0].quota).toMatchObject({ reserved: 2, refunded: 0 });
+  });
+
+  it('transforms the uploaded image for image-to-image jobs', async () => {
+    const sourceKey = await upload({ r: 200, g: 40, b: 40 });
+
+    const { generation, job } = await submit({ generationType: 'image-to-image', imageKey: sourceKey });
+
+    await runUntilFinished(job);
+
+    expect(GenerationJob.claimNext).toHaveBeenCalledWith(generationQueue.workerId, expect.arrayContaining(['image-to-image']));
+    expect(job.status).toBe('completed');
+    expect(generation.status).toBe('completed');
+    expect(generation.echoedInput).toBe(false);
+    expect(generation.generatedImageKey).toMatch(/^generated\/[0-9a-f-]{36}\.jpg$/);
+    expect(generation.generatedImageKey).not.toBe(sourceKey);
+    expect(await storage.exists(generation.generatedImageKey)).toBe(true);
+    // The source upload isn't charged to the generation
+    expect(generation.storageBytes).toBe(storedSize(generation.generatedImageKey));
+    expect(Quota.release).not.toHaveBeenCalled();
+  });
+
+  it('stores each generation of the same prompt under its own key', async () => {
+    const first = await submit({ generationType: 'text-to-image' });
+    await runUntilFinished(first.job);
+    const second = await submit({ generationType: 'text-to-image' });
+    await runUntilFinished(second.job);
+
+    const firstKey = first.generation.generatedImageKey;
+    const secondKey = second.generation.generatedImageKey;
+    expect(firstKey).not.toBe(secondKey);
+    // Same inputs, same picture
+    expect(Buffer.compare(await storage.get(firstKey), await storage.get(secondKey))).toBe(0);
+
+    // Deleting one generation's image leaves the other's alone
+    await storage.delete(firstKey);
+    expect(await storage.exists(secondKey)).toBe(true);
+  });
+
+  it('refunds the whole reservation when the provider fails', async () => {
+    jest.spyOn(StubProvider.prototype, 'generateImage').mockRejectedValue(new Error('Provider unavailable'));
+    const { generation, job } = await submit({ generationType: 'text-to-image', count: 2 });
+
+    await runUntilFinished(job);
+
+    expect(job.status).toBe('failed');
+    expect(job.errorMessage).toBe('Provider unavailable');
+    expect(generation.status).toBe('failed');
+    expect(generation.errorMessage).toBe('Provider unavailable');
+    expect(Quota.release).toHaveBeenCalledTimes(1);
+    expect(Quota.release).toHaveBeenCalledWith(user._id, QUOTA_DATE, 2);
+    expect(generation.attempts[0].quota).toMatchObject({ reserved: 2, refunded: 2 });
+  });
+
+  it('refunds only the variations that failed', async () => {
+    const generateImage = StubProvider.prototype.generateImage;
+    jest.spyOn(StubProvider.prototype, 'generateImage').mockImplementation(function(prompt, options) {
+      return options.variation === 1
+        ? Promise.reject(new Error('Variation failed'))
+        : generateImage.call(this, prompt, options);
+    });
+    const { generation, job } = await submit({ generationType: 'text-to-image', count: 3 });
+
+    await runUntilFinished(job);
+
+    expect(job.status).toBe('completed');
+    expect(generation.generatedImageKeys).toHaveLength(2);
+    expect(Quota.release).toHaveBeenCalledWith(user._id, QUOTA_DATE, 1);
+    expect(generation.attempts[0].quota).toMatchObject({ reserved: 3, refunded: 1 });
+  });
+
+  describe('timeouts', () => {
+    it('fails the generation and deletes what the provider stored after the deadline', async () => {
+      const stored = slowProvider('generateImage', 100);
+      jest.spyOn(storage, 'delete');
+      const { generation, job } = await submit({ generationType: 'text-to-image', count: 2, timeoutMs: 20 });
+
+      await runUntilFinished(job);
+
+      expect(job.status).toBe('failed');
+      expect(job.errorMessage).toMatch(/timed out/);
+      expect(generation.status).toBe('failed');
+      expect(generation.attempts[0]).toMatchObject({ status: 'failed', errorMessage: job.errorMessage });
+      expect(generation.attempts[0].quota).toMatchObject({ reserved: 2, refunded: 2 });
+
+      // The provider keeps going after the queue gives up; its outputs are removed once it returns
+      await waitFor(() => storage.delete.mock.calls.length === 2);
+      expect(storage.delete.mock.calls.map(([key]) => key).sort()).toEqual([...stored].sort());
+      for (const key of stored) {
+        expect(await storage.exists(key)).toBe(false);
+      }
+      expect(generation.generatedImageKeys).toHaveLength(0);
+      expect(generation.storageBytes).toBe(0);
+    });
+
+    it('keeps the uploaded source image when an image-to-image job times out', async () => {
+      const sourceKey = await upload({ r: 40, g: 200, b: 40 });
+
+      const stored = slowProvider('generateImageFromImage', 100);
+      jest.spyOn(storage, 'delete');
+      const { generation, job } = await submit({ generationType: 'image-to-image', imageKey: sourceKey, timeoutMs: 20 });
+
+      await runUntilFinished(job);
+      await waitFor(() => storage.delete.mock.calls.length === 1);
+
+      expect(generation.status).toBe('failed');
+      expect(storage.delete).toHaveBeenCalledWith(stored[0]);
+      expect(await storage.exists(stored[0])).toBe(false);
+      expect(await storage.exists(sourceKey)).toBe(true);
+    });
+  });
+
+  describe('retries', () => {
+    it('replays the stored inputs after a failed run', async () => {
+      const sourceKey = await upload({ r: 40, g: 40, b: 200 });
+      const generateImageFromImage = jest.spyOn(StubProvider.prototype, 'generateImageFromImage')
+        .mockRejectedValueOnce(new Error('Provider unavailable'));
+      const { generation, job } = await submit({ generationType: 'image-to-image', imageKey: sourceKey });
+      await runUntilFinished(job);
+      expect(generation.status).toBe('failed');
+      expect(generation.canRetry()).toBe(true);
+
+      const retryJob = await retry(generation);
+      await runUntilFinished(retryJob);
+
+      expect(generation.status).toBe('completed');
+      expect(await storage.exists(generation.generatedImageKey)).toBe(true);
+      expect(generation.retryCount).toBe(1);
+      expect(generation.attempts.map(attempt => [attempt.trigger, attempt.status])).toEqual([
+        ['initial', 'failed'],
+        ['retry', 'completed']
+      ]);
+      expect(generateImageFromImage.mock.calls[1].slice(0, 2)).toEqual(generateImageFromImage.mock.calls[0].slice(0, 2));
+      // Only the outputs of the run that succeeded are charged
+      expect(generation.storageBytes).toBe(storedSize(generation.generatedImageKey));
+    });
+
+    it('releases the bytes of the previous outputs a retry discards', async () => {
+      const { generation, job } = await submit({ generationType: 'text-to-image', count: 2 });
+      await runUntilFinished(job);
+      const [kept, discarded] = generation.generatedImageKeys;
+      expect(generation.storageBytes).toBe(storedSize(kept) + storedSize(discarded));
+
+      const retryJob = await retry(generation);
+      // Before the new run stores anything, only the output the first attempt keeps is charged
+      expect(generation.generatedImageKeys).toHaveLength(0);
+      expect(generation.getStorageKeys()).toEqual([kept]);
+      expect(generation.storageBytes).toBe(storedSize(kept));
+
+      await runUntilFinished(retryJob);
+
+      const charged = [kept, ...generation.generatedImageKeys].reduce((sum, key) => sum + storedSize(key), 0);
+      expect(generation.storageBytes).toBe(charged);
+      expect(generation.attempts[1].outputs.map(output => output.storageKey)).toEqual(generation.generatedImageKeys);
+    });
+
+    it('stops offering retries once the limit is reached', async () => {
+      process.env.MAX_GENERATION_RETRIES = '1';
+      jest.spyOn(StubProvider.prototype, 'generateImage').mockRejectedValue(new Error('Provider unavailable'));
+
+      try {
+        const { generation, job } = await submit({ generationType: 'text-to-image' });
+        await runUntilFinished(job);
+        await runUntilFinished(await retry(generation));
+
+        expect(generation.status).toBe('failed');
+        expect(generation.retryCount).toBe(1);
+        expect(generation.canRetry()).toBe(false);
+      } finally {
+        delete process.env.MAX_GENERATION_RETRIES;
+      }
+    });
+  });
+});
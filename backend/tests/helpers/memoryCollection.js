@@ -0,0 +1,313 @@
+// The top-level exports come with every operator registered, which $expr filters need
+const { Aggregator, Query, update: applyUpdate } = require('mingo');
+const mongoose = require('mongoose');
+
+// Tests run without MongoDB. This swaps a model's driver collection for an
+// in-memory one, below Mongoose, so casting, defaults, timestamps, hooks,
+// statics and unique indexes behave as they do against a real server.
+// Queries and updates are evaluated by mingo. Spies are installed with
+// jest.spyOn, so jest.restoreAllMocks() puts the real collection back.
+
+// Deep copy of a stored document; ObjectIds, Buffers and the like are immutable
+// enough to share, Dates are copied
+const copy = (value) => {
+  if (Array.isArray(value)) return value.map(copy);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copy(item)]));
+  }
+  return value;
+};
+
+const getPath = (doc, dottedPath) => dottedPath.split('.')
+  .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+
+const isOperatorObject = (value) => value && typeof value === 'object' && !Array.isArray(value)
+  && Object.getPrototypeOf(value) === Object.prototype
+  && Object.keys(value).some(key => key.startsWith('$'));
+
+// The equality conditions of a filter, which an upsert copies into the new document
+const equalityFields = (filter) => {
+  const fields = {};
+  for (const [key, value] of Object.entries(filter || {})) {
+    if (key === '$and') {
+      value.forEach(part => Object.assign(fields, equalityFields(part)));
+    } else if (!key.startsWith('$') && !isOperatorObject(value)) {
+      fields[key] = copy(value);
+    } else if (!key.startsWith('$') && value.$eq !== undefined) {
+      fields[key] = copy(value.$eq);
+    }
+  }
+  return fields;
+};
+
+const duplicateKeyError = (collectionName, keyValue) => {
+  const error = new Error(`E11000 duplicate key error collection: ${collectionName} dup key: ${JSON.stringify(keyValue)}`);
+  error.name = 'MongoServerError';
+  error.code = 11000;
+  error.keyPattern = Object.fromEntries(Object.keys(keyValue).map(key => [key, 1]));
+  error.keyValue = keyValue;
+  return error;
+};
+
+class MemoryCursor {
+  constructor(docs) {
+    this.docs = docs;
+    this.position = 0;
+  }
+
+  async next() {
+    return this.position < this.docs.length ? this.docs[this.position++] : null;
+  }
+
+  async hasNext() {
+    return this.position < this.docs.length;
+  }
+
+  async toArray() {
+    const rest = this.docs.slice(this.position);
+    this.position = this.docs.length;
+    return rest;
+  }
+
+  rewind() {
+    this.position = 0;
+  }
+
+  async close() {}
+
+  async * [Symbol.asyncIterator]() {
+    while (this.position < this.docs.length) {
+      yield this.docs[this.position++];
+    }
+  }
+}
+
+class MemoryCollection {
+  constructor(Model) {
+    this.Model = Model;
+    this.name = Model.collection.collectionName;
+    this.docs = [];
+    this.uniqueIndexes = Model.schema.indexes().filter(([, options]) => options && options.unique);
+  }
+
+  // Documents matching a filter, honouring sort, skip and limit
+  select(filter = {}, { sort, skip, limit } = {}) {
+    let cursor = new Query(filter).find(this.docs);
+    if (sort && Object.keys(sort).length > 0) cursor = cursor.sort(sort);
+    if (skip) cursor = cursor.skip(skip);
+    if (limit) cursor = cursor.limit(limit);
+    return cursor.all();
+  }
+
+  project(doc, projection) {
+    if (!doc) return null;
+    if (!projection || Object.keys(projection).length === 0) return copy(doc);
+    return copy(new Query({}).find([doc], projection).all()[0]);
+  }
+
+  checkUnique(candidate) {
+    for (const [fields, options] of this.uniqueIndexes) {
+      const keyValue = Object.fromEntries(Object.keys(fields).map(field => [field, getPath(candidate, field)]));
+      if (options.sparse && Object.values(keyValue).every(value => value === undefined || value === null)) continue;
+      if (options.partialFilterExpression && !new Query(options.partialFilterExpression).test(candidate)) continue;
+
+      const condition = Object.fromEntries(Object.entries(keyValue).map(([field, value]) => [field, value ?? null]));
+      const clash = new Query(condition).find(this.docs).all()
+        .find(doc => !doc._id.equals(candidate._id)
+          && (!options.partialFilterExpression || new Query(options.partialFilterExpression).test(doc)));
+      if (clash) {
+        throw duplicateKeyError(this.name, keyValue);
+      }
+    }
+  }
+
+  insert(doc) {
+    const stored = copy(doc);
+    if (stored._id === undefined) stored._id = new mongoose.Types.ObjectId();
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return stored;
+  }
+
+  // Apply an update to a copy, so a failed unique check leaves the stored document untouched
+  modify(doc, updateDoc, filter, arrayFilters, { inserting = false } = {}) {
+    const { $setOnInsert, ...operators } = updateDoc;
+    const changed = copy(doc);
+    if (Object.keys(operators).length > 0) {
+      applyUpdate(changed, operators, arrayFilters, filter);
+    }
+    if (inserting && $setOnInsert) {
+      applyUpdate(changed, { $set: $setOnInsert });
+    }
+    this.checkUnique(changed);
+    this.docs[this.docs.indexOf(doc)] = changed;
+    return changed;
+  }
+
+  upsert(filter, updateDoc, arrayFilters) {
+    const doc = this.insert({ _id: new mongoose.Types.ObjectId(), ...equalityFields(filter) });
+    try {
+      return this.modify(doc, updateDoc, filter, arrayFilters, { inserting: true });
+    } catch (error) {
+      this.docs.splice(this.docs.indexOf(doc), 1);
+      throw error;
+    }
+  }
+
+  async insertOne(doc) {
+    const stored = this.insert(doc);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    docs.forEach((doc, index) => {
+      insertedIds[index] = this.insert(doc)._id;
+    });
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  async findOne(filter, options = {}) {
+    const [doc] = this.select(filter, { ...options, limit: 1 });
+    return this.project(doc, options.projection);
+  }
+
+  find(filter, options = {}) {
+    return new MemoryCursor(this.select(filter, options).map(doc => this.project(doc, options.projection)));
+  }
+
+  async countDocuments(filter) {
+    return this.select(filter).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async distinct(field, filter) {
+    const values = [];
+    for (const doc of this.select(filter)) {
+      const value = getPath(doc, field);
+      for (const item of Array.isArray(value) ? value : [value]) {
+        if (item !== undefined && !values.some(existing => new Query({ v: item }).test({ v: existing }))) {
+          values.push(item);
+        }
+      }
+    }
+    return values;
+  }
+
+  async updateOne(filter, updateDoc, options = {}) {
+    const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+    if (!doc) {
+      if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+      const created = this.upsert(filter, updateDoc, options.arrayFilters);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: created._id };
+    }
+    this.modify(doc, updateDoc, filter, options.arrayFilters);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateMany(filter, updateDoc, options = {}) {
+    const docs = this.select(filter);
+    if (docs.length === 0 && options.upsert) {
+      const created = this.upsert(filter, updateDoc, options.arrayFilters);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: created._id };
+    }
+    docs.forEach(doc => this.modify(doc, updateDoc, filter, options.arrayFilters));
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length, upsertedCount: 0, upsertedId: null };
+  }
+
+  async findOneAndUpdate(filter, updateDoc, options = {}) {
+    const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+    const returnAfter = options.returnDocument === 'after' || options.returnOriginal === false || options.new === true;
+
+    let before = null;
+    let after;
+    if (doc) {
+      before = copy(doc);
+      after = this.modify(doc, updateDoc, filter, options.arrayFilters);
+    } else if (options.upsert) {
+      after = this.upsert(filter, updateDoc, options.arrayFilters);
+    } else {
+      after = null;
+    }
+
+    const value = this.project(returnAfter ? after : before, options.projection);
+    return options.includeResultMetadata
+      ? { value, ok: 1, lastErrorObject: { n: after ? 1 : 0, updatedExisting: Boolean(doc) } }
+      : value;
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    const value = this.project(doc, options.projection);
+    return options.includeResultMetadata ? { value, ok: 1 } : value;
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this.select(filter, { limit: 1 });
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    const doomed = new Set(this.select(filter));
+    this.docs = this.docs.filter(doc => !doomed.has(doc));
+    return { acknowledged: true, deletedCount: doomed.size };
+  }
+
+  // Operations run in order, as an ordered bulk write does on the server
+  async bulkWrite(operations) {
+    const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0 };
+    for (const operation of operations) {
+      const [type, args] = Object.entries(operation)[0];
+      if (type === 'insertOne') {
+        this.insert(args.document);
+        result.insertedCount += 1;
+      } else if (type === 'updateOne' || type === 'updateMany') {
+        const outcome = await this[type](args.filter, args.update, args);
+        result.matchedCount += outcome.matchedCount;
+        result.modifiedCount += outcome.modifiedCount;
+        result.upsertedCount += outcome.upsertedCount;
+      } else if (type === 'deleteOne' || type === 'deleteMany') {
+        result.deletedCount += (await this[type](args.filter)).deletedCount;
+      } else {
+        throw new Error(`Unsupported bulk write operation "${type}"`);
+      }
+    }
+    return result;
+  }
+
+  aggregate(pipeline) {
+    return new MemoryCursor(copy(new Aggregator(pipeline).run(this.docs)));
+  }
+}
+
+const COLLECTION_METHODS = [
+  'insertOne', 'insertMany', 'findOne', 'find', 'countDocuments', 'estimatedDocumentCount', 'distinct',
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndDelete', 'deleteOne', 'deleteMany', 'bulkWrite', 'aggregate'
+];
+
+// Methods that hand back a cursor straight away rather than a promise
+const CURSOR_METHODS = ['find', 'aggregate'];
+
+// Back a model with an in-memory collection for the rest of the test.
+// Resolves to the collection, whose `docs` are the stored documents.
+// latencyMs delays every other operation like a round trip to the server, so
+// concurrent requests interleave between their reads and writes.
+const useMemoryCollection = (Model, { latencyMs = 0 } = {}) => {
+  const collection = new MemoryCollection(Model);
+  jest.spyOn(Model.collection, '_shouldBufferCommands').mockReturnValue(false);
+  for (const method of COLLECTION_METHODS) {
+    jest.spyOn(Model.collection, method).mockImplementation((...args) => {
+      if (!latencyMs || CURSOR_METHODS.includes(method)) return collection[method](...args);
+      return new Promise(resolve => setTimeout(resolve, latencyMs)).then(() => collection[method](...args));
+    });
+  }
+  return collection;
+};
+
+module.exports = { useMemoryCollection };
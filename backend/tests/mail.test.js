@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Mail, createTransport } = require('../services/mail');
+const ConsoleTransport = require('../services/mail/consoleTransport');
+const FileTransport = require('../services/mail/fileTransport');
+const SmtpTransport = require('../services/mail/smtpTransport');
+
+describe('mail transports', () => {
+  describe('createTransport', () => {
+    it('refuses the local transports in production', () => {
+      expect(() => createTransport({ NODE_ENV: 'production', MAIL_TRANSPORT: 'console' })).toThrow(/can't be used in production/);
+      expect(() => createTransport({ NODE_ENV: 'production', MAIL_TRANSPORT: 'file' })).toThrow(/can't be used in production/);
+    });
+
+    it('defaults to smtp in production and needs a host', () => {
+      expect(() => createTransport({ NODE_ENV: 'production' })).toThrow(/MAIL_SMTP_HOST is required/);
+      expect(createTransport({ NODE_ENV: 'production', MAIL_SMTP_HOST: 'smtp.example.com' })).toBeInstanceOf(SmtpTransport);
+    });
+
+    it('defaults to the console elsewhere', () => {
+      expect(createTransport({ NODE_ENV: 'development' })).toBeInstanceOf(ConsoleTransport);
+      expect(createTransport({})).toBeInstanceOf(ConsoleTransport);
+    });
+
+    it('rejects unknown transports', () => {
+      expect(() => createTransport({ MAIL_TRANSPORT: 'pigeon' })).toThrow(/Unknown MAIL_TRANSPORT "pigeon"/);
+    });
+  });
+
+  describe('console transport', () => {
+    let log;
+
+    beforeEach(() => {
+      log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      log.mockRestore();
+    });
+
+    const message = {
+      from: 'Vibra AI <no-reply@vibra-ai.local>',
+      to: 'sam@example.com',
+      subject: 'Reset your password',
+      text: 'Open http://localhost:3000/reset-password?token=secret'
+    };
+
+    it('prints the body in development', async () => {
+      await createTransport({ NODE_ENV: 'development' }).send(message);
+
+      expect(log.mock.calls[0][0]).toContain('token=secret');
+    });
+
+    it('never prints the body outside development', async () => {
+      await createTransport({ NODE_ENV: 'test' }).send(message);
+
+      expect(log.mock.calls[0][0]).toContain('Subject: Reset your password');
+      expect(log.mock.calls[0][0]).not.toContain('token=secret');
+    });
+  });
+
+  describe('file transport', () => {
+    let outboxDir;
+
+    beforeEach(() => {
+      outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibra-mail-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(outboxDir, { recursive: true, force: true });
+    });
+
+    it('writes each email to its own JSON file with the sender filled in', async () => {
+      const mail = new Mail(new FileTransport({ outboxDir }));
+
+      const { id } = await mail.send({ to: 'sam@example.com', subject: 'Hello', text: 'Hi', html: '<p>Hi</p>' });
+
+      const files = fs.readdirSync(outboxDir);
+      expect(files).toHaveLength(1);
+      expect(files[0]).toMatch(new RegExp(`^\\d+-${id}\\.json$`));
+
+      const email = JSON.parse(fs.readFileSync(path.join(outboxDir, files[0]), 'utf8'));
+      expect(email).toMatchObject({
+        id,
+        from: mail.from,
+        to: 'sam@example.com',
+        subject: 'Hello',
+        text: 'Hi',
+        html: '<p>Hi</p>'
+      });
+    });
+  });
+});
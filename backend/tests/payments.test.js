@@ -0,0 +1,44 @@
+const { createPaymentProvider } = require('../services/payments');
+const FakePaymentProvider = require('../services/payments/fakeProvider');
+
+describe('payment provider', () => {
+  let error;
+
+  beforeEach(() => {
+    error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createPaymentProvider', () => {
+    it('takes purchases and webhooks outside production', () => {
+      const provider = createPaymentProvider({ PAYMENT_WEBHOOK_SECRET: 'whsec_test' });
+
+      expect(provider).toBeInstanceOf(FakePaymentProvider);
+      expect(provider.purchasesEnabled).toBe(true);
+      expect(provider.webhooksEnabled).toBe(true);
+    });
+
+    it('refuses purchases with the fake provider in production', () => {
+      const provider = createPaymentProvider({ NODE_ENV: 'production', PAYMENT_WEBHOOK_SECRET: 'whsec_test' });
+
+      expect(provider.purchasesEnabled).toBe(false);
+      expect(provider.testPaymentMethods()).toEqual([]);
+      expect(error).not.toHaveBeenCalled();
+    });
+
+    it('starts without a webhook secret in production and says why webhooks are off', () => {
+      const provider = createPaymentProvider({ NODE_ENV: 'production' });
+
+      expect(provider.webhooksEnabled).toBe(false);
+      expect(error).toHaveBeenCalledWith(expect.stringMatching(/PAYMENT_WEBHOOK_SECRET is not set/));
+    });
+
+    it('rejects unknown providers', () => {
+      expect(() => createPaymentProvider({ PAYMENT_PROVIDER: 'barter' })).toThrow(/Unknown PAYMENT_PROVIDER "barter"/);
+    });
+  });
+});
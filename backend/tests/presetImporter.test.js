@@ -0,0 +1,188 @@
+const XLSX = require('xlsx');
+const Preset = require('../models/Preset');
+const presetImporter = require('../services/presetImporter');
+const { PresetImportError } = presetImporter;
+const { useMemoryCollection } = require('./helpers/memoryCollection');
+
+const HEADER = 'slug,name,category,main_prompt,user_tier,sort_order,description';
+
+// A CSV sheet from rows of the HEADER columns
+const sheet = (...rows) => Buffer.from([HEADER, ...rows].join('\n'), 'utf8');
+
+const importCsv = (buffer, options) => presetImporter.importSheet(buffer, 'presets.csv', options);
+
+const actions = (report) => report.rows.map(row => row.action);
+
+describe('preset importer', () => {
+  let presets;
+
+  beforeEach(() => {
+    presets = useMemoryCollection(Preset);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validation', () => {
+    it('refuses files that are not sheets or lack the required columns', async () => {
+      await expect(presetImporter.importSheet(Buffer.from('{}'), 'presets.json')).rejects.toThrow(PresetImportError);
+      await expect(importCsv(Buffer.from('name,prompt\nA,b'))).rejects.toThrow('The sheet needs "category" and "main_prompt" columns');
+      await expect(importCsv(Buffer.from(HEADER))).rejects.toThrow('The sheet has no rows');
+    });
+
+    it('reports every problem on a row with its line number and imports the rest', async () => {
+      const report = await importCsv(sheet(
+        ',Missing bits,,,free,,',
+        'Bad Slug!,Bad slug,portrait,soft light,free,,',
+        ',Wrong tier,portrait,rim light,gold,1.5,',
+        ',Good,portrait,golden hour portrait,pro,,'
+      ));
+
+      expect(actions(report)).toEqual(['invalid', 'invalid', 'invalid', 'create']);
+      expect(report.rows[0]).toMatchObject({ line: 2, errors: ['category is required', 'main_prompt is required'] });
+      expect(report.rows[1].errors).toEqual(['Slug may only contain lowercase letters, numbers and hyphens']);
+      expect(report.rows[2].errors).toEqual([
+        'user_tier "gold" is not a tier (free or paid)',
+        'sort_order must be a whole number'
+      ]);
+      expect(report.summary).toMatchObject({ rows: 4, create: 1, invalid: 3 });
+
+      expect(presets.docs).toHaveLength(1);
+      expect(presets.docs[0]).toMatchObject({ slug: 'good', tier: 'paid', source: { kind: 'import', file: 'presets.csv' } });
+    });
+
+    it('changes nothing on a dry run', async () => {
+      const report = await importCsv(sheet(',Good,portrait,golden hour portrait,free,,'), { dryRun: true });
+
+      expect(report).toMatchObject({ dryRun: true, summary: { create: 1 } });
+      expect(report.rows[0].slug).toBe('good');
+      expect(presets.docs).toHaveLength(0);
+    });
+  });
+
+  describe('upserts', () => {
+    const original = sheet(
+      'golden-hour,Golden Hour,portrait,golden hour portrait,free,1,Warm light',
+      'studio,Studio,portrait,studio portrait on grey,paid,2,Clean backdrop'
+    );
+
+    it('leaves presets alone when the same sheet is imported again', async () => {
+      await importCsv(original);
+
+      const again = await importCsv(original);
+
+      expect(actions(again)).toEqual(['unchanged', 'unchanged']);
+      expect(presets.docs).toHaveLength(2);
+    });
+
+    it('updates a preset matched by slug with only the fields that changed', async () => {
+      await importCsv(original);
+      const { _id, createdAt } = await Preset.findOne({ slug: 'golden-hour' });
+
+      const report = await importCsv(sheet(
+        'golden-hour,Golden Hour,portrait,golden hour portrait,free,1,Warm evening light'
+      ));
+
+      expect(report.rows[0]).toMatchObject({ action: 'update', changes: ['description'] });
+      const updated = await Preset.findOne({ slug: 'golden-hour' });
+      expect(updated._id).toEqual(_id);
+      expect(updated.createdAt).toEqual(createdAt);
+      expect(updated.description).toBe('Warm evening light');
+      expect(presets.docs).toHaveLength(2);
+    });
+
+    it('holds back tier changes unless they are allowed', async () => {
+      await importCsv(original);
+      const promoted = sheet('golden-hour,Golden Hour,portrait,golden hour portrait,paid,1,Warm light');
+
+      const held = await importCsv(promoted);
+      expect(held.rows[0]).toMatchObject({ action: 'tier_conflict', errors: ['Tier conflict: "golden-hour" is "free", the sheet says "paid"'] });
+      expect((await Preset.findOne({ slug: 'golden-hour' })).tier).toBe('free');
+
+      const allowed = await importCsv(promoted, { allowTierChanges: true });
+      expect(allowed.rows[0]).toMatchObject({ action: 'update', changes: ['tier'], warnings: ['Tier changes from "free" to "paid"'] });
+      expect((await Preset.findOne({ slug: 'golden-hour' })).tier).toBe('paid');
+    });
+
+    it('reads back its own exports as unchanged, in both formats', async () => {
+      await importCsv(original);
+
+      for (const format of ['csv', 'xlsx']) {
+        const { buffer, filename } = await presetImporter.exportPresets(format);
+        const report = await presetImporter.importSheet(buffer, filename);
+        expect(report.summary).toMatchObject({ rows: 2, unchanged: 2 });
+      }
+    });
+
+    it('imports the first sheet of a workbook', async () => {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+        ['Category', 'Main_Prompt', 'User_Tier'],
+        ['landscape', 'misty mountains at dawn', 'Premium']
+      ]), 'Sheet1');
+
+      const report = await presetImporter.importSheet(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }), 'library.xlsx');
+
+      expect(report).toMatchObject({ format: 'xlsx', summary: { create: 1 } });
+      expect(presets.docs[0]).toMatchObject({ slug: 'landscape', name: 'landscape', tier: 'paid' });
+    });
+  });
+
+  describe('duplicates', () => {
+    it('keeps the first of two lines with the same slug or the same prompt', async () => {
+      const report = await importCsv(sheet(
+        'neon,Neon,urban,neon city at night,free,,',
+        'neon,Neon again,urban,another prompt,free,,',
+        ',Neon copy,Urban,neon city at night,paid,,'
+      ));
+
+      expect(actions(report)).toEqual(['create', 'duplicate', 'duplicate']);
+      expect(report.rows[1].errors).toEqual(['Same preset as line 2']);
+      // The category is compared case-insensitively, and the tier mismatch is pointed out
+      expect(report.rows[2].warnings).toEqual(['Tier conflict: line 2 says "free", this line says "paid"']);
+      expect(presets.docs).toHaveLength(1);
+    });
+
+    it('does not import a prompt that is already in the library', async () => {
+      await importCsv(sheet(',Neon,urban,neon city at night,free,,'));
+
+      const unslugged = await importCsv(sheet(',Neon,urban,neon city at night,free,,'));
+      const renamed = await importCsv(sheet('neon-two,Neon two,urban,neon city at night,free,,'));
+
+      expect(unslugged.rows[0]).toMatchObject({ action: 'duplicate', errors: ['Already imported as "neon"'] });
+      expect(renamed.rows[0]).toMatchObject({ action: 'duplicate', errors: ['Same category and prompt as existing preset "neon"'] });
+      expect(presets.docs).toHaveLength(1);
+    });
+
+    it('gives new presets with the same name distinct slugs', async () => {
+      await importCsv(sheet('portrait,Portrait,people,plain portrait,free,,'));
+
+      const report = await importCsv(sheet(
+        ',Portrait,people,portrait in rain,free,,',
+        ',Portrait,people,portrait in snow,free,,'
+      ));
+
+      expect(report.rows.map(row => row.slug)).toEqual(['portrait-2', 'portrait-3']);
+      expect(presets.docs.map(doc => doc.slug).sort()).toEqual(['portrait', 'portrait-2', 'portrait-3']);
+    });
+
+    it('reports a preset saved meanwhile under the same slug instead of failing the import', async () => {
+      const create = Preset.create.bind(Preset);
+      jest.spyOn(Preset, 'create').mockImplementationOnce(async (fields) => {
+        // Another import gets there between the analysis and the insert
+        presets.insert({ slug: fields.slug, name: 'Other', category: 'people', mainPrompt: 'someone else', tier: 'free' });
+        return create(fields);
+      });
+
+      const report = await importCsv(sheet(
+        ',Fresh,people,fresh portrait,free,,',
+        ',Second,people,second portrait,free,,'
+      ));
+
+      expect(report.rows[0]).toMatchObject({ action: 'invalid', errors: ['Conflicts with a preset saved meanwhile'] });
+      expect(report.rows[1].action).toBe('create');
+      expect(report.summary).toMatchObject({ create: 1, invalid: 1 });
+    });
+  });
+});
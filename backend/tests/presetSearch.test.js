@@ -0,0 +1,136 @@
+const PresetIndex = require('../services/presetSearch');
+const { analyze } = PresetIndex;
+
+const PRESETS = [
+  {
+    id: 'vintage-film',
+    name: 'Vintage Film',
+    category: 'style',
+    tags: 'retro, film grain',
+    description: 'Turns any photo into a faded print from the seventies',
+    style: 'artistic',
+    main_prompt: 'warm faded colours, film grain, soft vignette'
+  },
+  {
+    id: 'studio-headshot',
+    name: 'Studio Headshot',
+    category: 'portrait',
+    tags: 'professional, linkedin',
+    description: 'Clean portrait on a plain background',
+    style: 'realistic',
+    main_prompt: 'studio portrait, white background, soft box lighting'
+  },
+  {
+    id: 'neon-night',
+    name: 'Neon Night',
+    category: 'urban',
+    tags: 'cyberpunk, neon',
+    description: 'City streets in the rain at night',
+    style: 'cinematic',
+    main_prompt: 'neon signs reflected in wet streets, cinematic lighting'
+  },
+  {
+    id: 'beach-day',
+    name: 'Beach Day',
+    category: 'travel',
+    tags: 'summer, sea',
+    description: 'Bright day at the beach',
+    style: 'realistic',
+    main_prompt: 'sunny beach, turquoise water, palm trees'
+  }
+];
+
+describe('preset search', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new PresetIndex();
+    index.build(PRESETS);
+  });
+
+  const ids = (query, options) => index.search(query, options).map(result => result.prompt.id);
+  const best = (query) => index.search(query)[0];
+
+  describe('stopwords', () => {
+    it('finds the vintage preset for "old photo"', () => {
+      const result = best('old photo');
+
+      expect(result.prompt.id).toBe('vintage-film');
+      expect(result.explanation.matchedTerms).toEqual(expect.arrayContaining([
+        expect.objectContaining({ query: 'old', term: 'vintage', via: 'synonym' }),
+        expect.objectContaining({ query: 'photo', fields: ['description'] })
+      ]));
+      expect(result.explanation.unmatchedTerms).toEqual([]);
+    });
+
+    it('drops function words but keeps nouns like photo and picture', () => {
+      expect(analyze('make me a photo of the sea, please').map(token => token.original)).toEqual(['photo', 'sea']);
+      expect(analyze('una foto de la playa').map(token => token.original)).toEqual(['foto', 'playa']);
+    });
+
+    it('finds nothing for a query made only of function words', () => {
+      expect(index.search('the and of with')).toEqual([]);
+    });
+  });
+
+  describe('multilingual queries', () => {
+    it.each([
+      ['es', 'retrato con fondo blanco', 'studio-headshot', 'Spanish'],
+      ['fr', 'un visage avec un bel éclairage', 'studio-headshot', 'French'],
+      ['de', 'Porträt mit Hintergrund', 'studio-headshot', 'German'],
+      ['it', 'città di notte sotto la pioggia', 'neon-night', 'Italian'],
+      ['pt', 'rosto com fundo branco', 'studio-headshot', 'Portuguese']
+    ])('understands %s: "%s"', (language, query, expected, languageName) => {
+      const result = best(query);
+
+      expect(result.prompt.id).toBe(expected);
+      const translated = result.explanation.matchedTerms.filter(match => match.via === 'translation');
+      expect(translated.length).toBeGreaterThan(0);
+      translated.forEach(match => expect(match.language).toBe(language));
+      expect(result.explanation.summary).toContain(`${languageName} for`);
+    });
+
+    it('folds accents, so queries typed without them still match', () => {
+      expect(best('eclairage').prompt.id).toBe(best('éclairage').prompt.id);
+      expect(best('portrat').prompt.id).toBe('studio-headshot');
+    });
+
+    it('reads a multi-word translation as one phrase', () => {
+      const [match] = best('années 70').explanation.matchedTerms;
+
+      expect(match).toMatchObject({ query: 'annees 70', term: 'seventies', via: 'translation', language: 'fr' });
+    });
+  });
+
+  describe('ranking and explanations', () => {
+    it('ranks presets that match more of the query first', () => {
+      expect(ids('studio lighting')).toEqual(['studio-headshot', 'neon-night']);
+      expect(best('grain').explanation.summary).toBe('Matched "grain" in tags and prompt');
+    });
+
+    it('matches synonyms and says so', () => {
+      const result = best('selfie');
+
+      expect(result.prompt.id).toBe('studio-headshot');
+      expect(result.explanation.summary).toContain('"selfie" (a synonym of "portrait")');
+    });
+
+    it('corrects typos against the indexed words', () => {
+      const result = best('turqoise sea');
+
+      expect(result.prompt.id).toBe('beach-day');
+      expect(result.explanation.matchedTerms).toEqual(expect.arrayContaining([
+        expect.objectContaining({ query: 'turqoise', via: 'fuzzy' })
+      ]));
+    });
+
+    it('lists query words that matched nothing', () => {
+      expect(best('beach zeppelin').explanation.unmatchedTerms).toEqual(['zeppelin']);
+    });
+
+    it('honours the filter and limit', () => {
+      expect(ids('portrait night beach', { limit: 2 })).toHaveLength(2);
+      expect(ids('portrait night beach', { filter: prompt => prompt.category === 'travel' })).toEqual(['beach-day']);
+    });
+  });
+});
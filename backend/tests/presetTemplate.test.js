@@ -0,0 +1,107 @@
+const {
+  TemplateError,
+  parseTemplate,
+  templateVariables,
+  validateVariables,
+  renderTemplate
+} = require('../../shared/presetTemplate');
+
+describe('preset templates', () => {
+  describe('parseTemplate', () => {
+    it('splits text and variables and describes each variable', () => {
+      const { segments, variables } = parseTemplate('A {{hair_color=red}} portrait in the {{era:choice(70s,80s)}}');
+
+      expect(segments).toEqual([
+        { text: 'A ' },
+        { variable: 'hair_color' },
+        { text: ' portrait in the ' },
+        { variable: 'era' }
+      ]);
+      expect(variables).toEqual([
+        { name: 'hair_color', label: 'Hair color', type: 'text', default: 'red', required: false },
+        { name: 'era', label: 'Era', type: 'choice', options: ['70s', '80s'], default: '70s', required: false }
+      ]);
+    });
+
+    it('keeps the declaration when a variable is mentioned again bare', () => {
+      const variables = templateVariables('{{n}} and {{n:number(1,10)=5}} and {{n}}');
+
+      expect(variables).toHaveLength(1);
+      expect(variables[0]).toMatchObject({ name: 'n', type: 'number', min: 1, max: 10, default: '5' });
+    });
+
+    it('returns a template without variables as a single text segment', () => {
+      expect(parseTemplate('Just a prompt')).toEqual({ segments: [{ text: 'Just a prompt' }], variables: [] });
+    });
+
+    it.each([
+      ['{{1abc}}', /not a valid variable/],
+      ['{{x:colour}}', /unknown type "colour"/],
+      ['{{x:choice(a)}}', /at least two options/],
+      ['{{x:choice(a,A)}}', /same option twice/],
+      ['{{x:number(5,1)}}', /minimum above its maximum/],
+      ['{{x:number(a,b)}}', /isn't numeric/],
+      ['{{x(a)}}', /not a valid variable/],
+      ['{{x:number(1,3)=9}}', /Default for "x" is invalid/],
+      ['{{x=a}} {{x=b}}', /declared twice/]
+    ])('rejects %s', (template, message) => {
+      expect(() => parseTemplate(template)).toThrow(TemplateError);
+      expect(() => parseTemplate(template)).toThrow(message);
+    });
+  });
+
+  describe('validateVariables', () => {
+    const variables = templateVariables('{{subject}} {{style=oil}} {{size:number(1,3)}} {{era:choice(70s,80s)}}');
+
+    it('coerces values and falls back to defaults', () => {
+      const { values, errors } = validateVariables(variables, { subject: '  a   cat ', size: '2', era: '80S' });
+
+      expect(errors).toEqual({});
+      expect(values).toEqual({ subject: 'a cat', style: 'oil', size: '2', era: '80s' });
+    });
+
+    it('reports one message per missing or invalid field', () => {
+      const { errors } = validateVariables(variables, { size: '7', era: '90s' });
+
+      expect(errors).toEqual({
+        subject: 'Subject is required',
+        size: 'Size must be at most 3',
+        era: 'Era must be one of 70s, 80s'
+      });
+    });
+
+    it('limits text values to 200 characters', () => {
+      const { errors } = validateVariables(variables, { subject: 'x'.repeat(201), size: 1 });
+
+      expect(errors.subject).toBe('Subject must be 200 characters or fewer');
+    });
+  });
+
+  describe('renderTemplate', () => {
+    it('substitutes every mention of a variable', () => {
+      const template = 'A {{animal}} next to another {{animal}}, {{mood:choice(calm,wild)}}';
+
+      expect(renderTemplate(template, { animal: 'fox', mood: 'wild' })).toBe('A fox next to another fox, wild');
+    });
+
+    it('ignores values for variables the template does not have', () => {
+      expect(renderTemplate('Hello {{name=you}}', { name: 'Sam', other: 'x' })).toBe('Hello Sam');
+    });
+
+    it('throws a TemplateError carrying the field errors', () => {
+      let error;
+      try {
+        renderTemplate('{{subject}} at {{size:number}}', { size: 'big' });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeInstanceOf(TemplateError);
+      expect(error.statusCode).toBe(400);
+      expect(error.fields).toEqual({
+        subject: 'Subject is required',
+        size: 'Size must be a number'
+      });
+    });
+  });
+});
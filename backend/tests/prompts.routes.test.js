@@ -0,0 +1,142 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../models/User');
+const Preset = require('../models/Preset');
+const promptMatcher = require('../services/promptMatcher');
+const promptsRouter = require('../routes/prompts');
+
+const app = express();
+app.use(express.json());
+app.use('/api/prompts', promptsRouter);
+
+const users = {
+  free: { _id: new mongoose.Types.ObjectId(), tier: 'free', role: 'user', isActive: true },
+  paid: { _id: new mongoose.Types.ObjectId(), tier: 'paid', role: 'user', isActive: true },
+  admin: { _id: new mongoose.Types.ObjectId(), tier: 'free', role: 'admin', isActive: true }
+};
+
+const tokenFor = (user) => jwt.sign({ userId: user._id, tv: 0 }, process.env.JWT_SECRET);
+
+const presets = [
+  new Preset({
+    slug: 'neon-city',
+    name: 'Neon City',
+    category: 'urban',
+    mainPrompt: 'neon cyberpunk city at night, rain, reflections',
+    tags: ['neon', 'cyberpunk'],
+    tier: 'free'
+  }),
+  new Preset({
+    slug: 'neon-city-pro',
+    name: 'Neon City Pro',
+    category: 'urban',
+    mainPrompt: 'neon cyberpunk city at night, cinematic, ultra detailed',
+    tags: ['neon', 'cyberpunk', 'cinematic'],
+    tier: 'paid'
+  })
+];
+
+// Every route on the router, with route parameters filled in
+const routes = promptsRouter.stack
+  .filter(layer => layer.route)
+  .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+    method,
+    path: layer.route.path.replace(/:\w+/g, 'example')
+  })));
+
+const adminRoutes = routes.filter(({ path }) => path.startsWith('/admin') || ['/stats', '/reload'].includes(path));
+
+const send = ({ method, path }, user) => {
+  const call = request(app)[method](`/api/prompts${path}`);
+  return user ? call.set('Authorization', `Bearer ${tokenFor(user)}`) : call;
+};
+
+describe('/api/prompts access', () => {
+  beforeEach(async () => {
+    jest.spyOn(User, 'findById').mockImplementation((id) => ({
+      select: async () => Object.values(users).find(user => user._id.equals(id)) || null
+    }));
+    jest.spyOn(Preset, 'findActive').mockImplementation(() => ({
+      then: (resolve, reject) => Promise.resolve(presets).then(resolve, reject)
+    }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await promptMatcher.reloadPrompts();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('covers the admin-only routes', () => {
+    expect(adminRoutes.map(({ method, path }) => `${method} ${path}`)).toEqual(expect.arrayContaining([
+      'get /stats',
+      'post /reload',
+      'get /admin/presets',
+      'post /admin/presets/import'
+    ]));
+  });
+
+  it.each(routes.map(route => [route.method.toUpperCase(), route.path, route]))(
+    'refuses anonymous %s %s',
+    async (method, path, route) => {
+      const response = await send(route);
+
+      expect(response.status).toBe(401);
+    }
+  );
+
+  it.each(adminRoutes.flatMap(route => ['free', 'paid'].map(tier => [route.method.toUpperCase(), route.path, tier, route])))(
+    'refuses %s %s to a %s non-admin',
+    async (method, path, tier, route) => {
+      const response = await send(route, users[tier]);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Admin access required.');
+    }
+  );
+
+  it('lets an admin read the stats', async () => {
+    const response = await send({ method: 'get', path: '/stats' }, users.admin);
+
+    expect(response.status).toBe(200);
+    expect(response.body.total).toBe(2);
+  });
+
+  describe('matching uses the signed-in user\'s tier', () => {
+    it('ignores userTier in the body of /match', async () => {
+      const response = await request(app)
+        .post('/api/prompts/match')
+        .set('Authorization', `Bearer ${tokenFor(users.free)}`)
+        .send({ userInput: 'neon cyberpunk city', userTier: 'paid' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.userTier).toBe('free');
+      expect(response.body.matches.map(match => match.id)).toEqual(['neon-city']);
+    });
+
+    it('ignores userTier in the body of /best-match', async () => {
+      const response = await request(app)
+        .post('/api/prompts/best-match')
+        .set('Authorization', `Bearer ${tokenFor(users.free)}`)
+        .send({ userInput: 'cinematic neon cyberpunk city', userTier: 'paid' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.userTier).toBe('free');
+      expect(response.body.match.id).toBe('neon-city');
+    });
+
+    it('gives paid users the paid presets', async () => {
+      const response = await request(app)
+        .post('/api/prompts/match')
+        .set('Authorization', `Bearer ${tokenFor(users.paid)}`)
+        .send({ userInput: 'neon cyberpunk city' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.matches.map(match => match.id).sort()).toEqual(['neon-city', 'neon-city-pro']);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const Quota = require('../models/Quota');
+const { useMemoryCollection } = require('./helpers/memoryCollection');
+
+describe('daily quota windows', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let quotas;
+
+  beforeEach(() => {
+    quotas = useMemoryCollection(Quota);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const todayAt = (timezone, instant) => Quota.getTodayQuota(userId, 'free', timezone, new Date(instant));
+
+  it('opens a window from local midnight to the next and records its zone', async () => {
+    const quota = await todayAt('Asia/Tokyo', '2026-03-02T03:00:00Z');
+
+    expect(quota).toMatchObject({
+      date: new Date('2026-03-01T15:00:00Z'),
+      resetAt: new Date('2026-03-02T15:00:00Z'),
+      timezone: 'Asia/Tokyo',
+      generationsUsed: 0
+    });
+  });
+
+  it('keeps the open window when the user changes time zone', async () => {
+    const tokyo = await todayAt('Asia/Tokyo', '2026-03-02T03:00:00Z');
+    await Quota.updateOne({ _id: tokyo._id }, { generationsUsed: 5 });
+
+    const honolulu = await todayAt('Pacific/Honolulu', '2026-03-02T14:00:00Z');
+
+    expect(honolulu._id).toEqual(tokyo._id);
+    expect(honolulu.timezone).toBe('Asia/Tokyo');
+    expect(honolulu.generationsRemaining).toBe(0);
+    expect(quotas.docs).toHaveLength(1);
+  });
+
+  it('starts the next window where the last one closed after a move west', async () => {
+    await todayAt('Asia/Tokyo', '2026-03-02T03:00:00Z');
+
+    // Honolulu's March 2 began at 10:00Z, five hours before the Tokyo window closed
+    const honolulu = await todayAt('Pacific/Honolulu', '2026-03-02T15:30:00Z');
+
+    expect(honolulu).toMatchObject({
+      date: new Date('2026-03-02T15:00:00Z'),
+      resetAt: new Date('2026-03-03T10:00:00Z'),
+      timezone: 'Pacific/Honolulu'
+    });
+    expect(quotas.docs).toHaveLength(2);
+
+    // From the next day on, windows follow the new zone
+    const next = await todayAt('Pacific/Honolulu', '2026-03-03T12:00:00Z');
+    expect(next.date).toEqual(new Date('2026-03-03T10:00:00Z'));
+  });
+
+  it('starts the next window at local midnight after a move east', async () => {
+    await todayAt('Pacific/Honolulu', '2026-03-02T12:00:00Z');
+
+    const tokyo = await todayAt('Asia/Tokyo', '2026-03-03T16:00:00Z');
+
+    expect(tokyo).toMatchObject({
+      date: new Date('2026-03-03T15:00:00Z'),
+      resetAt: new Date('2026-03-04T15:00:00Z')
+    });
+  });
+
+  it('keeps recently closed windows when cleaning up', async () => {
+    const now = Date.now();
+    quotas.insert({ userId, date: new Date(now - 26 * 60 * 60 * 1000), resetAt: new Date(now - 2 * 60 * 60 * 1000), generationsLimit: 5 });
+    quotas.insert({ userId, date: new Date(now - 4 * 24 * 60 * 60 * 1000), resetAt: new Date(now - 3 * 24 * 60 * 60 * 1000), generationsLimit: 5 });
+
+    expect(await Quota.resetExpiredQuotas()).toBe(1);
+    expect(quotas.docs).toHaveLength(1);
+  });
+});
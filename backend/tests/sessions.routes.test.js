@@ -0,0 +1,275 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibra-sessions-'));
+process.env.JWT_SECRET = 'test-secret';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_FILE_DIR = outboxDir;
+process.env.FRONTEND_URL = 'http://app.test';
+
+const bcrypt = require('bcryptjs');
+const cookieParser = require('cookie-parser');
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const authRouter = require('../routes/auth');
+const { useMemoryCollection } = require('./helpers/memoryCollection');
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/auth', authRouter);
+
+const PASSWORD = 'Passw0rd!';
+const NEW_PASSWORD = 'N3wPassw0rd!';
+
+// The refresh cookie a response set, or null when it cleared it
+const refreshCookie = (response) => {
+  const header = (response.headers['set-cookie'] || []).find(cookie => cookie.startsWith('refreshToken='));
+  if (!header) return undefined;
+  const value = header.split(';')[0].slice('refreshToken='.length);
+  return value || null;
+};
+
+const login = async () => {
+  const response = await request(app)
+    .post('/api/auth/login')
+    .send({ email: 'sam@example.com', password: PASSWORD });
+  expect(response.status).toBe(200);
+  return { token: response.body.token, cookie: refreshCookie(response), response };
+};
+
+const refresh = (cookie) => request(app)
+  .post('/api/auth/refresh')
+  .set('Cookie', `refreshToken=${cookie}`);
+
+const me = (token) => request(app)
+  .get('/api/auth/me')
+  .set('Authorization', `Bearer ${token}`);
+
+describe('sessions and refresh tokens', () => {
+  let passwordHash;
+  let sessions;
+  let user;
+
+  beforeAll(async () => {
+    passwordHash = await bcrypt.hash(PASSWORD, 4);
+  });
+
+  beforeEach(() => {
+    fs.readdirSync(outboxDir).forEach(file => fs.unlinkSync(path.join(outboxDir, file)));
+    const users = useMemoryCollection(User);
+    sessions = useMemoryCollection(Session);
+    useMemoryCollection(AuthToken);
+
+    user = users.insert({
+      email: 'sam@example.com',
+      password: passwordHash,
+      firstName: 'Sam',
+      lastName: 'Lee',
+      isActive: true,
+      tokenVersion: 0
+    });
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+
+  it('starts a session with an httpOnly refresh cookie scoped to /api/auth', async () => {
+    const { token, cookie, response } = await login();
+
+    const header = response.headers['set-cookie'].find(value => value.startsWith('refreshToken='));
+    expect(header).toMatch(/HttpOnly/);
+    expect(header).toMatch(/Path=\/api\/auth/);
+    expect(header).toMatch(/SameSite=Strict/);
+    expect(sessions.docs).toHaveLength(1);
+    // Only the hash is stored
+    expect(sessions.docs[0].tokenHash).toBe(Session.hashToken(cookie));
+
+    expect((await me(token)).status).toBe(200);
+  });
+
+  describe('rotation', () => {
+    it('replaces the refresh token on every refresh', async () => {
+      const { cookie: first } = await login();
+
+      const response = await refresh(first);
+
+      expect(response.status).toBe(200);
+      const second = refreshCookie(response);
+      expect(second).toBeTruthy();
+      expect(second).not.toBe(first);
+      expect(sessions.docs[0]).toMatchObject({
+        tokenHash: Session.hashToken(second),
+        previousTokenHash: Session.hashToken(first)
+      });
+      expect((await me(response.body.token)).status).toBe(200);
+
+      const third = await refresh(second);
+      expect(third.status).toBe(200);
+      expect(refreshCookie(third)).not.toBe(second);
+    });
+
+    it('lets two tabs refresh with the same token at the same moment', async () => {
+      const { cookie } = await login();
+
+      const [first, second] = [await refresh(cookie), await refresh(cookie)];
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(200);
+      expect(sessions.docs[0].revokedAt).toBeNull();
+    });
+
+    it('revokes the session when a replaced token is replayed', async () => {
+      const { token, cookie: stolen } = await login();
+      const rotated = await refresh(stolen);
+      const current = refreshCookie(rotated);
+      // Past the grace period for racing tabs
+      sessions.docs[0].rotatedAt = new Date(Date.now() - 60 * 1000);
+
+      const replay = await refresh(stolen);
+
+      expect(replay.status).toBe(401);
+      expect(refreshCookie(replay)).toBeNull();
+      expect(sessions.docs[0].revokedAt).toBeInstanceOf(Date);
+      expect(sessions.docs[0].revokedReason).toBe('token_reuse');
+
+      // The whole session is gone, including the legitimate device's tokens
+      expect((await refresh(current)).status).toBe(401);
+      expect((await me(rotated.body.token)).status).toBe(401);
+      expect((await me(token)).body.error).toBe('Session has been signed out');
+    });
+
+    it('refuses an unknown or missing refresh token', async () => {
+      await login();
+
+      expect((await refresh('not-a-token')).status).toBe(401);
+      expect((await request(app).post('/api/auth/refresh')).status).toBe(401);
+      expect(sessions.docs[0].revokedAt).toBeNull();
+    });
+  });
+
+  describe('token version', () => {
+    it('signs every other device out after a password change', async () => {
+      const laptop = await login();
+      const phone = await login();
+
+      const response = await request(app)
+        .put('/api/auth/password')
+        .set('Authorization', `Bearer ${laptop.token}`)
+        .send({ currentPassword: PASSWORD, newPassword: NEW_PASSWORD });
+
+      expect(response.status).toBe(200);
+      // The device that made the change keeps going with a token for the new version
+      expect((await me(response.body.token)).status).toBe(200);
+      expect((await me(laptop.token)).status).toBe(401);
+      expect((await refresh(laptop.cookie)).status).toBe(200);
+
+      expect((await me(phone.token)).status).toBe(401);
+      expect((await refresh(phone.cookie)).status).toBe(401);
+    });
+
+    it('signs every device out after a password reset', async () => {
+      const { token, cookie } = await login();
+
+      await request(app).post('/api/auth/forgot-password').send({ email: 'sam@example.com' });
+      const [email] = fs.readdirSync(outboxDir)
+        .map(file => JSON.parse(fs.readFileSync(path.join(outboxDir, file), 'utf8')));
+      const resetToken = new URL(email.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: NEW_PASSWORD });
+
+      expect(response.status).toBe(200);
+      expect((await me(token)).status).toBe(401);
+      expect((await refresh(cookie)).status).toBe(401);
+      expect(sessions.docs[0].revokedReason).toBe('password_change');
+    });
+
+    it('rejects an access token issued for an older version', async () => {
+      const { token } = await login();
+      await User.updateOne({ _id: user._id }, { $inc: { tokenVersion: 1 } });
+
+      const response = await me(token);
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Session has been signed out');
+    });
+  });
+
+  describe('signing out', () => {
+    it('revokes the session and clears the cookie on logout', async () => {
+      const { token, cookie } = await login();
+
+      const response = await request(app)
+        .post('/api/auth/logout')
+        .set('Cookie', `refreshToken=${cookie}`);
+
+      expect(response.status).toBe(200);
+      expect(refreshCookie(response)).toBeNull();
+      expect(response.headers['set-cookie'][0]).toMatch(/Expires=Thu, 01 Jan 1970/);
+      expect(sessions.docs[0].revokedReason).toBe('logout');
+      expect((await me(token)).status).toBe(401);
+      expect((await refresh(cookie)).status).toBe(401);
+    });
+
+    it('signs out one device from another', async () => {
+      const laptop = await login();
+      const phone = await login();
+      const phoneSession = sessions.docs.find(session => session.tokenHash === Session.hashToken(phone.cookie));
+
+      const response = await request(app)
+        .delete(`/api/auth/sessions/${phoneSession._id}`)
+        .set('Authorization', `Bearer ${laptop.token}`);
+
+      expect(response.status).toBe(200);
+      expect((await me(phone.token)).status).toBe(401);
+      expect((await refresh(phone.cookie)).status).toBe(401);
+      expect((await me(laptop.token)).status).toBe(200);
+    });
+
+    it('does not reveal or revoke another user\'s sessions', async () => {
+      const { token } = await login();
+      const other = await Session.create({
+        userId: new User()._id,
+        tokenHash: Session.hashToken('someone-else'),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      });
+
+      const response = await request(app)
+        .delete(`/api/auth/sessions/${other._id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(404);
+      expect((await Session.findById(other._id)).revokedAt).toBeNull();
+    });
+
+    it('signs out every other device', async () => {
+      const laptop = await login();
+      const phone = await login();
+      const tablet = await login();
+
+      const response = await request(app)
+        .delete('/api/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.revoked).toBe(2);
+      expect((await me(laptop.token)).status).toBe(200);
+      expect((await me(phone.token)).status).toBe(401);
+      expect((await me(tablet.token)).status).toBe(401);
+    });
+  });
+});
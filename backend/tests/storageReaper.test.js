@@ -0,0 +1,201 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibra-storage-'));
+const legacyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibra-legacy-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_DIR = storageDir;
+process.env.STORAGE_SIGNING_SECRET = 'test-secret';
+
+const User = require('../models/User');
+const Generation = require('../models/Generation');
+const LocalStorage = require('../services/storage/localStorage');
+const storageReaper = require('../services/storageReaper');
+const { useMemoryCollection } = require('./helpers/memoryCollection');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('storage reaper', () => {
+  let users;
+  let generations;
+  let user;
+
+  // Write a file of `size` bytes last modified `ageHours` ago
+  const putFile = (rootDir, key, { ageHours, size = 10 }) => {
+    const filePath = path.join(rootDir, key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, Buffer.alloc(size));
+    const modified = new Date(Date.now() - ageHours * HOUR_MS);
+    fs.utimesSync(filePath, modified, modified);
+  };
+  const stored = (key, options) => putFile(storageDir, key, options);
+  const legacy = (key, options) => putFile(legacyDir, key, options);
+  const exists = (rootDir, key) => fs.existsSync(path.join(rootDir, key));
+
+  const addGeneration = (fields) => generations.insert({
+    userId: user._id,
+    generationType: 'text-to-image',
+    prompt: 'a lighthouse at dusk',
+    status: 'completed',
+    storageBytes: 0,
+    ...fields
+  });
+
+  beforeEach(() => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    fs.rmSync(legacyDir, { recursive: true, force: true });
+    fs.mkdirSync(storageDir);
+    fs.mkdirSync(legacyDir);
+
+    users = useMemoryCollection(User);
+    generations = useMemoryCollection(Generation);
+    user = users.insert({ email: 'sam@example.com', password: 'hashed', firstName: 'Sam', lastName: 'Lee', tier: 'free' });
+
+    jest.replaceProperty(storageReaper, 'legacyStorage', new LocalStorage({ rootDir: legacyDir }));
+    jest.replaceProperty(storageReaper, 'gracePeriodMs', 24 * HOUR_MS);
+    jest.replaceProperty(storageReaper, 'lastReport', null);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.FREE_TIER_STORAGE_CAP_MB;
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    fs.rmSync(legacyDir, { recursive: true, force: true });
+  });
+
+  describe('grace period', () => {
+    it('keeps referenced files however old they are and unreferenced ones younger than the grace period', async () => {
+      stored('generated/kept.jpg', { ageHours: 24 * 30 });
+      stored('uploads/just-uploaded.jpg', { ageHours: 23 });
+      stored('generated/orphan.jpg', { ageHours: 25, size: 40 });
+      addGeneration({ generatedImageKeys: ['generated/kept.jpg'] });
+
+      const report = await storageReaper.run();
+
+      expect(exists(storageDir, 'generated/kept.jpg')).toBe(true);
+      expect(exists(storageDir, 'uploads/just-uploaded.jpg')).toBe(true);
+      expect(exists(storageDir, 'generated/orphan.jpg')).toBe(false);
+      expect(report).toMatchObject({
+        dryRun: false,
+        gracePeriodHours: 24,
+        scanned: 3,
+        referenced: 1,
+        retainedWithinGracePeriod: 1,
+        deleted: 1,
+        reclaimedBytes: 40
+      });
+      expect(report.orphaned.files.map(file => file.key)).toEqual(['generated/orphan.jpg']);
+      expect(storageReaper.lastReport).toBe(report);
+    });
+
+    it('follows every field a generation keeps a key in', async () => {
+      const keys = ['uploads/original.jpg', 'uploads/input.jpg', 'generated/single.jpg', 'generated/variation.jpg', 'generated/first-attempt.jpg'];
+      keys.forEach(key => stored(key, { ageHours: 48 }));
+      addGeneration({
+        originalImageKey: 'uploads/original.jpg',
+        inputs: { imageKey: 'uploads/input.jpg' },
+        generatedImageKey: 'generated/single.jpg',
+        generatedImageKeys: ['generated/variation.jpg'],
+        attempts: [{ number: 1, reason: 'initial', generatedImageKey: 'generated/first-attempt.jpg' }]
+      });
+
+      const report = await storageReaper.run();
+
+      expect(report.deleted).toBe(0);
+      keys.forEach(key => expect(exists(storageDir, key)).toBe(true));
+    });
+  });
+
+  describe('dry run', () => {
+    it('reports what a run would do without deleting or correcting anything', async () => {
+      stored('generated/kept.jpg', { ageHours: 48, size: 30 });
+      stored('generated/orphan.jpg', { ageHours: 48, size: 20 });
+      addGeneration({ generatedImageKeys: ['generated/kept.jpg'], storageBytes: 999 });
+
+      const report = await storageReaper.run({ dryRun: true });
+
+      expect(report).toMatchObject({
+        dryRun: true,
+        orphaned: { count: 1, bytes: 20 },
+        deleted: 0,
+        reclaimedBytes: 0,
+        usageCorrections: 1
+      });
+      expect(exists(storageDir, 'generated/orphan.jpg')).toBe(true);
+      expect(generations.docs[0].storageBytes).toBe(999);
+      expect(storageReaper.lastReport).toBeNull();
+    });
+
+    it('corrects usage on a real run and lists users over their cap', async () => {
+      stored('generated/kept.jpg', { ageHours: 48, size: 30 });
+      addGeneration({ generatedImageKeys: ['generated/kept.jpg'], storageBytes: 999 });
+      // A cap of 20 bytes
+      process.env.FREE_TIER_STORAGE_CAP_MB = String(20 / (1024 * 1024));
+
+      const report = await storageReaper.run();
+
+      expect(report.usageCorrections).toBe(1);
+      expect(generations.docs[0].storageBytes).toBe(30);
+      expect(report.usersOverCap).toEqual([
+        expect.objectContaining({ email: 'sam@example.com', usedBytes: 30 })
+      ]);
+    });
+  });
+
+  describe('legacy uploads', () => {
+    it('keeps files referenced by /uploads URLs, with or without a host and query', async () => {
+      legacy('old-input.jpg', { ageHours: 24 * 365 });
+      legacy('old-output.png', { ageHours: 24 * 365 });
+      legacy('abandoned.jpg', { ageHours: 24 * 365, size: 15 });
+      addGeneration({
+        originalImageUrl: 'http://localhost:5000/uploads/old-input.jpg?v=2',
+        generatedImageUrl: '/uploads/old-output.png'
+      });
+
+      const report = await storageReaper.run();
+
+      expect(exists(legacyDir, 'old-input.jpg')).toBe(true);
+      expect(exists(legacyDir, 'old-output.png')).toBe(true);
+      expect(exists(legacyDir, 'abandoned.jpg')).toBe(false);
+      expect(report.orphaned.files).toEqual([
+        expect.objectContaining({ key: 'abandoned.jpg', location: 'legacy', size: 15 })
+      ]);
+    });
+
+    it('does not mistake a storage key for a legacy file of the same name', async () => {
+      stored('uploads/photo.jpg', { ageHours: 48 });
+      legacy('photo.jpg', { ageHours: 48 });
+      addGeneration({ originalImageKey: 'uploads/photo.jpg' });
+
+      await storageReaper.run();
+
+      expect(exists(storageDir, 'uploads/photo.jpg')).toBe(true);
+      expect(exists(legacyDir, 'photo.jpg')).toBe(false);
+    });
+  });
+
+  it('refuses to start while a run is in progress', async () => {
+    jest.replaceProperty(storageReaper, 'running', true);
+
+    await expect(storageReaper.run()).rejects.toThrow('Storage reaper is already running');
+  });
+
+  it('counts each user\'s files against their own cap', async () => {
+    process.env.FREE_TIER_STORAGE_CAP_MB = String(20 / (1024 * 1024));
+    const other = users.insert({ email: 'alex@example.com', password: 'hashed', firstName: 'Alex', lastName: 'Kim', tier: 'free' });
+    stored('generated/mine.jpg', { ageHours: 48, size: 30 });
+    stored('generated/theirs.jpg', { ageHours: 48, size: 5 });
+    addGeneration({ generatedImageKeys: ['generated/mine.jpg'] });
+    addGeneration({ userId: other._id, generatedImageKeys: ['generated/theirs.jpg'] });
+
+    const report = await storageReaper.run();
+
+    expect(report.usersOverCap.map(usage => usage.userId)).toEqual([user._id]);
+    expect(generations.docs.find(doc => doc.userId.equals(other._id)).storageBytes).toBe(5);
+  });
+});
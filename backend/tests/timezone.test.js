@@ -0,0 +1,77 @@
+const { DEFAULT_TIMEZONE, getDayWindow, isValidTimeZone } = require('../utils/timezone');
+
+const windowAt = (timeZone, instant) => {
+  const { date, resetAt } = getDayWindow(timeZone, new Date(instant));
+  return [date.toISOString(), resetAt.toISOString()];
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('timezone day windows', () => {
+  describe('daylight saving time', () => {
+    it('gives the spring-forward day 23 hours', () => {
+      const [date, resetAt] = windowAt('America/New_York', '2026-03-08T12:00:00Z');
+
+      expect(date).toBe('2026-03-08T05:00:00.000Z');
+      expect(resetAt).toBe('2026-03-09T04:00:00.000Z');
+      expect(new Date(resetAt) - new Date(date)).toBe(23 * HOUR_MS);
+    });
+
+    it('keeps both sides of the skipped hour in the same day', () => {
+      // 01:59 EST and 03:00 EDT
+      expect(windowAt('America/New_York', '2026-03-08T06:59:00Z'))
+        .toEqual(windowAt('America/New_York', '2026-03-08T07:00:00Z'));
+    });
+
+    it('gives the fall-back day 25 hours', () => {
+      const [date, resetAt] = windowAt('America/New_York', '2026-11-01T12:00:00Z');
+
+      expect(date).toBe('2026-11-01T04:00:00.000Z');
+      expect(resetAt).toBe('2026-11-02T05:00:00.000Z');
+      expect(new Date(resetAt) - new Date(date)).toBe(25 * HOUR_MS);
+    });
+
+    it('keeps both 01:30s of the repeated hour in the same day', () => {
+      // 01:30 EDT and 01:30 EST
+      expect(windowAt('America/New_York', '2026-11-01T05:30:00Z'))
+        .toEqual(windowAt('America/New_York', '2026-11-01T06:30:00Z'));
+    });
+
+    it('starts the day at 01:00 where midnight itself is skipped', () => {
+      // Chile moves its clocks from 00:00 straight to 01:00
+      expect(windowAt('America/Santiago', '2026-09-06T12:00:00Z'))
+        .toEqual(['2026-09-06T04:00:00.000Z', '2026-09-07T03:00:00.000Z']);
+      expect(windowAt('America/Santiago', '2026-09-05T12:00:00Z'))
+        .toEqual(['2026-09-05T04:00:00.000Z', '2026-09-06T04:00:00.000Z']);
+    });
+  });
+
+  describe('offsets that are not whole hours', () => {
+    it('starts the day at local midnight in India (UTC+5:30)', () => {
+      // 01:30 on June 16 in Kolkata
+      expect(windowAt('Asia/Kolkata', '2026-06-15T20:00:00Z'))
+        .toEqual(['2026-06-15T18:30:00.000Z', '2026-06-16T18:30:00.000Z']);
+    });
+
+    it('starts the day at local midnight in Nepal (UTC+5:45)', () => {
+      expect(windowAt('Asia/Kathmandu', '2026-06-15T20:00:00Z'))
+        .toEqual(['2026-06-15T18:15:00.000Z', '2026-06-16T18:15:00.000Z']);
+      // 23:59 on June 15 in Kathmandu is still the previous day
+      expect(windowAt('Asia/Kathmandu', '2026-06-15T18:14:00Z'))
+        .toEqual(['2026-06-14T18:15:00.000Z', '2026-06-15T18:15:00.000Z']);
+    });
+  });
+
+  it('rolls over month and year ends', () => {
+    expect(windowAt('Asia/Tokyo', '2026-12-31T16:00:00Z'))
+      .toEqual(['2026-12-31T15:00:00.000Z', '2027-01-01T15:00:00.000Z']);
+  });
+
+  it('falls back to UTC for unknown zones', () => {
+    expect(isValidTimeZone('Nowhere/Land')).toBe(false);
+    expect(isValidTimeZone(undefined)).toBe(false);
+    expect(windowAt('Nowhere/Land', '2026-03-02T14:00:00Z')).toEqual(windowAt(DEFAULT_TIMEZONE, '2026-03-02T14:00:00Z'));
+    expect(windowAt(undefined, '2026-03-02T14:00:00Z'))
+      .toEqual(['2026-03-02T00:00:00.000Z', '2026-03-03T00:00:00.000Z']);
+  });
+});
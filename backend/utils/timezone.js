@@ -0,0 +1,81 @@
+// Day boundaries in IANA time zones using only Intl (no timezone database dependency)
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock fields of an instant as seen in a time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  return parts;
+};
+
+// Milliseconds the zone is ahead of UTC at a given instant
+const getOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The instant a calendar day starts in a zone. The offset is sampled at both
+// candidate instants so days next to a DST change (including zones where
+// midnight itself is skipped) resolve to the first instant of that day.
+const startOfZonedDay = (year, month, day, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day);
+  const first = wallClock - getOffset(new Date(wallClock), timeZone);
+  const second = wallClock - getOffset(new Date(first), timeZone);
+  const target = new Date(wallClock).getUTCDate();
+
+  const sameDay = [first, second]
+    .filter(instant => getZonedParts(new Date(instant), timeZone).day === target)
+    .sort((a, b) => a - b);
+
+  return new Date(sameDay.length > 0 ? sameDay[0] : first);
+};
+
+// Start of the current day and of the next one, in the given zone
+const getDayWindow = (timeZone = DEFAULT_TIMEZONE, now = new Date()) => {
+  const zone = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+  const { year, month, day } = getZonedParts(now, zone);
+
+  return {
+    date: startOfZonedDay(year, month, day, zone),
+    // Date.UTC rolls day + 1 over month and year ends
+    resetAt: startOfZonedDay(year, month, day + 1, zone)
+  };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getDayWindow
+};
@@ -7,16 +7,20 @@ import { useTheme } from './contexts/ThemeContext';
 import Navbar from './components/layout/Navbar';
 import Sidebar from './components/layout/Sidebar';
 import Footer from './components/layout/Footer';
+import VerifyEmailBanner from './components/layout/VerifyEmailBanner';
 
 // Page components
 import Dashboard from './pages/Dashboard';
 import Generate from './pages/Generate';
-// removed Gallery import
+import Gallery from './pages/Gallery';
 import Profile from './pages/Profile';
 import Pricing from './pages/Pricing';
 import Login from './pages/Login';
 import Register from './pages/Register';
 import NotFound from './pages/NotFound';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 
 // Loading component
 import LoadingSpinner from './components/ui/LoadingSpinner';
@@ -44,12 +48,16 @@ function App() {
               <Navbar />
               <main className="flex-1 overflow-x-hidden overflow-y-auto bg-gray-50 dark:bg-gray-900">
                 <div className="container mx-auto px-6 py-8">
+                  <VerifyEmailBanner />
                   <Routes>
               <Route path="/dashboard" element={<Dashboard />} />
               <Route path="/generate" element={<Generate />} />
-              {/* removed /gallery route */}
+              <Route path="/gallery" element={<Gallery />} />
               <Route path="/profile" element={<Profile />} />
               <Route path="/pricing" element={<Pricing />} />
+              <Route path="/verify-email" element={<VerifyEmail />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/forgot-password" element={<Navigate to="/profile" replace />} />
               <Route path="/login" element={<Navigate to="/dashboard" replace />} />
               <Route path="/register" element={<Navigate to="/dashboard" replace />} />
               <Route path="/" element={<Navigate to="/dashboard" replace />} />
@@ -67,11 +75,14 @@ function App() {
               <Routes>
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
             <Route path="/pricing" element={<Pricing />} />
             <Route path="/" element={<Navigate to="/login" replace />} />
             <Route path="/dashboard" element={<Navigate to="/login" replace />} />
             <Route path="/generate" element={<Navigate to="/login" replace />} />
-            {/* removed /gallery public redirect */}
+            <Route path="/gallery" element={<Navigate to="/login" replace />} />
             <Route path="/profile" element={<Navigate to="/login" replace />} />
             <Route path="*" element={<NotFound />} />
           </Routes>
@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import {
+  XMarkIcon,
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  ArrowDownTrayIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+
+// Generated image over the original, revealed up to a draggable divider
+const BeforeAfter = ({ beforeUrl, afterUrl }) => {
+  const [position, setPosition] = useState(50);
+
+  return (
+    <div className="relative w-full h-full select-none">
+      <img src={beforeUrl} alt="Original" className="absolute inset-0 w-full h-full object-contain" />
+      <img
+        src={afterUrl}
+        alt="Generated"
+        className="absolute inset-0 w-full h-full object-contain"
+        style={{ clipPath: `inset(0 0 0 ${position}%)` }}
+      />
+      <div className="absolute inset-y-0 w-0.5 bg-white shadow pointer-events-none" style={{ left: `${position}%` }} />
+      <span className="absolute top-3 left-3 text-xs font-medium text-white bg-black/60 px-2 py-1 rounded">Before</span>
+      <span className="absolute top-3 right-3 text-xs font-medium text-white bg-black/60 px-2 py-1 rounded">After</span>
+      <input
+        type="range"
+        min="0"
+        max="100"
+        value={position}
+        onChange={(e) => setPosition(Number(e.target.value))}
+        aria-label="Compare original and generated image"
+        className="absolute inset-0 w-full h-full opacity-0 cursor-ew-resize"
+      />
+    </div>
+  );
+};
+
+// Full-screen view of one generation: its variations, a before/after comparison
+// for image-to-image results, and prev/next through the loaded gallery
+const Lightbox = ({ generation, onClose, onPrev, onNext, onDownload, onDelete }) => {
+  const images = generation.imageUrls?.length
+    ? generation.imageUrls
+    : [generation.generatedImageUrl].filter(Boolean);
+  const [imageIndex, setImageIndex] = useState(generation.favoriteIndex || 0);
+  const [compare, setCompare] = useState(false);
+
+  // A different generation starts on its favourite, without the comparison
+  useEffect(() => {
+    setImageIndex(generation.favoriteIndex || 0);
+    setCompare(false);
+  }, [generation]);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+      if (e.key === 'ArrowLeft' && onPrev) onPrev();
+      if (e.key === 'ArrowRight' && onNext) onNext();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose, onPrev, onNext]);
+
+  const imageUrl = images[imageIndex] || images[0];
+  const canCompare = !!generation.originalImageUrl && !!imageUrl;
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/90 flex flex-col" role="dialog" aria-modal="true">
+      <div className="flex items-center justify-between px-4 py-3 text-white">
+        <div className="min-w-0">
+          <p className="text-sm font-medium truncate">{generation.preset?.name || 'Custom prompt'}</p>
+          <p className="text-xs text-gray-300">{new Date(generation.createdAt).toLocaleString()}</p>
+        </div>
+        <div className="flex items-center space-x-2">
+          {canCompare && (
+            <button
+              onClick={() => setCompare(!compare)}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                compare ? 'bg-blue-600 hover:bg-blue-700' : 'bg-white/10 hover:bg-white/20'
+              }`}
+            >
+              Before / after
+            </button>
+          )}
+          {imageUrl && (
+            <button onClick={() => onDownload(imageUrl, imageIndex)} title="Download" className="p-2 rounded-lg hover:bg-white/10">
+              <ArrowDownTrayIcon className="w-5 h-5" />
+            </button>
+          )}
+          <button onClick={onDelete} title="Delete" className="p-2 rounded-lg hover:bg-white/10">
+            <TrashIcon className="w-5 h-5" />
+          </button>
+          <button onClick={onClose} title="Close" className="p-2 rounded-lg hover:bg-white/10">
+            <XMarkIcon className="w-6 h-6" />
+          </button>
+        </div>
+      </div>
+
+      <div className="relative flex-1 min-h-0 px-14">
+        {imageUrl ? (
+          compare && canCompare ? (
+            <BeforeAfter beforeUrl={generation.originalImageUrl} afterUrl={imageUrl} />
+          ) : (
+            <img src={imageUrl} alt={generation.prompt} className="w-full h-full object-contain" />
+          )
+        ) : (
+          <div className="h-full flex items-center justify-center text-gray-300">
+            {generation.status === 'failed' ? generation.errorMessage || 'This generation failed' : 'Still generating...'}
+          </div>
+        )}
+        {onPrev && (
+          <button onClick={onPrev} title="Previous" className="absolute left-2 top-1/2 -translate-y-1/2 p-2 rounded-full text-white bg-white/10 hover:bg-white/20">
+            <ChevronLeftIcon className="w-6 h-6" />
+          </button>
+        )}
+        {onNext && (
+          <button onClick={onNext} title="Next" className="absolute right-2 top-1/2 -translate-y-1/2 p-2 rounded-full text-white bg-white/10 hover:bg-white/20">
+            <ChevronRightIcon className="w-6 h-6" />
+          </button>
+        )}
+      </div>
+
+      <div className="px-4 py-3 text-white">
+        {images.length > 1 && (
+          <div className="flex justify-center space-x-2 mb-3">
+            {images.map((url, index) => (
+              <button
+                key={`${url}-${index}`}
+                onClick={() => setImageIndex(index)}
+                className={`w-14 h-14 rounded overflow-hidden border-2 ${index === imageIndex ? 'border-blue-500' : 'border-transparent opacity-70 hover:opacity-100'}`}
+              >
+                <img src={url} alt={`Variation ${index + 1}`} className="w-full h-full object-cover" />
+              </button>
+            ))}
+          </div>
+        )}
+        <p className="text-sm text-gray-200 text-center max-w-3xl mx-auto line-clamp-3">{generation.prompt}</p>
+      </div>
+    </div>
+  );
+};
+
+export default Lightbox;
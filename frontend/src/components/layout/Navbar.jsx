@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { useTheme } from '../../contexts/ThemeContext';
+import { useQuota, useResetCountdown } from '../../utils/useQuota';
 import {
   Bars3Icon,
   XMarkIcon,
@@ -10,7 +11,8 @@ import {
   UserCircleIcon,
   ArrowRightOnRectangleIcon,
   Cog6ToothIcon,
-  SparklesIcon
+  SparklesIcon,
+  ClockIcon
 } from '@heroicons/react/24/outline';
 
 const Navbar = () => {
@@ -19,6 +21,8 @@ const Navbar = () => {
   const location = useLocation();
   const [isProfileMenuOpen, setIsProfileMenuOpen] = useState(false);
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+  const quota = useQuota(user);
+  const resetCountdown = useResetCountdown(quota?.resetAt);
 
   const handleLogout = async () => {
     await logout();
@@ -28,7 +32,7 @@ const Navbar = () => {
   const navigation = user ? [
     { name: 'Dashboard', href: '/dashboard', icon: '📊' },
     { name: 'Generate', href: '/generate', icon: '🎨' },
-    // Gallery item removed
+    { name: 'Gallery', href: '/gallery', icon: '🖼️' },
   ] : [
     { name: 'Home', href: '/', icon: '🏠' },
     { name: 'Pricing', href: '/pricing', icon: '💎' },
@@ -76,6 +80,24 @@ const Navbar = () => {
 
           {/* Right side actions */}
           <div className="flex items-center space-x-4">
+            {/* Quota remaining today and time until it resets */}
+            {user && quota && (
+              <div
+                className="hidden lg:flex items-center space-x-2 px-3 py-1 rounded-full bg-gray-100 dark:bg-gray-700 text-xs text-gray-600 dark:text-gray-300"
+                title={`Daily quota resets ${new Date(quota.resetAt).toLocaleString()}`}
+              >
+                <span className="font-medium text-gray-900 dark:text-white">
+                  {quota.generationsRemaining} / {quota.generationsLimit} left
+                </span>
+                {resetCountdown.label && (
+                  <span className="flex items-center">
+                    <ClockIcon className="w-3.5 h-3.5 mr-1" />
+                    {resetCountdown.label}
+                  </span>
+                )}
+              </div>
+            )}
+
             {/* Theme toggle */}
             <button
               onClick={toggleDarkMode}
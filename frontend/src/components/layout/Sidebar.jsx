@@ -1,11 +1,11 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
-import { userAPI } from '../../services/api';
-import quotaEvents from '../../utils/quotaEvents';
+import { useQuota, useResetCountdown } from '../../utils/useQuota';
 import {
   HomeIcon,
   SparklesIcon,
+  PhotoIcon,
   UserIcon,
   CreditCardIcon,
   ChartBarIcon
@@ -13,6 +13,7 @@ import {
 import {
   HomeIcon as HomeIconSolid,
   SparklesIcon as SparklesIconSolid,
+  PhotoIcon as PhotoIconSolid,
   UserIcon as UserIconSolid,
   CreditCardIcon as CreditCardIconSolid,
   ChartBarIcon as ChartBarIconSolid
@@ -21,29 +22,8 @@ import {
 const Sidebar = () => {
   const { user, isPaidUser } = useAuth();
   const location = useLocation();
-  const [quota, setQuota] = useState(null);
-
-  // Fetch quota data
-  const fetchQuota = async () => {
-    try {
-      const response = await userAPI.getQuota();
-      setQuota(response.data.quota);
-    } catch (error) {
-      console.error('Error fetching quota:', error);
-    }
-  };
-
-  useEffect(() => {
-    if (user) {
-      fetchQuota();
-    }
-  }, [user]);
-
-  // Listen for quota update events
-  useEffect(() => {
-    const unsubscribe = quotaEvents.addListener(fetchQuota);
-    return unsubscribe;
-  }, []);
+  const quota = useQuota(user);
+  const resetCountdown = useResetCountdown(quota?.resetAt);
 
   const navigation = [
     {
@@ -60,6 +40,13 @@ const Sidebar = () => {
       iconSolid: SparklesIconSolid,
       description: 'Create AI images'
     },
+    {
+      name: 'Gallery',
+      href: '/gallery',
+      icon: PhotoIcon,
+      iconSolid: PhotoIconSolid,
+      description: 'All your generations'
+    },
     {
       name: 'Profile',
       href: '/profile',
@@ -187,6 +174,14 @@ const Sidebar = () => {
                   style={{ width: `${quota?.usagePercentage || 0}%` }}
                 ></div>
               </div>
+              {resetCountdown.label && (
+                <p
+                  className="text-xs text-gray-500 dark:text-gray-400"
+                  title={new Date(quota.resetAt).toLocaleString()}
+                >
+                  Resets in {resetCountdown.label}
+                </p>
+              )}
             </div>
             {!isPaidUser() && (
               <Link
@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { authAPI } from '../../services/api';
+import { EnvelopeIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+// Reminds signed-in users to confirm their email address until they do
+const VerifyEmailBanner = () => {
+  const { user } = useAuth();
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  if (!user || user.emailVerified) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const response = await authAPI.resendVerification();
+      toast.success(response.data.message);
+      setSent(true);
+    } catch (error) {
+      console.error('Error resending verification email:', error);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="mb-6 p-4 rounded-lg border border-amber-200 dark:border-amber-800 bg-amber-50 dark:bg-amber-900/20 flex items-center justify-between gap-4">
+      <p className="text-sm text-amber-800 dark:text-amber-200 flex items-center">
+        <EnvelopeIcon className="w-5 h-5 mr-2 shrink-0" />
+        Please confirm your email address ({user.email}) using the link we sent you.
+      </p>
+      <button
+        onClick={handleResend}
+        disabled={sending || sent}
+        className="text-sm font-medium text-amber-900 dark:text-amber-100 hover:underline disabled:opacity-50 whitespace-nowrap"
+      >
+        {sent ? 'Email sent' : sending ? 'Sending...' : 'Resend email'}
+      </button>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -1,11 +1,11 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import toast from 'react-hot-toast';
-import api from '../services/api';
+import api, { setAccessToken, refreshSession } from '../services/api';
 
 // Initial state
 const initialState = {
   user: null,
-  token: localStorage.getItem('token'),
+  token: null,
   loading: true,
   error: null
 };
@@ -72,55 +72,30 @@ const AuthContext = createContext();
 export const AuthProvider = ({ children }) => {
   const [state, dispatch] = useReducer(authReducer, initialState);
 
-  // Set token in localStorage and API headers
+  // Keep the access token in memory; the refresh token is an httpOnly cookie
   const setToken = (token) => {
-    if (token) {
-      localStorage.setItem('token', token);
-      api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-    } else {
-      localStorage.removeItem('token');
-      delete api.defaults.headers.common['Authorization'];
-    }
+    setAccessToken(token);
   };
 
-  // Initialize auth state
+  // Initialize auth state from the refresh cookie, if this browser has one
   useEffect(() => {
     const initAuth = async () => {
-      console.log('🔍 [DEBUG] initAuth called');
-      const token = localStorage.getItem('token');
-      console.log('🔍 [DEBUG] Token from localStorage:', token ? 'exists' : 'not found');
-      
-      if (token) {
-        try {
-          // Set token in API headers
-          api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-          console.log('🔍 [DEBUG] Token set in API headers');
-          
-          // Verify token and get user data
-          console.log('🔍 [DEBUG] Verifying token with /auth/me');
-          const response = await api.get('/auth/me');
-          console.log('🔍 [DEBUG] Token verification successful, user:', response.data.user);
-          
-          dispatch({
-            type: AUTH_ACTIONS.LOGIN_SUCCESS,
-            payload: {
-              user: response.data.user,
-              token
-            }
-          });
-        } catch (error) {
-          console.error('🔍 [DEBUG] Token verification failed:', error);
-          // Token is invalid, remove it
-          setToken(null);
-          dispatch({ type: AUTH_ACTIONS.LOGOUT });
-        }
-      } else {
-        console.log('🔍 [DEBUG] No token found, setting loading to false');
-        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+      // Tokens used to be kept in localStorage, where any script could read them
+      localStorage.removeItem('token');
+
+      try {
+        const { user, token } = await refreshSession();
+        dispatch({
+          type: AUTH_ACTIONS.LOGIN_SUCCESS,
+          payload: { user, token }
+        });
+      } catch (error) {
+        // No session (or it expired): signed out
+        setToken(null);
+        dispatch({ type: AUTH_ACTIONS.LOGOUT });
       }
     };
 
-    console.log('🔍 [DEBUG] AuthProvider initializing...');
     initAuth();
   }, []);
 
@@ -142,7 +117,11 @@ export const AuthProvider = ({ children }) => {
         payload: { user, token }
       });
 
-      toast.success(`Welcome back, ${user.firstName}!`);
+      if (response.data.deletionCancelled) {
+        toast.success('Welcome back! Your account deletion has been cancelled.');
+      } else {
+        toast.success(`Welcome back, ${user.firstName}!`);
+      }
       return { success: true };
     } catch (error) {
       const errorMessage = error.response?.data?.error || 'Login failed';
@@ -189,7 +168,7 @@ export const AuthProvider = ({ children }) => {
   // Logout function
   const logout = async () => {
     try {
-      // Call logout endpoint (optional, for logging purposes)
+      // Revoke this device's session and clear its refresh cookie
       await api.post('/auth/logout');
     } catch (error) {
       // Ignore logout API errors
@@ -225,12 +204,17 @@ export const AuthProvider = ({ children }) => {
   // Change password function
   const changePassword = async (currentPassword, newPassword) => {
     try {
-      await api.put('/auth/password', {
+      const response = await api.put('/auth/password', {
         currentPassword,
         newPassword
       });
 
-      toast.success('Password changed successfully');
+      // Older tokens stop working once the password changes
+      if (response.data.token) {
+        setToken(response.data.token);
+      }
+
+      toast.success('Password changed. Other devices have been signed out.');
       return { success: true };
     } catch (error) {
       const errorMessage = error.response?.data?.error || 'Password change failed';
@@ -240,10 +224,15 @@ export const AuthProvider = ({ children }) => {
   };
 
   // Upgrade to paid tier
-  const upgradeToPaid = async () => {
+  // Pay for the Pro plan; the idempotency key makes a retried request safe
+  const upgradeToPaid = async (paymentMethod, idempotencyKey = crypto.randomUUID()) => {
     try {
-      const response = await api.post('/user/upgrade');
-      const { user } = response.data;
+      const response = await api.post(
+        '/billing/upgrade',
+        { paymentMethod },
+        { headers: { 'Idempotency-Key': idempotencyKey } }
+      );
+      const { user, subscription } = response.data;
 
       dispatch({
         type: AUTH_ACTIONS.UPDATE_USER,
@@ -251,7 +240,7 @@ export const AuthProvider = ({ children }) => {
       });
 
       toast.success('Successfully upgraded to Pro tier!');
-      return { success: true, user };
+      return { success: true, user, subscription };
     } catch (error) {
       const errorMessage = error.response?.data?.error || 'Upgrade failed';
       toast.error(errorMessage);
@@ -274,6 +263,14 @@ export const AuthProvider = ({ children }) => {
     return state.user?.dailyLimit || 0;
   };
 
+  // Merge fields into the signed-in user (e.g. after confirming the email address)
+  const updateUser = (fields) => {
+    dispatch({
+      type: AUTH_ACTIONS.UPDATE_USER,
+      payload: fields
+    });
+  };
+
   // Clear error
   const clearError = () => {
     dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
@@ -293,6 +290,7 @@ export const AuthProvider = ({ children }) => {
     updateProfile,
     changePassword,
     upgradeToPaid,
+    updateUser,
     clearError,
     
     // Helpers
@@ -32,15 +32,23 @@ const Dashboard = () => {
   };
 
   const getInitialImageSrc = (generation) => {
-    const candidate = generation?.imageUrls?.[0] || generation?.generatedImageUrl || '';
+    const candidate = generation?.generatedImageUrl || generation?.imageUrls?.[0] || '';
     const normalized = normalizeImageUrl(candidate);
-    return normalized.startsWith('http') ? normalized : `/uploads/${normalized.replace(/^\/uploads\//, '')}`;
+    // Signed storage links are served by the API as-is
+    if (normalized.startsWith('http') || normalized.startsWith('/api/')) return normalized;
+    return `/uploads/${normalized.replace(/^\/uploads\//, '')}`;
   };
 
   const handleImageError = (e, generation) => {
     const img = e.currentTarget;
     const attempts = Number(img.dataset.retry || 0);
-    const originalCandidate = generation?.imageUrls?.[0] || generation?.generatedImageUrl || '';
+    const originalCandidate = generation?.generatedImageUrl || generation?.imageUrls?.[0] || '';
+
+    // A signed link has no alternative location to fall back to
+    if (originalCandidate.startsWith('/api/')) {
+      img.style.display = 'none';
+      return;
+    }
     const pathname = originalCandidate.startsWith('http')
       ? new URL(originalCandidate).pathname
       : `/${originalCandidate.replace(/^\/?/, '')}`;
@@ -127,7 +135,13 @@ const Dashboard = () => {
       color: 'from-blue-500 to-purple-600',
       disabled: quota?.generationsRemaining === 0
     },
-    // Removed 'View Gallery' quick action
+    {
+      name: 'View Gallery',
+      description: 'Browse all your generations',
+      href: '/gallery',
+      icon: PhotoIcon,
+      color: 'from-green-500 to-teal-600'
+    },
     {
       name: 'Upgrade Plan',
       description: 'Get more generations',
@@ -296,7 +310,12 @@ const Dashboard = () => {
             <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
               Recent Generations
             </h2>
-            {/* Gallery link removed */}
+            <Link
+              to="/gallery"
+              className="text-sm font-medium text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300"
+            >
+              View all
+            </Link>
           </div>
           
           {recentGenerations.length > 0 ? (
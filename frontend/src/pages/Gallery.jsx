@@ -0,0 +1,557 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { userAPI, exportsAPI } from '../services/api';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import Lightbox from '../components/gallery/Lightbox';
+import downloadImage, { saveBlob } from '../utils/downloadImage';
+import toast from 'react-hot-toast';
+import {
+  PhotoIcon,
+  MagnifyingGlassIcon,
+  CheckCircleIcon,
+  ArrowDownTrayIcon,
+  TrashIcon,
+  SparklesIcon,
+  ArchiveBoxArrowDownIcon
+} from '@heroicons/react/24/outline';
+import { CheckCircleIcon as CheckCircleSolidIcon } from '@heroicons/react/24/solid';
+
+const PAGE_SIZE = 24;
+const EXPORT_POLL_MS = 3000;
+
+const STATUS_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'processing', label: 'In progress' },
+  { value: 'failed', label: 'Failed' }
+];
+
+// Primary image of a generation, if it produced one
+const primaryImage = (generation) => generation.generatedImageUrl
+  || generation.imageUrls?.[generation.favoriteIndex || 0]
+  || generation.imageUrls?.[0]
+  || null;
+
+const formatBytes = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+// Error message from a request made with responseType 'blob'
+const blobError = async (error, fallback) => {
+  const data = error.response?.data;
+  if (data instanceof Blob) {
+    try {
+      return JSON.parse(await data.text()).error || fallback;
+    } catch (parseError) {
+      return fallback;
+    }
+  }
+  return data?.error || fallback;
+};
+
+const chipClass = (active) => `px-3 py-1.5 rounded-full border text-sm font-medium transition-colors duration-200 whitespace-nowrap ${
+  active
+    ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20 text-blue-700 dark:text-blue-300'
+    : 'border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:border-gray-300 dark:hover:border-gray-600'
+}`;
+
+const Gallery = () => {
+  const [generations, setGenerations] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [hasNext, setHasNext] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('all');
+  const [preset, setPreset] = useState('');
+  const [sortBy, setSortBy] = useState('newest');
+  const [facets, setFacets] = useState({ presets: [], statuses: [] });
+  const [selected, setSelected] = useState(new Set());
+  const [lightboxIndex, setLightboxIndex] = useState(null);
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [includeOriginals, setIncludeOriginals] = useState(false);
+  const [exportJob, setExportJob] = useState(null);
+  const [streamLimit, setStreamLimit] = useState(50);
+
+  const sentinelRef = useRef(null);
+  // Responses to requests made before the filters last changed are dropped
+  const requestRef = useRef(0);
+
+  useEffect(() => {
+    fetchFacets();
+    fetchLatestExport();
+  }, []);
+
+  // Follow a background export until its archive is ready
+  useEffect(() => {
+    if (!exportJob || !['queued', 'running'].includes(exportJob.status)) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await exportsAPI.get(exportJob._id);
+        const latest = response.data.export;
+        setExportJob(latest);
+        if (latest.status === 'completed') {
+          toast.success('Your export is ready to download');
+        } else if (latest.status === 'failed') {
+          toast.error(latest.errorMessage || 'Export failed');
+        }
+      } catch (error) {
+        console.error('Error checking export:', error);
+      }
+    }, EXPORT_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [exportJob]);
+
+  // Search as the user types, once they pause
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchInput.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // Any filter change starts the list over
+  useEffect(() => {
+    setSelected(new Set());
+    setLightboxIndex(null);
+    fetchPage(1);
+  }, [search, status, preset, sortBy]);
+
+  // Load the next page when the end of the grid scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasNext) return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting && !loading && !loadingMore) {
+        fetchPage(page + 1);
+      }
+    }, { rootMargin: '400px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasNext, page, loading, loadingMore]);
+
+  const fetchFacets = async () => {
+    try {
+      const response = await userAPI.getGenerationFacets();
+      setFacets(response.data);
+    } catch (error) {
+      console.error('Error fetching gallery filters:', error);
+    }
+  };
+
+  // Pick up an export that is still being built, or finished and not yet expired
+  const fetchLatestExport = async () => {
+    try {
+      const response = await exportsAPI.list();
+      setStreamLimit(response.data.streamLimit || 50);
+      const latest = response.data.exports?.find(item => item.kind !== 'account');
+      if (latest && ['queued', 'running', 'completed'].includes(latest.status)) {
+        setExportJob(latest);
+      }
+    } catch (error) {
+      console.error('Error fetching exports:', error);
+    }
+  };
+
+  const fetchPage = async (pageNumber) => {
+    const request = pageNumber === 1 ? ++requestRef.current : requestRef.current;
+    if (pageNumber === 1) {
+      setLoading(true);
+    } else {
+      setLoadingMore(true);
+    }
+
+    try {
+      const response = await userAPI.getGenerations({
+        page: pageNumber,
+        limit: PAGE_SIZE,
+        status,
+        preset: preset || undefined,
+        search: search || undefined,
+        sortBy
+      });
+      if (request !== requestRef.current) return;
+
+      const { generations: items = [], pagination = {} } = response.data;
+      setGenerations((current) => {
+        if (pageNumber === 1) return items;
+        // Deleting shifts later pages, so skip anything already shown
+        const shown = new Set(current.map(generation => generation._id));
+        return [...current, ...items.filter(generation => !shown.has(generation._id))];
+      });
+      setPage(pageNumber);
+      setTotal(pagination.total || 0);
+      setHasNext(!!pagination.hasNext);
+    } catch (error) {
+      console.error('Error fetching gallery:', error);
+      toast.error('Failed to load your gallery');
+      setHasNext(false);
+    } finally {
+      if (request === requestRef.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelected((current) => {
+      const next = new Set(current);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const allSelected = generations.length > 0 && generations.every(generation => selected.has(generation._id));
+
+  const toggleSelectAll = () => {
+    setSelected(allSelected ? new Set() : new Set(generations.map(generation => generation._id)));
+  };
+
+  // Drop deleted generations from the list and keep the lightbox in range
+  const removeFromList = (ids) => {
+    const removed = new Set(ids);
+    const remaining = generations.filter(generation => !removed.has(generation._id));
+    setGenerations(remaining);
+    setTotal((current) => Math.max(current - removed.size, 0));
+    setSelected((current) => new Set([...current].filter(id => !removed.has(id))));
+    setLightboxIndex((current) => {
+      if (current === null || remaining.length === 0) return null;
+      return Math.min(current, remaining.length - 1);
+    });
+    fetchFacets();
+  };
+
+  const handleDelete = async (generation) => {
+    if (!window.confirm('Delete this generation? This cannot be undone.')) return;
+
+    try {
+      await userAPI.deleteGeneration(generation._id);
+      removeFromList([generation._id]);
+      toast.success('Generation deleted');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete generation');
+    }
+  };
+
+  const handleBulkDelete = async () => {
+    const ids = [...selected];
+    if (!window.confirm(`Delete ${ids.length} generation${ids.length === 1 ? '' : 's'}? This cannot be undone.`)) return;
+
+    setBulkBusy(true);
+    try {
+      const response = await userAPI.deleteGenerations(ids);
+      // Generations still in progress are kept by the server
+      const skipped = new Set((response.data.skipped || []).map(String));
+      removeFromList(ids.filter(id => !skipped.has(String(id))));
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete generations');
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const handleDownload = async (imageUrl, generation, index = 0) => {
+    try {
+      await downloadImage(imageUrl, `vibra-ai-${generation._id}-${index + 1}`);
+    } catch (error) {
+      console.error('Error downloading image:', error);
+      toast.error('Failed to download image');
+    }
+  };
+
+  // Queue a background export of the selection, or of everything when ids is empty
+  const startExport = async (ids = []) => {
+    setBulkBusy(true);
+    try {
+      const response = await exportsAPI.create({ ids, includeOriginals });
+      setExportJob(response.data.export);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to start the export');
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  // Selections small enough are zipped and downloaded straight away
+  const handleBulkDownload = async () => {
+    const ids = [...selected];
+    if (ids.length > streamLimit) {
+      await startExport(ids);
+      return;
+    }
+
+    setBulkBusy(true);
+    try {
+      const response = await exportsAPI.download({ ids, includeOriginals });
+      saveBlob(response.data, `vibra-ai-export-${new Date().toISOString().slice(0, 10)}.zip`);
+      toast.success(`Downloaded ${ids.length} generation${ids.length === 1 ? '' : 's'}`);
+    } catch (error) {
+      console.error('Error downloading export:', error);
+      toast.error(await blobError(error, 'Failed to download the selection'));
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const statusCount = (value) => {
+    if (value === 'all') {
+      return facets.statuses.reduce((sum, entry) => sum + entry.count, 0);
+    }
+    return facets.statuses.find(entry => entry.status === value)?.count || 0;
+  };
+
+  const lightboxGeneration = lightboxIndex !== null ? generations[lightboxIndex] : null;
+  const filtered = status !== 'all' || preset || search;
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-6 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white">Gallery</h1>
+            <p className="mt-1 text-gray-600 dark:text-gray-400">
+              {loading ? 'Loading your generations...' : `${total} generation${total === 1 ? '' : 's'}${filtered ? ' match your filters' : ''}`}
+            </p>
+          </div>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => startExport()}
+              disabled={bulkBusy || total === 0 || ['queued', 'running'].includes(exportJob?.status)}
+              title="Download every generation as a ZIP archive"
+              className="inline-flex items-center px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+            >
+              <ArchiveBoxArrowDownIcon className="w-5 h-5 mr-1" />
+              Export all
+            </button>
+            <div className="relative">
+              <MagnifyingGlassIcon className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+              <input
+                type="search"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                placeholder="Search prompts and presets"
+                className="pl-10 pr-3 py-2 w-64 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400"
+              />
+            </div>
+            <select
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            >
+              <option value="newest">Newest first</option>
+              <option value="oldest">Oldest first</option>
+              <option value="prompt">Prompt A-Z</option>
+            </select>
+          </div>
+        </div>
+
+        {/* Background export */}
+        {exportJob && (
+          <div className="mb-6 p-4 rounded-lg border border-blue-200 dark:border-blue-800 bg-blue-50 dark:bg-blue-900/20 flex items-center justify-between gap-4">
+            {exportJob.status === 'completed' && exportJob.downloadUrl ? (
+              <>
+                <p className="text-sm text-blue-800 dark:text-blue-200">
+                  Your export of {exportJob.itemCount} generation{exportJob.itemCount === 1 ? '' : 's'} ({formatBytes(exportJob.fileSize)}) is ready
+                  {exportJob.expiresAt && ` until ${new Date(exportJob.expiresAt).toLocaleString()}`}.
+                  {exportJob.missingFiles > 0 && ` ${exportJob.missingFiles} image(s) were no longer available.`}
+                </p>
+                <div className="flex items-center gap-3 shrink-0">
+                  <a
+                    href={exportJob.downloadUrl}
+                    className="inline-flex items-center px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium"
+                  >
+                    <ArrowDownTrayIcon className="w-4 h-4 mr-1" />
+                    Download ZIP
+                  </a>
+                  <button onClick={() => setExportJob(null)} className="text-sm text-blue-700 dark:text-blue-300 hover:underline">
+                    Dismiss
+                  </button>
+                </div>
+              </>
+            ) : exportJob.status === 'failed' ? (
+              <>
+                <p className="text-sm text-red-700 dark:text-red-300">{exportJob.errorMessage || 'The export failed.'}</p>
+                <button onClick={() => setExportJob(null)} className="text-sm text-blue-700 dark:text-blue-300 hover:underline">
+                  Dismiss
+                </button>
+              </>
+            ) : (
+              <p className="text-sm text-blue-800 dark:text-blue-200 flex items-center">
+                <LoadingSpinner size="sm" className="mr-2" />
+                Preparing your export. You can keep browsing; the download link appears here when it's ready.
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Filter chips */}
+        <div className="mb-6 space-y-3">
+          <div className="flex flex-wrap gap-2">
+            {STATUS_FILTERS.map((filter) => (
+              <button key={filter.value} onClick={() => setStatus(filter.value)} className={chipClass(status === filter.value)}>
+                {filter.label} <span className="text-gray-400">{statusCount(filter.value)}</span>
+              </button>
+            ))}
+          </div>
+          {facets.presets.length > 0 && (
+            <div className="flex gap-2 overflow-x-auto pb-1">
+              <button onClick={() => setPreset('')} className={chipClass(!preset)}>
+                Any preset
+              </button>
+              {facets.presets.map((entry) => (
+                <button key={entry.id} onClick={() => setPreset(preset === entry.id ? '' : entry.id)} className={chipClass(preset === entry.id)}>
+                  {entry.name} <span className="text-gray-400">{entry.count}</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Bulk actions */}
+        {generations.length > 0 && (
+          <div className="mb-4 flex flex-wrap items-center gap-3 text-sm">
+            <button onClick={toggleSelectAll} className="text-blue-600 dark:text-blue-400 hover:underline font-medium">
+              {allSelected ? 'Clear selection' : 'Select all loaded'}
+            </button>
+            <label className="inline-flex items-center text-gray-600 dark:text-gray-400">
+              <input
+                type="checkbox"
+                checked={includeOriginals}
+                onChange={(e) => setIncludeOriginals(e.target.checked)}
+                className="mr-1.5 rounded border-gray-300"
+              />
+              Include original photos in downloads
+            </label>
+            {selected.size > 0 && (
+              <>
+                <span className="text-gray-600 dark:text-gray-400">{selected.size} selected</span>
+                <button
+                  onClick={handleBulkDownload}
+                  disabled={bulkBusy}
+                  className="inline-flex items-center px-3 py-1.5 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+                >
+                  <ArrowDownTrayIcon className="w-4 h-4 mr-1" />
+                  Download ZIP
+                </button>
+                <button
+                  onClick={handleBulkDelete}
+                  disabled={bulkBusy}
+                  className="inline-flex items-center px-3 py-1.5 rounded-lg border border-red-300 dark:border-red-800 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50"
+                >
+                  <TrashIcon className="w-4 h-4 mr-1" />
+                  Delete
+                </button>
+                {bulkBusy && <LoadingSpinner size="sm" />}
+              </>
+            )}
+          </div>
+        )}
+
+        {/* Grid */}
+        {loading ? (
+          <div className="flex justify-center py-16">
+            <LoadingSpinner size="lg" text="Loading gallery..." />
+          </div>
+        ) : generations.length === 0 ? (
+          <div className="text-center py-16 bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700">
+            <PhotoIcon className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-600 dark:text-gray-400 mb-4">
+              {filtered ? 'Nothing matches these filters.' : 'You haven\'t generated any images yet.'}
+            </p>
+            {!filtered && (
+              <Link
+                to="/generate"
+                className="inline-flex items-center px-4 py-2 bg-gradient-to-r from-blue-500 to-purple-600 text-white font-medium rounded-lg"
+              >
+                <SparklesIcon className="w-5 h-5 mr-2" />
+                Generate your first image
+              </Link>
+            )}
+          </div>
+        ) : (
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+            {generations.map((generation, index) => {
+              const imageUrl = primaryImage(generation);
+              const isSelected = selected.has(generation._id);
+              return (
+                <div
+                  key={generation._id}
+                  className={`relative bg-white dark:bg-gray-800 rounded-lg shadow-sm border overflow-hidden group ${
+                    isSelected ? 'border-blue-500 ring-2 ring-blue-500' : 'border-gray-200 dark:border-gray-700'
+                  }`}
+                >
+                  <button onClick={() => setLightboxIndex(index)} className="block w-full aspect-square bg-gray-100 dark:bg-gray-700">
+                    {imageUrl ? (
+                      <img src={imageUrl} alt={generation.prompt} loading="lazy" className="w-full h-full object-cover" />
+                    ) : (
+                      <div className="w-full h-full flex items-center justify-center">
+                        {generation.status === 'processing'
+                          ? <LoadingSpinner size="md" />
+                          : <PhotoIcon className="w-10 h-10 text-gray-400" />}
+                      </div>
+                    )}
+                  </button>
+                  <button
+                    onClick={() => toggleSelected(generation._id)}
+                    title={isSelected ? 'Deselect' : 'Select'}
+                    className={`absolute top-2 left-2 rounded-full bg-white/90 dark:bg-gray-800/90 shadow transition-opacity ${
+                      isSelected || selected.size > 0 ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'
+                    }`}
+                  >
+                    {isSelected
+                      ? <CheckCircleSolidIcon className="w-6 h-6 text-blue-600" />
+                      : <CheckCircleIcon className="w-6 h-6 text-gray-500" />}
+                  </button>
+                  {generation.imageUrls?.length > 1 && (
+                    <span className="absolute top-2 right-2 text-xs font-medium text-white bg-black/60 px-2 py-0.5 rounded">
+                      {generation.imageUrls.length}
+                    </span>
+                  )}
+                  <div className="p-3">
+                    <p className="text-sm text-gray-900 dark:text-white truncate" title={generation.prompt}>
+                      {generation.prompt}
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 truncate">
+                      {generation.preset?.name || 'Custom prompt'} · {new Date(generation.createdAt).toLocaleDateString()}
+                      {generation.status === 'failed' && <span className="text-red-500"> · Failed</span>}
+                    </p>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        <div ref={sentinelRef} className="h-8" />
+        {loadingMore && (
+          <div className="flex justify-center py-4">
+            <LoadingSpinner size="md" />
+          </div>
+        )}
+      </div>
+
+      {lightboxGeneration && (
+        <Lightbox
+          generation={lightboxGeneration}
+          onClose={() => setLightboxIndex(null)}
+          onPrev={lightboxIndex > 0 ? () => setLightboxIndex(lightboxIndex - 1) : null}
+          onNext={lightboxIndex < generations.length - 1 ? () => setLightboxIndex(lightboxIndex + 1) : null}
+          onDownload={(imageUrl, index) => handleDownload(imageUrl, lightboxGeneration, index)}
+          onDelete={() => handleDelete(lightboxGeneration)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Gallery;
@@ -1,6 +1,7 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { generateAPI, userAPI } from '../services/api';
+import { parseTemplate, validateVariables } from '../../../shared/presetTemplate.js';
 import toast from 'react-hot-toast';
 import quotaEvents from '../utils/quotaEvents';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
@@ -9,22 +10,89 @@ import {
   PhotoIcon,
   ArrowUpTrayIcon,
   XMarkIcon,
+  DocumentTextIcon,
   ClockIcon,
-  CheckCircleIcon
+  CheckCircleIcon,
+  StarIcon,
+  PencilSquareIcon
 } from '@heroicons/react/24/outline';
+import { StarIcon as StarSolidIcon } from '@heroicons/react/24/solid';
+
+// Human-readable description of the current generation stage
+const progressLabel = (progress, variationCount) => {
+  switch (progress.stage) {
+    case 'submitting':
+      return 'Sending your request...';
+    case 'queued':
+      return progress.position ? `Waiting in queue (position ${progress.position})...` : 'Waiting in queue...';
+    case 'uploading':
+      return 'Uploading your image to the AI model...';
+    case 'model-called':
+    case 'text-chunk':
+      return 'The AI model is creating your image...';
+    case 'image-saved':
+      return `Saved ${progress.saved} of ${variationCount} image${variationCount === 1 ? '' : 's'}...`;
+    default:
+      return 'Generating...';
+  }
+};
+
+// Variables declared by a preset's prompt template, plus its text segments for the preview
+const readTemplate = (preset) => {
+  try {
+    return parseTemplate(preset?.main_prompt || '');
+  } catch (error) {
+    console.error('Invalid preset template:', error.message);
+    return { segments: [], variables: [] };
+  }
+};
+
+// Refinement thread in reading order: every generation is followed by its
+// refinements, oldest branch first. Generations whose parent was deleted start a branch.
+const threadOrder = (generations) => {
+  const ids = new Set(generations.map(generation => generation.id));
+  const children = new Map();
+  generations.forEach((generation) => {
+    const parentId = ids.has(generation.parentId) ? generation.parentId : null;
+    children.set(parentId, [...(children.get(parentId) || []), generation]);
+  });
+
+  const ordered = [];
+  const visit = (parentId, depth) => {
+    (children.get(parentId) || []).forEach((generation) => {
+      ordered.push({ ...generation, depth });
+      visit(generation.id, depth + 1);
+    });
+  };
+  visit(null, 0);
+  return ordered;
+};
+
+const defaultValues = (variables) => Object.fromEntries(
+  variables.map(variable => [variable.name, variable.default ?? ''])
+);
 
 const Generate = () => {
   console.log('🔍 [DEBUG] Generate component is rendering');
   const { user, isPaidUser } = useAuth();
   console.log('🔍 [DEBUG] User from auth context:', user);
   const [prompt, setPrompt] = useState('');
-  const [negativePrompt, setNegativePrompt] = useState('');
   const [selectedPreset, setSelectedPreset] = useState(null);
+  const [variableValues, setVariableValues] = useState({});
+  const [variableErrors, setVariableErrors] = useState({});
   const [presets, setPresets] = useState([]);
   const [uploadedImage, setUploadedImage] = useState(null);
   const [generationType, setGenerationType] = useState('image-to-image');
   const [isGenerating, setIsGenerating] = useState(false);
   const [generatedImages, setGeneratedImages] = useState([]);
+  const [generationId, setGenerationId] = useState(null);
+  const [favoriteIndex, setFavoriteIndex] = useState(0);
+  const [thread, setThread] = useState([]);
+  const [refineInstruction, setRefineInstruction] = useState('');
+  const [isRefining, setIsRefining] = useState(false);
+  const [variationCount, setVariationCount] = useState(1);
+  const [maxVariations, setMaxVariations] = useState(1);
+  const [progress, setProgress] = useState(null);
   const [error, setError] = useState('');
   const [uploadError, setUploadError] = useState('');
   const [quota, setQuota] = useState(null);
@@ -33,11 +101,19 @@ const Generate = () => {
   const [categories, setCategories] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState('');
 
+  const template = useMemo(() => readTemplate(selectedPreset), [selectedPreset]);
+
   useEffect(() => {
     fetchPresets();
     fetchQuota();
   }, []);
 
+  // A new preset starts from its variables' defaults
+  useEffect(() => {
+    setVariableValues(defaultValues(template.variables));
+    setVariableErrors({});
+  }, [template]);
+
   // Listen for quota update events
   useEffect(() => {
     const unsubscribe = quotaEvents.addListener(fetchQuota);
@@ -77,6 +153,9 @@ const Generate = () => {
     try {
       const response = await userAPI.getQuota();
       setQuota(response.data.quota);
+      const allowed = response.data.user?.maxVariations || 1;
+      setMaxVariations(allowed);
+      setVariationCount((current) => Math.min(current, allowed));
     } catch (error) {
       console.error('Error fetching quota:', error);
     }
@@ -138,18 +217,128 @@ const Generate = () => {
     setUploadedImage(null);
   };
 
+  // Fold a stream event into the progress panel shown while generating
+  const applyProgressEvent = (type, data) => {
+    setProgress((current) => {
+      const next = { stage: type, text: current?.text || '', saved: current?.saved || 0, position: current?.position };
+
+      switch (type) {
+        case 'queued':
+          next.position = data.job?.position;
+          break;
+        case 'text-chunk':
+          next.text = `${next.text}${data.text || ''}`;
+          break;
+        case 'image-saved':
+          next.saved += 1;
+          break;
+        default:
+          break;
+      }
+
+      return next;
+    });
+  };
+
+  // Follow the generation's event stream until it completes or fails,
+  // falling back to polling if the stream can't be opened or drops
+  const waitForGeneration = async (generationId) => {
+    try {
+      let outcome = null;
+      await generateAPI.stream(generationId, (type, data) => {
+        console.log('🔍 [FRONTEND DEBUG] Generation event:', type, data);
+        if (type === 'completed' || type === 'failed') {
+          outcome = { generation: data.generation };
+        } else {
+          applyProgressEvent(type, data);
+        }
+      });
+
+      if (outcome) {
+        return outcome;
+      }
+    } catch (error) {
+      console.warn('⚠️ [FRONTEND DEBUG] Progress stream failed, polling instead:', error.message);
+    }
+
+    return pollGeneration(generationId);
+  };
+
+  // Poll the status endpoint until the worker finishes the generation
+  const pollGeneration = async (generationId) => {
+    const pollInterval = 2000;
+    const maxWait = 5 * 60 * 1000;
+    const startedAt = Date.now();
+
+    while (Date.now() - startedAt < maxWait) {
+      const response = await generateAPI.getStatus(generationId);
+      const status = response.data;
+      console.log('🔍 [FRONTEND DEBUG] Generation status:', status.generation?.status, status.job);
+
+      if (status.generation?.status !== 'processing') {
+        return status;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, pollInterval));
+    }
+
+    throw new Error('Generation is taking longer than expected. Check your dashboard later.');
+  };
+
+  // Upload the reference image together with the prompt and preset
+  const submitImageToImage = async () => {
+    console.log('🔍 [FRONTEND DEBUG] Making image-to-image API call');
+    const formData = new FormData();
+
+    // Convert base64 to blob for FormData
+    const base64Response = await fetch(uploadedImage);
+    const blob = await base64Response.blob();
+
+    formData.append('image', blob, 'upload.jpg');
+    formData.append('prompt', prompt);
+    if (selectedPreset?.id) {
+      formData.append('preset', selectedPreset.id);
+      formData.append('variables', JSON.stringify(variableValues));
+    }
+    formData.append('size', '1024x1024');
+    formData.append('count', String(variationCount));
+
+    const imageFile = formData.get('image');
+    console.log('🔍 [FRONTEND DEBUG] FormData prepared for image-to-image:', {
+      hasImage: formData.has('image'),
+      imageType: imageFile?.type,
+      imageSize: imageFile?.size,
+      promptPreview: formData.get('prompt')?.slice(0, 200),
+      preset: formData.get('preset'),
+      size: formData.get('size'),
+      count: formData.get('count')
+    });
+
+    return generateAPI.imageToImage(formData);
+  };
+
   const handleGenerate = async () => {
     console.log('🔍 [FRONTEND DEBUG] handleGenerate called');
 
     // Reset previous errors
     setError('');
 
-    if (!prompt || prompt.trim().length === 0) {
-      setError('Please enter a prompt');
+    const isImageToImage = generationType === 'image-to-image';
+
+    if ((!prompt || prompt.trim().length === 0) && !selectedPreset) {
+      setError('Please choose a preset or describe your image');
       return;
     }
 
-    if (!uploadedImage) {
+    // Check the preset's options with the same rules the server applies
+    const { errors: invalidVariables } = validateVariables(template.variables, variableValues);
+    setVariableErrors(invalidVariables);
+    if (Object.keys(invalidVariables).length > 0) {
+      setError('Please fill in the preset options highlighted below');
+      return;
+    }
+
+    if (isImageToImage && !uploadedImage) {
       setError('Please upload an image for image-to-image generation');
       return;
     }
@@ -157,90 +346,181 @@ const Generate = () => {
     try {
       setIsGenerating(true);
       setGeneratedImages([]);
+      setGenerationId(null);
+      setFavoriteIndex(0);
+      setThread([]);
+      setProgress({ stage: 'submitting', text: '', saved: 0 });
 
-      console.log('🔍 [FRONTEND DEBUG] Making image-to-image API call');
-      const formData = new FormData();
-      
-      // Convert base64 to blob for FormData
-      const base64Response = await fetch(uploadedImage);
-      const blob = await base64Response.blob();
-      
-      formData.append('image', blob, 'upload.jpg');
-      formData.append('prompt', prompt);
-      if (selectedPreset?.id) {
-        formData.append('preset', selectedPreset.id);
+      const response = isImageToImage
+        ? await submitImageToImage()
+        : await generateAPI.textToImage({
+            prompt,
+            preset: selectedPreset?.id,
+            variables: selectedPreset ? variableValues : undefined,
+            size: '1024x1024',
+            count: variationCount
+          });
+      console.log(`✅ [FRONTEND DEBUG] ${generationType} API response received:`, response);
+
+      const resp = response?.data ?? {};
+      const generationId = resp.generation?.id;
+
+      if (!resp.success || !generationId) {
+        const errMsg = resp.error || 'Failed to generate images. Please try again.';
+        console.error('❌ [FRONTEND DEBUG] Generation failed:', resp);
+        setError(errMsg);
+        return;
       }
-      formData.append('size', '1024x1024');
-
-      const imageFile = formData.get('image');
-      console.log('🔍 [FRONTEND DEBUG] FormData prepared for image-to-image:', {
-        hasImage: formData.has('image'),
-        imageType: imageFile?.type,
-        imageSize: imageFile?.size,
-        promptPreview: formData.get('prompt')?.slice(0, 200),
-        preset: formData.get('preset'),
-        size: formData.get('size')
-      });
 
-      const response = await generateAPI.imageToImage(formData);
-      console.log('✅ [FRONTEND DEBUG] Image-to-image API response received:', response);
+      // The request only queues the job, but the quota has already been charged
+      await fetchQuota();
+      // Notify other components to refresh their quota displays
+      quotaEvents.emit();
 
-      const resp = response?.data ?? {};
+      const status = await waitForGeneration(generationId);
+      await loadThread(generationId);
+      if (showResult(status)) {
+        const imageCount = status.generation.imageUrls?.length || 1;
 
-      if (resp.success || resp.message === 'Image generated successfully') {
-        // Post-process for image-to-image to ensure we don't show the input as output
-        const outputUrl = resp.generation?.generatedImageUrl || resp.generation?.imageUrl;
-        const originalUrl = resp.generation?.originalImageUrl;
-        const echoed =
-          resp.echoedInput === true ||
-          (!!outputUrl && !!originalUrl && outputUrl === originalUrl);
-      
-        if (!outputUrl) {
-          console.error('❌ [FRONTEND DEBUG] Image-to-image returned empty result. Full response:', resp);
-          setError('Image generation returned no result. Please try again.');
-          setIsGenerating(false);
-          return;
-        }
-      
-        if (echoed) {
-          console.warn('⚠️ [FRONTEND DEBUG] Output image identical to input (echo). Logging full API response:', resp);
-          setError('The AI returned the original image unchanged. Try a different prompt or preset.');
-          setIsGenerating(false);
-          return; // Do not show the input image as a generated result
-        }
-        const images = resp.images || [resp.generation?.generatedImageUrl || resp.generation?.imageUrl];
-        console.log('✅ [FRONTEND DEBUG] Generation successful, images:', images);
-        setGeneratedImages(images.filter(Boolean));
-        
-        // Refresh quota after successful generation
-        await fetchQuota();
-        // Notify other components to refresh their quota displays
-        quotaEvents.emit();
-        
         // Show success message after generation
         toast.success(
           <div>
-            <p>Image generated successfully!</p>
+            <p>{imageCount > 1 ? `${imageCount} variations generated!` : 'Image generated successfully!'}</p>
           </div>,
           { duration: 5000 }
         );
-      } else {
-        const errMsg = resp.error || 'Failed to generate images. Please try again.';
-        console.error('❌ [FRONTEND DEBUG] Generation failed:', resp);
-        setError(errMsg);
       }
     } catch (error) {
       console.error('❌ [FRONTEND DEBUG] Error during generation:', error);
-      setError(error.response?.data?.error || 'Failed to generate images. Please try again.');
+      setError(error.response?.data?.error || error.message || 'Failed to generate images. Please try again.');
+      if (error.response?.data?.fields) {
+        setVariableErrors(error.response.data.fields);
+      }
+    } finally {
+      setIsGenerating(false);
+      setProgress(null);
+    }
+  };
+
+  // Show a finished generation's images, or its error. Returns whether there were images to show.
+  const showResult = (status) => {
+    const result = status.generation;
+
+    if (result.status === 'failed') {
+      console.error('❌ [FRONTEND DEBUG] Generation failed on the worker:', status);
+      setError(result.error || 'Failed to generate images. Please try again.');
+      return false;
+    }
+
+    // Post-process for image-to-image to ensure we don't show the input as output
+    const outputUrl = result.generatedImageUrl || result.imageUrls?.[0];
+    const originalUrl = result.originalImageUrl;
+    const echoed =
+      result.echoedInput === true ||
+      (!!outputUrl && !!originalUrl && outputUrl === originalUrl);
+
+    if (!outputUrl) {
+      console.error('❌ [FRONTEND DEBUG] Image-to-image returned empty result. Full response:', status);
+      setError('Image generation returned no result. Please try again.');
+      return false;
+    }
+
+    if (echoed) {
+      console.warn('⚠️ [FRONTEND DEBUG] Output image identical to input (echo). Logging full API response:', status);
+      setError('The AI returned the original image unchanged. Try a different prompt or preset.');
+      return false; // Do not show the input image as a generated result
+    }
+
+    const images = result.imageUrls?.length ? result.imageUrls : [outputUrl];
+    console.log('✅ [FRONTEND DEBUG] Generation successful, images:', images);
+    setGeneratedImages(images.filter(Boolean));
+    setGenerationId(result.id);
+    setFavoriteIndex(result.favoriteIndex || 0);
+    return true;
+  };
+
+  // Load the refinement thread a generation belongs to
+  const loadThread = async (id) => {
+    try {
+      const response = await generateAPI.getThread(id);
+      setThread(threadOrder(response.data.generations || []));
+    } catch (error) {
+      console.error('Error loading refinement thread:', error);
+      setThread([]);
+    }
+  };
+
+  // Step back (or forward) to another turn of the thread; refining it starts a new branch
+  const openThreadTurn = (turn) => {
+    if (isGenerating || turn.status !== 'completed') return;
+    setError('');
+    setGeneratedImages(turn.imageUrls?.length ? turn.imageUrls : [turn.generatedImageUrl].filter(Boolean));
+    setGenerationId(turn.id);
+    setFavoriteIndex(turn.favoriteIndex || 0);
+  };
+
+  // Ask for a follow-up edit of the favourite image of the generation on screen
+  const handleRefine = async () => {
+    const instruction = refineInstruction.trim();
+    if (!generationId || !instruction) return;
+
+    setError('');
+    try {
+      setIsGenerating(true);
+      setIsRefining(true);
+      setProgress({ stage: 'submitting', text: '', saved: 0 });
+
+      const response = await generateAPI.refine(generationId, {
+        instruction,
+        imageIndex: favoriteIndex,
+        count: variationCount
+      });
+      const refinementId = response.data?.generation?.id;
+      if (!refinementId) {
+        setError(response.data?.error || 'Failed to refine the image. Please try again.');
+        return;
+      }
+
+      // The refinement is charged like any other generation
+      await fetchQuota();
+      quotaEvents.emit();
+
+      const status = await waitForGeneration(refinementId);
+      await loadThread(refinementId);
+      if (showResult(status)) {
+        setRefineInstruction('');
+        toast.success('Image refined!');
+      }
+    } catch (error) {
+      console.error('❌ [FRONTEND DEBUG] Error during refinement:', error);
+      setError(error.response?.data?.error || error.message || 'Failed to refine the image. Please try again.');
     } finally {
       setIsGenerating(false);
+      setIsRefining(false);
+      setProgress(null);
+    }
+  };
+
+  // Make one of the variations the primary image of the generation
+  const handleSelectFavorite = async (index) => {
+    if (!generationId || index === favoriteIndex) return;
+
+    try {
+      await generateAPI.setFavorite(generationId, index);
+      setFavoriteIndex(index);
+      setThread((current) => current.map(turn => (turn.id === generationId ? { ...turn, favoriteIndex: index } : turn)));
+      toast.success('Favourite updated');
+    } catch (error) {
+      console.error('Error selecting favourite image:', error);
+      toast.error(error.response?.data?.error || 'Failed to update favourite');
     }
   };
 
   const downloadImage = async (imageUrl, index) => {
     try {
-      // Ensure we fetch from the correct backend URL for relative paths
-      const fetchUrl = imageUrl.startsWith('http') 
+      // Ensure we fetch from the correct backend URL for relative paths;
+      // signed /api/files links already go through the API proxy
+      const fetchUrl = imageUrl.startsWith('http') || imageUrl.startsWith('/api/')
         ? imageUrl 
         : `http://localhost:5000${imageUrl}`;
       
@@ -273,6 +553,32 @@ const Generate = () => {
     }
   };
 
+  const categoryPresets = presets.filter(p => p.category === selectedCategory);
+
+  const updateVariable = (name, value) => {
+    setVariableValues((current) => ({ ...current, [name]: value }));
+    setVariableErrors((current) => {
+      if (!current[name]) return current;
+      const { [name]: _cleared, ...rest } = current;
+      return rest;
+    });
+  };
+
+  const variableInputClass = (name) => `w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white ${
+    variableErrors[name] ? 'border-red-500' : 'border-gray-300 dark:border-gray-600'
+  }`;
+
+  // The preset's prompt with the current values filled in; empty fields show their label
+  const promptPreview = [
+    template.segments.map((segment) => {
+      if (!segment.variable) return segment.text;
+      const variable = template.variables.find(v => v.name === segment.variable);
+      const value = String(variableValues[segment.variable] ?? '').trim();
+      return value || `[${variable?.label || segment.variable}]`;
+    }).join('').trim(),
+    prompt.trim()
+  ].filter(Boolean).join(', ');
+
   const presetCategories = {
     'Artistic': presets.filter(p => p.category === 'artistic'),
     'Photographic': presets.filter(p => p.category === 'photographic'),
@@ -370,21 +676,47 @@ const Generate = () => {
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           {/* Generation Form */}
           <div className="lg:col-span-2 space-y-6">
-            {/* Generation Type - Image to Image Only */}
+            {/* Generation Type */}
             <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
               <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
-                Image to Image Generation
+                Generation Type
               </h3>
-              <div className="p-4 rounded-lg border-2 border-blue-500 bg-blue-50 dark:bg-blue-900/20">
-                <PhotoIcon className="w-8 h-8 mx-auto mb-2 text-purple-600" />
-                <h4 className="font-medium text-gray-900 dark:text-white text-center">Image to Image</h4>
-                <p className="text-sm text-gray-600 dark:text-gray-400 mt-1 text-center">
-                  Transform existing images with AI
-                </p>
+              <div className="grid grid-cols-2 gap-4">
+                <button
+                  type="button"
+                  onClick={() => setGenerationType('text-to-image')}
+                  className={`p-4 rounded-lg border-2 transition-all duration-200 ${
+                    generationType === 'text-to-image'
+                      ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20'
+                      : 'border-gray-200 dark:border-gray-700 hover:border-gray-300 dark:hover:border-gray-600'
+                  }`}
+                >
+                  <DocumentTextIcon className="w-8 h-8 mx-auto mb-2 text-blue-600" />
+                  <h4 className="font-medium text-gray-900 dark:text-white text-center">Text to Image</h4>
+                  <p className="text-sm text-gray-600 dark:text-gray-400 mt-1 text-center">
+                    Create images from a preset, no photo needed
+                  </p>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setGenerationType('image-to-image')}
+                  className={`p-4 rounded-lg border-2 transition-all duration-200 ${
+                    generationType === 'image-to-image'
+                      ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20'
+                      : 'border-gray-200 dark:border-gray-700 hover:border-gray-300 dark:hover:border-gray-600'
+                  }`}
+                >
+                  <PhotoIcon className="w-8 h-8 mx-auto mb-2 text-purple-600" />
+                  <h4 className="font-medium text-gray-900 dark:text-white text-center">Image to Image</h4>
+                  <p className="text-sm text-gray-600 dark:text-gray-400 mt-1 text-center">
+                    Transform existing images with AI
+                  </p>
+                </button>
               </div>
             </div>
 
             {/* Image Upload */}
+            {generationType === 'image-to-image' && (
               <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
                 <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
                   Upload Reference Image
@@ -432,6 +764,7 @@ const Generate = () => {
                   </p>
                 </div>
               </div>
+            )}
 
             {/* Prompt Input */}
             <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
@@ -448,15 +781,10 @@ const Generate = () => {
                     onChange={(e) => {
                       const cat = e.target.value;
                       console.log('🔍 [DEBUG] Category selected:', cat);
-                      console.log('🔍 [DEBUG] Available presets:', presets.map(p => ({ id: p.id, category: p.category })));
                       setSelectedCategory(cat);
                       const preset = presets.find(p => p.category === cat) || null;
                       console.log('🔍 [DEBUG] Found preset for category:', preset);
                       setSelectedPreset(preset);
-                      setPrompt(preset?.main_prompt || '');
-                      setNegativePrompt(preset?.negative_prompt || '');
-                      console.log('🔍 [DEBUG] Updated selectedPreset:', preset);
-                      console.log('🔍 [DEBUG] Button should be enabled:', !!preset);
                     }}
                     className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
                   >
@@ -467,16 +795,119 @@ const Generate = () => {
                   </select>
                 </div>
 
-              </div>
-            </div>
+                {categoryPresets.length > 1 && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                      Preset
+                    </label>
+                    <select
+                      value={selectedPreset?.id || ''}
+                      onChange={(e) => setSelectedPreset(categoryPresets.find(p => p.id === e.target.value) || null)}
+                      className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                    >
+                      {categoryPresets.map((preset) => (
+                        <option key={preset.id} value={preset.id} disabled={preset.available === false}>
+                          {preset.name}{preset.available === false ? ' (Pro)' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                {/* One field per variable the preset's template declares */}
+                {template.variables.map((variable) => (
+                  <div key={variable.name}>
+                    <label
+                      htmlFor={`variable-${variable.name}`}
+                      className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2"
+                    >
+                      {variable.label}{variable.required ? ' *' : ''}
+                    </label>
+                    {variable.type === 'choice' ? (
+                      <select
+                        id={`variable-${variable.name}`}
+                        value={variableValues[variable.name] ?? ''}
+                        onChange={(e) => updateVariable(variable.name, e.target.value)}
+                        className={variableInputClass(variable.name)}
+                      >
+                        {variable.options.map((option) => (
+                          <option key={option} value={option}>{option}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <input
+                        id={`variable-${variable.name}`}
+                        type={variable.type === 'number' ? 'number' : 'text'}
+                        min={variable.min ?? undefined}
+                        max={variable.max ?? undefined}
+                        value={variableValues[variable.name] ?? ''}
+                        onChange={(e) => updateVariable(variable.name, e.target.value)}
+                        placeholder={variable.type === 'number' && variable.min !== null && variable.max !== null
+                          ? `${variable.min}–${variable.max}`
+                          : undefined}
+                        className={variableInputClass(variable.name)}
+                      />
+                    )}
+                    {variableErrors[variable.name] && (
+                      <p className="mt-1 text-sm text-red-600 dark:text-red-400">{variableErrors[variable.name]}</p>
+                    )}
+                  </div>
+                ))}
 
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    {selectedPreset ? 'Additional details (optional)' : 'Prompt *'}
+                  </label>
+                  <textarea
+                    value={prompt}
+                    onChange={(e) => setPrompt(e.target.value)}
+                    rows={2}
+                    maxLength={1000}
+                    placeholder={selectedPreset ? 'Anything else the image should include' : 'Describe the image you want'}
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  />
+                </div>
 
+                {selectedPreset && (
+                  <div className="p-3 bg-gray-50 dark:bg-gray-700/50 border border-gray-200 dark:border-gray-700 rounded-lg">
+                    <p className="text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Prompt preview</p>
+                    <p className="text-sm text-gray-700 dark:text-gray-300 break-words">{promptPreview}</p>
+                  </div>
+                )}
+              </div>
+            </div>
 
             {/* Generate Button */}
             <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Variations
+                </label>
+                <div className="grid grid-cols-4 gap-2">
+                  {[1, 2, 3, 4].map((count) => (
+                    <button
+                      key={count}
+                      type="button"
+                      onClick={() => setVariationCount(count)}
+                      disabled={count > maxVariations}
+                      title={count > maxVariations ? 'Upgrade to Pro for more variations' : undefined}
+                      className={`py-2 rounded-lg border text-sm font-medium transition-all duration-200 disabled:opacity-40 disabled:cursor-not-allowed ${
+                        variationCount === count
+                          ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20 text-blue-700 dark:text-blue-300'
+                          : 'border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:border-gray-300 dark:hover:border-gray-600'
+                      }`}
+                    >
+                      {count}
+                    </button>
+                  ))}
+                </div>
+                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                  Each variation uses one generation from your daily quota.
+                </p>
+              </div>
               <button
                 onClick={handleGenerate}
-                disabled={isGenerating || !selectedPreset || quota?.generationsRemaining === 0}
+                disabled={isGenerating || (!selectedPreset && !prompt.trim()) || (quota && quota.generationsRemaining < variationCount)}
                 className="w-full bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 disabled:from-gray-400 disabled:to-gray-500 text-white font-medium py-4 px-6 rounded-lg transition-all duration-200 flex items-center justify-center space-x-2"
               >
                 {isGenerating ? (
@@ -487,10 +918,28 @@ const Generate = () => {
                 ) : (
                   <>
                     <SparklesIcon className="w-5 h-5" />
-                    <span>Generate Images</span>
+                    <span>{variationCount > 1 ? `Generate ${variationCount} Images` : 'Generate Images'}</span>
                   </>
                 )}
               </button>
+              {isGenerating && !isRefining && progress && (
+                <div className="mt-4 p-3 bg-gray-50 dark:bg-gray-700/50 border border-gray-200 dark:border-gray-700 rounded-lg">
+                  <p className="text-sm font-medium text-gray-900 dark:text-white flex items-center">
+                    <ClockIcon className="w-4 h-4 mr-2 text-blue-500" />
+                    {progressLabel(progress, variationCount)}
+                  </p>
+                  {progress.text && (
+                    <p className="mt-2 text-sm text-gray-600 dark:text-gray-400 whitespace-pre-wrap max-h-32 overflow-y-auto">
+                      {progress.text}
+                    </p>
+                  )}
+                </div>
+              )}
+              {quota?.generationsRemaining > 0 && quota.generationsRemaining < variationCount && (
+                <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                  Only {quota.generationsRemaining} generation(s) left today. Request fewer variations.
+                </p>
+              )}
               {quota?.generationsRemaining === 0 && (
                 <p className="mt-2 text-sm text-gray-500 dark:text-gray-400 flex items-center">
                   <CheckCircleIcon className="w-4 h-4 mr-1 text-red-500" />
@@ -556,9 +1005,14 @@ const Generate = () => {
         {/* Generated Images */}
         {generatedImages.length > 0 && (
           <div className="mt-8">
-            <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-6">
+            <h2 className={`text-2xl font-bold text-gray-900 dark:text-white ${generatedImages.length > 1 ? 'mb-2' : 'mb-6'}`}>
               Generated Images
             </h2>
+            {generatedImages.length > 1 && (
+              <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+                Star your favourite variation to make it the main image of this generation.
+              </p>
+            )}
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
               {generatedImages.map((imageUrl, index) => (
                 <div
@@ -571,6 +1025,19 @@ const Generate = () => {
                       alt={`Generated image ${index + 1}`}
                       className="w-full h-full object-cover"
                     />
+                    {generatedImages.length > 1 && (
+                      <button
+                        onClick={() => handleSelectFavorite(index)}
+                        title={favoriteIndex === index ? 'Favourite' : 'Set as favourite'}
+                        className="absolute top-2 right-2 z-10 p-2 bg-white/90 dark:bg-gray-800/90 rounded-full shadow hover:bg-white dark:hover:bg-gray-700 transition-colors"
+                      >
+                        {favoriteIndex === index ? (
+                          <StarSolidIcon className="w-5 h-5 text-yellow-400" />
+                        ) : (
+                          <StarIcon className="w-5 h-5 text-gray-600 dark:text-gray-300" />
+                        )}
+                      </button>
+                    )}
                     <div className="absolute inset-0 bg-black bg-opacity-0 group-hover:bg-opacity-20 transition-all duration-200 flex items-center justify-center">
                       <button
                         onClick={() => downloadImage(imageUrl, index)}
@@ -583,6 +1050,99 @@ const Generate = () => {
                 </div>
               ))}
             </div>
+
+            {/* Refinement */}
+            <div className="mt-6 grid grid-cols-1 lg:grid-cols-3 gap-6">
+              <div className="lg:col-span-2 bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-1 flex items-center">
+                  <PencilSquareIcon className="w-5 h-5 mr-2 text-blue-500" />
+                  Refine this result
+                </h3>
+                <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+                  Describe what to change{generatedImages.length > 1 ? ' in your starred image' : ''}. The AI keeps the earlier edits of this thread in mind.
+                </p>
+                <textarea
+                  value={refineInstruction}
+                  onChange={(e) => setRefineInstruction(e.target.value)}
+                  placeholder="e.g. make the background a sunset beach, keep the pose"
+                  rows={3}
+                  maxLength={1000}
+                  disabled={isGenerating}
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400 resize-none"
+                />
+                <button
+                  onClick={handleRefine}
+                  disabled={isGenerating || !refineInstruction.trim() || (quota && quota.generationsRemaining < variationCount)}
+                  className="mt-3 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white font-medium py-2 px-4 rounded-lg transition-colors duration-200 flex items-center space-x-2"
+                >
+                  {isRefining ? (
+                    <>
+                      <LoadingSpinner className="w-4 h-4 mr-2" />
+                      <span>Refining...</span>
+                    </>
+                  ) : (
+                    <>
+                      <SparklesIcon className="w-4 h-4" />
+                      <span>Refine</span>
+                    </>
+                  )}
+                </button>
+                {isRefining && progress && (
+                  <p className="mt-3 text-sm text-gray-600 dark:text-gray-400 flex items-center">
+                    <ClockIcon className="w-4 h-4 mr-2 text-blue-500" />
+                    {progressLabel(progress, variationCount)}
+                  </p>
+                )}
+              </div>
+
+              {thread.length > 1 && (
+                <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+                  <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-1">
+                    Thread
+                  </h3>
+                  <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+                    Step back to any turn; refining it starts a new branch.
+                  </p>
+                  <ol className="space-y-2 max-h-96 overflow-y-auto">
+                    {thread.map((turn) => (
+                      <li key={turn.id} style={{ marginLeft: `${Math.min(turn.depth, 6) * 12}px` }}>
+                        <button
+                          onClick={() => openThreadTurn(turn)}
+                          disabled={isGenerating || turn.status !== 'completed'}
+                          className={`w-full flex items-center space-x-3 p-2 rounded-lg border text-left transition-all duration-200 disabled:cursor-not-allowed ${
+                            turn.id === generationId
+                              ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20'
+                              : 'border-gray-200 dark:border-gray-700 hover:border-gray-300 dark:hover:border-gray-600'
+                          }`}
+                        >
+                          {turn.generatedImageUrl ? (
+                            <img
+                              src={turn.generatedImageUrl}
+                              alt={`Turn ${turn.turn + 1}`}
+                              className="w-12 h-12 rounded object-cover flex-shrink-0"
+                            />
+                          ) : (
+                            <div className="w-12 h-12 rounded bg-gray-100 dark:bg-gray-700 flex items-center justify-center flex-shrink-0">
+                              {turn.status === 'processing'
+                                ? <LoadingSpinner className="w-4 h-4" />
+                                : <XMarkIcon className="w-5 h-5 text-red-500" />}
+                            </div>
+                          )}
+                          <div className="flex-1 min-w-0">
+                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                              {turn.parentId ? `Refinement ${turn.turn}` : 'Original'}
+                            </p>
+                            <p className="text-sm text-gray-900 dark:text-white truncate" title={turn.prompt}>
+                              {turn.prompt}
+                            </p>
+                          </div>
+                        </button>
+                      </li>
+                    ))}
+                  </ol>
+                </div>
+              )}
+            </div>
           </div>
         )}
       </div>
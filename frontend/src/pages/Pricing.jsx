@@ -1,16 +1,107 @@
-import React from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { billingAPI } from '../services/api';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import { describeSubscription, subscriptionToneClasses } from '../utils/subscription';
 import {
   CurrencyDollarIcon,
-  ClockIcon,
-  ExclamationTriangleIcon,
   SparklesIcon,
-  CheckCircleIcon
+  CheckCircleIcon,
+  BoltIcon,
+  BeakerIcon
 } from '@heroicons/react/24/outline';
+import { toast } from 'react-hot-toast';
+
+const formatPrice = (cents, currency = 'usd') => (cents / 100).toLocaleString(undefined, {
+  style: 'currency',
+  currency: currency.toUpperCase()
+});
 
 const Pricing = () => {
+  const { user, isPaidUser, upgradeToPaid } = useAuth();
+  const [catalog, setCatalog] = useState(null);
+  const [balance, setBalance] = useState(null);
+  const [subscription, setSubscription] = useState(null);
+  const [paymentMethod, setPaymentMethod] = useState('');
+  const [pendingPurchase, setPendingPurchase] = useState(null);
+  // One idempotency key per purchase until it definitely succeeded or failed,
+  // so retrying after a network error can't charge twice
+  const purchaseKeys = useRef({});
+
+  useEffect(() => {
+    billingAPI.getCatalog()
+      .then((response) => {
+        setCatalog(response.data);
+        setPaymentMethod(response.data.testPaymentMethods[0]?.id || '');
+      })
+      .catch((error) => console.error('Error fetching pricing:', error));
+  }, []);
+
+  useEffect(() => {
+    if (!user) return;
+    billingAPI.getBalance()
+      .then((response) => setBalance(response.data.balance))
+      .catch((error) => console.error('Error fetching credit balance:', error));
+    billingAPI.getSubscription()
+      .then((response) => setSubscription(response.data.subscription))
+      .catch((error) => console.error('Error fetching subscription:', error));
+  }, [user]);
+
+  const purchaseKey = (purchaseId) => {
+    if (!purchaseKeys.current[purchaseId]) {
+      purchaseKeys.current[purchaseId] = crypto.randomUUID();
+    }
+    return purchaseKeys.current[purchaseId];
+  };
+
+  // Keep the key only when the request may not have reached the server
+  const settlePurchase = (purchaseId, error) => {
+    if (!error || error.response) {
+      delete purchaseKeys.current[purchaseId];
+    }
+    setPendingPurchase(null);
+  };
+
+  const handleBuyCredits = async (pack) => {
+    setPendingPurchase(pack.id);
+    try {
+      const response = await billingAPI.buyCredits(pack.id, paymentMethod, purchaseKey(pack.id));
+      setBalance(response.data.balance);
+      toast.success(`${pack.credits} credits added to your account`);
+      settlePurchase(pack.id);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Purchase failed');
+      settlePurchase(pack.id, error);
+    }
+  };
+
+  const handleUpgrade = async () => {
+    setPendingPurchase('pro');
+    const result = await upgradeToPaid(paymentMethod, purchaseKey('pro'));
+    // upgradeToPaid reports its own errors; the key is kept so a retry is safe
+    if (result.success) {
+      setBalance(result.user.creditBalance);
+      setSubscription(result.subscription);
+      delete purchaseKeys.current.pro;
+    }
+    setPendingPurchase(null);
+  };
+
+  if (!catalog) {
+    return (
+      <div className="flex justify-center py-24">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const { currency, proPlan, creditPacks, creditsPerGeneration, purchasesEnabled, testPaymentMethods } = catalog;
+  const subscriptionSummary = describeSubscription(subscription);
+
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
-      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
         {/* Header */}
         <div className="text-center mb-12">
           <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-4 flex items-center justify-center">
@@ -20,120 +111,138 @@ const Pricing = () => {
           <p className="text-xl text-gray-600 dark:text-gray-400">
             Simple, transparent pricing for everyone
           </p>
+          {user && balance !== null && (
+            <p className="mt-4 text-sm text-gray-600 dark:text-gray-400">
+              Credit balance: <span className="font-semibold text-gray-900 dark:text-white">{balance}</span>
+            </p>
+          )}
         </div>
 
-        {/* Current Status Card */}
-        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700 p-8 mb-8">
-          <div className="text-center">
-            <div className="inline-flex items-center justify-center w-16 h-16 bg-green-100 dark:bg-green-900 rounded-full mb-6">
-              <SparklesIcon className="w-8 h-8 text-green-600 dark:text-green-400" />
-            </div>
-            
-            <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-4">
-              Currently Free to Use!
+        {user && !purchasesEnabled && (
+          <div className="mb-8 text-center text-sm text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+            Purchases are not available right now. Please check back later.
+          </div>
+        )}
+
+        {/* Test payment methods (fake payment provider only) */}
+        {user && testPaymentMethods.length > 0 && (
+          <div className="mb-8 flex flex-col sm:flex-row items-center justify-center gap-3 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg p-4">
+            <BeakerIcon className="w-5 h-5 text-yellow-600 dark:text-yellow-400" />
+            <span className="text-sm text-yellow-800 dark:text-yellow-200">
+              Test mode — no real payments are taken. Pay with:
+            </span>
+            <select
+              value={paymentMethod}
+              onChange={(e) => setPaymentMethod(e.target.value)}
+              className="px-3 py-1 text-sm border border-yellow-300 dark:border-yellow-700 rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+            >
+              {testPaymentMethods.map((method) => (
+                <option key={method.id} value={method.id}>{method.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {/* Plans */}
+        <div className="grid md:grid-cols-2 gap-6 mb-12">
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700 p-8">
+            <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">Free</h2>
+            <p className="text-3xl font-bold text-gray-900 dark:text-white mb-6">
+              {formatPrice(0, currency)}
+            </p>
+            <ul className="space-y-3 mb-8">
+              {['Daily generation allowance', 'AI-powered image generation', 'Image management', 'Top up with credits any time'].map((feature) => (
+                <li key={feature} className="flex items-center">
+                  <CheckCircleIcon className="w-5 h-5 text-green-500 mr-3" />
+                  <span className="text-gray-700 dark:text-gray-300">{feature}</span>
+                </li>
+              ))}
+            </ul>
+            {user && !isPaidUser() && (
+              <p className="text-sm font-medium text-blue-600 dark:text-blue-400">Your current plan</p>
+            )}
+          </div>
+
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg border-2 border-purple-500 p-8">
+            <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-2 flex items-center">
+              <SparklesIcon className="w-6 h-6 mr-2 text-purple-600" />
+              {proPlan.name}
             </h2>
-            
-            <div className="bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg p-6 mb-6">
-              <div className="flex items-start">
-                <ExclamationTriangleIcon className="w-6 h-6 text-blue-600 dark:text-blue-400 mt-1 mr-3 flex-shrink-0" />
-                <div className="text-left">
-                  <h3 className="text-lg font-semibold text-blue-900 dark:text-blue-100 mb-2">
-                    Important Notice
-                  </h3>
-                  <p className="text-blue-800 dark:text-blue-200 leading-relaxed">
-                    The app is currently free to use with a limit of 5 images per day. 
-                    We are working on implementing a billing system and will keep you updated on its progress.
+            <p className="text-3xl font-bold text-gray-900 dark:text-white mb-6">
+              {formatPrice(proPlan.price, currency)}
+              <span className="text-base font-normal text-gray-600 dark:text-gray-400"> / month</span>
+            </p>
+            <ul className="space-y-3 mb-8">
+              {['Much larger daily allowance', 'More variations per request', `${proPlan.credits} credits every month`, 'Priority processing', 'Cancel any time'].map((feature) => (
+                <li key={feature} className="flex items-center">
+                  <CheckCircleIcon className="w-5 h-5 text-green-500 mr-3" />
+                  <span className="text-gray-700 dark:text-gray-300">{feature}</span>
+                </li>
+              ))}
+            </ul>
+            {!user ? (
+              <Link
+                to="/register"
+                className="inline-flex items-center px-6 py-3 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white font-medium rounded-lg transition-all duration-200"
+              >
+                Get Started
+              </Link>
+            ) : isPaidUser() ? (
+              <div>
+                <p className="text-sm font-medium text-blue-600 dark:text-blue-400">Your current plan</p>
+                {subscriptionSummary && (
+                  <p className={`mt-1 text-sm ${subscriptionToneClasses[subscriptionSummary.tone]}`}>
+                    {subscriptionSummary.text}
                   </p>
-                </div>
-              </div>
-            </div>
-
-            {/* Current Features */}
-            <div className="grid md:grid-cols-2 gap-6 mt-8">
-              <div className="text-left">
-                <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
-                  What's Included (Free)
-                </h3>
-                <ul className="space-y-3">
-                  <li className="flex items-center">
-                    <CheckCircleIcon className="w-5 h-5 text-green-500 mr-3" />
-                    <span className="text-gray-700 dark:text-gray-300">5 images per day</span>
-                  </li>
-                  <li className="flex items-center">
-                    <CheckCircleIcon className="w-5 h-5 text-green-500 mr-3" />
-                    <span className="text-gray-700 dark:text-gray-300">AI-powered image generation</span>
-                  </li>
-                  <li className="flex items-center">
-                    <CheckCircleIcon className="w-5 h-5 text-green-500 mr-3" />
-                    <span className="text-gray-700 dark:text-gray-300">Image management</span>
-                  </li>
-                  <li className="flex items-center">
-                    <CheckCircleIcon className="w-5 h-5 text-green-500 mr-3" />
-                    <span className="text-gray-700 dark:text-gray-300">High-quality downloads</span>
-                  </li>
-                  <li className="flex items-center">
-                    <CheckCircleIcon className="w-5 h-5 text-green-500 mr-3" />
-                    <span className="text-gray-700 dark:text-gray-300">Multiple art styles</span>
-                  </li>
-                </ul>
+                )}
+                <Link to="/profile" className="mt-2 inline-block text-sm text-gray-600 dark:text-gray-400 hover:underline">
+                  Manage subscription
+                </Link>
               </div>
-              
-              <div className="text-left">
-                <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
-                  Coming Soon
-                </h3>
-                <ul className="space-y-3">
-                  <li className="flex items-center">
-                    <ClockIcon className="w-5 h-5 text-yellow-500 mr-3" />
-                    <span className="text-gray-700 dark:text-gray-300">Premium subscription plans</span>
-                  </li>
-                  <li className="flex items-center">
-                    <ClockIcon className="w-5 h-5 text-yellow-500 mr-3" />
-                    <span className="text-gray-700 dark:text-gray-300">Unlimited daily generations</span>
-                  </li>
-                  <li className="flex items-center">
-                    <ClockIcon className="w-5 h-5 text-yellow-500 mr-3" />
-                    <span className="text-gray-700 dark:text-gray-300">Priority processing</span>
-                  </li>
-                  <li className="flex items-center">
-                    <ClockIcon className="w-5 h-5 text-yellow-500 mr-3" />
-                    <span className="text-gray-700 dark:text-gray-300">Advanced customization</span>
-                  </li>
-                  <li className="flex items-center">
-                    <ClockIcon className="w-5 h-5 text-yellow-500 mr-3" />
-                    <span className="text-gray-700 dark:text-gray-300">Commercial usage rights</span>
-                  </li>
-                </ul>
-              </div>
-            </div>
+            ) : (
+              <button
+                onClick={handleUpgrade}
+                disabled={pendingPurchase !== null || !purchasesEnabled}
+                className="inline-flex items-center px-6 py-3 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 disabled:opacity-60 text-white font-medium rounded-lg transition-all duration-200"
+              >
+                {pendingPurchase === 'pro' ? <LoadingSpinner size="sm" /> : <SparklesIcon className="w-5 h-5 mr-2" />}
+                <span className={pendingPurchase === 'pro' ? 'ml-2' : ''}>Upgrade to {proPlan.name}</span>
+              </button>
+            )}
           </div>
         </div>
 
-        {/* Development Status */}
+        {/* Credit packs */}
         <div className="bg-gradient-to-r from-purple-50 to-blue-50 dark:from-purple-900/20 dark:to-blue-900/20 rounded-xl p-8 border border-purple-200 dark:border-purple-800">
-          <div className="text-center">
-            <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
-              Stay Updated
+          <div className="text-center mb-8">
+            <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2 flex items-center justify-center">
+              <BoltIcon className="w-6 h-6 mr-2 text-purple-600" />
+              Credit Packs
             </h3>
-            <p className="text-gray-700 dark:text-gray-300 mb-6">
-              We're actively developing our billing system to provide you with flexible pricing options. 
-              Follow our progress and be the first to know when premium features become available.
+            <p className="text-gray-700 dark:text-gray-300">
+              Credits are used once your daily allowance runs out — {creditsPerGeneration} credit{creditsPerGeneration === 1 ? '' : 's'} per image.
+              Failed generations are refunded automatically.
             </p>
-            <div className="flex flex-col sm:flex-row gap-4 justify-center">
-              <button 
-                onClick={() => window.location.href = '/generate'}
-                className="inline-flex items-center px-6 py-3 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white font-medium rounded-lg transition-all duration-200"
-              >
-                <SparklesIcon className="w-5 h-5 mr-2" />
-                Start Creating Now
-              </button>
-              <button 
-                onClick={() => window.location.href = '/profile'}
-                className="inline-flex items-center px-6 py-3 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 font-medium rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-all duration-200"
-              >
-                View Your Usage
-              </button>
-            </div>
+          </div>
+          <div className="grid sm:grid-cols-3 gap-6">
+            {creditPacks.map((pack) => (
+              <div key={pack.id} className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-6 text-center">
+                <h4 className="text-lg font-semibold text-gray-900 dark:text-white">{pack.name}</h4>
+                <p className="mt-2 text-3xl font-bold text-gray-900 dark:text-white">{pack.credits}</p>
+                <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">credits</p>
+                {user ? (
+                  <button
+                    onClick={() => handleBuyCredits(pack)}
+                    disabled={pendingPurchase !== null || !purchasesEnabled}
+                    className="w-full inline-flex justify-center items-center px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white font-medium rounded-lg transition-colors"
+                  >
+                    {pendingPurchase === pack.id ? <LoadingSpinner size="sm" /> : `Buy for ${formatPrice(pack.price, currency)}`}
+                  </button>
+                ) : (
+                  <p className="text-sm font-medium text-gray-900 dark:text-white">{formatPrice(pack.price, currency)}</p>
+                )}
+              </div>
+            ))}
           </div>
         </div>
       </div>
@@ -141,4 +250,4 @@ const Pricing = () => {
   );
 };
 
-export default Pricing;
\ No newline at end of file
+export default Pricing;
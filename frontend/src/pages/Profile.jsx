@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
-import { authAPI, userAPI } from '../services/api';
+import { authAPI, userAPI, billingAPI, exportsAPI } from '../services/api';
+import { describeSubscription, subscriptionToneClasses } from '../utils/subscription';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
 import {
   UserIcon,
@@ -12,12 +13,48 @@ import {
   EyeIcon,
   EyeSlashIcon,
   CheckCircleIcon,
-  ExclamationTriangleIcon
+  ExclamationTriangleIcon,
+  ArrowDownTrayIcon,
+  ComputerDesktopIcon,
+  DevicePhoneMobileIcon
 } from '@heroicons/react/24/outline';
 import { toast } from 'react-hot-toast';
 
+const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Every IANA zone the browser knows, always including UTC and the user's current choice
+const getTimeZoneOptions = (current) => {
+  const zones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : [browserTimeZone];
+  return Array.from(new Set(['UTC', ...zones, current].filter(Boolean))).sort();
+};
+
+// Rough browser and OS names from a user agent, for the sessions list
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Firefox/', 'Firefox'],
+    ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari']
+  ].find(([token]) => userAgent.includes(token))?.[1] || 'Unknown browser';
+  const os = [
+    ['iPhone', 'iOS'],
+    ['iPad', 'iPadOS'],
+    ['Android', 'Android'],
+    ['Windows', 'Windows'],
+    ['Mac OS X', 'macOS'],
+    ['Linux', 'Linux']
+  ].find(([token]) => userAgent.includes(token))?.[1] || 'unknown system';
+  return {
+    label: `${browser} on ${os}`,
+    mobile: /iPhone|iPad|Android|Mobile/.test(userAgent)
+  };
+};
+
 const Profile = () => {
-  const { user, updateProfile, changePassword, isPaidUser } = useAuth();
+  const { user, updateProfile, changePassword, isPaidUser, logout } = useAuth();
   const [activeTab, setActiveTab] = useState('profile');
   const [loading, setLoading] = useState(false);
   const [showCurrentPassword, setShowCurrentPassword] = useState(false);
@@ -29,7 +66,8 @@ const Profile = () => {
     firstName: '',
     lastName: '',
     email: '',
-    bio: ''
+    bio: '',
+    timezone: 'UTC'
   });
   
   // Password form state
@@ -50,18 +88,174 @@ const Profile = () => {
   // Stats state
   const [stats, setStats] = useState(null);
 
+  // Credits ledger and subscription (billing tab)
+  const [credits, setCredits] = useState(null);
+  const [subscription, setSubscription] = useState(null);
+  const [subscriptionLoading, setSubscriptionLoading] = useState(false);
+
+  // Signed-in devices (security tab)
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(false);
+
+  // Personal data export and account deletion (security tab)
+  const [dataExport, setDataExport] = useState(null);
+  const [dataExportLoading, setDataExportLoading] = useState(false);
+  const [deletePassword, setDeletePassword] = useState('');
+  const [deleting, setDeleting] = useState(false);
+
   useEffect(() => {
     if (user) {
       setProfileForm({
         firstName: user.firstName || '',
         lastName: user.lastName || '',
         email: user.email || '',
-        bio: user.bio || ''
+        bio: user.bio || '',
+        timezone: user.timezone || 'UTC'
       });
     }
     fetchUserStats();
   }, [user]);
 
+  useEffect(() => {
+    if (activeTab === 'billing') {
+      fetchCredits();
+      fetchSubscription();
+    }
+    if (activeTab === 'security') {
+      fetchSessions();
+      fetchDataExport();
+    }
+  }, [activeTab]);
+
+  // Poll a data export until its archive is ready
+  useEffect(() => {
+    if (!dataExport || !['queued', 'running'].includes(dataExport.status)) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await exportsAPI.get(dataExport._id);
+        setDataExport(response.data.export);
+        if (response.data.export.status === 'failed') {
+          toast.error(response.data.export.errorMessage || 'Data export failed');
+        }
+      } catch (error) {
+        console.error('Error checking data export:', error);
+      }
+    }, 3000);
+    return () => clearTimeout(timer);
+  }, [dataExport]);
+
+  const fetchSessions = async () => {
+    setSessionsLoading(true);
+    try {
+      const response = await authAPI.getSessions();
+      setSessions(response.data.sessions);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+    } finally {
+      setSessionsLoading(false);
+    }
+  };
+
+  const handleRevokeSession = async (id) => {
+    try {
+      await authAPI.revokeSession(id);
+      setSessions(prev => prev.filter(session => session.id !== id));
+      toast.success('Device signed out');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to sign out device');
+    }
+  };
+
+  const handleRevokeOtherSessions = async () => {
+    try {
+      const response = await authAPI.revokeOtherSessions();
+      setSessions(prev => prev.filter(session => session.current));
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to sign out other devices');
+    }
+  };
+
+  const fetchDataExport = async () => {
+    try {
+      const response = await exportsAPI.list();
+      setDataExport(response.data.exports?.find(item => item.kind === 'account') || null);
+    } catch (error) {
+      console.error('Error fetching data exports:', error);
+    }
+  };
+
+  const handleDataExport = async () => {
+    setDataExportLoading(true);
+    try {
+      const response = await exportsAPI.createAccountExport();
+      setDataExport(response.data.export);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to start the data export');
+    } finally {
+      setDataExportLoading(false);
+    }
+  };
+
+  const fetchCredits = async () => {
+    try {
+      const [balanceResponse, transactionsResponse] = await Promise.all([
+        billingAPI.getBalance(),
+        billingAPI.getTransactions({ limit: 10 })
+      ]);
+      setCredits({
+        balance: balanceResponse.data.balance,
+        transactions: transactionsResponse.data.transactions
+      });
+    } catch (error) {
+      console.error('Error fetching credits:', error);
+    }
+  };
+
+  const fetchSubscription = async () => {
+    try {
+      const response = await billingAPI.getSubscription();
+      setSubscription(response.data.subscription);
+    } catch (error) {
+      console.error('Error fetching subscription:', error);
+    }
+  };
+
+  const handleCancelSubscription = async () => {
+    const confirmed = window.confirm(
+      'Cancel your Pro subscription? You keep Pro until the end of the current billing period.'
+    );
+    if (!confirmed) return;
+
+    setSubscriptionLoading(true);
+    try {
+      const response = await billingAPI.cancelSubscription();
+      setSubscription(response.data.subscription);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to cancel subscription');
+    } finally {
+      setSubscriptionLoading(false);
+    }
+  };
+
+  const handleResumeSubscription = async () => {
+    setSubscriptionLoading(true);
+    try {
+      const response = await billingAPI.resumeSubscription();
+      setSubscription(response.data.subscription);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to resume subscription');
+    } finally {
+      setSubscriptionLoading(false);
+    }
+  };
+
+  const subscriptionSummary = describeSubscription(subscription);
+
   const fetchUserStats = async () => {
     try {
       const response = await userAPI.getStats();
@@ -125,20 +319,24 @@ const Profile = () => {
     }
   };
 
-  const handleAccountDeactivation = async () => {
+  const handleAccountDeletion = async (e) => {
+    e.preventDefault();
+
     const confirmed = window.confirm(
-      'Are you sure you want to deactivate your account? This action cannot be undone.'
+      'Are you sure you want to delete your account? Your generations, images and billing history will be permanently deleted once the cooling-off period ends.'
     );
     
     if (!confirmed) return;
     
+    setDeleting(true);
     try {
-      await authAPI.deleteAccount();
-      toast.success('Account deactivated successfully');
-      // Redirect to login or home page
+      const response = await authAPI.deleteAccount(deletePassword);
+      await logout();
+      toast.success(response.data.message, { duration: 8000 });
       window.location.href = '/';
     } catch (error) {
-      toast.error('Failed to deactivate account');
+      toast.error(error.response?.data?.error || 'Failed to delete account');
+      setDeleting(false);
     }
   };
 
@@ -294,6 +492,37 @@ const Profile = () => {
                       />
                     </div>
                     
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                        Time Zone
+                      </label>
+                      <div className="flex items-center gap-3">
+                        <select
+                          value={profileForm.timezone}
+                          onChange={(e) => setProfileForm({...profileForm, timezone: e.target.value})}
+                          className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                        >
+                          {getTimeZoneOptions(profileForm.timezone).map((zone) => (
+                            <option key={zone} value={zone}>
+                              {zone.replace(/_/g, ' ')}
+                            </option>
+                          ))}
+                        </select>
+                        {profileForm.timezone !== browserTimeZone && (
+                          <button
+                            type="button"
+                            onClick={() => setProfileForm({...profileForm, timezone: browserTimeZone})}
+                            className="whitespace-nowrap text-sm text-blue-600 dark:text-blue-400 hover:underline"
+                          >
+                            Use {browserTimeZone.replace(/_/g, ' ')}
+                          </button>
+                        )}
+                      </div>
+                      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                        Your daily generation quota resets at midnight in this time zone. A change applies from the next reset.
+                      </p>
+                    </div>
+                    
                     <div>
                       <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
                         Bio (Optional)
@@ -431,7 +660,106 @@ const Profile = () => {
                     </div>
                   </form>
                   
-                  {/* Account Deactivation */}
+                  {/* Signed-in Devices */}
+                  <div className="mt-12 pt-6 border-t border-gray-200 dark:border-gray-700">
+                    <div className="flex items-center justify-between mb-4">
+                      <div>
+                        <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+                          Signed-in Devices
+                        </h3>
+                        <p className="text-sm text-gray-600 dark:text-gray-400">
+                          Sign out of any device you don't recognise. Changing your password signs out every other device.
+                        </p>
+                      </div>
+                      {sessions.some(session => !session.current) && (
+                        <button
+                          onClick={handleRevokeOtherSessions}
+                          className="text-sm font-medium text-red-600 dark:text-red-400 hover:underline whitespace-nowrap"
+                        >
+                          Sign out all others
+                        </button>
+                      )}
+                    </div>
+
+                    {sessionsLoading ? (
+                      <LoadingSpinner size="sm" />
+                    ) : (
+                      <ul className="divide-y divide-gray-200 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg">
+                        {sessions.map((session) => {
+                          const device = describeDevice(session.userAgent || '');
+                          const DeviceIcon = device.mobile ? DevicePhoneMobileIcon : ComputerDesktopIcon;
+                          return (
+                            <li key={session.id} className="flex items-center justify-between p-4">
+                              <div className="flex items-center">
+                                <DeviceIcon className="w-6 h-6 text-gray-400 mr-3" />
+                                <div>
+                                  <p className="text-sm font-medium text-gray-900 dark:text-white">
+                                    {device.label}
+                                    {session.current && (
+                                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300">
+                                        This device
+                                      </span>
+                                    )}
+                                  </p>
+                                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                                    {session.ipAddress || 'Unknown location'} · Last active {new Date(session.lastUsedAt).toLocaleString()} · Signed in {new Date(session.createdAt).toLocaleDateString()}
+                                  </p>
+                                </div>
+                              </div>
+                              {!session.current && (
+                                <button
+                                  onClick={() => handleRevokeSession(session.id)}
+                                  className="text-sm font-medium text-gray-600 dark:text-gray-300 hover:text-red-600 dark:hover:text-red-400"
+                                >
+                                  Sign out
+                                </button>
+                              )}
+                            </li>
+                          );
+                        })}
+                        {sessions.length === 0 && (
+                          <li className="p-4 text-sm text-gray-500 dark:text-gray-400">No active sessions.</li>
+                        )}
+                      </ul>
+                    )}
+                  </div>
+
+                  {/* Personal Data Export */}
+                  <div className="mt-12 pt-6 border-t border-gray-200 dark:border-gray-700">
+                    <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+                      Download Your Data
+                    </h3>
+                    <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+                      Get a ZIP archive of your profile, generation history with every image and original photo, quota history and billing records.
+                    </p>
+                    {dataExport && ['queued', 'running'].includes(dataExport.status) ? (
+                      <p className="text-sm text-gray-600 dark:text-gray-400 flex items-center">
+                        <LoadingSpinner size="sm" className="mr-2" />
+                        Preparing your data export...
+                      </p>
+                    ) : (
+                      <div className="flex flex-wrap items-center gap-4">
+                        <button
+                          onClick={handleDataExport}
+                          disabled={dataExportLoading}
+                          className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50 font-medium rounded-lg transition-colors"
+                        >
+                          {dataExportLoading ? 'Requesting...' : 'Request Data Export'}
+                        </button>
+                        {dataExport?.status === 'completed' && dataExport.downloadUrl && (
+                          <a
+                            href={dataExport.downloadUrl}
+                            className="inline-flex items-center text-sm font-medium text-blue-600 dark:text-blue-400 hover:underline"
+                          >
+                            <ArrowDownTrayIcon className="w-4 h-4 mr-1" />
+                            Download export from {new Date(dataExport.finishedAt).toLocaleString()}
+                          </a>
+                        )}
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Account Deletion */}
                   <div className="mt-12 pt-6 border-t border-gray-200 dark:border-gray-700">
                     <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-6">
                       <div className="flex items-start">
@@ -441,14 +769,26 @@ const Profile = () => {
                             Danger Zone
                           </h3>
                           <p className="text-red-700 dark:text-red-300 mb-4">
-                            Once you deactivate your account, there is no going back. Please be certain.
+                            Deleting your account deactivates it straight away and permanently erases all of your data after a cooling-off period. Log in again before then to change your mind. Download your data first if you want to keep it.
                           </p>
-                          <button
-                            onClick={handleAccountDeactivation}
-                            className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white font-medium rounded-lg transition-colors"
-                          >
-                            Deactivate Account
-                          </button>
+                          <form onSubmit={handleAccountDeletion} className="flex flex-wrap items-center gap-3">
+                            <input
+                              type="password"
+                              value={deletePassword}
+                              onChange={(e) => setDeletePassword(e.target.value)}
+                              placeholder="Confirm with your password"
+                              autoComplete="current-password"
+                              required
+                              className="px-4 py-2 border border-red-300 dark:border-red-700 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                            />
+                            <button
+                              type="submit"
+                              disabled={deleting || !deletePassword}
+                              className="px-4 py-2 bg-red-600 hover:bg-red-700 disabled:bg-red-400 text-white font-medium rounded-lg transition-colors"
+                            >
+                              {deleting ? 'Deleting...' : 'Delete Account'}
+                            </button>
+                          </form>
                         </div>
                       </div>
                     </div>
@@ -518,6 +858,11 @@ const Profile = () => {
                           <p className="text-gray-600 dark:text-gray-400">
                             {isPaidUser() ? 'Pro Plan' : 'Free Plan'}
                           </p>
+                          {subscriptionSummary && (
+                            <p className={`mt-1 text-sm ${subscriptionToneClasses[subscriptionSummary.tone]}`}>
+                              {subscriptionSummary.text}
+                            </p>
+                          )}
                         </div>
                         <div className="text-right">
                           <p className="text-2xl font-bold text-gray-900 dark:text-white">
@@ -530,6 +875,43 @@ const Profile = () => {
                       </div>
                     </div>
                     
+                    {/* Credits */}
+                    <div>
+                      <div className="flex items-center justify-between mb-4">
+                        <h4 className="text-md font-medium text-gray-900 dark:text-white">
+                          Credits
+                        </h4>
+                        <span className="text-sm text-gray-600 dark:text-gray-400">
+                          Balance: <span className="font-semibold text-gray-900 dark:text-white">{credits ? credits.balance : '…'}</span>
+                        </span>
+                      </div>
+                      {credits && credits.transactions.length > 0 ? (
+                        <div className="divide-y divide-gray-200 dark:divide-gray-700">
+                          {credits.transactions.map((transaction) => (
+                            <div key={transaction._id} className="flex justify-between items-center py-2">
+                              <div>
+                                <p className="text-sm text-gray-700 dark:text-gray-300">
+                                  {transaction.description || transaction.type}
+                                </p>
+                                <p className="text-xs text-gray-500 dark:text-gray-400">
+                                  {new Date(transaction.createdAt).toLocaleString()}
+                                </p>
+                              </div>
+                              <span className={`text-sm font-medium ${
+                                transaction.amount >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'
+                              }`}>
+                                {transaction.amount >= 0 ? '+' : ''}{transaction.amount}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      ) : (
+                        <p className="text-sm text-gray-600 dark:text-gray-400">
+                          No credit activity yet. Credits are used once your daily allowance runs out.
+                        </p>
+                      )}
+                    </div>
+
                     {/* Plan Features */}
                     <div>
                       <h4 className="text-md font-medium text-gray-900 dark:text-white mb-4">
@@ -564,11 +946,25 @@ const Profile = () => {
                     
                     {/* Action Button */}
                     <div className="pt-6">
-                      {isPaidUser() ? (
-                        <button className="px-6 py-2 bg-red-600 hover:bg-red-700 text-white font-medium rounded-lg transition-colors">
-                          Cancel Subscription
-                        </button>
-                      ) : (
+                      {subscription?.entitled && subscription.status === 'active' ? (
+                        subscription.cancelAtPeriodEnd ? (
+                          <button
+                            onClick={handleResumeSubscription}
+                            disabled={subscriptionLoading}
+                            className="px-6 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white font-medium rounded-lg transition-colors"
+                          >
+                            {subscriptionLoading ? <LoadingSpinner size="sm" /> : 'Resume Subscription'}
+                          </button>
+                        ) : (
+                          <button
+                            onClick={handleCancelSubscription}
+                            disabled={subscriptionLoading}
+                            className="px-6 py-2 bg-red-600 hover:bg-red-700 disabled:bg-red-400 text-white font-medium rounded-lg transition-colors"
+                          >
+                            {subscriptionLoading ? <LoadingSpinner size="sm" /> : 'Cancel Subscription'}
+                          </button>
+                        )
+                      ) : isPaidUser() ? null : (
                         <button 
                           onClick={() => window.location.href = '/pricing'}
                           className="px-6 py-2 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white font-medium rounded-lg transition-all duration-200"
@@ -108,10 +108,12 @@ const Register = () => {
         lastName: formData.lastName,
         email: formData.email,
         password: formData.password,
-        subscribeNewsletter: formData.subscribeNewsletter
+        subscribeNewsletter: formData.subscribeNewsletter,
+        // Daily quota resets at midnight in this zone; editable later in Profile
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
       });
       navigate('/dashboard', { replace: true });
-      toast.success('Account created successfully! Welcome to Vibra AI!');
+      toast.success('Account created! Check your inbox to confirm your email address.');
     } catch (error) {
       toast.error(error.message || 'Registration failed');
     } finally {
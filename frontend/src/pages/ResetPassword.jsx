@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import {
+  KeyIcon,
+  EyeIcon,
+  EyeSlashIcon,
+  CheckCircleIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+
+// Same rules the API enforces for new passwords
+const PASSWORD_RULES = [
+  { label: 'At least 8 characters', test: (password) => password.length >= 8 },
+  { label: 'One lowercase letter', test: (password) => /[a-z]/.test(password) },
+  { label: 'One uppercase letter', test: (password) => /[A-Z]/.test(password) },
+  { label: 'One number', test: (password) => /\d/.test(password) },
+  { label: 'One special character (@$!%*?&)', test: (password) => /[@$!%*?&]/.test(password) }
+];
+
+// Step 2 of a password reset: the link from the email lands here with its token
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [status, setStatus] = useState('checking'); // checking | ready | invalid | done
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  // Check the link before asking for a password, so an expired one says so straight away
+  useEffect(() => {
+    if (!token) {
+      setStatus('invalid');
+      return;
+    }
+
+    authAPI.checkResetToken(token)
+      .then((response) => {
+        setEmail(response.data.email);
+        setStatus('ready');
+      })
+      .catch(() => setStatus('invalid'));
+  }, [token]);
+
+  const rulesMet = PASSWORD_RULES.every(rule => rule.test(password));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError(null);
+
+    if (password !== confirmPassword) {
+      setFormError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await authAPI.resetPassword(token, password);
+      setStatus('done');
+    } catch (error) {
+      if (error.response?.status === 400 && !error.response.data?.details) {
+        // Used or expired while the form was open
+        setStatus('invalid');
+      } else {
+        setFormError(error.response?.data?.details?.[0]?.msg || error.response?.data?.error || 'Password reset failed');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 dark:from-gray-900 dark:via-gray-800 dark:to-gray-900 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        {/* Header */}
+        <div className="text-center">
+          <div className="flex items-center justify-center mb-6">
+            <div className="bg-gradient-to-r from-blue-500 to-purple-600 p-3 rounded-2xl">
+              <KeyIcon className="w-8 h-8 text-white" />
+            </div>
+          </div>
+          <h2 className="text-3xl font-bold text-gray-900 dark:text-white">
+            Choose a new password
+          </h2>
+          {email && status === 'ready' && (
+            <p className="mt-2 text-gray-600 dark:text-gray-400">
+              for {email}
+            </p>
+          )}
+        </div>
+
+        <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700 p-8">
+          {status === 'checking' && (
+            <div className="flex justify-center py-6">
+              <LoadingSpinner size="lg" text="Checking your link..." />
+            </div>
+          )}
+
+          {status === 'invalid' && (
+            <div className="text-center space-y-4">
+              <ExclamationTriangleIcon className="w-12 h-12 text-amber-500 mx-auto" />
+              <p className="text-gray-700 dark:text-gray-300">
+                This password reset link is invalid, has expired or has already been used.
+              </p>
+              <Link
+                to="/forgot-password"
+                className="inline-block text-blue-600 dark:text-blue-400 hover:underline font-medium"
+              >
+                Request a new link
+              </Link>
+            </div>
+          )}
+
+          {status === 'done' && (
+            <div className="text-center space-y-4">
+              <CheckCircleIcon className="w-12 h-12 text-green-500 mx-auto" />
+              <p className="text-gray-700 dark:text-gray-300">
+                Your password has been reset and every device has been signed out.
+              </p>
+              <Link
+                to="/login"
+                className="inline-block py-2 px-4 rounded-lg text-sm font-medium text-white bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700"
+              >
+                Sign in
+              </Link>
+            </div>
+          )}
+
+          {status === 'ready' && (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  New password
+                </label>
+                <div className="relative">
+                  <input
+                    id="password"
+                    name="password"
+                    type={showPassword ? 'text' : 'password'}
+                    autoComplete="new-password"
+                    required
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="block w-full pl-3 pr-10 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                  >
+                    {showPassword ? (
+                      <EyeSlashIcon className="h-5 w-5 text-gray-400" />
+                    ) : (
+                      <EyeIcon className="h-5 w-5 text-gray-400" />
+                    )}
+                  </button>
+                </div>
+                <ul className="mt-2 space-y-1">
+                  {PASSWORD_RULES.map(rule => (
+                    <li
+                      key={rule.label}
+                      className={`text-xs flex items-center ${rule.test(password) ? 'text-green-600 dark:text-green-400' : 'text-gray-500 dark:text-gray-400'}`}
+                    >
+                      <CheckCircleIcon className="w-4 h-4 mr-1" />
+                      {rule.label}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              <div>
+                <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Confirm new password
+                </label>
+                <input
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  type={showPassword ? 'text' : 'password'}
+                  autoComplete="new-password"
+                  required
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  className="block w-full px-3 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                />
+              </div>
+
+              {formError && (
+                <p className="text-sm text-red-600 dark:text-red-400">{formError}</p>
+              )}
+
+              <button
+                type="submit"
+                disabled={loading || !rulesMet}
+                className="w-full flex justify-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+              >
+                {loading ? (
+                  <>
+                    <LoadingSpinner size="sm" />
+                    <span className="ml-2">Saving...</span>
+                  </>
+                ) : (
+                  'Reset password'
+                )}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,103 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../services/api';
+import {
+  EnvelopeIcon,
+  CheckCircleIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+
+// The link in the verification email lands here, signed in or not
+const VerifyEmail = () => {
+  const { user, updateUser } = useAuth();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [status, setStatus] = useState('verifying'); // verifying | verified | invalid
+  const [email, setEmail] = useState('');
+  // Tokens work once, so the request must not be repeated when effects run twice
+  const submittedRef = useRef(false);
+
+  useEffect(() => {
+    if (submittedRef.current) return;
+    submittedRef.current = true;
+
+    if (!token) {
+      setStatus('invalid');
+      return;
+    }
+
+    authAPI.verifyEmail(token)
+      .then((response) => {
+        setEmail(response.data.email);
+        setStatus('verified');
+        if (user && user.email === response.data.email) {
+          updateUser({ emailVerified: true });
+        }
+      })
+      .catch(() => setStatus('invalid'));
+  }, [token]);
+
+  const handleResend = async () => {
+    try {
+      await authAPI.resendVerification();
+    } catch (error) {
+      console.error('Error resending verification email:', error);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700 p-8 text-center space-y-4">
+        {status === 'verifying' && (
+          <LoadingSpinner size="lg" text="Confirming your email address..." />
+        )}
+
+        {status === 'verified' && (
+          <>
+            <CheckCircleIcon className="w-12 h-12 text-green-500 mx-auto" />
+            <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Email confirmed</h2>
+            <p className="text-gray-600 dark:text-gray-400">
+              {email} is now confirmed for your Vibra AI account.
+            </p>
+            <Link
+              to={user ? '/dashboard' : '/login'}
+              className="inline-block py-2 px-4 rounded-lg text-sm font-medium text-white bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700"
+            >
+              {user ? 'Go to dashboard' : 'Sign in'}
+            </Link>
+          </>
+        )}
+
+        {status === 'invalid' && (
+          <>
+            <ExclamationTriangleIcon className="w-12 h-12 text-amber-500 mx-auto" />
+            <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Link not valid</h2>
+            <p className="text-gray-600 dark:text-gray-400">
+              This verification link is invalid, has expired or has already been used.
+            </p>
+            {user && !user.emailVerified ? (
+              <button
+                onClick={handleResend}
+                className="inline-flex items-center py-2 px-4 rounded-lg text-sm font-medium text-white bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700"
+              >
+                <EnvelopeIcon className="w-4 h-4 mr-2" />
+                Send a new link
+              </button>
+            ) : (
+              <Link
+                to={user ? '/dashboard' : '/login'}
+                className="inline-block text-blue-600 dark:text-blue-400 hover:underline font-medium"
+              >
+                {user ? 'Go to dashboard' : 'Sign in to get a new link'}
+              </Link>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
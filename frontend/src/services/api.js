@@ -10,18 +10,49 @@ const baseURL = import.meta.env.DEV
 const api = axios.create({
   baseURL,
   timeout: 30000, // 30 seconds timeout
+  withCredentials: true, // the refresh token travels in an httpOnly cookie
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+// The short-lived access token is only kept in memory; a page load gets a new
+// one from the refresh cookie
+let accessToken = null;
+
+export const setAccessToken = (token) => {
+  accessToken = token || null;
+};
+
+export const getAccessToken = () => accessToken;
+
+// Requests that manage the session themselves and must not trigger a refresh
+const SESSION_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+const isSessionRequest = (url = '') => SESSION_ENDPOINTS.some(endpoint => url.includes(endpoint));
+
+// Exchange the refresh cookie for a new access token. Concurrent callers share
+// one request, since the cookie is replaced on every refresh.
+let refreshPromise = null;
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios.post(`${baseURL}/auth/refresh`, null, { withCredentials: true })
+      .then((response) => {
+        setAccessToken(response.data.token);
+        return response.data;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
     // Add auth token if available
-    const token = localStorage.getItem('token');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
+    if (accessToken) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
     }
 
     // Log request in development
@@ -47,12 +78,25 @@ api.interceptors.response.use(
 
     return response;
   },
-  (error) => {
+  async (error) => {
     // Log error in development
     if (import.meta.env.DEV) {
       console.error(`❌ ${error.config?.method?.toUpperCase()} ${error.config?.url}`, error.response?.data);
     }
 
+    // An expired access token is renewed once from the refresh cookie and the
+    // request replayed; if that fails the session really is over
+    const { config } = error;
+    if (error.response?.status === 401 && config && !config._retried && !isSessionRequest(config.url)) {
+      config._retried = true;
+      try {
+        await refreshSession();
+        return api(config);
+      } catch (refreshError) {
+        // Handled as an expired session below
+      }
+    }
+
     // Handle different error types
     if (error.response) {
       // Server responded with error status
@@ -60,9 +104,8 @@ api.interceptors.response.use(
 
       switch (status) {
         case 401:
-          // Unauthorized - token expired or invalid
-          localStorage.removeItem('token');
-          delete api.defaults.headers.common['Authorization'];
+          // Unauthorized - session expired or revoked
+          setAccessToken(null);
           
           // Only redirect to login if not already on auth pages
           if (!window.location.pathname.includes('/login') && 
@@ -121,6 +164,14 @@ export const authAPI = {
   updateProfile: (data) => api.put('/auth/profile', data),
   changePassword: (data) => api.put('/auth/password', data),
   deleteAccount: (password) => api.delete('/auth/account', { data: { password } }),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/verify-email/resend'),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  checkResetToken: (token) => api.post('/auth/reset-password/check', { token }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  revokeOtherSessions: () => api.delete('/auth/sessions'),
 };
 
 export const userAPI = {
@@ -128,42 +179,132 @@ export const userAPI = {
   getGenerations: (params) => api.get('/user/generations', { params }),
   getGeneration: (id) => api.get(`/user/generations/${id}`),
   deleteGeneration: (id) => api.delete(`/user/generations/${id}`),
+  deleteGenerations: (ids) => api.post('/user/generations/bulk-delete', { ids }),
+  getGenerationFacets: () => api.get('/user/generations/facets'),
   getStats: () => api.get('/user/stats'),
   getTierInfo: () => api.get('/user/tier-info'),
-  upgrade: () => api.post('/user/upgrade'),
+};
+
+// Billing API calls. Purchases carry an idempotency key so a retried request
+// (double click, flaky network) can't charge twice.
+export const billingAPI = {
+  getCatalog: () => api.get('/billing/catalog'),
+  getBalance: () => api.get('/billing/balance'),
+  getTransactions: (params) => api.get('/billing/transactions', { params }),
+  buyCredits: (packId, paymentMethod, idempotencyKey) => api.post(
+    '/billing/credits',
+    { packId, paymentMethod },
+    { headers: { 'Idempotency-Key': idempotencyKey } }
+  ),
+  upgrade: (paymentMethod, idempotencyKey) => api.post(
+    '/billing/upgrade',
+    { paymentMethod },
+    { headers: { 'Idempotency-Key': idempotencyKey } }
+  ),
+  getSubscription: () => api.get('/billing/subscription'),
+  cancelSubscription: () => api.post('/billing/subscription/cancel'),
+  resumeSubscription: () => api.post('/billing/subscription/resume'),
+};
+
+// Read a generation's Server-Sent Events stream. EventSource can't send the
+// Authorization header, so the stream is consumed with fetch instead.
+const streamGeneration = async (id, onEvent, { signal } = {}) => {
+  const response = await fetch(`${baseURL}/generate/stream/${id}`, {
+    headers: {
+      Accept: 'text/event-stream',
+      ...(accessToken && { Authorization: `Bearer ${accessToken}` }),
+    },
+    credentials: 'include',
+    signal,
+  });
+
+  if (!response.ok || !response.body) {
+    throw new Error(`Progress stream unavailable (${response.status})`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line; comment lines (heartbeats) carry no data
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let type = 'message';
+      const dataLines = [];
+      rawEvent.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) type = line.slice(6).trim();
+        if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+      });
+
+      if (dataLines.length > 0) {
+        onEvent(type, JSON.parse(dataLines.join('\n')));
+      }
+    }
+  }
 };
 
 export const generateAPI = {
   getPresets: () => api.get('/generate/presets'),
+  textToImage: (data) => api.post('/generate/text-to-image', data),
   imageToImage: (formData) => api.post('/generate/image-to-image', formData, {
     headers: {
       'Content-Type': 'multipart/form-data',
     },
   }),
   getStatus: (id) => api.get(`/generate/status/${id}`),
+  stream: streamGeneration,
   retry: (id) => api.post(`/generate/retry/${id}`),
+  refine: (id, data) => api.post(`/generate/${id}/refine`, data),
+  getThread: (id) => api.get(`/generate/${id}/thread`),
+  setFavorite: (id, index) => api.put(`/generate/favorite/${id}`, { index }),
+};
+
+// ZIP exports: small selections download directly, larger ones are built in the background
+export const exportsAPI = {
+  download: (data) => api.post('/exports/download', data, { responseType: 'blob' }),
+  create: (data) => api.post('/exports', data),
+  list: () => api.get('/exports'),
+  get: (id) => api.get(`/exports/${id}`),
+  createAccountExport: () => api.post('/exports/account'),
 };
 
 export const adminAPI = {
   getUsers: (params) => api.get('/user/admin/users', { params }),
   updateUserTier: (userId, tier) => api.put(`/user/admin/users/${userId}/tier`, { tier }),
   updateUserStatus: (userId, isActive) => api.put(`/user/admin/users/${userId}/status`, { isActive }),
+  getStorageReport: () => api.get('/user/admin/storage'),
+  runStorageReaper: () => api.post('/user/admin/storage/reap'),
+  getPresets: (params) => api.get('/prompts/admin/presets', { params }),
+  getPreset: (slug) => api.get(`/prompts/admin/presets/${slug}`),
+  createPreset: (preset) => api.post('/prompts/admin/presets', preset),
+  updatePreset: (slug, changes) => api.put(`/prompts/admin/presets/${slug}`, changes),
+  deactivatePreset: (slug) => api.delete(`/prompts/admin/presets/${slug}`),
+  importPresets: (file, { dryRun = false, allowTierChanges = false } = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post('/prompts/admin/presets/import', formData, {
+      params: { dryRun, allowTierChanges },
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+  exportPresets: (format = 'csv') => api.get('/prompts/admin/presets/export', {
+    params: { format },
+    responseType: 'blob'
+  }),
 };
 
 // Utility functions
-export const setAuthToken = (token) => {
-  if (token) {
-    api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-    localStorage.setItem('token', token);
-  } else {
-    delete api.defaults.headers.common['Authorization'];
-    localStorage.removeItem('token');
-  }
-};
+export const setAuthToken = setAccessToken;
 
-export const getAuthToken = () => {
-  return localStorage.getItem('token');
-};
+export const getAuthToken = getAccessToken;
 
 export const isTokenExpired = (token) => {
   if (!token) return true;
@@ -0,0 +1,30 @@
+// Save an image to the user's device. Signed /api/files links go through the API
+// proxy; legacy relative paths are fetched from the backend directly.
+const downloadImage = async (imageUrl, baseName) => {
+  const fetchUrl = imageUrl.startsWith('http') || imageUrl.startsWith('/api/')
+    ? imageUrl
+    : `http://localhost:5000${imageUrl}`;
+
+  const response = await fetch(fetchUrl);
+  if (!response.ok) {
+    throw new Error(`Download failed (${response.status})`);
+  }
+  const blob = await response.blob();
+
+  const extension = (blob.type && blob.type.split('/')[1]) || 'jpg';
+  saveBlob(blob, `${baseName}.${extension === 'jpeg' ? 'jpg' : extension}`);
+};
+
+// Hand a blob to the browser as a file download
+export const saveBlob = (blob, fileName) => {
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(url);
+  document.body.removeChild(a);
+};
+
+export default downloadImage;
@@ -0,0 +1,35 @@
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+// One-line summary of a subscription from GET /billing/subscription, with a
+// tone for styling; null when there is nothing to say
+export const describeSubscription = (subscription) => {
+  if (!subscription) return null;
+
+  switch (subscription.status) {
+    case 'active':
+      return subscription.cancelAtPeriodEnd
+        ? { tone: 'warning', text: `Canceled — Pro until ${formatDate(subscription.currentPeriodEnd)}` }
+        : { tone: 'normal', text: `Renews on ${formatDate(subscription.currentPeriodEnd)}` };
+    case 'past_due':
+      return subscription.entitled
+        ? { tone: 'error', text: `Payment failed — Pro until ${formatDate(subscription.gracePeriodEndsAt)} unless the renewal goes through` }
+        : { tone: 'error', text: 'Payment failed — subscription ended' };
+    case 'canceled':
+      return { tone: 'muted', text: `Subscription ended on ${formatDate(subscription.endedAt || subscription.currentPeriodEnd)}` };
+    case 'expired':
+      return { tone: 'muted', text: `Subscription expired on ${formatDate(subscription.endedAt || subscription.currentPeriodEnd)}` };
+    default:
+      return null;
+  }
+};
+
+export const subscriptionToneClasses = {
+  normal: 'text-gray-600 dark:text-gray-400',
+  warning: 'text-yellow-700 dark:text-yellow-400',
+  error: 'text-red-600 dark:text-red-400',
+  muted: 'text-gray-500 dark:text-gray-500'
+};
@@ -0,0 +1,75 @@
+import { useState, useEffect, useRef } from 'react';
+import { userAPI } from '../services/api';
+import quotaEvents from './quotaEvents';
+
+// Today's quota for the signed-in user, refreshed whenever a quota event fires
+export const useQuota = (user) => {
+  const [quota, setQuota] = useState(null);
+
+  const fetchQuota = async () => {
+    try {
+      const response = await userAPI.getQuota();
+      setQuota(response.data.quota);
+    } catch (error) {
+      console.error('Error fetching quota:', error);
+    }
+  };
+
+  useEffect(() => {
+    if (user) {
+      fetchQuota();
+    } else {
+      setQuota(null);
+    }
+  }, [user]);
+
+  // Listen for quota update events
+  useEffect(() => {
+    const unsubscribe = quotaEvents.addListener(fetchQuota);
+    return unsubscribe;
+  }, []);
+
+  return quota;
+};
+
+// Compact duration such as "5h 12m" or "42s"
+export const formatCountdown = (milliseconds) => {
+  const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+};
+
+// Live countdown to the quota reset. When the window rolls over, quota
+// widgets are asked to refetch so they pick up the new day's allowance.
+export const useResetCountdown = (resetAt) => {
+  const [now, setNow] = useState(Date.now());
+  const announcedReset = useRef(null);
+
+  const remaining = resetAt ? new Date(resetAt).getTime() - now : null;
+
+  useEffect(() => {
+    if (!resetAt) return undefined;
+
+    // Seconds only matter in the last hour
+    const interval = remaining !== null && remaining > 60 * 60 * 1000 ? 30000 : 1000;
+    const timer = setInterval(() => setNow(Date.now()), interval);
+    return () => clearInterval(timer);
+  }, [resetAt, remaining !== null && remaining > 60 * 60 * 1000]);
+
+  useEffect(() => {
+    if (remaining !== null && remaining <= 0 && announcedReset.current !== resetAt) {
+      announcedReset.current = resetAt;
+      quotaEvents.emit();
+    }
+  }, [resetAt, remaining]);
+
+  return {
+    remaining,
+    label: remaining === null ? null : formatCountdown(remaining)
+  };
+};
@@ -1,11 +1,16 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { sharedFsAllow, sharedModules } from './vite.shared.js'
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), sharedModules()],
   server: {
     port: 3000,
+    // Preset templates are rendered with the module the backend uses (../shared)
+    fs: {
+      allow: sharedFsAllow()
+    },
     proxy: {
       '/api': {
         target: 'http://localhost:5000',
@@ -1,9 +1,10 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { sharedFsAllow, sharedModules } from './vite.shared.js'
 
 // Simple static build config for direct Netlify upload
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), sharedModules()],
   base: './', // Use relative paths for static hosting
   build: {
     outDir: '../netlify-build', // Build to root level for easy upload
@@ -26,7 +27,10 @@ export default defineConfig({
     'process.env.NODE_ENV': '"production"'
   },
   server: {
-    host: '0.0.0.0',
-    port: 3000
+    port: 3000,
+    // Preset templates are rendered with the module the backend uses (../shared)
+    fs: {
+      allow: sharedFsAllow()
+    }
   }
 })
\ No newline at end of file
@@ -0,0 +1,37 @@
+import { createRequire } from 'module'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { searchForWorkspaceRoot } from 'vite'
+
+const require = createRequire(import.meta.url)
+const frontendDir = path.dirname(fileURLToPath(import.meta.url))
+const sharedDir = path.resolve(frontendDir, '../shared')
+
+// ../shared holds code the backend uses too (e.g. the preset template renderer).
+// The backend is CommonJS, so those files are as well; this serves them to the
+// browser as ES modules with the same named exports.
+export const sharedModules = () => ({
+  name: 'vibra-shared-modules',
+  transform(code, id) {
+    const file = id.split('?')[0]
+    if (!file.startsWith(sharedDir + path.sep) || !file.endsWith('.js')) return null
+
+    delete require.cache[file]
+    const names = Object.keys(require(file))
+    return {
+      code: [
+        'const __shared = {};',
+        '(function (module, exports) {',
+        code,
+        '})(__shared, __shared.exports = {});',
+        'export default __shared.exports;',
+        `export const { ${names.join(', ')} } = __shared.exports;`
+      ].join('\n'),
+      map: null
+    }
+  }
+})
+
+// What the dev server may read from disk: the frontend itself and ../shared,
+// not the rest of the repository (backend .env, uploads and so on)
+export const sharedFsAllow = () => [searchForWorkspaceRoot(frontendDir), sharedDir]
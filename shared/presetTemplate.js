@@ -0,0 +1,221 @@
+// Preset prompt templates, shared by the backend (which renders the prompt it
+// sends to the model) and the frontend (which builds the variable form and a preview).
+//
+// A template is plain prompt text with variables in double braces:
+//
+//   {{subject}}                        text, required
+//   {{subject=a person}}               text with a default
+//   {{era:choice(70s,80s,90s)}}        one of the options; defaults to the first
+//   {{intensity:number}}               a number, required
+//   {{intensity:number(1,10)=5}}       a number between 1 and 10, defaulting to 5
+//
+// A variable is declared once; later mentions can be bare ({{era}}).
+//
+// CommonJS so the backend can require() it on any Node version; the frontend's
+// Vite config serves it to the browser as an ES module (frontend/vite.shared.js).
+
+const VARIABLE_PATTERN = /\{\{([^{}]*)\}\}/g;
+const DECLARATION_PATTERN = /^\s*([A-Za-z][A-Za-z0-9_]*)\s*(?::\s*([a-z]+)\s*(?:\(([^()]*)\))?\s*)?(?:=(.*))?$/;
+const NAME_MAX_LENGTH = 32;
+const TEXT_MAX_LENGTH = 200;
+const TYPES = ['text', 'number', 'choice'];
+
+class TemplateError extends Error {
+  constructor(message, fields = {}) {
+    super(message);
+    this.name = 'TemplateError';
+    this.statusCode = 400;
+    this.fields = fields;
+  }
+}
+
+// "hair_color" -> "Hair color"
+const toLabel = (name) => {
+  const words = name.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const parseNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || value.trim() === '') return NaN;
+  return Number(value.trim());
+};
+
+// Turn the inside of {{...}} into a variable definition, or explain what's wrong with it
+const parseDeclaration = (source) => {
+  const match = source.match(DECLARATION_PATTERN);
+  if (!match) {
+    throw new TemplateError(`"{{${source}}}" is not a valid variable; use {{name}}, {{name:type}} or {{name=default}}`);
+  }
+
+  const [, name, type, args, defaultValue] = match;
+  if (name.length > NAME_MAX_LENGTH) {
+    throw new TemplateError(`Variable name "${name}" is longer than ${NAME_MAX_LENGTH} characters`);
+  }
+  if (type && !TYPES.includes(type)) {
+    throw new TemplateError(`Variable "${name}" has unknown type "${type}" (use ${TYPES.join(', ')})`);
+  }
+
+  const variable = {
+    name,
+    label: toLabel(name),
+    type: type || 'text',
+    declared: Boolean(type || args !== undefined || defaultValue !== undefined)
+  };
+  const argList = args === undefined ? [] : args.split(',').map(arg => arg.trim());
+
+  if (variable.type === 'choice') {
+    const options = argList.filter(Boolean);
+    if (options.length < 2) {
+      throw new TemplateError(`Choice variable "${name}" needs at least two options, e.g. {{${name}:choice(a,b)}}`);
+    }
+    if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+      throw new TemplateError(`Choice variable "${name}" lists the same option twice`);
+    }
+    variable.options = options;
+  } else if (variable.type === 'number') {
+    if (argList.length > 2) {
+      throw new TemplateError(`Number variable "${name}" takes at most a minimum and a maximum`);
+    }
+    const [min, max] = argList.map(arg => (arg === '' ? null : parseNumber(arg)));
+    if ([min, max].some(bound => bound !== undefined && bound !== null && !Number.isFinite(bound))) {
+      throw new TemplateError(`Number variable "${name}" has a range that isn't numeric`);
+    }
+    if (min !== undefined && min !== null && max !== undefined && max !== null && min > max) {
+      throw new TemplateError(`Number variable "${name}" has a minimum above its maximum`);
+    }
+    variable.min = min ?? null;
+    variable.max = max ?? null;
+  } else if (argList.length > 0) {
+    throw new TemplateError(`Text variable "${name}" doesn't take arguments`);
+  }
+
+  if (defaultValue !== undefined) {
+    const { value, error } = coerceValue(variable, defaultValue);
+    if (error) {
+      throw new TemplateError(`Default for "${name}" is invalid: ${error}`);
+    }
+    variable.default = value;
+  } else {
+    variable.default = variable.type === 'choice' ? variable.options[0] : null;
+  }
+  variable.required = variable.default === null;
+
+  return variable;
+};
+
+// Check one value against its variable; returns { value } or { error }
+const coerceValue = (variable, raw) => {
+  const text = raw === undefined || raw === null ? '' : String(raw).replace(/\s+/g, ' ').trim();
+
+  switch (variable.type) {
+    case 'number': {
+      const number = parseNumber(text);
+      if (!Number.isFinite(number)) return { error: 'must be a number' };
+      if (variable.min !== null && variable.min !== undefined && number < variable.min) {
+        return { error: `must be at least ${variable.min}` };
+      }
+      if (variable.max !== null && variable.max !== undefined && number > variable.max) {
+        return { error: `must be at most ${variable.max}` };
+      }
+      return { value: String(number) };
+    }
+    case 'choice': {
+      const option = variable.options.find(candidate => candidate.toLowerCase() === text.toLowerCase());
+      return option ? { value: option } : { error: `must be one of ${variable.options.join(', ')}` };
+    }
+    default:
+      if (text.length > TEXT_MAX_LENGTH) return { error: `must be ${TEXT_MAX_LENGTH} characters or fewer` };
+      return { value: text };
+  }
+};
+
+// Split a template into text and variable segments and collect its variables.
+// Throws a TemplateError if a variable is malformed or declared twice differently.
+const parseTemplate = (template = '') => {
+  const segments = [];
+  const variables = new Map();
+  let lastIndex = 0;
+
+  for (const match of String(template).matchAll(VARIABLE_PATTERN)) {
+    if (match.index > lastIndex) {
+      segments.push({ text: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + match[0].length;
+
+    const variable = parseDeclaration(match[1]);
+    const existing = variables.get(variable.name);
+    if (!existing || (!existing.declared && variable.declared)) {
+      variables.set(variable.name, variable);
+    } else if (variable.declared && existing.declared && match[1].trim() !== existing.source) {
+      throw new TemplateError(`Variable "${variable.name}" is declared twice with different settings`);
+    }
+    variable.source = match[1].trim();
+    segments.push({ variable: variable.name });
+  }
+
+  if (lastIndex < String(template).length) {
+    segments.push({ text: String(template).slice(lastIndex) });
+  }
+
+  return {
+    segments,
+    variables: [...variables.values()].map(({ declared, source, ...variable }) => variable)
+  };
+};
+
+// The template's variables, in the order they first appear
+const templateVariables = (template) => parseTemplate(template).variables;
+
+// Validate user values against a template's variables. Missing values fall
+// back to defaults; returns { values, errors } with one message per bad field.
+const validateVariables = (variables, input = {}) => {
+  const values = {};
+  const errors = {};
+
+  variables.forEach(variable => {
+    const raw = input[variable.name];
+    const missing = raw === undefined || raw === null || String(raw).trim() === '';
+
+    if (missing) {
+      if (variable.required) {
+        errors[variable.name] = `${variable.label} is required`;
+      } else {
+        values[variable.name] = variable.default;
+      }
+      return;
+    }
+
+    const { value, error } = coerceValue(variable, raw);
+    if (error) {
+      errors[variable.name] = `${variable.label} ${error}`;
+    } else {
+      values[variable.name] = value;
+    }
+  });
+
+  return { values, errors };
+};
+
+// Render a template with user values. Throws a TemplateError whose `fields`
+// maps variable names to messages when a value is missing or invalid.
+const renderTemplate = (template, input = {}) => {
+  const { segments, variables } = parseTemplate(template);
+  const { values, errors } = validateVariables(variables, input);
+
+  if (Object.keys(errors).length > 0) {
+    throw new TemplateError('Some preset options are missing or invalid', errors);
+  }
+
+  return segments
+    .map(segment => (segment.variable ? values[segment.variable] : segment.text))
+    .join('');
+};
+
+module.exports = {
+  TemplateError,
+  parseTemplate,
+  templateVariables,
+  validateVariables,
+  renderTemplate
+};